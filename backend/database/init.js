@@ -32,10 +32,16 @@ const initDatabase = () => {
         security_answer TEXT,
         business_timezone TEXT DEFAULT NULL,
         timezone_auto_detected BOOLEAN DEFAULT 0,
+        preferred_language TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`);
 
+      // Language for emails to this user (en, ms); empty means the email settings default
+      db.run(`ALTER TABLE users ADD COLUMN preferred_language TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+
       // Stations table
       db.run(`CREATE TABLE IF NOT EXISTS stations (
         id TEXT PRIMARY KEY,
@@ -44,10 +50,16 @@ const initDatabase = () => {
         qr_code TEXT UNIQUE NOT NULL,
         active BOOLEAN DEFAULT 1,
         description TEXT,
+        qr_checkin_required INTEGER DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`);
 
+      // Requests for the station must carry a code from its rotating kiosk QR
+      db.run(`ALTER TABLE stations ADD COLUMN qr_checkin_required INTEGER DEFAULT 0`, (err) => {
+        // Ignore error if column already exists
+      });
+
       // PPE Items table
       db.run(`CREATE TABLE IF NOT EXISTS ppe_items (
         id TEXT PRIMARY KEY,
@@ -58,8 +70,13 @@ const initDatabase = () => {
         symbol TEXT DEFAULT '🛡️',
         min_threshold INTEGER DEFAULT 10,
         unit_cost DECIMAL(10,2) DEFAULT 0.00,
+        replacement_period_days INTEGER,
+        size_dimension TEXT,
+        parent_item_id TEXT,
+        variant_label TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (parent_item_id) REFERENCES ppe_items (id)
       )`);
       
       // Add unit_cost column if it doesn't exist (for existing databases)
@@ -67,6 +84,23 @@ const initDatabase = () => {
         // Ignore error if column already exists
       });
 
+      // Days after issue before an item is due for return/replacement
+      db.run(`ALTER TABLE ppe_items ADD COLUMN replacement_period_days INTEGER`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // Sized PPE: the parent type names its size dimension (e.g. SHOE, CLOTHING),
+      // each size is a child item with its own station_inventory rows
+      db.run(`ALTER TABLE ppe_items ADD COLUMN size_dimension TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+      db.run(`ALTER TABLE ppe_items ADD COLUMN parent_item_id TEXT REFERENCES ppe_items (id)`, (err) => {
+        // Ignore error if column already exists
+      });
+      db.run(`ALTER TABLE ppe_items ADD COLUMN variant_label TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+
       // Staff Directory table for verification
       db.run(`CREATE TABLE IF NOT EXISTS staff_directory (
         id TEXT PRIMARY KEY,
@@ -75,11 +109,33 @@ const initDatabase = () => {
         email TEXT,
         department TEXT,
         position TEXT,
+        size_profile TEXT,
+        badge_nonce TEXT,
+        badge_issued_at DATETIME,
+        preferred_language TEXT,
         active BOOLEAN DEFAULT 1,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`);
 
+      // JSON map of size dimension to size, e.g. {"SHOE":"42","CLOTHING":"L"}
+      db.run(`ALTER TABLE staff_directory ADD COLUMN size_profile TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // Random value signed into the staff member's badge QR; clearing it revokes the badge
+      db.run(`ALTER TABLE staff_directory ADD COLUMN badge_nonce TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+      db.run(`ALTER TABLE staff_directory ADD COLUMN badge_issued_at DATETIME`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // Language for emails to this person (en, ms); empty means the email settings default
+      db.run(`ALTER TABLE staff_directory ADD COLUMN preferred_language TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+
       // Station Inventory table
       db.run(`CREATE TABLE IF NOT EXISTS station_inventory (
         id TEXT PRIMARY KEY,
@@ -89,6 +145,7 @@ const initDatabase = () => {
         max_capacity INTEGER DEFAULT 100,
         min_threshold INTEGER DEFAULT 10,
         critical_threshold INTEGER DEFAULT 5,
+        reserved_quantity INTEGER DEFAULT 0,
         last_restocked DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -97,6 +154,238 @@ const initDatabase = () => {
         UNIQUE(station_id, ppe_item_id)
       )`);
 
+      // Add reserved_quantity column if it doesn't exist (for existing databases)
+      db.run(`ALTER TABLE station_inventory ADD COLUMN reserved_quantity INTEGER DEFAULT 0`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // Inventory Batches table - lot / expiry tracking within a station_inventory row
+      db.run(`CREATE TABLE IF NOT EXISTS inventory_batches (
+        id TEXT PRIMARY KEY,
+        station_inventory_id TEXT NOT NULL,
+        station_id TEXT NOT NULL,
+        ppe_item_id TEXT NOT NULL,
+        lot_number TEXT,
+        quantity INTEGER NOT NULL DEFAULT 0,
+        initial_quantity INTEGER NOT NULL DEFAULT 0,
+        received_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expiry_date DATETIME,
+        status TEXT DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'DEPLETED', 'WRITTEN_OFF')),
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (station_inventory_id) REFERENCES station_inventory (id),
+        FOREIGN KEY (station_id) REFERENCES stations (id),
+        FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id),
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )`);
+
+      // Stock Movements table - append-only ledger of every change to station_inventory.current_stock.
+      // No foreign keys: the history is kept after a station or item is deleted.
+      db.run(`CREATE TABLE IF NOT EXISTS stock_movements (
+        id TEXT PRIMARY KEY,
+        station_id TEXT NOT NULL,
+        ppe_item_id TEXT NOT NULL,
+        reason TEXT NOT NULL CHECK (reason IN ('OPENING_BALANCE', 'ISSUE', 'RESTOCK', 'TRANSFER_OUT', 'TRANSFER_IN', 'ADJUSTMENT', 'WRITE_OFF')),
+        quantity_change INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        reference_type TEXT,
+        reference_id TEXT,
+        batch_id TEXT,
+        notes TEXT,
+        user_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_stock_movements_station_item
+        ON stock_movements (station_id, ppe_item_id, created_at)`);
+
+      // Ledger rows can never be changed or removed
+      db.run(`CREATE TRIGGER IF NOT EXISTS stock_movements_no_update BEFORE UPDATE ON stock_movements
+        BEGIN SELECT RAISE(ABORT, 'stock_movements is append-only'); END`);
+      db.run(`CREATE TRIGGER IF NOT EXISTS stock_movements_no_delete BEFORE DELETE ON stock_movements
+        BEGIN SELECT RAISE(ABORT, 'stock_movements is append-only'); END`);
+
+      // Stock that existed before the ledger starts it as an opening balance
+      db.run(`INSERT INTO stock_movements (id, station_id, ppe_item_id, reason, quantity_change, balance_after, notes, user_id)
+        SELECT lower(hex(randomblob(16))), si.station_id, si.ppe_item_id, 'OPENING_BALANCE', si.current_stock, si.current_stock,
+               'Stock on hand when the movement ledger was introduced', 'system'
+        FROM station_inventory si
+        WHERE si.current_stock <> 0
+        AND NOT EXISTS (SELECT 1 FROM stock_movements sm WHERE sm.station_id = si.station_id AND sm.ppe_item_id = si.ppe_item_id)`);
+
+      // Stock Transfers table - stock moved between stations, held in transit until received
+      db.run(`CREATE TABLE IF NOT EXISTS stock_transfers (
+        id TEXT PRIMARY KEY,
+        from_station_id TEXT NOT NULL,
+        to_station_id TEXT NOT NULL,
+        status TEXT DEFAULT 'IN_TRANSIT' CHECK (status IN ('IN_TRANSIT', 'RECEIVED', 'CANCELLED')),
+        notes TEXT,
+        dispatched_by TEXT,
+        dispatched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        received_by TEXT,
+        received_at DATETIME,
+        cancelled_by TEXT,
+        cancelled_at DATETIME,
+        cancel_reason TEXT,
+        FOREIGN KEY (from_station_id) REFERENCES stations (id),
+        FOREIGN KEY (to_station_id) REFERENCES stations (id),
+        FOREIGN KEY (dispatched_by) REFERENCES users (id),
+        FOREIGN KEY (received_by) REFERENCES users (id),
+        FOREIGN KEY (cancelled_by) REFERENCES users (id)
+      )`);
+
+      // Stock Transfer Items table - batches holds the lots taken from the source (JSON)
+      db.run(`CREATE TABLE IF NOT EXISTS stock_transfer_items (
+        id TEXT PRIMARY KEY,
+        transfer_id TEXT NOT NULL,
+        ppe_item_id TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        batches TEXT,
+        FOREIGN KEY (transfer_id) REFERENCES stock_transfers (id),
+        FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id)
+      )`);
+
+      // Stock Takes table - physical count sessions per station
+      db.run(`CREATE TABLE IF NOT EXISTS stock_takes (
+        id TEXT PRIMARY KEY,
+        reference TEXT UNIQUE NOT NULL,
+        station_id TEXT NOT NULL,
+        status TEXT DEFAULT 'COUNTING' CHECK (status IN ('COUNTING', 'SUBMITTED', 'POSTED', 'CANCELLED')),
+        notes TEXT,
+        started_by TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        submitted_by TEXT,
+        submitted_at DATETIME,
+        posted_by TEXT,
+        posted_at DATETIME,
+        cancelled_by TEXT,
+        cancelled_at DATETIME,
+        FOREIGN KEY (station_id) REFERENCES stations (id),
+        FOREIGN KEY (started_by) REFERENCES users (id),
+        FOREIGN KEY (submitted_by) REFERENCES users (id),
+        FOREIGN KEY (posted_by) REFERENCES users (id),
+        FOREIGN KEY (cancelled_by) REFERENCES users (id)
+      )`);
+
+      // Stock Take Lines table - expected quantity and unit cost snapshotted when the count starts
+      db.run(`CREATE TABLE IF NOT EXISTS stock_take_lines (
+        id TEXT PRIMARY KEY,
+        stock_take_id TEXT NOT NULL,
+        ppe_item_id TEXT NOT NULL,
+        expected_quantity INTEGER NOT NULL,
+        unit_cost DECIMAL(10,2) DEFAULT 0.00,
+        approved INTEGER DEFAULT 0,
+        posted_adjustment INTEGER,
+        UNIQUE(stock_take_id, ppe_item_id),
+        FOREIGN KEY (stock_take_id) REFERENCES stock_takes (id),
+        FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id)
+      )`);
+
+      // Stock Take Counts table - one entry per counter and area; a line's counted quantity is their sum
+      db.run(`CREATE TABLE IF NOT EXISTS stock_take_counts (
+        id TEXT PRIMARY KEY,
+        line_id TEXT NOT NULL,
+        counted_by TEXT NOT NULL,
+        location TEXT NOT NULL DEFAULT '',
+        quantity INTEGER NOT NULL CHECK (quantity >= 0),
+        counted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(line_id, counted_by, location),
+        FOREIGN KEY (line_id) REFERENCES stock_take_lines (id),
+        FOREIGN KEY (counted_by) REFERENCES users (id)
+      )`);
+
+      // Suppliers table
+      db.run(`CREATE TABLE IF NOT EXISTS suppliers (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        contact_name TEXT,
+        email TEXT,
+        phone TEXT,
+        address TEXT,
+        notes TEXT,
+        active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // Purchase Orders table
+      db.run(`CREATE TABLE IF NOT EXISTS purchase_orders (
+        id TEXT PRIMARY KEY,
+        po_number TEXT UNIQUE NOT NULL,
+        supplier_id TEXT NOT NULL,
+        station_id TEXT,
+        status TEXT DEFAULT 'DRAFT' CHECK (status IN ('DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED')),
+        order_date DATETIME,
+        expected_date DATETIME,
+        notes TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (supplier_id) REFERENCES suppliers (id),
+        FOREIGN KEY (station_id) REFERENCES stations (id),
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )`);
+
+      // Purchase Order Lines table
+      db.run(`CREATE TABLE IF NOT EXISTS purchase_order_lines (
+        id TEXT PRIMARY KEY,
+        purchase_order_id TEXT NOT NULL,
+        ppe_item_id TEXT NOT NULL,
+        quantity_ordered INTEGER NOT NULL,
+        quantity_received INTEGER DEFAULT 0,
+        unit_price DECIMAL(10,2) NOT NULL,
+        expected_date DATETIME,
+        FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders (id),
+        FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id)
+      )`);
+
+      // Goods Received Notes table - one per delivery against a purchase order
+      db.run(`CREATE TABLE IF NOT EXISTS goods_received_notes (
+        id TEXT PRIMARY KEY,
+        grn_number TEXT UNIQUE NOT NULL,
+        purchase_order_id TEXT NOT NULL,
+        station_id TEXT NOT NULL,
+        delivery_reference TEXT,
+        notes TEXT,
+        received_by TEXT,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders (id),
+        FOREIGN KEY (station_id) REFERENCES stations (id),
+        FOREIGN KEY (received_by) REFERENCES users (id)
+      )`);
+
+      // Goods Received Lines table
+      db.run(`CREATE TABLE IF NOT EXISTS goods_received_lines (
+        id TEXT PRIMARY KEY,
+        grn_id TEXT NOT NULL,
+        po_line_id TEXT NOT NULL,
+        ppe_item_id TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        unit_price DECIMAL(10,2) NOT NULL,
+        batch_id TEXT,
+        FOREIGN KEY (grn_id) REFERENCES goods_received_notes (id),
+        FOREIGN KEY (po_line_id) REFERENCES purchase_order_lines (id),
+        FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id),
+        FOREIGN KEY (batch_id) REFERENCES inventory_batches (id)
+      )`);
+
+      // PPE Item Price History table - unit cost changes from purchases
+      db.run(`CREATE TABLE IF NOT EXISTS ppe_item_price_history (
+        id TEXT PRIMARY KEY,
+        ppe_item_id TEXT NOT NULL,
+        unit_cost DECIMAL(10,2) NOT NULL,
+        previous_cost DECIMAL(10,2),
+        source TEXT DEFAULT 'PURCHASE',
+        reference_id TEXT,
+        supplier_id TEXT,
+        recorded_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id),
+        FOREIGN KEY (supplier_id) REFERENCES suppliers (id),
+        FOREIGN KEY (recorded_by) REFERENCES users (id)
+      )`);
+
       // PPE Requests table - minimal schema, extended dynamically by route
       db.run(`CREATE TABLE IF NOT EXISTS ppe_requests (
         id TEXT PRIMARY KEY,
@@ -105,12 +394,44 @@ const initDatabase = () => {
         station_id TEXT NOT NULL,
         status TEXT DEFAULT 'PENDING',
         notes TEXT,
+        approval_chain TEXT,
+        current_approval_step INTEGER DEFAULT 0,
+        collection_expires_at DATETIME,
+        issued_at DATETIME,
+        issued_by TEXT,
+        entitlement_breaches TEXT,
+        station_checkin_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users (id),
         FOREIGN KEY (station_id) REFERENCES stations (id)
       )`);
 
+      // Add approval chain columns if they don't exist (for existing databases)
+      db.run(`ALTER TABLE ppe_requests ADD COLUMN approval_chain TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+      db.run(`ALTER TABLE ppe_requests ADD COLUMN current_approval_step INTEGER DEFAULT 0`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // JSON list of entitlements the request exceeded when it was submitted
+      db.run(`ALTER TABLE ppe_requests ADD COLUMN entitlement_breaches TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // When the station QR scanned for the request was shown at the kiosk
+      db.run(`ALTER TABLE ppe_requests ADD COLUMN station_checkin_at DATETIME`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // Add collection columns if they don't exist (APPROVED -> ISSUED / EXPIRED)
+      ['collection_expires_at DATETIME', 'issued_at DATETIME', 'issued_by TEXT'].forEach(column => {
+        db.run(`ALTER TABLE ppe_requests ADD COLUMN ${column}`, (err) => {
+          // Ignore error if column already exists
+        });
+      });
+
       // PPE Request Items table
       db.run(`CREATE TABLE IF NOT EXISTS ppe_request_items (
         id TEXT PRIMARY KEY,
@@ -118,11 +439,17 @@ const initDatabase = () => {
         ppe_item_id TEXT NOT NULL,
         quantity INTEGER DEFAULT 1,
         issued BOOLEAN DEFAULT 0,
+        reserved_quantity INTEGER DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (request_id) REFERENCES ppe_requests (id),
         FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id)
       )`);
 
+      // Add reserved_quantity column if it doesn't exist (for existing databases)
+      db.run(`ALTER TABLE ppe_request_items ADD COLUMN reserved_quantity INTEGER DEFAULT 0`, (err) => {
+        // Ignore error if column already exists
+      });
+
       // Alerts table
       db.run(`CREATE TABLE IF NOT EXISTS alerts (
         id TEXT PRIMARY KEY,
@@ -179,13 +506,20 @@ const initDatabase = () => {
         notes TEXT,
         issued_by TEXT,
         returned_by TEXT,
+        request_id TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id),
         FOREIGN KEY (issued_by) REFERENCES users (id),
-        FOREIGN KEY (returned_by) REFERENCES users (id)
+        FOREIGN KEY (returned_by) REFERENCES users (id),
+        FOREIGN KEY (request_id) REFERENCES ppe_requests (id)
       )`);
 
+      // Link assignments back to the PPE request they were issued from
+      db.run(`ALTER TABLE staff_ppe_assignments ADD COLUMN request_id TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+
       // Equipment Lifecycle table
       db.run(`CREATE TABLE IF NOT EXISTS equipment_lifecycle (
         id TEXT PRIMARY KEY,
@@ -201,11 +535,66 @@ const initDatabase = () => {
         total_cost DECIMAL(10,2),
         disposal_date DATETIME,
         disposal_reason TEXT,
+        status TEXT DEFAULT 'IN_STOCK',
+        assigned_at DATETIME,
+        notes TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id)
       )`);
 
+      // Add asset register columns if they don't exist (for existing databases)
+      ["status TEXT DEFAULT 'IN_STOCK'", 'assigned_at DATETIME', 'notes TEXT'].forEach(column => {
+        db.run(`ALTER TABLE equipment_lifecycle ADD COLUMN ${column}`, (err) => {
+          // Ignore error if column already exists
+        });
+      });
+
+      // Equipment Lifecycle Events table - per-serial history
+      db.run(`CREATE TABLE IF NOT EXISTS equipment_lifecycle_events (
+        id TEXT PRIMARY KEY,
+        equipment_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        staff_id TEXT,
+        details TEXT,
+        performed_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (equipment_id) REFERENCES equipment_lifecycle (id),
+        FOREIGN KEY (performed_by) REFERENCES users (id)
+      )`);
+
+      // Inspection Definitions table - recurring checks required per PPE type
+      db.run(`CREATE TABLE IF NOT EXISTS inspection_definitions (
+        id TEXT PRIMARY KEY,
+        ppe_item_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        interval_days INTEGER NOT NULL,
+        checklist TEXT NOT NULL DEFAULT '[]',
+        active INTEGER DEFAULT 1,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id),
+        FOREIGN KEY (created_by) REFERENCES users (id)
+      )`);
+
+      // Inspection Records table - results per serialized item
+      db.run(`CREATE TABLE IF NOT EXISTS inspection_records (
+        id TEXT PRIMARY KEY,
+        equipment_id TEXT NOT NULL,
+        definition_id TEXT NOT NULL,
+        inspection_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        result TEXT NOT NULL CHECK (result IN ('PASS', 'FAIL')),
+        checklist_results TEXT,
+        notes TEXT,
+        next_due_date DATETIME,
+        inspected_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (equipment_id) REFERENCES equipment_lifecycle (id),
+        FOREIGN KEY (definition_id) REFERENCES inspection_definitions (id),
+        FOREIGN KEY (inspected_by) REFERENCES users (id)
+      )`);
+
       // Approval Records table
       db.run(`CREATE TABLE IF NOT EXISTS approval_records (
         id TEXT PRIMARY KEY,
@@ -214,11 +603,69 @@ const initDatabase = () => {
         approval_date DATETIME DEFAULT CURRENT_TIMESTAMP,
         action TEXT NOT NULL,
         notes TEXT,
+        step_index INTEGER DEFAULT 0,
+        step_role TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (request_id) REFERENCES ppe_requests (id),
         FOREIGN KEY (approved_by) REFERENCES users (id)
       )`);
 
+      // Add approval step columns if they don't exist (for existing databases)
+      db.run(`ALTER TABLE approval_records ADD COLUMN step_index INTEGER DEFAULT 0`, (err) => {
+        // Ignore error if column already exists
+      });
+      db.run(`ALTER TABLE approval_records ADD COLUMN step_role TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // Approval Chain Rules table (multi-level approval by cost threshold or PPE type)
+      db.run(`CREATE TABLE IF NOT EXISTS approval_chain_rules (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        rule_type TEXT NOT NULL CHECK (rule_type IN ('COST_THRESHOLD', 'PPE_TYPE')),
+        cost_threshold DECIMAL(10,2),
+        ppe_type TEXT,
+        steps TEXT NOT NULL,
+        priority INTEGER DEFAULT 0,
+        active BOOLEAN DEFAULT 1,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // PPE entitlement matrix: how much of a PPE type a department or position may draw per period
+      db.run(`CREATE TABLE IF NOT EXISTS ppe_entitlements (
+        id TEXT PRIMARY KEY,
+        scope_type TEXT NOT NULL CHECK (scope_type IN ('DEPARTMENT', 'POSITION')),
+        scope_value TEXT NOT NULL,
+        ppe_item_id TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        period_days INTEGER NOT NULL,
+        over_limit_action TEXT DEFAULT 'FLAG' CHECK (over_limit_action IN ('FLAG', 'REQUIRE_APPROVAL')),
+        approver_role TEXT,
+        active BOOLEAN DEFAULT 1,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (scope_type, scope_value, ppe_item_id),
+        FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id)
+      )`);
+
+      // Mandatory PPE: what a department or position must hold at all times
+      db.run(`CREATE TABLE IF NOT EXISTS ppe_requirements (
+        id TEXT PRIMARY KEY,
+        scope_type TEXT NOT NULL CHECK (scope_type IN ('DEPARTMENT', 'POSITION')),
+        scope_value TEXT NOT NULL,
+        ppe_item_id TEXT NOT NULL,
+        quantity INTEGER DEFAULT 1,
+        notes TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (scope_type, scope_value, ppe_item_id),
+        FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id)
+      )`);
+
       // Inventory Alerts table
       db.run(`CREATE TABLE IF NOT EXISTS inventory_alerts (
         id TEXT PRIMARY KEY,
@@ -232,12 +679,19 @@ const initDatabase = () => {
         alert_sent BOOLEAN DEFAULT FALSE,
         acknowledged_by TEXT,
         acknowledged_at DATETIME,
+        batch_id TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (station_id) REFERENCES stations (id),
         FOREIGN KEY (ppe_item_id) REFERENCES ppe_items (id),
-        FOREIGN KEY (acknowledged_by) REFERENCES users (id)
+        FOREIGN KEY (acknowledged_by) REFERENCES users (id),
+        FOREIGN KEY (batch_id) REFERENCES inventory_batches (id)
       )`);
 
+      // Expiry alerts point at the batch they were raised for
+      db.run(`ALTER TABLE inventory_alerts ADD COLUMN batch_id TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+
       // Email Configuration table
       db.run(`CREATE TABLE IF NOT EXISTS email_config (
         id TEXT PRIMARY KEY DEFAULT '1',
@@ -253,10 +707,32 @@ const initDatabase = () => {
         safety_officer_email TEXT DEFAULT '',
         store_personnel_email TEXT DEFAULT '',
         admin_email TEXT DEFAULT 'admin@ppe.local',
+        default_language TEXT DEFAULT 'en',
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`);
 
+      // Language for recipients who haven't chosen one
+      db.run(`ALTER TABLE email_config ADD COLUMN default_language TEXT DEFAULT 'en'`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // Email Templates table - admin overrides of the built-in templates, one per email type and language
+      db.run(`CREATE TABLE IF NOT EXISTS email_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        template_type TEXT NOT NULL,
+        locale TEXT NOT NULL DEFAULT 'en',
+        subject TEXT NOT NULL,
+        html_content TEXT NOT NULL,
+        text_content TEXT,
+        variables TEXT,
+        enabled BOOLEAN NOT NULL DEFAULT 1,
+        updated_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(template_type, locale)
+      )`);
+
       // Push Subscriptions table for notifications
       db.run(`CREATE TABLE IF NOT EXISTS push_subscriptions (
         id TEXT PRIMARY KEY,
@@ -282,6 +758,49 @@ const initDatabase = () => {
         UNIQUE(admin_email, notification_type)
       )`);
 
+      // Scheduled Notifications table - events held back for an hourly/daily/weekly digest,
+      // recipient is the admin whose notification preference queued them
+      db.run(`CREATE TABLE IF NOT EXISTS scheduled_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notification_type TEXT NOT NULL,
+        frequency TEXT NOT NULL,
+        recipient TEXT,
+        data TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        processed_at DATETIME NULL
+      )`);
+
+      // Tables created before digests were grouped per recipient
+      db.run(`ALTER TABLE scheduled_notifications ADD COLUMN recipient TEXT`, (err) => {
+        // Ignore error if column already exists
+      });
+
+      // Admin Notifications table - the admin dashboard inbox, one row per event
+      db.run(`CREATE TABLE IF NOT EXISTS admin_notifications (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        event TEXT NOT NULL,
+        title TEXT NOT NULL,
+        message TEXT,
+        severity TEXT DEFAULT 'info',
+        link TEXT,
+        entity_type TEXT,
+        entity_id TEXT,
+        data TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_admin_notifications_type_created ON admin_notifications (type, created_at)`);
+
+      // Admin Notification Reads table - which user has read which inbox notification
+      db.run(`CREATE TABLE IF NOT EXISTS admin_notification_reads (
+        notification_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (notification_id, user_id),
+        FOREIGN KEY (notification_id) REFERENCES admin_notifications (id)
+      )`);
+
       // Notifications table
       db.run(`CREATE TABLE IF NOT EXISTS notifications (
         id TEXT PRIMARY KEY,
@@ -311,6 +830,77 @@ const initDatabase = () => {
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`);
 
+      // Idempotency Keys table - first successful response per client key, replayed on retries
+      db.run(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        status_code INTEGER,
+        response_body TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        PRIMARY KEY (scope, idempotency_key)
+      )`);
+
+      // Email Outbox table - every outgoing email, sent in the background and retried with backoff
+      db.run(`CREATE TABLE IF NOT EXISTS email_outbox (
+        id TEXT PRIMARY KEY,
+        template TEXT NOT NULL,
+        from_address TEXT,
+        recipients TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        attachments TEXT,
+        status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENDING', 'SENT', 'DEAD')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        message_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox (status, next_attempt_at)`);
+
+      // Webhook Subscriptions table - admin-managed endpoints that receive signed domain events
+      db.run(`CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        enabled BOOLEAN DEFAULT 1,
+        description TEXT,
+        last_delivery_at DATETIME,
+        last_delivery_status TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // Webhook Deliveries table - one row per event per subscription, retried with backoff
+      db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        subscription_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENDING', 'DELIVERED', 'DEAD')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        response_status INTEGER,
+        response_body TEXT,
+        duration_ms INTEGER,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions (id)
+      )`);
+
+      db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)`);
+      db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at)`);
+
       // Scheduled Reports table
       db.run(`CREATE TABLE IF NOT EXISTS scheduled_reports (
         id TEXT PRIMARY KEY,
@@ -26,6 +26,7 @@ const generateToken = (user) => {
       email: user.email, 
       name: user.name,
       role: user.role,
+      department: user.department || null,
       company_id: user.company_id || 'your-company'
     },
     JWT_SECRET,
@@ -304,10 +304,10 @@ const FEATURE_DEFINITIONS = {
   },
   'custom_integrations': {
     name: 'Custom Integrations',
-    description: 'Custom integration development',
+    description: 'Signed outbound webhooks for PPE requests, stock levels, condition reports and staff changes',
     tier: 'enterprise',
     price: 149,
-    status: 'coming_soon'
+    status: 'available'
   },
   'white_label': {
     name: 'White Label',
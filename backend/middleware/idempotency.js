@@ -0,0 +1,107 @@
+const { getDb } = require('../database/init');
+
+// Offline clients may replay a queued submission days later
+const KEY_RETENTION_DAYS = 30;
+const MAX_KEY_LENGTH = 128;
+
+// A claim not completed by then belongs to a request that died mid-way, e.g. in a restart
+const CLAIM_TIMEOUT_MINUTES = 5;
+
+/**
+ * Make a POST endpoint safe to retry. A request carrying an Idempotency-Key header
+ * is processed once; later requests with the same key get the stored response
+ * instead of creating another record. Only successful responses are stored, so a
+ * request that failed can be retried with the same key. A key still being processed
+ * after CLAIM_TIMEOUT_MINUTES is taken over by the next request that carries it.
+ * Requests without the header are processed as before.
+ * @param {string} scope - Endpoint name, so keys from different endpoints never collide
+ * @returns {Function} Express middleware function
+ */
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    try {
+      const db = getDb();
+
+      const existing = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (existing && existing.completed_at) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status_code).json(JSON.parse(existing.response_body));
+      }
+
+      // The primary key makes a concurrent duplicate fail here instead of running twice;
+      // a stale claim is taken over by only one of the requests that find it
+      const claimed = await new Promise((resolve, reject) => {
+        if (existing) {
+          db.run(`
+            UPDATE idempotency_keys SET created_at = CURRENT_TIMESTAMP
+            WHERE scope = ? AND idempotency_key = ? AND completed_at IS NULL
+              AND created_at < datetime('now', ?)
+          `, [scope, key, `-${CLAIM_TIMEOUT_MINUTES} minutes`], function(err) {
+            if (err) reject(err);
+            else resolve(this.changes > 0);
+          });
+          return;
+        }
+
+        db.run('INSERT INTO idempotency_keys (scope, idempotency_key) VALUES (?, ?)', [scope, key], (err) => {
+          if (err && err.code === 'SQLITE_CONSTRAINT') resolve(false);
+          else if (err) reject(err);
+          else resolve(true);
+        });
+      });
+
+      if (!claimed) {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      db.run(`DELETE FROM idempotency_keys WHERE created_at < datetime('now', ?)`, [`-${KEY_RETENTION_DAYS} days`]);
+
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      // Keep the response if it succeeded, otherwise release the key for a retry
+      let settled = false;
+      const settle = () => {
+        if (settled) return;
+        settled = true;
+
+        if (responseBody !== undefined && res.statusCode >= 200 && res.statusCode < 300) {
+          db.run(`
+            UPDATE idempotency_keys SET status_code = ?, response_body = ?, completed_at = CURRENT_TIMESTAMP
+            WHERE scope = ? AND idempotency_key = ?
+          `, [res.statusCode, JSON.stringify(responseBody), scope, key]);
+        } else {
+          db.run('DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?', [scope, key]);
+        }
+      };
+      res.on('finish', settle);
+      res.on('close', settle);
+
+      next();
+    } catch (error) {
+      console.error('Idempotency check error:', error);
+      res.status(500).json({ error: 'Unable to verify Idempotency-Key' });
+    }
+  };
+}
+
+module.exports = { idempotent };
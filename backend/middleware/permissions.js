@@ -0,0 +1,126 @@
+/**
+ * Role-based access control
+ * Maps each user role to the permissions it grants. ADMIN (and SUPER_ADMIN)
+ * implicitly hold every permission.
+ */
+
+const ROLES = {
+  ADMIN: 'ADMIN',
+  SAFETY_OFFICER: 'SAFETY_OFFICER',
+  STORE_PERSONNEL: 'STORE_PERSONNEL',
+  SUPERVISOR: 'SUPERVISOR',
+  STAFF: 'STAFF'
+};
+
+const ROLE_DEFINITIONS = {
+  ADMIN: {
+    name: 'Administrator',
+    description: 'Full access to all features, users and settings',
+    permissions: ['*']
+  },
+  SAFETY_OFFICER: {
+    name: 'Safety Officer',
+    description: 'Reviews, approves and rejects PPE requests; defines mandatory PPE',
+    permissions: [
+      'requests.view',
+      'requests.approve',
+      'inventory.view',
+      'equipment.view',
+      'equipment.inspect',
+      'staff.view',
+      'reports.view',
+      'compliance.manage'
+    ]
+  },
+  STORE_PERSONNEL: {
+    name: 'Store Personnel',
+    description: 'Issues PPE and restocks station inventory',
+    permissions: [
+      'requests.view',
+      'requests.issue',
+      'inventory.view',
+      'inventory.restock',
+      'equipment.view',
+      'equipment.assign',
+      'staff.view'
+    ]
+  },
+  SUPERVISOR: {
+    name: 'Supervisor',
+    description: 'Read-only access to reports for their own department; signs off supervisor steps in approval chains',
+    permissions: [
+      'requests.view',
+      'requests.approve',
+      'reports.view'
+    ],
+    departmentScoped: true
+  },
+  STAFF: {
+    name: 'Staff',
+    description: 'No administrative access',
+    permissions: []
+  }
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission key, e.g. 'requests.approve'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  if (role === 'SUPER_ADMIN') return true;
+
+  const definition = ROLE_DEFINITIONS[role];
+  if (!definition) return false;
+
+  return definition.permissions.includes('*') || definition.permissions.includes(permission);
+}
+
+/**
+ * Middleware to require one of the given permissions.
+ * Must run after authenticateToken / authenticateWithCompany.
+ * @param {...string} permissions - Accepted permission keys
+ * @returns {Function} Express middleware function
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const role = req.user?.role;
+
+    if (!role) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    if (!permissions.some(permission => hasPermission(role, permission))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `Your role (${role}) is not allowed to perform this action`,
+        required_permissions: permissions
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Department the current user is restricted to, or null if unrestricted.
+ * Supervisors only see data for their own department.
+ * @param {Object} req - Express request with req.user
+ * @returns {string|null}
+ */
+function getDepartmentScope(req) {
+  const definition = ROLE_DEFINITIONS[req.user?.role];
+  if (definition && definition.departmentScoped) {
+    return req.user.department || '__no_department__';
+  }
+  return null;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_DEFINITIONS,
+  hasPermission,
+  requirePermission,
+  getDepartmentScope
+};
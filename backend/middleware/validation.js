@@ -12,7 +12,8 @@ const ppeRequestSchema = Joi.object({
   notes: Joi.string().optional(),
   staffId: Joi.string().optional(),
   staffName: Joi.string().optional(),
-  department: Joi.string().optional()
+  department: Joi.string().optional(),
+  stationCode: Joi.string().optional()
 });
 
 const validatePPERequest = (req, res, next) => {
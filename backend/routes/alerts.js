@@ -1,6 +1,7 @@
 const express = require('express');
 const { getDb } = require('../database/init');
 const { v4: uuidv4 } = require('uuid');
+const adminNotificationService = require('../services/adminNotificationService');
 
 const router = express.Router();
 
@@ -61,9 +62,8 @@ router.post('/', async (req, res) => {
       });
     });
     
-    // Broadcast to admin dashboard
-    const io = req.app.get('io');
-    io.to('admin_room').emit('new_alert', {
+    // Broadcast to admin dashboard and its inbox
+    await adminNotificationService.notifyAdmins(req.app.get('io'), 'new_alert', {
       id: alertId,
       type,
       title,
@@ -3,13 +3,14 @@ const approvalWorkflowService = require('../services/approvalWorkflowService');
 const notificationService = require('../services/notificationService');
 const notificationHelper = require('../services/notificationHelper');
 const { authenticateToken, authenticateWithCompany } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const { enforceLicenseCompliance } = require('../middleware/licenseEnforcement');
 
 const router = express.Router();
 
 
-// Get pending requests for Safety Officer approval - No auth required for customer onboarding
-router.get('/pending', async (req, res) => {
+// Get pending requests for Safety Officer approval
+router.get('/pending', authenticateToken, requirePermission('requests.view'), async (req, res) => {
   try {
     // Check license but don't block, show friendly message
     const licenseService = require('../services/licenseService');
@@ -25,7 +26,6 @@ router.get('/pending', async (req, res) => {
       });
     }
     
-    // Use default company for customer onboarding (no user context)
     const companyId = req.user?.company_id || 'default-company';
     const pendingRequests = await approvalWorkflowService.getPendingRequests(companyId);
     
@@ -41,7 +41,7 @@ router.get('/pending', async (req, res) => {
 });
 
 // Get detailed request for approval review
-router.get('/request/:requestId', authenticateToken, async (req, res) => {
+router.get('/request/:requestId', authenticateToken, requirePermission('requests.view'), async (req, res) => {
   try {
     const { requestId } = req.params;
     const requestDetails = await approvalWorkflowService.getRequestDetails(requestId);
@@ -57,7 +57,7 @@ router.get('/request/:requestId', authenticateToken, async (req, res) => {
 });
 
 // Approve PPE request
-router.post('/approve/:requestId', authenticateToken, async (req, res) => {
+router.post('/approve/:requestId', authenticateToken, requirePermission('requests.approve'), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { notes } = req.body;
@@ -68,11 +68,22 @@ router.post('/approve/:requestId', authenticateToken, async (req, res) => {
     const result = await approvalWorkflowService.approveRequest(requestId, {
       approvedBy: req.user.id,
       approverName: req.user.name,
+      approverRole: req.user.role,
+      approverDepartment: req.user.department,
       notes,
       ipAddress: clientIP,
       userAgent
     });
     
+    // Intermediate chain step - requester is only notified once the final step completes
+    if (!result.finalStep) {
+      return res.json({
+        success: true,
+        message: `Approval step ${result.stepIndex + 1} of ${result.totalSteps} recorded. Awaiting ${result.nextStepRole} approval.`,
+        ...result
+      });
+    }
+    
     // Send notification to staff member using preferences
     try {
       const requestDetails = await approvalWorkflowService.getRequestDetails(requestId);
@@ -107,12 +118,12 @@ router.post('/approve/:requestId', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Approve request error:', error);
-    res.status(500).json({ error: error.message || 'Failed to approve request' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to approve request' });
   }
 });
 
 // Reject PPE request
-router.post('/reject/:requestId', authenticateToken, async (req, res) => {
+router.post('/reject/:requestId', authenticateToken, requirePermission('requests.approve'), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { reason } = req.body;
@@ -123,6 +134,8 @@ router.post('/reject/:requestId', authenticateToken, async (req, res) => {
     const result = await approvalWorkflowService.rejectRequest(requestId, {
       rejectedBy: req.user.id,
       rejectorName: req.user.name,
+      rejectorRole: req.user.role,
+      rejectorDepartment: req.user.department,
       reason,
       ipAddress: clientIP,
       userAgent
@@ -162,12 +175,68 @@ router.post('/reject/:requestId', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Reject request error:', error);
-    res.status(500).json({ error: error.message || 'Failed to reject request' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to reject request' });
+  }
+});
+
+// Get approved requests awaiting collection (optionally for one scanned staff ID)
+router.get('/awaiting-collection', authenticateToken, requirePermission('requests.issue'), async (req, res) => {
+  try {
+    const { stationId, staffId } = req.query;
+    const requests = await approvalWorkflowService.getAwaitingCollection({ stationId, staffId });
+    
+    res.json({
+      success: true,
+      requests,
+      count: requests.length
+    });
+  } catch (error) {
+    console.error('Get awaiting collection error:', error);
+    res.status(500).json({ error: 'Failed to fetch requests awaiting collection' });
+  }
+});
+
+// Confirm PPE handover - store personnel scan the worker's staff ID
+router.post('/issue/:requestId', authenticateToken, requirePermission('requests.issue'), async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { staffId } = req.body;
+    
+    const result = await approvalWorkflowService.issueRequest(requestId, {
+      issuedBy: req.user.id,
+      scannedStaffId: staffId,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (!result.success) {
+      return res.status(409).json({
+        error: 'Insufficient stock to issue some items',
+        ...result
+      });
+    }
+    
+    const io = req.app.get('io');
+    if (io) {
+      io.to('admin_room').emit('request_status_updated', {
+        requestId,
+        status: 'ISSUED'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'PPE issued to worker',
+      ...result
+    });
+  } catch (error) {
+    console.error('Issue request error:', error);
+    res.status(error.statusCode || 400).json({ error: error.message || 'Failed to issue request' });
   }
 });
 
 // Get approval history for a request
-router.get('/history/:requestId', authenticateToken, async (req, res) => {
+router.get('/history/:requestId', authenticateToken, requirePermission('requests.view'), async (req, res) => {
   try {
     const { requestId } = req.params;
     const history = await approvalWorkflowService.getApprovalHistory(requestId);
@@ -184,7 +253,7 @@ router.get('/history/:requestId', authenticateToken, async (req, res) => {
 });
 
 // Get approval statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('requests.view'), async (req, res) => {
   try {
     const stats = await approvalWorkflowService.getApprovalStats();
     
@@ -198,4 +267,53 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// Get approval chain rules
+router.get('/chains', authenticateToken, requirePermission('approval_chains.manage'), async (req, res) => {
+  try {
+    const rules = await approvalWorkflowService.getApprovalChainRules();
+    
+    res.json({
+      success: true,
+      rules,
+      count: rules.length
+    });
+  } catch (error) {
+    console.error('Get approval chain rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch approval chain rules' });
+  }
+});
+
+// Create approval chain rule
+router.post('/chains', authenticateToken, requirePermission('approval_chains.manage'), async (req, res) => {
+  try {
+    const result = await approvalWorkflowService.createApprovalChainRule(req.body, req.user.id);
+    res.json({ success: true, message: 'Approval chain rule created', ...result });
+  } catch (error) {
+    console.error('Create approval chain rule error:', error);
+    res.status(400).json({ error: error.message || 'Failed to create approval chain rule' });
+  }
+});
+
+// Update approval chain rule
+router.put('/chains/:ruleId', authenticateToken, requirePermission('approval_chains.manage'), async (req, res) => {
+  try {
+    const result = await approvalWorkflowService.updateApprovalChainRule(req.params.ruleId, req.body, req.user.id);
+    res.json({ success: true, message: 'Approval chain rule updated', ...result });
+  } catch (error) {
+    console.error('Update approval chain rule error:', error);
+    res.status(400).json({ error: error.message || 'Failed to update approval chain rule' });
+  }
+});
+
+// Delete approval chain rule
+router.delete('/chains/:ruleId', authenticateToken, requirePermission('approval_chains.manage'), async (req, res) => {
+  try {
+    await approvalWorkflowService.deleteApprovalChainRule(req.params.ruleId, req.user.id);
+    res.json({ success: true, message: 'Approval chain rule deleted' });
+  } catch (error) {
+    console.error('Delete approval chain rule error:', error);
+    res.status(400).json({ error: error.message || 'Failed to delete approval chain rule' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { getDb } = require('../database/init');
-const { generateToken } = require('../middleware/auth');
+const { generateToken, authenticateToken } = require('../middleware/auth');
+const { requirePermission, ROLE_DEFINITIONS } = require('../middleware/permissions');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
@@ -156,7 +157,7 @@ router.post('/login', async (req, res) => {
 });
 
 // Register (for admin use)
-router.post('/register', async (req, res) => {
+router.post('/register', authenticateToken, requirePermission('users.manage'), async (req, res) => {
   const db = getDb();
   const { name, email, password, role = 'STAFF', department } = req.body;
   
@@ -165,6 +166,10 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Name, email, and password are required' });
     }
     
+    if (!ROLE_DEFINITIONS[role]) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+    
     // Check if user exists
     const existingUser = await new Promise((resolve, reject) => {
       db.get('SELECT id FROM users WHERE email = ?', [email], (err, row) => {
@@ -0,0 +1,140 @@
+const express = require('express');
+const complianceService = require('../services/complianceService');
+const { authenticateToken } = require('../middleware/auth');
+const { checkFeatureAccess } = require('../middleware/featureFlag');
+const { requirePermission, getDepartmentScope } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Request metadata passed to the service for the audit trail
+function getAuditContext(req) {
+  return {
+    userId: req.user.id,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+// Report filters from the query string; supervisors only see their own department
+function getReportFilters(req) {
+  return {
+    department: getDepartmentScope(req) || req.query.department,
+    gapsOnly: req.query.gapsOnly === 'true'
+  };
+}
+
+// List mandatory PPE per department/position (?scopeType=, ?scopeValue=)
+router.get('/requirements', authenticateToken, requirePermission('reports.view', 'staff.view'), checkFeatureAccess('compliance_tracking'), async (req, res) => {
+  try {
+    const { scopeType, scopeValue } = req.query;
+    const requirements = await complianceService.getRequirements({ scopeType, scopeValue });
+    res.json({ success: true, requirements, count: requirements.length });
+  } catch (error) {
+    console.error('Get PPE requirements error:', error);
+    res.status(500).json({ error: 'Failed to fetch PPE requirements' });
+  }
+});
+
+// Make a PPE type mandatory for a department or position
+router.post('/requirements', authenticateToken, requirePermission('compliance.manage'), checkFeatureAccess('compliance_tracking'), async (req, res) => {
+  try {
+    const { scopeType, scopeValue, ppeItemId, quantity, notes } = req.body;
+    const result = await complianceService.createRequirement({ scopeType, scopeValue, ppeItemId, quantity, notes }, getAuditContext(req));
+    res.status(201).json({ ...result, message: 'Requirement added' });
+  } catch (error) {
+    console.error('Create PPE requirement error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to add requirement' });
+  }
+});
+
+// Change the required quantity or notes
+router.put('/requirements/:id', authenticateToken, requirePermission('compliance.manage'), checkFeatureAccess('compliance_tracking'), async (req, res) => {
+  try {
+    const { quantity, notes } = req.body;
+    const result = await complianceService.updateRequirement(req.params.id, { quantity, notes }, getAuditContext(req));
+    res.json({ ...result, message: 'Requirement updated' });
+  } catch (error) {
+    console.error('Update PPE requirement error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update requirement' });
+  }
+});
+
+// Remove a requirement
+router.delete('/requirements/:id', authenticateToken, requirePermission('compliance.manage'), checkFeatureAccess('compliance_tracking'), async (req, res) => {
+  try {
+    await complianceService.deleteRequirement(req.params.id, getAuditContext(req));
+    res.json({ success: true, message: 'Requirement removed' });
+  } catch (error) {
+    console.error('Delete PPE requirement error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to remove requirement' });
+  }
+});
+
+// Organisation-wide compliance figures for the dashboard tile
+router.get('/summary', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('compliance_tracking'), async (req, res) => {
+  try {
+    const report = await complianceService.getComplianceReport({ department: getDepartmentScope(req) });
+    res.json({ success: true, summary: report.summary });
+  } catch (error) {
+    console.error('Compliance summary error:', error);
+    res.status(500).json({ error: 'Failed to fetch compliance summary' });
+  }
+});
+
+// Compliance gap report per staff member (?department=, ?gapsOnly=true)
+router.get('/report', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('compliance_tracking'), async (req, res) => {
+  try {
+    const report = await complianceService.getComplianceReport(getReportFilters(req));
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Compliance report error:', error);
+    res.status(500).json({ error: 'Failed to generate compliance report' });
+  }
+});
+
+// Export the gap report (?format=csv|pdf, plus the report filters)
+router.get('/report/export', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('compliance_tracking'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    if (!['csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or pdf' });
+    }
+
+    const report = await complianceService.getComplianceReport(getReportFilters(req));
+    const fileName = `ppe-compliance-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(complianceService.generateCSV(report));
+    } else {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      complianceService.writePDF(report, res);
+    }
+  } catch (error) {
+    console.error('Compliance export error:', error);
+    res.status(500).json({ error: 'Failed to export compliance report' });
+  }
+});
+
+// Compliance of a single staff member
+router.get('/staff/:staffId', authenticateToken, requirePermission('reports.view', 'staff.view'), checkFeatureAccess('compliance_tracking'), async (req, res) => {
+  try {
+    const report = await complianceService.getComplianceReport({
+      staffId: req.params.staffId,
+      department: getDepartmentScope(req)
+    });
+
+    if (report.summary.activeStaff === 0) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    res.json({ success: true, staff: report.staff[0] || null, summary: report.summary });
+  } catch (error) {
+    console.error('Staff compliance error:', error);
+    res.status(500).json({ error: 'Failed to fetch staff compliance' });
+  }
+});
+
+module.exports = router;
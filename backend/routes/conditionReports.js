@@ -5,7 +5,10 @@ const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database/init');
 const notificationService = require('../services/notificationService');
 const notificationHelper = require('../services/notificationHelper');
+const adminNotificationService = require('../services/adminNotificationService');
+const webhookService = require('../services/webhookService');
 const { checkFeatureAccess } = require('../middleware/featureFlag');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 // Database connection created lazily to avoid initialization issues
@@ -192,8 +195,8 @@ async function ensureTableExists(req, res, next) {
   }
 }
 
-// Submit condition report
-router.post('/submit', checkFeatureAccess('condition_reporting'), ensureTableExists, upload.single('photo'), async (req, res) => {
+// Submit condition report (an Idempotency-Key makes offline replays safe)
+router.post('/submit', checkFeatureAccess('condition_reporting'), ensureTableExists, idempotent('condition_report'), upload.single('photo'), async (req, res) => {
   try {
     console.log('=== CONDITION REPORT SUBMIT ===');
     console.log('Request body:', req.body);
@@ -311,6 +314,28 @@ router.post('/submit', checkFeatureAccess('condition_reporting'), ensureTableExi
       // Continue - don't fail the report if notification fails
     }
 
+    // Broadcast to admin dashboard and its inbox
+    await adminNotificationService.notifyAdmins(req.app.get('io'), 'new_condition_report', {
+      reportId,
+      staffId,
+      staffName,
+      description,
+      severity,
+      location,
+      hasPhoto: !!photoPath
+    });
+
+    await webhookService.emit('condition_report.created', {
+      reportId,
+      staffId,
+      staffName,
+      description,
+      severity,
+      location: location || null,
+      photoUrl: photoPath ? `/uploads/condition-reports/${photoPath}` : null,
+      status: 'reported'
+    });
+
     res.json({
       success: true,
       message: 'Condition report submitted successfully',
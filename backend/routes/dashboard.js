@@ -83,7 +83,7 @@ router.get('/stats', async (req, res) => {
           FROM ppe_request_items pri
           JOIN ppe_requests pr ON pri.request_id = pr.id
           WHERE DATE(pr.created_at) = DATE('now') 
-            AND pr.status = 'APPROVED'
+            AND pr.status IN ('APPROVED', 'ISSUED')
             AND pri.issued = 1
         `, (err, row) => {
           if (err) {
@@ -138,7 +138,7 @@ router.get('/activity', authenticateToken, enforceLicenseCompliance, async (req,
         JOIN stations s ON pr.station_id = s.id
         JOIN ppe_request_items pri ON pr.id = pri.request_id
         JOIN ppe_items pi ON pri.ppe_item_id = pi.id
-        WHERE pr.status = 'APPROVED'
+        WHERE pr.status IN ('APPROVED', 'ISSUED')
         GROUP BY pr.id
         ORDER BY pr.created_at DESC
         LIMIT ?
@@ -171,7 +171,7 @@ router.get('/trends', authenticateToken, enforceLicenseCompliance, async (req, r
         FROM ppe_requests pr
         JOIN ppe_request_items pri ON pr.id = pri.request_id
         WHERE pr.created_at >= DATE('now', '-${days} days')
-        AND pr.status = 'APPROVED'
+        AND pr.status IN ('APPROVED', 'ISSUED')
         GROUP BY DATE(pr.created_at)
         ORDER BY date ASC
       `, (err, rows) => {
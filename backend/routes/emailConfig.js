@@ -6,8 +6,11 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { checkFeatureAccess } = require('../middleware/featureFlag');
+const { requirePermission } = require('../middleware/permissions');
 const emailConfigService = require('../services/emailConfigService');
 const emailService = require('../services/emailService');
+const emailOutboxService = require('../services/emailOutboxService');
+const emailTemplateService = require('../services/emailTemplateService');
 
 const router = express.Router();
 
@@ -49,7 +52,8 @@ router.put('/config', authenticateToken, checkFeatureAccess('email_notifications
         const {
             smtp_host, smtp_port, smtp_secure, smtp_user, smtp_pass,
             smtp_from, company_name, enabled, test_email,
-            safety_officer_email, store_personnel_email, admin_email
+            safety_officer_email, store_personnel_email, admin_email,
+            default_language
         } = req.body;
         
         // Validate required fields
@@ -60,6 +64,13 @@ router.put('/config', authenticateToken, checkFeatureAccess('email_notifications
             });
         }
         
+        if (default_language && !emailTemplateService.isLocale(default_language)) {
+            return res.status(400).json({
+                success: false,
+                error: `default_language must be one of: ${Object.keys(emailTemplateService.locales).join(', ')}`
+            });
+        }
+        
         const result = await emailConfigService.updateEmailConfig({
             smtp_host,
             smtp_port: parseInt(smtp_port),
@@ -72,7 +83,8 @@ router.put('/config', authenticateToken, checkFeatureAccess('email_notifications
             test_email,
             safety_officer_email,
             store_personnel_email,
-            admin_email
+            admin_email,
+            default_language
         });
 
         // Clear email service cache to reload configuration
@@ -214,6 +226,11 @@ router.get('/notification-types', authenticateToken, checkFeatureAccess('email_n
                 name: 'Critical Stock Alerts',
                 description: 'Alert when PPE stock levels are critically low'
             },
+            {
+                type: 'stock_expiring',
+                name: 'Batch Expiry Alerts',
+                description: 'Alert when PPE batches are expiring soon or have expired'
+            },
             {
                 type: 'license_expiring',
                 name: 'License Expiration Warnings',
@@ -238,6 +255,11 @@ router.get('/notification-types', authenticateToken, checkFeatureAccess('email_n
                 type: 'condition_report_update',
                 name: 'Condition Report Updates',
                 description: 'Notification when condition reports are resolved or updated'
+            },
+            {
+                type: 'inspection_due',
+                name: 'Inspection Reminders',
+                description: 'Reminder when serialized equipment inspections are due or overdue'
             }
         ];
         
@@ -255,22 +277,16 @@ router.get('/notification-types', authenticateToken, checkFeatureAccess('email_n
     }
 });
 
-// Get email templates
+// Get email templates: every email type in every language, with the variables each can use
 router.get('/templates', authenticateToken, checkFeatureAccess('email_notifications'), async (req, res) => {
     try {
-        const { getDb } = require('../database/init');
-        const db = getDb();
-        
-        const templates = await new Promise((resolve, reject) => {
-            db.all('SELECT * FROM email_templates ORDER BY template_type', [], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows || []);
-            });
-        });
+        const templates = await emailTemplateService.getTemplates();
         
         res.json({
             success: true,
-            templates
+            templates,
+            types: emailTemplateService.getTemplateTypes(),
+            locales: emailTemplateService.locales
         });
         
     } catch (error) {
@@ -282,44 +298,77 @@ router.get('/templates', authenticateToken, checkFeatureAccess('email_notificati
     }
 });
 
-// Update email template
-router.put('/templates/:templateType', authenticateToken, checkFeatureAccess('email_notifications'), async (req, res) => {
+// Render a template against sample data, e.g. while editing it (unsaved subject/html_content may be sent)
+router.post('/templates/preview', authenticateToken, checkFeatureAccess('email_notifications'), async (req, res) => {
+    try {
+        const { templateType, locale, subject, html_content, data } = req.body;
+        
+        const preview = await emailTemplateService.preview({
+            templateType,
+            locale,
+            subject,
+            htmlContent: html_content,
+            data
+        });
+        
+        res.json({
+            success: true,
+            preview
+        });
+        
+    } catch (error) {
+        console.error('Preview email template error:', error);
+        res.status(error.statusCode || 500).json({ 
+            success: false, 
+            error: error.statusCode ? error.message : 'Failed to preview email template' 
+        });
+    }
+});
+
+// Update email template (?locale=en|ms, defaults to English)
+router.put('/templates/:templateType', authenticateToken, requirePermission('settings.manage'), checkFeatureAccess('email_notifications'), async (req, res) => {
     try {
         const { templateType } = req.params;
         const { subject, html_content, enabled } = req.body;
+        const locale = req.body.locale || req.query.locale || emailTemplateService.defaultLocale;
         
-        if (!subject || !html_content) {
-            return res.status(400).json({
-                success: false,
-                error: 'Subject and HTML content are required'
-            });
-        }
+        const template = await emailTemplateService.saveTemplate(templateType, locale, {
+            subject,
+            htmlContent: html_content,
+            enabled: enabled !== false && enabled !== 'false'
+        }, req.user.id);
         
-        const { getDb } = require('../database/init');
-        const db = getDb();
-        
-        await new Promise((resolve, reject) => {
-            db.run(`
-                UPDATE email_templates 
-                SET subject = ?, html_content = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE template_type = ?
-            `, [subject, html_content, enabled !== false, templateType], function(err) {
-                if (err) reject(err);
-                else if (this.changes === 0) reject(new Error('Template not found'));
-                else resolve();
-            });
+        res.json({
+            success: true,
+            message: 'Email template updated successfully',
+            template
         });
         
+    } catch (error) {
+        console.error('Update email template error:', error);
+        res.status(error.statusCode || 500).json({ 
+            success: false, 
+            error: error.statusCode ? error.message : 'Failed to update email template' 
+        });
+    }
+});
+
+// Go back to the built-in template for one language
+router.delete('/templates/:templateType/:locale', authenticateToken, requirePermission('settings.manage'), checkFeatureAccess('email_notifications'), async (req, res) => {
+    try {
+        const template = await emailTemplateService.resetTemplate(req.params.templateType, req.params.locale);
+        
         res.json({
             success: true,
-            message: 'Email template updated successfully'
+            message: 'Email template reset to the default',
+            template
         });
         
     } catch (error) {
-        console.error('Update email template error:', error);
-        res.status(500).json({ 
+        console.error('Reset email template error:', error);
+        res.status(error.statusCode || 500).json({ 
             success: false, 
-            error: error.message || 'Failed to update email template' 
+            error: error.statusCode ? error.message : 'Failed to reset email template' 
         });
     }
 });
@@ -350,4 +399,59 @@ router.get('/real-password', authenticateToken, checkFeatureAccess('email_notifi
     }
 });
 
+// Email delivery log (?status=PENDING|SENDING|SENT|DEAD, template, search, page, limit)
+router.get('/outbox', authenticateToken, requirePermission('settings.manage'), checkFeatureAccess('email_notifications'), async (req, res) => {
+    try {
+        const result = await emailOutboxService.getEmails(req.query);
+        res.json({
+            success: true,
+            ...result
+        });
+        
+    } catch (error) {
+        console.error('Get email outbox error:', error);
+        res.status(error.statusCode || 500).json({ 
+            success: false, 
+            error: error.statusCode ? error.message : 'Failed to get email outbox' 
+        });
+    }
+});
+
+// Single email from the outbox, including its body
+router.get('/outbox/:id', authenticateToken, requirePermission('settings.manage'), checkFeatureAccess('email_notifications'), async (req, res) => {
+    try {
+        const email = await emailOutboxService.getEmailById(req.params.id);
+        res.json({
+            success: true,
+            email
+        });
+        
+    } catch (error) {
+        console.error('Get outbox email error:', error);
+        res.status(error.statusCode || 500).json({ 
+            success: false, 
+            error: error.statusCode ? error.message : 'Failed to get email' 
+        });
+    }
+});
+
+// Send an email again (dead-lettered, or sent but not received)
+router.post('/outbox/:id/resend', authenticateToken, requirePermission('settings.manage'), checkFeatureAccess('email_notifications'), async (req, res) => {
+    try {
+        const email = await emailOutboxService.resend(req.params.id);
+        res.json({
+            success: true,
+            message: email.status === 'SENT' ? 'Email sent' : 'Email queued for resending',
+            email
+        });
+        
+    } catch (error) {
+        console.error('Resend email error:', error);
+        res.status(error.statusCode || 500).json({ 
+            success: false, 
+            error: error.statusCode ? error.message : 'Failed to resend email' 
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,91 @@
+const express = require('express');
+const entitlementService = require('../services/entitlementService');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Request metadata passed to the service for the audit trail
+function getAuditContext(req) {
+  return {
+    userId: req.user.id,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+// List the entitlement matrix (?scopeType=, ?scopeValue=, ?activeOnly=true)
+router.get('/', authenticateToken, requirePermission('staff.view'), async (req, res) => {
+  try {
+    const { scopeType, scopeValue, activeOnly } = req.query;
+    const entitlements = await entitlementService.getEntitlements({
+      scopeType,
+      scopeValue,
+      activeOnly: activeOnly === 'true'
+    });
+    res.json({ success: true, entitlements, count: entitlements.length });
+  } catch (error) {
+    console.error('Get entitlements error:', error);
+    res.status(500).json({ error: 'Failed to fetch entitlements' });
+  }
+});
+
+// Allowance, usage and remaining quantity per PPE type for a staff member
+router.get('/staff/:staffId', authenticateToken, requirePermission('staff.view'), async (req, res) => {
+  try {
+    const result = await entitlementService.getStaffEntitlementStatus(req.params.staffId);
+
+    if (!result.staff) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get staff entitlements error:', error);
+    res.status(500).json({ error: 'Failed to fetch staff entitlements' });
+  }
+});
+
+// Add an entitlement for a department or position
+router.post('/', authenticateToken, requirePermission('entitlements.manage'), async (req, res) => {
+  try {
+    const { scopeType, scopeValue, ppeItemId, quantity, periodDays, overLimitAction, approverRole } = req.body;
+    const result = await entitlementService.createEntitlement(
+      { scopeType, scopeValue, ppeItemId, quantity, periodDays, overLimitAction, approverRole },
+      getAuditContext(req)
+    );
+    res.status(201).json({ ...result, message: 'Entitlement added' });
+  } catch (error) {
+    console.error('Create entitlement error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to add entitlement' });
+  }
+});
+
+// Change an entitlement's limits or over-limit handling
+router.put('/:id', authenticateToken, requirePermission('entitlements.manage'), async (req, res) => {
+  try {
+    const { quantity, periodDays, overLimitAction, approverRole, active } = req.body;
+    const result = await entitlementService.updateEntitlement(
+      req.params.id,
+      { quantity, periodDays, overLimitAction, approverRole, active },
+      getAuditContext(req)
+    );
+    res.json({ ...result, message: 'Entitlement updated' });
+  } catch (error) {
+    console.error('Update entitlement error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update entitlement' });
+  }
+});
+
+// Remove an entitlement
+router.delete('/:id', authenticateToken, requirePermission('entitlements.manage'), async (req, res) => {
+  try {
+    await entitlementService.deleteEntitlement(req.params.id, getAuditContext(req));
+    res.json({ success: true, message: 'Entitlement deleted' });
+  } catch (error) {
+    console.error('Delete entitlement error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete entitlement' });
+  }
+});
+
+module.exports = router;
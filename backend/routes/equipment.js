@@ -0,0 +1,195 @@
+const express = require('express');
+const equipmentLifecycleService = require('../services/equipmentLifecycleService');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Request metadata passed to the service for the audit trail
+function getAuditContext(req) {
+  return {
+    userId: req.user.id,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+// List serialized equipment
+router.get('/', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const { ppeItemId, status, assignedTo, search, includeDisposed } = req.query;
+
+    const equipment = await equipmentLifecycleService.getEquipment({
+      ppeItemId,
+      status,
+      assignedTo,
+      search,
+      includeDisposed: includeDisposed === 'true'
+    });
+
+    res.json({ success: true, equipment, count: equipment.length });
+  } catch (error) {
+    console.error('Get equipment error:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment' });
+  }
+});
+
+// Register counts by status
+router.get('/stats', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const stats = await equipmentLifecycleService.getEquipmentStats();
+    res.json({ success: true, stats });
+  } catch (error) {
+    console.error('Get equipment stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment statistics' });
+  }
+});
+
+// Equipment with expired warranty or expiring within ?days= (default 30)
+router.get('/warranty/expiring', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const equipment = await equipmentLifecycleService.getWarrantyExpiring(days);
+
+    res.json({
+      success: true,
+      equipment,
+      count: equipment.length,
+      expired: equipment.filter(item => item.days_to_expiry < 0).length,
+      days
+    });
+  } catch (error) {
+    console.error('Get warranty expiring error:', error);
+    res.status(500).json({ error: 'Failed to fetch warranty expiry' });
+  }
+});
+
+// Serials currently and previously held by a staff member
+router.get('/staff/:staffId', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const result = await equipmentLifecycleService.getStaffEquipmentHistory(req.params.staffId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get staff equipment error:', error);
+    res.status(500).json({ error: 'Failed to fetch staff equipment' });
+  }
+});
+
+// Get a single serialized item
+router.get('/:id', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const equipment = await equipmentLifecycleService.getEquipmentById(req.params.id);
+
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+
+    res.json({ success: true, equipment });
+  } catch (error) {
+    console.error('Get equipment by ID error:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment' });
+  }
+});
+
+// Lifecycle history of a serial
+router.get('/:id/history', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const equipment = await equipmentLifecycleService.getEquipmentById(req.params.id);
+
+    if (!equipment) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+
+    const history = await equipmentLifecycleService.getEquipmentHistory(req.params.id);
+    res.json({ success: true, equipment, history });
+  } catch (error) {
+    console.error('Get equipment history error:', error);
+    res.status(500).json({ error: 'Failed to fetch equipment history' });
+  }
+});
+
+// Register a serialized item
+router.post('/', authenticateToken, requirePermission('equipment.manage'), async (req, res) => {
+  try {
+    const result = await equipmentLifecycleService.createEquipment(req.body, getAuditContext(req));
+    res.status(201).json({ ...result, message: 'Equipment registered successfully' });
+  } catch (error) {
+    console.error('Create equipment error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to register equipment' });
+  }
+});
+
+// Update register details
+router.put('/:id', authenticateToken, requirePermission('equipment.manage'), async (req, res) => {
+  try {
+    const result = await equipmentLifecycleService.updateEquipment(req.params.id, req.body, getAuditContext(req));
+    res.json({ ...result, message: 'Equipment updated successfully' });
+  } catch (error) {
+    console.error('Update equipment error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update equipment' });
+  }
+});
+
+// Delete a register entry that was never assigned
+router.delete('/:id', authenticateToken, requirePermission('equipment.manage'), async (req, res) => {
+  try {
+    await equipmentLifecycleService.deleteEquipment(req.params.id, getAuditContext(req));
+    res.json({ success: true, message: 'Equipment deleted successfully' });
+  } catch (error) {
+    console.error('Delete equipment error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete equipment' });
+  }
+});
+
+// Assign a serial to a staff member
+router.post('/:id/assign', authenticateToken, requirePermission('equipment.assign'), async (req, res) => {
+  try {
+    const { staffId, notes } = req.body;
+
+    if (!staffId) {
+      return res.status(400).json({ error: 'Staff ID is required' });
+    }
+
+    const result = await equipmentLifecycleService.assignEquipment(req.params.id, { staffId, notes }, getAuditContext(req));
+    res.json({ ...result, message: `Equipment assigned to ${result.assignedTo.name}` });
+  } catch (error) {
+    console.error('Assign equipment error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to assign equipment' });
+  }
+});
+
+// Return an assigned serial to stock
+router.post('/:id/return', authenticateToken, requirePermission('equipment.assign'), async (req, res) => {
+  try {
+    const { conditionStatus, notes } = req.body;
+    const result = await equipmentLifecycleService.returnEquipment(req.params.id, { conditionStatus, notes }, getAuditContext(req));
+    res.json({ ...result, message: 'Equipment returned to stock' });
+  } catch (error) {
+    console.error('Return equipment error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to return equipment' });
+  }
+});
+
+// Return an out-of-service item to stock, e.g. after repair and re-inspection
+router.post('/:id/return-to-service', authenticateToken, requirePermission('equipment.manage'), async (req, res) => {
+  try {
+    const result = await equipmentLifecycleService.returnToService(req.params.id, { reason: req.body.reason }, getAuditContext(req));
+    res.json({ ...result, message: 'Equipment returned to service' });
+  } catch (error) {
+    console.error('Return equipment to service error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to return equipment to service' });
+  }
+});
+
+// Dispose of a serial with a reason
+router.post('/:id/dispose', authenticateToken, requirePermission('equipment.manage'), async (req, res) => {
+  try {
+    const result = await equipmentLifecycleService.disposeEquipment(req.params.id, { reason: req.body.reason }, getAuditContext(req));
+    res.json({ ...result, message: 'Equipment disposed' });
+  } catch (error) {
+    console.error('Dispose equipment error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to dispose equipment' });
+  }
+});
+
+module.exports = router;
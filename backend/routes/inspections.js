@@ -0,0 +1,143 @@
+const express = require('express');
+const inspectionService = require('../services/inspectionService');
+const adminNotificationService = require('../services/adminNotificationService');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Request metadata passed to the service for the audit trail
+function getAuditContext(req) {
+  return {
+    userId: req.user.id,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+// List inspection definitions (?ppeItemId=, ?activeOnly=true)
+router.get('/definitions', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const definitions = await inspectionService.getDefinitions({
+      ppeItemId: req.query.ppeItemId,
+      activeOnly: req.query.activeOnly === 'true'
+    });
+
+    res.json({ success: true, definitions, count: definitions.length });
+  } catch (error) {
+    console.error('Get inspection definitions error:', error);
+    res.status(500).json({ error: 'Failed to fetch inspection definitions' });
+  }
+});
+
+// Create an inspection definition for a PPE type
+router.post('/definitions', authenticateToken, requirePermission('equipment.manage'), async (req, res) => {
+  try {
+    const { ppeItemId, name, intervalDays, checklist } = req.body;
+    const result = await inspectionService.createDefinition({ ppeItemId, name, intervalDays, checklist }, getAuditContext(req));
+    res.status(201).json({ ...result, message: 'Inspection definition created' });
+  } catch (error) {
+    console.error('Create inspection definition error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create inspection definition' });
+  }
+});
+
+// Update an inspection definition
+router.put('/definitions/:id', authenticateToken, requirePermission('equipment.manage'), async (req, res) => {
+  try {
+    const { name, intervalDays, checklist, active } = req.body;
+    const result = await inspectionService.updateDefinition(req.params.id, { name, intervalDays, checklist, active }, getAuditContext(req));
+    res.json({ ...result, message: 'Inspection definition updated' });
+  } catch (error) {
+    console.error('Update inspection definition error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update inspection definition' });
+  }
+});
+
+// Deactivate an inspection definition
+router.delete('/definitions/:id', authenticateToken, requirePermission('equipment.manage'), async (req, res) => {
+  try {
+    await inspectionService.deleteDefinition(req.params.id, getAuditContext(req));
+    res.json({ success: true, message: 'Inspection definition deactivated' });
+  } catch (error) {
+    console.error('Delete inspection definition error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to delete inspection definition' });
+  }
+});
+
+// Inspection schedule, optionally limited to items due within ?days=
+router.get('/schedule', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : null;
+    const schedule = await inspectionService.getInspectionSchedule({
+      dueWithinDays: isNaN(days) ? null : days
+    });
+
+    res.json({ success: true, schedule, count: schedule.length });
+  } catch (error) {
+    console.error('Get inspection schedule error:', error);
+    res.status(500).json({ error: 'Failed to fetch inspection schedule' });
+  }
+});
+
+// Overdue / due-soon counts for the dashboard widget
+router.get('/overdue', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const summary = await inspectionService.getOverdueSummary(parseInt(req.query.days) || undefined);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Get overdue inspections error:', error);
+    res.status(500).json({ error: 'Failed to fetch overdue inspections' });
+  }
+});
+
+// Inspection history and upcoming due dates for a serialized item
+router.get('/equipment/:equipmentId', authenticateToken, requirePermission('equipment.view'), async (req, res) => {
+  try {
+    const { equipmentId } = req.params;
+    const [records, schedule] = await Promise.all([
+      inspectionService.getInspectionHistory(equipmentId),
+      inspectionService.getInspectionSchedule({ equipmentId })
+    ]);
+
+    res.json({ success: true, records, schedule });
+  } catch (error) {
+    console.error('Get inspection history error:', error);
+    res.status(500).json({ error: 'Failed to fetch inspection history' });
+  }
+});
+
+// Record an inspection result with its checklist
+router.post('/equipment/:equipmentId', authenticateToken, requirePermission('equipment.inspect'), async (req, res) => {
+  try {
+    const { definitionId, checklistResults, result, notes, inspectionDate } = req.body;
+
+    const outcome = await inspectionService.recordInspection(req.params.equipmentId, {
+      definitionId,
+      checklistResults,
+      result,
+      notes,
+      inspectionDate
+    }, getAuditContext(req));
+
+    if (outcome.outOfService) {
+      await adminNotificationService.notifyAdmins(req.app.get('io'), 'equipment_out_of_service', {
+        equipmentId: req.params.equipmentId,
+        recordId: outcome.recordId,
+        recalledFrom: outcome.recalledFrom
+      });
+    }
+
+    res.status(201).json({
+      ...outcome,
+      message: outcome.result === 'PASS'
+        ? 'Inspection passed'
+        : 'Inspection failed - item taken out of service'
+    });
+  } catch (error) {
+    console.error('Record inspection error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to record inspection' });
+  }
+});
+
+module.exports = router;
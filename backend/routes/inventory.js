@@ -3,7 +3,9 @@ const { getDb } = require('../database/init');
 const { v4: uuidv4 } = require('uuid');
 const { enforceLicenseCompliance } = require('../middleware/licenseEnforcement');
 const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const { checkFeatureAccess } = require('../middleware/featureFlag');
+const stockLedgerService = require('../services/stockLedgerService');
 
 const router = express.Router();
 
@@ -89,12 +91,19 @@ router.get('/', authenticateToken, enforceLicenseCompliance, checkFeatureAccess(
 });
 
 // Update inventory stock
-router.put('/:id', async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
   const db = getDb();
   const { id } = req.params;
   const { current_stock, max_capacity } = req.body;
   
   try {
+    const inventory = await new Promise((resolve, reject) => {
+      db.get('SELECT station_id, ppe_item_id, current_stock FROM station_inventory WHERE id = ?', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    
     await new Promise((resolve, reject) => {
       db.run(`
         UPDATE station_inventory 
@@ -106,6 +115,17 @@ router.put('/:id', async (req, res) => {
       });
     });
     
+    if (inventory) {
+      await stockLedgerService.recordMovement(db, {
+        stationId: inventory.station_id,
+        ppeItemId: inventory.ppe_item_id,
+        reason: 'ADJUSTMENT',
+        quantityChange: parseInt(current_stock) - inventory.current_stock,
+        balanceAfter: parseInt(current_stock),
+        userId: req.user ? req.user.id : 'system'
+      });
+    }
+    
     // Broadcast update to admin dashboard
     const io = req.app.get('io');
     io.to('admin_room').emit('inventory_updated', { inventoryId: id });
@@ -119,7 +139,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Add new inventory item to station
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
   const db = getDb();
   const { station_id, ppe_item_id, current_stock = 0, max_capacity = 100 } = req.body;
   
@@ -136,6 +156,15 @@ router.post('/', async (req, res) => {
       });
     });
     
+    await stockLedgerService.recordMovement(db, {
+      stationId: station_id,
+      ppeItemId: ppe_item_id,
+      reason: 'OPENING_BALANCE',
+      quantityChange: current_stock,
+      balanceAfter: current_stock,
+      userId: req.user ? req.user.id : 'system'
+    });
+    
     res.json({ success: true, inventoryId, message: 'Inventory item added successfully' });
     
   } catch (error) {
@@ -145,7 +174,7 @@ router.post('/', async (req, res) => {
 });
 
 // Get low stock items
-router.get('/low-stock', async (req, res) => {
+router.get('/low-stock', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
   const db = getDb();
   
   try {
@@ -1,11 +1,15 @@
 const express = require('express');
 const inventoryManagementService = require('../services/inventoryManagementService');
+const forecastingService = require('../services/forecastingService');
+const stockLedgerService = require('../services/stockLedgerService');
 const { authenticateToken } = require('../middleware/auth');
+const { checkFeatureAccess } = require('../middleware/featureFlag');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
 // Get inventory with alerts
-router.get('/inventory', authenticateToken, async (req, res) => {
+router.get('/inventory', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
   try {
     // Check license status first
     const licenseService = require('../services/licenseService');
@@ -46,9 +50,9 @@ router.get('/inventory', authenticateToken, async (req, res) => {
 });
 
 // Update stock levels
-router.post('/stock/update', authenticateToken, async (req, res) => {
+router.post('/stock/update', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
   try {
-    const { stationId, ppeItemId, quantity, operation } = req.body;
+    const { stationId, ppeItemId, quantity, operation, lotNumber, expiryDate, receivedDate, reason, notes } = req.body;
     
     if (!stationId || !ppeItemId || !quantity || !operation) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -58,12 +62,29 @@ router.post('/stock/update', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid operation. Must be ADD or SUBTRACT' });
     }
     
+    // Issues, transfers and write-offs are recorded by their own flows
+    if (reason && !['RESTOCK', 'ADJUSTMENT'].includes(reason)) {
+      return res.status(400).json({ error: 'Invalid reason. Must be RESTOCK or ADJUSTMENT' });
+    }
+    
+    for (const date of [expiryDate, receivedDate]) {
+      if (date && isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ error: 'Invalid batch date' });
+      }
+    }
+    
+    // Lot number / expiry only apply to stock being received
+    const batch = operation === 'ADD' && (lotNumber || expiryDate)
+      ? { lotNumber: lotNumber ? String(lotNumber).trim() : null, expiryDate, receivedDate }
+      : null;
+    
     const result = await inventoryManagementService.updateStock(
       stationId,
       ppeItemId,
       parseInt(quantity),
       operation,
-      req.user.id
+      req.user.id,
+      { batch, movement: { reason, notes: notes ? String(notes).trim() : null } }
     );
     
     res.json(result);
@@ -74,7 +95,7 @@ router.post('/stock/update', authenticateToken, async (req, res) => {
 });
 
 // Update inventory thresholds
-router.post('/thresholds/update', authenticateToken, async (req, res) => {
+router.post('/thresholds/update', authenticateToken, requirePermission('inventory.thresholds'), async (req, res) => {
   try {
     const { stationId, ppeItemId, minThreshold, criticalThreshold } = req.body;
     
@@ -98,7 +119,7 @@ router.post('/thresholds/update', authenticateToken, async (req, res) => {
 });
 
 // Get active alerts
-router.get('/alerts', authenticateToken, async (req, res) => {
+router.get('/alerts', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
   try {
     const { limit = 50 } = req.query;
     const alerts = await inventoryManagementService.getActiveAlerts(parseInt(limit));
@@ -110,7 +131,7 @@ router.get('/alerts', authenticateToken, async (req, res) => {
 });
 
 // Acknowledge alert
-router.post('/alerts/:alertId/acknowledge', authenticateToken, async (req, res) => {
+router.post('/alerts/:alertId/acknowledge', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
   try {
     const { alertId } = req.params;
     const result = await inventoryManagementService.acknowledgeAlert(alertId, req.user.id);
@@ -121,8 +142,95 @@ router.post('/alerts/:alertId/acknowledge', authenticateToken, async (req, res)
   }
 });
 
+// Get active batches (?stationId=, ?ppeItemId=), earliest expiry first
+router.get('/batches', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const { stationId, ppeItemId } = req.query;
+    const batches = await inventoryManagementService.getBatches({ stationId, ppeItemId });
+    res.json({ success: true, batches, count: batches.length });
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({ error: 'Failed to fetch batches' });
+  }
+});
+
+// Get batches expired or expiring within ?days= (default 30)
+router.get('/batches/expiring', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const batches = await inventoryManagementService.getExpiringBatches(days);
+
+    res.json({
+      success: true,
+      batches,
+      count: batches.length,
+      expired: batches.filter(batch => batch.days_to_expiry < 0).length,
+      days
+    });
+  } catch (error) {
+    console.error('Get expiring batches error:', error);
+    res.status(500).json({ error: 'Failed to fetch expiring batches' });
+  }
+});
+
+// Write off the remaining quantity of a batch
+router.post('/batches/:batchId/write-off', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
+  try {
+    const result = await inventoryManagementService.writeOffBatch(req.params.batchId, { reason: req.body.reason }, req.user.id);
+    res.json({ ...result, message: `${result.writtenOff} units written off` });
+  } catch (error) {
+    console.error('Write off batch error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to write off batch' });
+  }
+});
+
+// Stock movement ledger, newest first (?stationId=, ?ppeItemId=, ?reason=, ?from=, ?to=, ?page=, ?limit=)
+router.get('/movements', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const { stationId, ppeItemId, reason, from, to, page, limit } = req.query;
+    const result = await stockLedgerService.getMovements({ stationId, ppeItemId, reason, from, to, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch stock movements' });
+  }
+});
+
+// Check that the ledger adds up to current stock for every station item (?stationId=)
+router.get('/movements/reconcile', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const result = await stockLedgerService.reconcile({ stationId: req.query.stationId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Stock reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to reconcile stock' });
+  }
+});
+
+// Demand forecast for the next 30/60/90 days with suggested thresholds and reorder quantities
+// (?stationId=, ?ppeItemId=, ?historyDays=, ?leadTimeDays=). Suggestions are applied through /thresholds/bulk-update
+router.get('/forecast', authenticateToken, requirePermission('inventory.view'), checkFeatureAccess('usage_trends'), async (req, res) => {
+  try {
+    const { stationId, ppeItemId } = req.query;
+    const historyDays = parseInt(req.query.historyDays) || undefined;
+    const leadTimeDays = parseInt(req.query.leadTimeDays) || undefined;
+
+    const forecasts = await forecastingService.getForecasts({ stationId, ppeItemId, historyDays, leadTimeDays });
+
+    res.json({
+      success: true,
+      forecasts,
+      count: forecasts.length,
+      suggestedChanges: forecasts.filter(item => item.suggestion && item.suggestion.changed).length
+    });
+  } catch (error) {
+    console.error('Demand forecast error:', error);
+    res.status(500).json({ error: 'Failed to generate demand forecast' });
+  }
+});
+
 // Bulk update thresholds
-router.post('/thresholds/bulk-update', authenticateToken, async (req, res) => {
+router.post('/thresholds/bulk-update', authenticateToken, requirePermission('inventory.thresholds'), async (req, res) => {
   try {
     const { updates } = req.body;
     
@@ -155,7 +263,7 @@ router.post('/thresholds/bulk-update', authenticateToken, async (req, res) => {
 });
 
 // Get inventory statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
   try {
     const inventory = await inventoryManagementService.getInventoryWithAlerts();
     const alerts = await inventoryManagementService.getActiveAlerts();
@@ -177,7 +285,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 // Bulk restock all items in a station
-router.post('/bulk-restock', authenticateToken, async (req, res) => {
+router.post('/bulk-restock', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
   try {
     const { stationId, quantity } = req.body;
     
@@ -204,7 +312,7 @@ router.post('/bulk-restock', authenticateToken, async (req, res) => {
 });
 
 // Bulk restock all stations at once (more efficient)
-router.post('/bulk-restock-all', authenticateToken, async (req, res) => {
+router.post('/bulk-restock-all', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
   try {
     const { quantity } = req.body;
     
@@ -1,5 +1,7 @@
 const express = require('express');
 const notificationService = require('../services/notificationService');
+const adminNotificationService = require('../services/adminNotificationService');
+const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -55,6 +57,81 @@ router.get('/staff/:staffId', async (req, res) => {
   }
 });
 
+// Admin dashboard inbox for the logged-in user
+// Query: type, unreadOnly, page, limit
+router.get('/admin', authenticateToken, async (req, res) => {
+  try {
+    const result = await adminNotificationService.getNotifications(req.user, req.query);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Get admin notifications error:', error);
+    res.status(error.statusCode || 500).json({ 
+      error: error.statusCode ? error.message : 'Failed to retrieve notifications' 
+    });
+  }
+});
+
+// Unread counts for the inbox badge
+router.get('/admin/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const counts = await adminNotificationService.getUnreadCounts(req.user);
+
+    res.json({
+      success: true,
+      ...counts
+    });
+
+  } catch (error) {
+    console.error('Get admin notification counts error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve unread count' 
+    });
+  }
+});
+
+// Mark every inbox notification as read, optionally only one type
+router.put('/admin/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await adminNotificationService.markAllRead(req.user, req.body.type || req.query.type || null);
+
+    res.json({
+      success: true,
+      message: `${result.marked} notification(s) marked as read`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Mark all admin notifications read error:', error);
+    res.status(error.statusCode || 500).json({ 
+      error: error.statusCode ? error.message : 'Failed to mark notifications as read' 
+    });
+  }
+});
+
+// Mark one inbox notification as read
+router.put('/admin/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    const counts = await adminNotificationService.markRead(req.params.notificationId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      ...counts
+    });
+
+  } catch (error) {
+    console.error('Mark admin notification read error:', error);
+    res.status(error.statusCode || 500).json({ 
+      error: error.statusCode ? error.message : 'Failed to mark notification as read' 
+    });
+  }
+});
+
 // Mark notification as read
 router.put('/:notificationId/read', async (req, res) => {
   try {
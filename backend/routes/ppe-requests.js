@@ -4,12 +4,24 @@ const { v4: uuidv4 } = require('uuid');
 const licenseService = require('../services/licenseService');
 const emailService = require('../services/emailService');
 const notificationHelper = require('../services/notificationHelper');
+const adminNotificationService = require('../services/adminNotificationService');
+const webhookService = require('../services/webhookService');
 const { checkFeatureAccess } = require('../middleware/featureFlag');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { idempotent } = require('../middleware/idempotency');
+const approvalWorkflowService = require('../services/approvalWorkflowService');
+const inventoryManagementService = require('../services/inventoryManagementService');
+const ppeVariantService = require('../services/ppeVariantService');
+const entitlementService = require('../services/entitlementService');
+const stationQrService = require('../services/stationQrService');
+const staffBadgeService = require('../services/staffBadgeService');
 
 const router = express.Router();
 
 // Submit new PPE request (Basic PPE management feature)
-router.post('/', checkFeatureAccess('basic_ppe_management'), async (req, res) => {
+// Offline clients send an Idempotency-Key so a replayed submission is not stored twice
+router.post('/', checkFeatureAccess('basic_ppe_management'), idempotent('ppe_request'), async (req, res) => {
   try {
     // Enforce license before processing PPE requests
     const licenseStatus = await licenseService.getLicenseStatus();
@@ -23,7 +35,11 @@ router.post('/', checkFeatureAccess('basic_ppe_management'), async (req, res) =>
     }
     
     const db = getDb();
-    const { staffId, staffName, department, stationId, items, notes } = req.body;
+
+    // Sized PPE types are submitted as the size from the staff member's profile
+    req.body.items = await ppeVariantService.resolveRequestItems(req.body.items, req.body.staffId);
+
+    const { staffId, staffName, department, stationId, items, notes, stationCode } = req.body;
     
     console.log('=== PPE REQUEST DEBUG (ppe-requests.js) ===');
     console.log('Request body:', JSON.stringify(req.body, null, 2));
@@ -85,29 +101,71 @@ router.post('/', checkFeatureAccess('basic_ppe_management'), async (req, res) =>
       validStationId = firstStation ? firstStation.id : 'DEFAULT_STATION';
     }
     
-    // Create PPE request with proper user_id linking
-    await new Promise((resolve, reject) => {
-      db.run(`
-        INSERT INTO ppe_requests (id, user_id, staff_id, station_id, status, notes, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `, [requestId, staffDirectoryId, staffId, validStationId, 'PENDING', notes || `Request from ${staffName} (${department})`], function(err) {
+    // A code from the station's rotating kiosk QR proves the request was made at the station
+    const station = await new Promise((resolve, reject) => {
+      db.get('SELECT id, qr_checkin_required FROM stations WHERE id = ?', [validStationId], (err, row) => {
         if (err) reject(err);
-        else resolve();
+        else resolve(row);
       });
     });
+    // A replay from the offline outbox may arrive long after the code was scanned; it says
+    // when it was queued, and only replays (which carry an Idempotency-Key) may do so
+    const checkin = stationQrService.verifyCheckin(stationCode, station || { id: validStationId }, {
+      queuedAt: req.get('Idempotency-Key') ? req.body.queuedAt : null
+    });
+    if (!checkin.valid) {
+      return res.status(400).json({ error: checkin.error, code: checkin.code });
+    }
+    const stationCheckinAt = checkin.checkinAt;
+    
+    // Requests above the staff member's entitlement are flagged for the approvers
+    const entitlementBreaches = await entitlementService.checkRequest(staffId, items);
+    
+    // Reserve stock so concurrent pending requests can't claim the same units
+    const reservation = await inventoryManagementService.reserveItems(validStationId, items);
+    if (!reservation.success) {
+      return res.status(400).json({
+        error: 'Insufficient stock',
+        message: 'Some items are no longer available at this station. Please adjust your request.',
+        unavailableItems: reservation.unavailableItems
+      });
+    }
     
-    // Add request items
-    for (const item of items) {
-      const itemId = uuidv4();
+    try {
+      // Create PPE request with proper user_id linking
       await new Promise((resolve, reject) => {
         db.run(`
-          INSERT INTO ppe_request_items (id, request_id, ppe_item_id, quantity, created_at)
-          VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
-        `, [itemId, requestId, item.ppeItemId, item.quantity], function(err) {
+          INSERT INTO ppe_requests (id, user_id, staff_id, station_id, status, notes, entitlement_breaches, station_checkin_at, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `, [
+          requestId, staffDirectoryId, staffId, validStationId, 'PENDING', notes || `Request from ${staffName} (${department})`,
+          entitlementBreaches.length > 0 ? JSON.stringify(entitlementBreaches) : null,
+          stationCheckinAt
+        ], function(err) {
           if (err) reject(err);
           else resolve();
         });
       });
+    
+      // Add request items
+      for (const item of items) {
+        const itemId = uuidv4();
+        await new Promise((resolve, reject) => {
+          db.run(`
+            INSERT INTO ppe_request_items (id, request_id, ppe_item_id, quantity, reserved_quantity, created_at)
+            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          `, [itemId, requestId, item.ppeItemId, item.quantity, item.quantity], function(err) {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+      }
+    } catch (insertError) {
+      // Don't leave units reserved for a request that was never stored
+      for (const item of items) {
+        await inventoryManagementService.releaseStock(validStationId, item.ppeItemId, item.quantity);
+      }
+      throw insertError;
     }
     
     // Get station information for email
@@ -137,10 +195,10 @@ router.post('/', checkFeatureAccess('basic_ppe_management'), async (req, res) =>
               });
             });
             const itemName = ppeItem ? ppeItem.name : item.ppeItemId;
-            return `${itemName} (${item.quantity})`;
+            return { name: itemName, quantity: item.quantity };
           } catch (err) {
             console.error('Error getting PPE item name:', err);
-            return `${item.ppeItemId} (${item.quantity})`;
+            return { name: item.ppeItemId, quantity: item.quantity };
           }
         })
       );
@@ -152,38 +210,56 @@ router.post('/', checkFeatureAccess('basic_ppe_management'), async (req, res) =>
         staffId: staffId || 'N/A',
         department: department || 'N/A',
         itemCount: items.length,
-        items: ppeItemsWithNames.join(', '),
-        stationName: stationName
+        items: ppeItemsWithNames.map(item => `${item.name} (${item.quantity})`).join(', '),
+        requestItems: ppeItemsWithNames,
+        stationName: stationName,
+        entitlementWarning: entitlementService.describeBreaches(entitlementBreaches)
       });
     } catch (notificationError) {
       console.error('❌ Failed to send PPE request notification:', notificationError);
       // Don't fail the request if notification fails
     }
     
-    // Broadcast to admin dashboard
-    const io = req.app.get('io');
-    if (io) {
-      io.to('admin_room').emit('new_ppe_request', {
-        id: requestId,
-        worker: staffName,
-        department: department,
-        staffId: staffId,
-        notes: notes,
-        items: items.map(i => `${i.ppeItemId} (${i.quantity})`).join(', '),
-        timestamp: new Date().toISOString()
-      });
-    }
+    // Broadcast to admin dashboard and its inbox
+    await adminNotificationService.notifyAdmins(req.app.get('io'), 'new_ppe_request', {
+      id: requestId,
+      worker: staffName,
+      department: department,
+      staffId: staffId,
+      notes: notes,
+      items: items.map(i => `${i.ppeItemId} (${i.quantity})`).join(', '),
+      entitlementExceeded: entitlementBreaches.length > 0,
+      timestamp: new Date().toISOString()
+    });
+    
+    await webhookService.emit('ppe_request.created', {
+      requestId,
+      stationId: validStationId,
+      stationName,
+      staffId: staffId || null,
+      staffName: staffName || null,
+      department: department || null,
+      items: items.map(item => ({
+        ppeItemId: item.ppeItemId,
+        quantity: item.quantity
+      })),
+      notes: notes || null,
+      entitlementExceeded: entitlementBreaches.length > 0,
+      status: 'PENDING'
+    });
     
     res.json({
       success: true,
       requestId,
       message: 'PPE request submitted successfully and sent for approval',
-      status: 'PENDING'
+      status: 'PENDING',
+      entitlementExceeded: entitlementBreaches.length > 0,
+      stationVerified: !!stationCheckinAt
     });
     
   } catch (error) {
     console.error('PPE request error:', error);
-    res.status(500).json({ error: 'Failed to submit PPE request' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to submit PPE request' });
   }
 });
 
@@ -222,7 +298,7 @@ router.get('/user/:userId', checkFeatureAccess('basic_ppe_management'), async (r
 });
 
 // Get all pending requests (for admin) (Basic PPE management feature)
-router.get('/pending', checkFeatureAccess('basic_ppe_management'), async (req, res) => {
+router.get('/pending', authenticateToken, requirePermission('requests.view'), checkFeatureAccess('basic_ppe_management'), async (req, res) => {
   const db = getDb();
   
   try {
@@ -259,8 +335,8 @@ router.get('/pending', checkFeatureAccess('basic_ppe_management'), async (req, r
 });
 
 // Approve/Deny request (Basic PPE management feature)
-router.put('/:id/status', checkFeatureAccess('basic_ppe_management'), async (req, res) => {
-  const db = getDb();
+// Goes through the approval workflow so approval chains and stock deduction apply
+router.put('/:id/status', authenticateToken, requirePermission('requests.approve'), checkFeatureAccess('basic_ppe_management'), async (req, res) => {
   const { id } = req.params;
   const { status, notes } = req.body;
   
@@ -269,35 +345,115 @@ router.put('/:id/status', checkFeatureAccess('basic_ppe_management'), async (req
       return res.status(400).json({ error: 'Invalid status' });
     }
     
-    await new Promise((resolve, reject) => {
-      db.run(`
-        UPDATE ppe_requests 
-        SET status = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `, [status, notes || '', id], function(err) {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    const actor = {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    };
+    
+    const result = status === 'APPROVED'
+      ? await approvalWorkflowService.approveRequest(id, {
+          ...actor,
+          approvedBy: req.user.id,
+          approverName: req.user.name,
+          approverRole: req.user.role,
+          approverDepartment: req.user.department,
+          notes
+        })
+      : await approvalWorkflowService.rejectRequest(id, {
+          ...actor,
+          rejectedBy: req.user.id,
+          rejectorName: req.user.name,
+          rejectorRole: req.user.role,
+          rejectorDepartment: req.user.department,
+          reason: notes
+        });
+    
+    // A denial is stored as REJECTED; an intermediate chain step leaves the request pending
+    let newStatus = 'REJECTED';
+    if (status === 'APPROVED') {
+      newStatus = result.finalStep ? 'APPROVED' : 'PENDING';
+    }
     
     // Broadcast to relevant parties
     const io = req.app.get('io');
     if (io) {
       io.emit('request_status_updated', {
         requestId: id,
-        status,
+        status: newStatus,
         notes
       });
     }
     
     res.json({
       success: true,
-      message: `Request ${status.toLowerCase()} successfully`
+      message: newStatus === 'PENDING'
+        ? `Approval step ${result.stepIndex + 1} of ${result.totalSteps} recorded`
+        : `Request ${newStatus.toLowerCase()} successfully`,
+      status: newStatus,
+      ...result
     });
     
   } catch (error) {
     console.error('Update request status error:', error);
-    res.status(500).json({ error: 'Failed to update request status' });
+    res.status(error.statusCode || 500).json({ error: error.message || 'Failed to update request status' });
+  }
+});
+
+// Who is cancelling: a signed-in user who may approve requests, or a worker identified by
+// their scanned staff badge. A typed staff ID is not proof enough to cancel a request.
+async function identifyCanceller(req, res, next) {
+  if (req.headers['authorization']) {
+    return authenticateToken(req, res, () => requirePermission('requests.approve')(req, res, next));
+  }
+  
+  try {
+    if (!req.body.badgeToken) {
+      return res.status(401).json({ error: 'Scan your staff badge to cancel this request', code: 'BADGE_REQUIRED' });
+    }
+    
+    const badge = await staffBadgeService.verifyBadgeToken(req.body.badgeToken);
+    if (!badge.valid) {
+      return res.status(401).json({ error: badge.message, code: 'BADGE_INVALID' });
+    }
+    
+    req.badgeStaffId = badge.staff.staffId;
+    next();
+  } catch (error) {
+    console.error('Identify canceller error:', error);
+    res.status(500).json({ error: 'Failed to cancel request' });
+  }
+}
+
+// Cancel a PPE request (the worker's own, or any as an approver) - releases reserved stock
+router.post('/:id/cancel', checkFeatureAccess('basic_ppe_management'), identifyCanceller, async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  
+  try {
+    const result = await approvalWorkflowService.cancelRequest(id, {
+      staffId: req.badgeStaffId,
+      cancelledBy: req.user ? req.user.id : null,
+      reason,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+    
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('request_status_updated', {
+        requestId: id,
+        status: 'CANCELLED'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Request cancelled successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Cancel request error:', error);
+    res.status(error.statusCode || 400).json({ error: error.message || 'Failed to cancel request' });
   }
 });
 
@@ -334,10 +490,10 @@ router.get('/staff/:staffId/stats', checkFeatureAccess('basic_ppe_management'),
         db.get(`
           SELECT 
             COUNT(*) as total,
-            COUNT(CASE WHEN status = 'APPROVED' THEN 1 END) as approved,
+            COUNT(CASE WHEN status IN ('APPROVED', 'ISSUED') THEN 1 END) as approved,
             COUNT(CASE WHEN status = 'PENDING' THEN 1 END) as pending,
             COUNT(CASE WHEN status = 'REJECTED' THEN 1 END) as rejected,
-            COUNT(CASE WHEN status = 'APPROVED' AND DATE(created_at) >= DATE('now', '-30 days') THEN 1 END) as approved_this_month
+            COUNT(CASE WHEN status IN ('APPROVED', 'ISSUED') AND DATE(created_at) >= DATE('now', '-30 days') THEN 1 END) as approved_this_month
           FROM ppe_requests 
           WHERE user_id = ?
         `, [staffRecord.id], (err, row) => {
@@ -351,10 +507,10 @@ router.get('/staff/:staffId/stats', checkFeatureAccess('basic_ppe_management'),
         db.get(`
           SELECT 
             COUNT(*) as total,
-            COUNT(CASE WHEN status = 'APPROVED' THEN 1 END) as approved,
+            COUNT(CASE WHEN status IN ('APPROVED', 'ISSUED') THEN 1 END) as approved,
             COUNT(CASE WHEN status = 'PENDING' THEN 1 END) as pending,
             COUNT(CASE WHEN status = 'REJECTED' THEN 1 END) as rejected,
-            COUNT(CASE WHEN status = 'APPROVED' AND DATE(created_at) >= DATE('now', '-30 days') THEN 1 END) as approved_this_month
+            COUNT(CASE WHEN status IN ('APPROVED', 'ISSUED') AND DATE(created_at) >= DATE('now', '-30 days') THEN 1 END) as approved_this_month
           FROM ppe_requests 
           WHERE staff_id = ?
         `, [staffId], (err, row) => {
@@ -4,10 +4,15 @@ const { getDb } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
 const { validatePPERequest } = require('../middleware/validation');
 const auditService = require('../services/auditService');
-const staffPPEService = require('../services/staffPPEService');
 const emailService = require('../services/emailService');
 const staffVerificationService = require('../services/staffVerificationService');
 const notificationHelper = require('../services/notificationHelper');
+const adminNotificationService = require('../services/adminNotificationService');
+const webhookService = require('../services/webhookService');
+const inventoryManagementService = require('../services/inventoryManagementService');
+const ppeVariantService = require('../services/ppeVariantService');
+const entitlementService = require('../services/entitlementService');
+const stationQrService = require('../services/stationQrService');
 
 const router = express.Router();
 
@@ -72,6 +77,9 @@ router.post('/request', validatePPERequest, async (req, res) => {
   const io = req.app.get('io');
   
   try {
+    // Sized PPE types are submitted as the size from the staff member's profile
+    req.body.items = await ppeVariantService.resolveRequestItems(req.body.items, req.body.staffId);
+    
     const { userId = 'anonymous', stationId, items, notes, staffId, staffName, department } = req.body;
     const requestId = uuidv4();
     
@@ -142,15 +150,37 @@ router.post('/request', validatePPERequest, async (req, res) => {
       return res.status(400).json({ error: 'Invalid or inactive station' });
     }
     
-    // Check stock availability
+    // A code from the station's rotating kiosk QR proves the request was made at the station;
+    // stations that require a scan can't be bypassed through this endpoint
+    const checkin = stationQrService.verifyCheckin(req.body.stationCode, station);
+    if (!checkin.valid) {
+      return res.status(400).json({ error: checkin.error, code: checkin.code });
+    }
+    const stationCheckinAt = checkin.checkinAt;
+    
+    // Requests above the staff member's entitlement are flagged for the approvers
+    const entitlementBreaches = await entitlementService.checkRequest(staffId, items);
+    
+    // Check stock availability and reserve the units until approval/collection
     const stockCheck = await checkStockAvailability(stationId, items);
-    if (!stockCheck.available) {
+    const reservation = stockCheck.available
+      ? await inventoryManagementService.reserveItems(stationId, items)
+      : { success: false, unavailableItems: stockCheck.unavailableItems };
+    
+    if (!reservation.success) {
       return res.status(400).json({ 
         error: 'Insufficient stock', 
-        unavailableItems: stockCheck.unavailableItems 
+        unavailableItems: reservation.unavailableItems 
       });
     }
     
+    const releaseReservation = async () => {
+      for (const item of items) {
+        await inventoryManagementService.releaseStock(stationId, item.ppeItemId, item.quantity)
+          .catch(err => console.error('Failed to release reserved stock:', err));
+      }
+    };
+    
     // Begin transaction
     db.serialize(() => {
       db.run('BEGIN TRANSACTION');
@@ -239,6 +269,12 @@ router.post('/request', validatePPERequest, async (req, res) => {
           if (columnNames.includes('staff_department')) {
             baseData.staff_department = department;
           }
+          if (columnNames.includes('entitlement_breaches') && entitlementBreaches.length > 0) {
+            baseData.entitlement_breaches = JSON.stringify(entitlementBreaches);
+          }
+          if (columnNames.includes('station_checkin_at') && stationCheckinAt) {
+            baseData.station_checkin_at = stationCheckinAt;
+          }
           
           const insertColumns = Object.keys(baseData).join(', ');
           const placeholders = Object.keys(baseData).map(() => '?').join(', ');
@@ -251,6 +287,7 @@ router.post('/request', validatePPERequest, async (req, res) => {
             if (err) {
               console.error('PPE request insert error:', err);
               db.run('ROLLBACK');
+              releaseReservation();
               return res.status(500).json({ error: 'Failed to create request' });
             }
           
@@ -266,12 +303,13 @@ router.post('/request', validatePPERequest, async (req, res) => {
             
             // Insert request item
             db.run(
-              'INSERT INTO ppe_request_items (id, request_id, ppe_item_id, quantity, issued) VALUES (?, ?, ?, ?, ?)',
-              [itemId, requestId, item.ppeItemId, item.quantity, 1],
+              'INSERT INTO ppe_request_items (id, request_id, ppe_item_id, quantity, issued, reserved_quantity) VALUES (?, ?, ?, ?, ?, ?)',
+              [itemId, requestId, item.ppeItemId, item.quantity, 0, item.quantity],
               function(err) {
                 if (err) {
                   hasError = true;
                   db.run('ROLLBACK');
+                  releaseReservation();
                   return res.status(500).json({ error: 'Failed to add request items' });
                 }
                 
@@ -281,6 +319,7 @@ router.post('/request', validatePPERequest, async (req, res) => {
                 if (itemsProcessed === items.length && !hasError) {
                   db.run('COMMIT', async (err) => {
                     if (err) {
+                      releaseReservation();
                       return res.status(500).json({ error: 'Failed to commit transaction' });
                     }
                     
@@ -303,29 +342,8 @@ router.post('/request', validatePPERequest, async (req, res) => {
                       userAgent: userAgent
                     });
                     
-                    // Create staff PPE assignments for tracking (but not issued yet)
-                    if (staffId && staffName) {
-                      for (const item of items) {
-                        try {
-                          await staffPPEService.assignPPE({
-                            staffId,
-                            staffName,
-                            department,
-                            ppeItemId: item.ppeItemId,
-                            quantity: item.quantity,
-                            notes: `Pending approval - Request ${requestId}`,
-                            issuedBy: userId,
-                            ipAddress: clientIP,
-                            userAgent: userAgent
-                          });
-                        } catch (assignErr) {
-                          console.error('Failed to create staff assignment:', assignErr);
-                        }
-                      }
-                    }
-                    
                     // Notify Safety Officer about new request
-                    io.to('admin_room').emit('new_ppe_request', {
+                    await adminNotificationService.notifyAdmins(io, 'new_ppe_request', {
                       requestId,
                       staffName,
                       staffId,
@@ -334,10 +352,26 @@ router.post('/request', validatePPERequest, async (req, res) => {
                         ppeItemId: item.ppeItemId,
                         quantity: item.quantity
                       })),
+                      entitlementExceeded: entitlementBreaches.length > 0,
                       status: 'PENDING',
                       timestamp: new Date().toISOString()
                     });
                     
+                    await webhookService.emit('ppe_request.created', {
+                      requestId,
+                      stationId,
+                      staffId,
+                      staffName,
+                      department,
+                      items: items.map(item => ({
+                        ppeItemId: item.ppeItemId,
+                        quantity: item.quantity
+                      })),
+                      notes: notes || null,
+                      entitlementExceeded: entitlementBreaches.length > 0,
+                      status: 'PENDING'
+                    });
+                    
                     // Send notification for new PPE request (both email and push via preferences)
                     try {
                       // Get readable PPE item names for email
@@ -351,10 +385,10 @@ router.post('/request', validatePPERequest, async (req, res) => {
                               });
                             });
                             const itemName = ppeItem ? ppeItem.name : item.ppeItemId;
-                            return `${itemName} (${item.quantity})`;
+                            return { name: itemName, quantity: item.quantity };
                           } catch (err) {
                             console.error('Error getting PPE item name:', err);
-                            return `${item.ppeItemId} (${item.quantity})`;
+                            return { name: item.ppeItemId, quantity: item.quantity };
                           }
                         })
                       );
@@ -365,8 +399,10 @@ router.post('/request', validatePPERequest, async (req, res) => {
                         staffId: staffId || 'N/A',
                         department: department || 'N/A',
                         itemCount: items.length,
-                        items: ppeItemsWithNames.join(', '),
-                        stationName: station.name
+                        items: ppeItemsWithNames.map(item => `${item.name} (${item.quantity})`).join(', '),
+                        requestItems: ppeItemsWithNames,
+                        stationName: station.name,
+                        entitlementWarning: entitlementService.describeBreaches(entitlementBreaches)
                       });
                     } catch (notificationError) {
                       console.error('Failed to send new PPE request notification:', notificationError);
@@ -378,7 +414,8 @@ router.post('/request', validatePPERequest, async (req, res) => {
                       requestId,
                       message: 'PPE request submitted successfully and sent for approval',
                       status: 'PENDING',
-                      issuedItems: items
+                      issuedItems: items,
+                      entitlementExceeded: entitlementBreaches.length > 0
                     });
                   });
                 }
@@ -391,13 +428,14 @@ router.post('/request', validatePPERequest, async (req, res) => {
         .catch((err) => {
           console.error('PPE request schema error:', err);
           db.run('ROLLBACK');
+          releaseReservation();
           return res.status(500).json({ error: 'Database schema error' });
         });
     });
     
   } catch (error) {
     console.error('PPE request error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Internal server error' });
   }
 });
 
@@ -415,8 +453,10 @@ router.get('/station/:stationId/available', async (req, res) => {
           pi.type,
           pi.description,
           si.current_stock,
+          COALESCE(si.reserved_quantity, 0) as reserved_quantity,
+          si.current_stock - COALESCE(si.reserved_quantity, 0) as available_stock,
           si.max_capacity,
-          CASE WHEN si.current_stock > 0 THEN 1 ELSE 0 END as available
+          CASE WHEN si.current_stock - COALESCE(si.reserved_quantity, 0) > 0 THEN 1 ELSE 0 END as available
         FROM ppe_items pi
         JOIN station_inventory si ON pi.id = si.ppe_item_id
         WHERE si.station_id = ?
@@ -434,7 +474,7 @@ router.get('/station/:stationId/available', async (req, res) => {
   }
 });
 
-// Helper function to check stock availability
+// Helper function to check stock availability (excluding units reserved by other requests)
 async function checkStockAvailability(stationId, items) {
   const db = getDb();
   
@@ -443,7 +483,7 @@ async function checkStockAvailability(stationId, items) {
   for (const item of items) {
     const stock = await new Promise((resolve, reject) => {
       db.get(
-        'SELECT current_stock FROM station_inventory WHERE station_id = ? AND ppe_item_id = ?',
+        'SELECT current_stock - COALESCE(reserved_quantity, 0) as current_stock FROM station_inventory WHERE station_id = ? AND ppe_item_id = ?',
         [stationId, item.ppeItemId],
         (err, row) => {
           if (err) reject(err);
@@ -505,8 +545,8 @@ async function checkLowStockAfterRequest(stationId, items, io) {
         stationId
       ]);
       
-      // Broadcast alert to admin dashboard
-      io.to('admin_room').emit('low_stock_alert', {
+      // Broadcast alert to admin dashboard and its inbox
+      await adminNotificationService.notifyAdmins(io, 'low_stock_alert', {
         alertId,
         stationId,
         stationName: stockInfo.station_name,
@@ -514,6 +554,17 @@ async function checkLowStockAfterRequest(stationId, items, io) {
         currentStock: stockInfo.current_stock,
         severity: stockInfo.current_stock === 0 ? 'CRITICAL' : 'HIGH'
       });
+      
+      await webhookService.emit(stockInfo.current_stock === 0 ? 'stock.critical' : 'stock.low', {
+        alertId,
+        stationId,
+        stationName: stockInfo.station_name,
+        ppeItemId: item.ppeItemId,
+        itemName: stockInfo.item_name,
+        currentStock: stockInfo.current_stock,
+        minThreshold: stockInfo.min_threshold,
+        severity: stockInfo.current_stock === 0 ? 'CRITICAL' : 'HIGH'
+      });
     }
   }
 }
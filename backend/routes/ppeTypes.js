@@ -2,12 +2,31 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const ppeVariantService = require('../services/ppeVariantService');
+const stockLedgerService = require('../services/stockLedgerService');
 
 const router = express.Router();
 
-// Get all PPE types
+// Empty or non-positive periods mean the type has no return/replacement date
+function parseReplacementPeriod(value) {
+  const days = parseInt(value);
+  return days > 0 ? days : null;
+}
+
+// Size dimensions are stored upper-case (SHOE, CLOTHING, GLOVE); blank means unsized
+function parseSizeDimension(value) {
+  const dimension = (value || '').toString().trim().toUpperCase();
+  return dimension || null;
+}
+
+// Get all PPE types (sizes are listed as items of their own; ?topLevel=true nests them under `variants`)
 router.get('/', async (req, res) => {
   try {
+    if (req.query.topLevel === 'true') {
+      return res.json(await ppeVariantService.getTypesWithVariants());
+    }
+    
     const db = getDb();
     
     db.all('SELECT * FROM ppe_items ORDER BY name ASC', [], (err, rows) => {
@@ -39,7 +58,12 @@ router.get('/:id', async (req, res) => {
         return res.status(404).json({ error: 'PPE type not found' });
       }
       
-      res.json(row);
+      ppeVariantService.getVariants(row.id)
+        .then(variants => res.json({ ...row, variants }))
+        .catch(variantErr => {
+          console.error('Get PPE type variants error:', variantErr);
+          res.status(500).json({ error: 'Failed to fetch PPE type' });
+        });
     });
   } catch (error) {
     console.error('Get PPE type by ID error:', error);
@@ -48,9 +72,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // Add new PPE type (admin only)
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('ppe_types.manage'), async (req, res) => {
   try {
-    const { name, type, description, symbol, unitCost, minThreshold, initialStock, selectedStations } = req.body;
+    const { name, type, description, symbol, unitCost, minThreshold, replacementPeriodDays, sizeDimension, initialStock, selectedStations } = req.body;
     
     if (!name || !type) {
       return res.status(400).json({ error: 'Name and type are required' });
@@ -82,9 +106,9 @@ router.post('/', authenticateToken, async (req, res) => {
       
       // Insert PPE type
       db.run(
-        `INSERT INTO ppe_items (id, name, type, description, symbol, unit_cost, min_threshold) 
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [id, name, type.toUpperCase(), description, symbol, unitCost || 0, minThreshold || 10],
+        `INSERT INTO ppe_items (id, name, type, description, symbol, unit_cost, min_threshold, replacement_period_days, size_dimension) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, name, type.toUpperCase(), description, symbol, unitCost || 0, minThreshold || 10, parseReplacementPeriod(replacementPeriodDays), parseSizeDimension(sizeDimension)],
         function(err) {
           if (err) {
             console.error('Add PPE type error:', err);
@@ -121,7 +145,7 @@ router.post('/', authenticateToken, async (req, res) => {
               return new Promise((resolve, reject) => {
                 const inventoryId = uuidv4();
                 // Use initial stock for main store, 0 for others
-                const stockAmount = (station.id === 'store-1' && initialStock !== undefined) ? initialStock : 0;
+                const stockAmount = (station.id === 'store-1' && initialStock !== undefined) ? (parseInt(initialStock) || 0) : 0;
                 
                 db.run(
                   `INSERT INTO station_inventory (id, station_id, ppe_item_id, current_stock, min_threshold, critical_threshold, max_capacity) 
@@ -131,9 +155,18 @@ router.post('/', authenticateToken, async (req, res) => {
                     if (inventoryErr) {
                       console.error('Create inventory record error:', inventoryErr);
                       reject(inventoryErr);
-                    } else {
-                      resolve();
+                      return;
                     }
+                    
+                    // Opening stock goes in the ledger in the same transaction
+                    stockLedgerService.recordMovement(db, {
+                      stationId: station.id,
+                      ppeItemId: id,
+                      reason: 'OPENING_BALANCE',
+                      quantityChange: stockAmount,
+                      balanceAfter: stockAmount,
+                      userId: req.user ? req.user.id : 'system'
+                    }).then(resolve, reject);
                   }
                 );
               });
@@ -165,10 +198,10 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // Update PPE type (admin only)
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('ppe_types.manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, type, description, symbol, unitCost, minThreshold } = req.body;
+    const { name, type, description, symbol, unitCost, minThreshold, replacementPeriodDays, sizeDimension } = req.body;
     
     if (!name || !type) {
       return res.status(400).json({ error: 'Name and type are required' });
@@ -178,9 +211,17 @@ router.put('/:id', authenticateToken, async (req, res) => {
     
     db.run(
       `UPDATE ppe_items 
-       SET name = ?, type = ?, description = ?, symbol = ?, unit_cost = ?, min_threshold = ?, updated_at = CURRENT_TIMESTAMP 
+       SET name = ?, type = ?, description = ?, symbol = ?, unit_cost = ?, min_threshold = ?,
+           replacement_period_days = CASE WHEN ? THEN ? ELSE replacement_period_days END,
+           size_dimension = CASE WHEN ? THEN ? ELSE size_dimension END,
+           updated_at = CURRENT_TIMESTAMP 
        WHERE id = ?`,
-      [name, type.toUpperCase(), description, symbol, unitCost || 0, minThreshold || 10, id],
+      [
+        name, type.toUpperCase(), description, symbol, unitCost || 0, minThreshold || 10,
+        replacementPeriodDays !== undefined ? 1 : 0, parseReplacementPeriod(replacementPeriodDays),
+        sizeDimension !== undefined ? 1 : 0, parseSizeDimension(sizeDimension),
+        id
+      ],
       function(err) {
         if (err) {
           console.error('Update PPE type error:', err);
@@ -191,6 +232,17 @@ router.put('/:id', authenticateToken, async (req, res) => {
           return res.status(404).json({ error: 'PPE type not found' });
         }
         
+        // Keep the sizes of this type in step with its name and category
+        db.run(
+          `UPDATE ppe_items 
+           SET name = ? || ' (' || variant_label || ')', type = ?, description = ?, symbol = ?, updated_at = CURRENT_TIMESTAMP 
+           WHERE parent_item_id = ?`,
+          [name, type.toUpperCase(), description, symbol, id],
+          (variantErr) => {
+            if (variantErr) console.error('Update PPE sizes error:', variantErr);
+          }
+        );
+        
         res.json({
           success: true,
           message: `PPE type "${name}" updated successfully`
@@ -204,14 +256,38 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Add sizes to a PPE type (admin only)
+router.post('/:id/variants', authenticateToken, requirePermission('ppe_types.manage'), async (req, res) => {
+  try {
+    const { sizeDimension, labels } = req.body;
+    const result = await ppeVariantService.createVariants(req.params.id, { sizeDimension, labels }, {
+      userId: req.user.id,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+    
+    res.status(201).json({
+      ...result,
+      message: `${result.variants.length} size(s) added`
+    });
+  } catch (error) {
+    console.error('Add PPE sizes error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to add sizes' });
+  }
+});
+
 // Delete PPE type (admin only)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('ppe_types.manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const db = getDb();
     
     // Check if PPE type is in use
-    db.get('SELECT COUNT(*) as count FROM ppe_request_items WHERE ppe_item_id = ?', [id], (err, result) => {
+    db.get(`
+      SELECT
+        (SELECT COUNT(*) FROM ppe_request_items WHERE ppe_item_id = ?) as count,
+        (SELECT COUNT(*) FROM ppe_items WHERE parent_item_id = ?) as variant_count
+    `, [id, id], (err, result) => {
       if (err) {
         console.error('Check PPE usage error:', err);
         return res.status(500).json({ error: 'Failed to check PPE usage' });
@@ -223,6 +299,12 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         });
       }
       
+      if (result.variant_count > 0) {
+        return res.status(409).json({ 
+          error: 'Cannot delete PPE type. Delete its sizes first.' 
+        });
+      }
+      
       // Delete PPE type
       db.run('DELETE FROM ppe_items WHERE id = ?', [id], function(err) {
         if (err) {
@@ -248,7 +330,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Get PPE type statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
   try {
     const db = getDb();
     
@@ -0,0 +1,159 @@
+const express = require('express');
+const purchasingService = require('../services/purchasingService');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Request metadata passed to the service for the audit trail
+function getAuditContext(req) {
+  return {
+    userId: req.user.id,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+// List suppliers (?activeOnly=true)
+router.get('/suppliers', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const suppliers = await purchasingService.getSuppliers({ activeOnly: req.query.activeOnly === 'true' });
+    res.json({ success: true, suppliers, count: suppliers.length });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ error: 'Failed to fetch suppliers' });
+  }
+});
+
+// Create a supplier
+router.post('/suppliers', authenticateToken, requirePermission('purchasing.manage'), async (req, res) => {
+  try {
+    const { name, contactName, email, phone, address, notes } = req.body;
+    const result = await purchasingService.createSupplier({ name, contactName, email, phone, address, notes }, getAuditContext(req));
+    res.status(201).json({ ...result, message: 'Supplier created' });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create supplier' });
+  }
+});
+
+// Update a supplier (set active: false to retire it)
+router.put('/suppliers/:id', authenticateToken, requirePermission('purchasing.manage'), async (req, res) => {
+  try {
+    const { name, contactName, email, phone, address, notes, active } = req.body;
+    const result = await purchasingService.updateSupplier(req.params.id, { name, contactName, email, phone, address, notes, active }, getAuditContext(req));
+    res.json({ ...result, message: 'Supplier updated' });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update supplier' });
+  }
+});
+
+// Unit cost history of a PPE item
+router.get('/price-history/:ppeItemId', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const history = await purchasingService.getPriceHistory(req.params.ppeItemId);
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ error: 'Failed to fetch price history' });
+  }
+});
+
+// List purchase orders (?status=, ?supplierId=)
+router.get('/purchase-orders', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const { status, supplierId } = req.query;
+    const orders = await purchasingService.getPurchaseOrders({ status, supplierId });
+    res.json({ success: true, orders, count: orders.length });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch purchase orders' });
+  }
+});
+
+// Get a purchase order with lines and goods received notes
+router.get('/purchase-orders/:id', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const order = await purchasingService.getPurchaseOrderById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ error: 'Failed to fetch purchase order' });
+  }
+});
+
+// Create a draft purchase order
+router.post('/purchase-orders', authenticateToken, requirePermission('purchasing.manage'), async (req, res) => {
+  try {
+    const { supplierId, stationId, expectedDate, notes, lines } = req.body;
+    const result = await purchasingService.createPurchaseOrder({ supplierId, stationId, expectedDate, notes, lines }, getAuditContext(req));
+    res.status(201).json({ ...result, message: `Purchase order ${result.poNumber} created` });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create purchase order' });
+  }
+});
+
+// Update a draft purchase order
+router.put('/purchase-orders/:id', authenticateToken, requirePermission('purchasing.manage'), async (req, res) => {
+  try {
+    const { stationId, expectedDate, notes, lines } = req.body;
+    const result = await purchasingService.updatePurchaseOrder(req.params.id, { stationId, expectedDate, notes, lines }, getAuditContext(req));
+    res.json({ ...result, message: 'Purchase order updated' });
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to update purchase order' });
+  }
+});
+
+// Place a draft order with the supplier
+router.post('/purchase-orders/:id/submit', authenticateToken, requirePermission('purchasing.manage'), async (req, res) => {
+  try {
+    const result = await purchasingService.submitPurchaseOrder(req.params.id, getAuditContext(req));
+    res.json({ ...result, message: 'Purchase order placed' });
+  } catch (error) {
+    console.error('Submit purchase order error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to submit purchase order' });
+  }
+});
+
+// Cancel an order with nothing received
+router.post('/purchase-orders/:id/cancel', authenticateToken, requirePermission('purchasing.manage'), async (req, res) => {
+  try {
+    const result = await purchasingService.cancelPurchaseOrder(req.params.id, { reason: req.body.reason }, getAuditContext(req));
+    res.json({ ...result, message: 'Purchase order cancelled' });
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to cancel purchase order' });
+  }
+});
+
+// Goods received note: receive a full or partial delivery into a station
+router.post('/purchase-orders/:id/receipts', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
+  try {
+    const { stationId, deliveryReference, notes, lines } = req.body;
+    const result = await purchasingService.receiveGoods(req.params.id, { stationId, deliveryReference, notes, lines }, getAuditContext(req));
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to('admin_room').emit('inventory_updated', {
+        stationId: result.stationId,
+        grnNumber: result.grnNumber,
+        items: result.items.map(item => ({ ppeItemId: item.ppeItemId, quantityChange: item.quantity }))
+      });
+    }
+
+    res.status(201).json({ ...result, message: `Goods received (${result.grnNumber})` });
+  } catch (error) {
+    console.error('Receive goods error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to receive goods' });
+  }
+});
+
+module.exports = router;
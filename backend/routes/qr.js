@@ -2,9 +2,122 @@ const express = require('express');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database/init');
+const stationQrService = require('../services/stationQrService');
+const qrLabelService = require('../services/qrLabelService');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 const router = express.Router();
 
+// Link that opens the rotating QR kiosk screen for a station
+router.get('/station/:stationId/kiosk-link', authenticateToken, requirePermission('stations.manage'), async (req, res) => {
+  const db = getDb();
+  const { stationId } = req.params;
+
+  try {
+    const station = await new Promise((resolve, reject) => {
+      db.get('SELECT id, name FROM stations WHERE id = ?', [stationId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!station) {
+      return res.status(404).json({ error: 'Station not found' });
+    }
+
+    const key = stationQrService.getKioskKey(stationId);
+    res.json({
+      stationId,
+      stationName: station.name,
+      kioskUrl: `${req.protocol}://${req.get('host')}/station-kiosk.html?station=${encodeURIComponent(stationId)}&key=${key}`
+    });
+  } catch (error) {
+    console.error('Kiosk link error:', error);
+    res.status(500).json({ error: 'Failed to create kiosk link' });
+  }
+});
+
+// Current rotating QR code for a station's kiosk screen (authorised by the kiosk key)
+router.get('/station/:stationId/current', async (req, res) => {
+  const db = getDb();
+  const { stationId } = req.params;
+
+  if (!stationQrService.verifyKioskKey(stationId, req.query.key)) {
+    return res.status(403).json({ error: 'Invalid kiosk key' });
+  }
+
+  try {
+    const station = await new Promise((resolve, reject) => {
+      db.get('SELECT id, name, location, active FROM stations WHERE id = ?', [stationId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!station) {
+      return res.status(404).json({ error: 'Station not found' });
+    }
+    if (!station.active) {
+      return res.status(400).json({ error: 'Station is currently offline' });
+    }
+
+    const { code, issuedAt, expiresAt } = stationQrService.generateCode(stationId);
+
+    // Scanning with the phone camera opens the request form with the station filled in
+    const scanUrl = `${req.protocol}://${req.get('host')}/worker.html?station=${encodeURIComponent(stationId)}&code=${encodeURIComponent(code)}`;
+
+    const qrCodeDataURL = await QRCode.toDataURL(scanUrl, {
+      width: 400,
+      margin: 2,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      }
+    });
+
+    res.json({
+      stationId,
+      stationName: station.name,
+      location: station.location,
+      qrCode: qrCodeDataURL,
+      code,
+      issuedAt: issuedAt.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      rotationSeconds: stationQrService.rotationSeconds
+    });
+  } catch (error) {
+    console.error('Kiosk QR error:', error);
+    res.status(500).json({ error: 'Failed to generate station QR code' });
+  }
+});
+
+// Printable A4 label sheet (?type=stations|bins, optional stationId and sheet)
+router.get('/labels', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const { type = 'stations', stationId, sheet } = req.query;
+
+    const labels = await qrLabelService.getLabels(type, { stationId });
+    const fileName = `ppe-${type}-labels-${new Date().toISOString().split('T')[0]}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    await qrLabelService.writePDF(labels, res, {
+      type,
+      sheet,
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+  } catch (error) {
+    console.error('QR label sheet error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to generate QR labels' });
+  }
+});
+
 // Get QR data when scanned
 router.get('/scan/:token', async (req, res) => {
   const db = getDb();
@@ -40,7 +153,8 @@ router.get('/scan/:token', async (req, res) => {
           pi.name,
           pi.type,
           si.current_stock,
-          CASE WHEN si.current_stock > 0 THEN 1 ELSE 0 END as available
+          si.current_stock - COALESCE(si.reserved_quantity, 0) as available_stock,
+          CASE WHEN si.current_stock - COALESCE(si.reserved_quantity, 0) > 0 THEN 1 ELSE 0 END as available
         FROM ppe_items pi
         JOIN station_inventory si ON pi.id = si.ppe_item_id
         WHERE si.station_id = ?
@@ -132,9 +246,24 @@ router.post('/generate', async (req, res) => {
 });
 
 // Validate QR token (for frontend)
+// A rotating station code ({ code }) is checked from its signature alone, without the database
 router.post('/validate', async (req, res) => {
   const db = getDb();
-  const { token } = req.body;
+  const { token, code } = req.body;
+
+  if (code) {
+    const result = stationQrService.verifyCode(code);
+
+    if (!result.valid) {
+      return res.status(400).json({ valid: false, error: result.error });
+    }
+
+    return res.json({
+      valid: true,
+      stationId: result.stationId,
+      issuedAt: result.issuedAt.toISOString()
+    });
+  }
   
   try {
     const tokenData = await new Promise((resolve, reject) => {
@@ -2,14 +2,28 @@ const express = require('express');
 const { getDb } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
 const { checkFeatureAccess } = require('../middleware/featureFlag');
+const { requirePermission, getDepartmentScope } = require('../middleware/permissions');
 // Note: Reports use feature-based protection, not employee limit enforcement
 
 const router = express.Router();
 
+// Restrict report queries to the supervisor's own department (no-op for other roles)
+function buildDepartmentScope(req) {
+  const department = getDepartmentScope(req);
+  if (!department) {
+    return { scopeClause: '', scopeParams: [] };
+  }
+  return {
+    scopeClause: ` AND COALESCE(sd.department, u.department) = ?`,
+    scopeParams: [department]
+  };
+}
+
 // Advanced Usage Analytics (Pro Feature)
-router.get('/usage-analytics', authenticateToken, checkFeatureAccess('advanced_reports'), async (req, res) => {
+router.get('/usage-analytics', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('advanced_reports'), async (req, res) => {
   const db = getDb();
   const { period = '30', groupBy = 'day' } = req.query;
+  const { scopeClause, scopeParams } = buildDepartmentScope(req);
   
   try {
     let dateFormat, dateGroup;
@@ -36,17 +50,18 @@ router.get('/usage-analytics', authenticateToken, checkFeatureAccess('advanced_r
           SUM(pri.quantity) as total_items,
           COUNT(DISTINCT u.id) as unique_requesters,
           AVG(pri.quantity) as avg_items_per_request,
-          COUNT(CASE WHEN pr.status = 'APPROVED' THEN 1 END) as approved_requests,
+          COUNT(CASE WHEN pr.status IN ('APPROVED', 'ISSUED') THEN 1 END) as approved_requests,
           COUNT(CASE WHEN pr.status = 'PENDING' THEN 1 END) as pending_requests,
           COUNT(CASE WHEN pr.status = 'REJECTED' THEN 1 END) as rejected_requests
         FROM ppe_requests pr
         LEFT JOIN ppe_request_items pri ON pr.id = pri.request_id
         LEFT JOIN users u ON pr.user_id = u.id
-        WHERE pr.created_at >= DATE('now', '-' || ? || ' days')
+        LEFT JOIN staff_directory sd ON pr.staff_id = sd.staff_id
+        WHERE pr.created_at >= DATE('now', '-' || ? || ' days')${scopeClause}
         GROUP BY ${dateGroup}
         ORDER BY period DESC
         LIMIT 100
-      `, [parseInt(period)], (err, rows) => {
+      `, [parseInt(period), ...scopeParams], (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
@@ -69,9 +84,10 @@ router.get('/usage-analytics', authenticateToken, checkFeatureAccess('advanced_r
 });
 
 // Department Analytics (Pro Feature)
-router.get('/department-analytics', authenticateToken, checkFeatureAccess('advanced_reports'), async (req, res) => {
+router.get('/department-analytics', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('advanced_reports'), async (req, res) => {
   const db = getDb();
   const { period = '30' } = req.query;
+  const { scopeClause, scopeParams } = buildDepartmentScope(req);
   
   try {
     const departmentData = await new Promise((resolve, reject) => {
@@ -82,20 +98,20 @@ router.get('/department-analytics', authenticateToken, checkFeatureAccess('advan
           SUM(pri.quantity) as total_items,
           COUNT(DISTINCT COALESCE(pr.staff_id, pr.user_id)) as unique_requesters,
           AVG(pri.quantity) as avg_items_per_request,
-          COUNT(CASE WHEN pr.status = 'APPROVED' THEN 1 END) as approved_requests,
+          COUNT(CASE WHEN pr.status IN ('APPROVED', 'ISSUED') THEN 1 END) as approved_requests,
           COUNT(CASE WHEN pr.status = 'PENDING' THEN 1 END) as pending_requests,
           COUNT(CASE WHEN pr.status = 'REJECTED' THEN 1 END) as rejected_requests,
           ROUND(
-            (COUNT(CASE WHEN pr.status = 'APPROVED' THEN 1 END) * 100.0 / COUNT(*)), 2
+            (COUNT(CASE WHEN pr.status IN ('APPROVED', 'ISSUED') THEN 1 END) * 100.0 / COUNT(*)), 2
           ) as approval_rate
         FROM ppe_requests pr
         LEFT JOIN ppe_request_items pri ON pr.id = pri.request_id
         LEFT JOIN users u ON pr.user_id = u.id
         LEFT JOIN staff_directory sd ON pr.staff_id = sd.staff_id
-        WHERE pr.created_at >= DATE('now', '-' || ? || ' days')
+        WHERE pr.created_at >= DATE('now', '-' || ? || ' days')${scopeClause}
         GROUP BY COALESCE(sd.department, u.department, 'Unknown Department')
         ORDER BY total_requests DESC
-      `, [parseInt(period)], (err, rows) => {
+      `, [parseInt(period), ...scopeParams], (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
@@ -117,9 +133,10 @@ router.get('/department-analytics', authenticateToken, checkFeatureAccess('advan
 });
 
 // PPE Type Analytics (Pro Feature)
-router.get('/ppe-analytics', authenticateToken, checkFeatureAccess('advanced_reports'), async (req, res) => {
+router.get('/ppe-analytics', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('advanced_reports'), async (req, res) => {
   const db = getDb();
   const { period = '30' } = req.query;
+  const { scopeClause, scopeParams } = buildDepartmentScope(req);
   
   try {
     const ppeData = await new Promise((resolve, reject) => {
@@ -138,10 +155,12 @@ router.get('/ppe-analytics', authenticateToken, checkFeatureAccess('advanced_rep
         FROM ppe_request_items pri
         JOIN ppe_items pi ON pri.ppe_item_id = pi.id
         JOIN ppe_requests pr ON pri.request_id = pr.id
-        WHERE pr.created_at >= DATE('now', '-' || ? || ' days')
+        LEFT JOIN users u ON pr.user_id = u.id
+        LEFT JOIN staff_directory sd ON pr.staff_id = sd.staff_id
+        WHERE pr.created_at >= DATE('now', '-' || ? || ' days')${scopeClause}
         GROUP BY pi.id, pi.name, pi.type
         ORDER BY total_quantity DESC
-      `, [parseInt(period)], (err, rows) => {
+      `, [parseInt(period), ...scopeParams], (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
@@ -163,29 +182,54 @@ router.get('/ppe-analytics', authenticateToken, checkFeatureAccess('advanced_rep
 });
 
 // Cost Analysis (Pro Feature)
-router.get('/cost-analysis', authenticateToken, checkFeatureAccess('advanced_reports'), async (req, res) => {
+router.get('/cost-analysis', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('advanced_reports'), async (req, res) => {
   const db = getDb();
   const { period = '30' } = req.query;
+  const { scopeClause, scopeParams } = buildDepartmentScope(req);
   
   try {
     const costData = await new Promise((resolve, reject) => {
+      // Each item is costed at the purchase price in effect when it was requested:
+      // the latest price history entry on or before the request, else the price
+      // before the first recorded purchase, else the current unit cost
       db.all(`
         SELECT 
-          pi.name as ppe_item,
-          pi.type as ppe_type,
-          SUM(pri.quantity) as total_quantity,
-          COALESCE(pi.unit_cost, 0) as unit_cost,
-          ROUND(SUM(pri.quantity) * COALESCE(pi.unit_cost, 0), 2) as total_cost,
-          COUNT(DISTINCT pr.id) as total_requests,
-          strftime('%Y-%m', pr.created_at) as month
-        FROM ppe_request_items pri
-        JOIN ppe_items pi ON pri.ppe_item_id = pi.id
-        JOIN ppe_requests pr ON pri.request_id = pr.id
-        WHERE pr.created_at >= DATE('now', '-' || ? || ' days')
-          AND pr.status = 'APPROVED'
-        GROUP BY pi.id, pi.name, pi.type, strftime('%Y-%m', pr.created_at)
+          ppe_item,
+          ppe_type,
+          SUM(quantity) as total_quantity,
+          ROUND(SUM(quantity * effective_cost) / SUM(quantity), 2) as unit_cost,
+          ROUND(SUM(quantity * effective_cost), 2) as total_cost,
+          COUNT(DISTINCT request_id) as total_requests,
+          month
+        FROM (
+          SELECT 
+            pi.id as ppe_item_id,
+            pi.name as ppe_item,
+            pi.type as ppe_type,
+            pri.quantity,
+            pr.id as request_id,
+            strftime('%Y-%m', pr.created_at) as month,
+            COALESCE(
+              (SELECT h.unit_cost FROM ppe_item_price_history h
+               WHERE h.ppe_item_id = pi.id AND h.created_at <= pr.created_at
+               ORDER BY h.created_at DESC LIMIT 1),
+              (SELECT h.previous_cost FROM ppe_item_price_history h
+               WHERE h.ppe_item_id = pi.id
+               ORDER BY h.created_at ASC LIMIT 1),
+              pi.unit_cost,
+              0
+            ) as effective_cost
+          FROM ppe_request_items pri
+          JOIN ppe_items pi ON pri.ppe_item_id = pi.id
+          JOIN ppe_requests pr ON pri.request_id = pr.id
+          LEFT JOIN users u ON pr.user_id = u.id
+          LEFT JOIN staff_directory sd ON pr.staff_id = sd.staff_id
+          WHERE pr.created_at >= DATE('now', '-' || ? || ' days')
+            AND pr.status IN ('APPROVED', 'ISSUED')${scopeClause}
+        )
+        GROUP BY ppe_item_id, month
         ORDER BY month DESC, total_cost DESC
-      `, [parseInt(period)], (err, rows) => {
+      `, [parseInt(period), ...scopeParams], (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
@@ -217,7 +261,7 @@ router.get('/cost-analysis', authenticateToken, checkFeatureAccess('advanced_rep
 });
 
 // Staff Performance Analytics (Pro Feature)
-router.get('/staff-analytics', authenticateToken, checkFeatureAccess('advanced_reports'), async (req, res) => {
+router.get('/staff-analytics', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('advanced_reports'), async (req, res) => {
   const db = getDb();
   const { period = '30', department = null } = req.query;
   
@@ -230,6 +274,10 @@ router.get('/staff-analytics', authenticateToken, checkFeatureAccess('advanced_r
       params.push(department);
     }
     
+    const { scopeClause, scopeParams } = buildDepartmentScope(req);
+    whereClause += scopeClause;
+    params.push(...scopeParams);
+    
     const staffData = await new Promise((resolve, reject) => {
       db.all(`
         SELECT 
@@ -240,7 +288,7 @@ router.get('/staff-analytics', authenticateToken, checkFeatureAccess('advanced_r
           COUNT(DISTINCT pr.id) as total_requests,
           SUM(pri.quantity) as total_items,
           AVG(pri.quantity) as avg_items_per_request,
-          COUNT(CASE WHEN pr.status = 'APPROVED' THEN 1 END) as approved_requests,
+          COUNT(CASE WHEN pr.status IN ('APPROVED', 'ISSUED') THEN 1 END) as approved_requests,
           COUNT(CASE WHEN pr.status = 'PENDING' THEN 1 END) as pending_requests,
           COUNT(CASE WHEN pr.status = 'REJECTED' THEN 1 END) as rejected_requests,
           MIN(pr.created_at) as first_request,
@@ -276,12 +324,12 @@ router.get('/staff-analytics', authenticateToken, checkFeatureAccess('advanced_r
 });
 
 // Individual PPE Issuance Records (Pro Feature)
-router.get('/individual-issuance', authenticateToken, checkFeatureAccess('advanced_reports'), async (req, res) => {
+router.get('/individual-issuance', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('advanced_reports'), async (req, res) => {
   const db = getDb();
   const { period = '30', userId = null, department = null, limit = 100 } = req.query;
   
   try {
-    let whereClause = `pr.created_at >= DATE('now', '-' || ? || ' days') AND pr.status = 'APPROVED'`;
+    let whereClause = `pr.created_at >= DATE('now', '-' || ? || ' days') AND pr.status IN ('APPROVED', 'ISSUED')`;
     let params = [parseInt(period)];
     
     if (userId && userId !== 'all') {
@@ -294,6 +342,10 @@ router.get('/individual-issuance', authenticateToken, checkFeatureAccess('advanc
       params.push(department);
     }
     
+    const { scopeClause, scopeParams } = buildDepartmentScope(req);
+    whereClause += scopeClause;
+    params.push(...scopeParams);
+    
     const issuanceData = await new Promise((resolve, reject) => {
       db.all(`
         SELECT 
@@ -312,6 +364,7 @@ router.get('/individual-issuance', authenticateToken, checkFeatureAccess('advanc
         JOIN ppe_request_items pri ON pr.id = pri.request_id
         JOIN ppe_items pi ON pri.ppe_item_id = pi.id
         LEFT JOIN users u ON pr.user_id = u.id
+        LEFT JOIN staff_directory sd ON pr.staff_id = sd.staff_id
         LEFT JOIN stations s ON pr.station_id = s.id
         WHERE ${whereClause}
         ORDER BY pr.created_at DESC
@@ -351,7 +404,7 @@ router.get('/individual-issuance', authenticateToken, checkFeatureAccess('advanc
 });
 
 // Export Report (Pro Feature)
-router.get('/export/:reportType', authenticateToken, checkFeatureAccess('advanced_reports'), async (req, res) => {
+router.get('/export/:reportType', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('advanced_reports'), async (req, res) => {
   const { reportType } = req.params;
   const { period = '30', format = 'json' } = req.query;
   
@@ -420,9 +473,10 @@ router.get('/export/:reportType', authenticateToken, checkFeatureAccess('advance
 });
 
 // Staff Audit Export for Compliance (Pro Feature)
-router.get('/staff-audit-export', authenticateToken, checkFeatureAccess('advanced_reports'), async (req, res) => {
+router.get('/staff-audit-export', authenticateToken, requirePermission('reports.view'), checkFeatureAccess('advanced_reports'), async (req, res) => {
   const db = getDb();
   const { period = '30', format = 'csv' } = req.query;
+  const { scopeClause, scopeParams } = buildDepartmentScope(req);
   
   try {
     const auditData = await new Promise((resolve, reject) => {
@@ -436,14 +490,16 @@ router.get('/staff-audit-export', authenticateToken, checkFeatureAccess('advance
           pi.type as ppe_category,
           pri.quantity as quantity_requested,
           CASE 
-            WHEN pr.status = 'APPROVED' THEN 'APPROVED'
+            WHEN pr.status IN ('APPROVED', 'ISSUED') THEN 'APPROVED'
+            WHEN pr.status = 'EXPIRED' THEN 'EXPIRED'
             WHEN pr.status = 'REJECTED' THEN 'REJECTED'
             WHEN pr.status = 'PENDING' THEN 'PENDING'
             ELSE 'UNKNOWN'
           END as approval_status,
           CASE 
-            WHEN pr.status = 'APPROVED' AND pri.issued = 1 THEN 'ISSUED'
+            WHEN pr.status IN ('APPROVED', 'ISSUED') AND pri.issued = 1 THEN 'ISSUED'
             WHEN pr.status = 'APPROVED' AND pri.issued = 0 THEN 'APPROVED_NOT_ISSUED'
+            WHEN pr.status = 'EXPIRED' THEN 'EXPIRED_UNCOLLECTED'
             WHEN pr.status = 'REJECTED' THEN 'REJECTED'
             WHEN pr.status = 'PENDING' THEN 'PENDING_APPROVAL'
             ELSE 'UNKNOWN'
@@ -463,9 +519,9 @@ router.get('/staff-audit-export', authenticateToken, checkFeatureAccess('advance
         LEFT JOIN users u ON pr.user_id = u.id
         LEFT JOIN staff_directory sd ON pr.staff_id = sd.staff_id
         LEFT JOIN stations s ON pr.station_id = s.id
-        WHERE pr.created_at >= DATE('now', '-' || ? || ' days')
+        WHERE pr.created_at >= DATE('now', '-' || ? || ' days')${scopeClause}
         ORDER BY pr.created_at DESC, COALESCE(sd.name, u.name, 'Unknown User') ASC, pi.name ASC
-      `, [parseInt(period)], (err, rows) => {
+      `, [parseInt(period), ...scopeParams], (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
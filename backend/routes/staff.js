@@ -6,7 +6,11 @@ const XLSX = require('xlsx');
 const { authenticateToken, authenticateWithCompany } = require('../middleware/auth');
 const { checkFeatureAccess, addCompanyContext } = require('../middleware/featureFlag');
 const { enforceLicenseCompliance, enforceStaffLimits } = require('../middleware/licenseEnforcement');
+const { requirePermission } = require('../middleware/permissions');
 const staffVerificationService = require('../services/staffVerificationService');
+const staffBadgeService = require('../services/staffBadgeService');
+const emailTemplateService = require('../services/emailTemplateService');
+const webhookService = require('../services/webhookService');
 
 const router = express.Router();
 
@@ -68,7 +72,13 @@ router.post('/verify', async (req, res) => {
       });
     }
     
-    const { staffId } = req.body;
+    const { staffId, badgeToken } = req.body;
+    
+    // A scanned staff badge identifies the worker without them typing their ID
+    if (badgeToken) {
+      const result = await staffBadgeService.verifyBadgeToken(badgeToken);
+      return res.json({ ...result, verifiedBy: 'BADGE' });
+    }
     
     if (!staffId) {
       return res.status(400).json({ 
@@ -90,7 +100,7 @@ router.post('/verify', async (req, res) => {
 });
 
 // Get all staff (admin only)
-router.get('/', authenticateWithCompany, enforceLicenseCompliance, async (req, res) => {
+router.get('/', authenticateWithCompany, requirePermission('staff.view'), enforceLicenseCompliance, async (req, res) => {
   try {
     const { active, department, limit } = req.query;
     
@@ -111,7 +121,7 @@ router.get('/', authenticateWithCompany, enforceLicenseCompliance, async (req, r
 });
 
 // Get staff statistics (admin only) - MUST BE BEFORE /:staffId route
-router.get('/stats', authenticateWithCompany, enforceLicenseCompliance, async (req, res) => {
+router.get('/stats', authenticateWithCompany, requirePermission('staff.view'), enforceLicenseCompliance, async (req, res) => {
   try {
     const stats = await staffVerificationService.getStaffStats(req.companyId);
     
@@ -131,8 +141,46 @@ router.get('/stats', authenticateWithCompany, enforceLicenseCompliance, async (r
   }
 });
 
+// Printable ID-card stickers with each staff member's badge QR (?staffIds=A,B or ?department=)
+router.get('/badges/export', authenticateWithCompany, requirePermission('staff.manage'), enforceLicenseCompliance, async (req, res) => {
+  try {
+    const staffIds = req.query.staffIds ? String(req.query.staffIds).split(',').map(id => id.trim()).filter(Boolean) : [];
+    const badges = await staffBadgeService.getBadges({ staffIds, department: req.query.department });
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="staff-badges-${new Date().toISOString().split('T')[0]}.pdf"`);
+    await staffBadgeService.writeCardsPDF(badges, res);
+    
+  } catch (error) {
+    console.error('Staff badge export error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: 'Failed to export staff badges' });
+  }
+});
+
+// Replace a lost badge; the previous badge stops working (admin only)
+router.post('/:staffId/badge/reissue', authenticateWithCompany, requirePermission('staff.manage'), enforceLicenseCompliance, async (req, res) => {
+  try {
+    const badge = await staffBadgeService.reissueBadge(req.params.staffId);
+    res.json({
+      success: true,
+      message: `New badge issued for ${badge.name}. Print it to replace the old one.`,
+      staffId: badge.staffId,
+      issuedAt: badge.issuedAt
+    });
+    
+  } catch (error) {
+    console.error('Reissue staff badge error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to reissue badge' });
+  }
+});
+
 // Get single staff member by ID (admin only)
-router.get('/:staffId', authenticateWithCompany, enforceLicenseCompliance, async (req, res) => {
+router.get('/:staffId', authenticateWithCompany, requirePermission('staff.view'), enforceLicenseCompliance, async (req, res) => {
   try {
     const { staffId } = req.params;
     const staff = await staffVerificationService.getStaffById(staffId, req.companyId);
@@ -150,7 +198,7 @@ router.get('/:staffId', authenticateWithCompany, enforceLicenseCompliance, async
 });
 
 // Add single staff member (admin only)
-router.post('/', authenticateWithCompany, enforceLicenseCompliance, enforceStaffLimits, async (req, res) => {
+router.post('/', authenticateWithCompany, requirePermission('staff.manage'), enforceLicenseCompliance, enforceStaffLimits, async (req, res) => {
   try {
     const { staffId, name, email, department, position } = req.body;
     
@@ -178,7 +226,7 @@ router.post('/', authenticateWithCompany, enforceLicenseCompliance, enforceStaff
 });
 
 // Import staff from Excel or CSV (admin only) - Basic Staff Management Feature
-router.post('/import', authenticateWithCompany, enforceLicenseCompliance, enforceStaffLimits, checkFeatureAccess('staff_management'), upload.single('staffFile'), async (req, res) => {
+router.post('/import', authenticateWithCompany, requirePermission('staff.manage'), enforceLicenseCompliance, enforceStaffLimits, checkFeatureAccess('staff_management'), upload.single('staffFile'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Staff file is required' });
@@ -214,7 +262,7 @@ router.post('/import', authenticateWithCompany, enforceLicenseCompliance, enforc
 });
 
 // Search staff (admin only)
-router.get('/search', authenticateWithCompany, enforceLicenseCompliance, async (req, res) => {
+router.get('/search', authenticateWithCompany, requirePermission('staff.view'), enforceLicenseCompliance, async (req, res) => {
   try {
     const { q } = req.query;
     
@@ -234,20 +282,27 @@ router.get('/search', authenticateWithCompany, enforceLicenseCompliance, async (
 });
 
 // Update staff member (admin only)
-router.put('/:staffId', authenticateWithCompany, enforceLicenseCompliance, async (req, res) => {
+router.put('/:staffId', authenticateWithCompany, requirePermission('staff.manage'), enforceLicenseCompliance, async (req, res) => {
   try {
     const { staffId } = req.params;
-    const { name, email, department, position } = req.body;
+    const { name, email, department, position, sizeProfile, preferredLanguage } = req.body;
     
     if (!name) {
       return res.status(400).json({ error: 'Name is required' });
     }
     
+    // Empty means the default language from Email Settings
+    if (preferredLanguage && !emailTemplateService.isLocale(preferredLanguage)) {
+      return res.status(400).json({ error: `preferredLanguage must be one of: ${Object.keys(emailTemplateService.locales).join(', ')}` });
+    }
+    
     const result = await staffVerificationService.updateStaff(staffId, {
       name,
       email,
       department,
-      position
+      position,
+      sizeProfile,
+      preferredLanguage
     });
     
     res.json(result);
@@ -259,7 +314,7 @@ router.put('/:staffId', authenticateWithCompany, enforceLicenseCompliance, async
 });
 
 // Add single staff member (admin only)
-router.post('/add', authenticateWithCompany, enforceLicenseCompliance, enforceStaffLimits, async (req, res) => {
+router.post('/add', authenticateWithCompany, requirePermission('staff.manage'), enforceLicenseCompliance, enforceStaffLimits, async (req, res) => {
   try {
     const { staffId, name, email, department, position } = req.body;
     
@@ -288,10 +343,23 @@ router.post('/add', authenticateWithCompany, enforceLicenseCompliance, enforceSt
 });
 
 // Deactivate staff member (admin only)
-router.patch('/:staffId/deactivate', authenticateWithCompany, enforceLicenseCompliance, async (req, res) => {
+router.patch('/:staffId/deactivate', authenticateWithCompany, requirePermission('staff.manage'), enforceLicenseCompliance, async (req, res) => {
   try {
     const { staffId } = req.params;
     const result = await staffVerificationService.deactivateStaff(staffId);
+    
+    if (result.success) {
+      const staff = await staffVerificationService.getStaffById(staffId);
+      await webhookService.emit('staff.deactivated', {
+        staffId,
+        name: staff ? staff.name : null,
+        email: staff ? staff.email : null,
+        department: staff ? staff.department : null,
+        position: staff ? staff.position : null,
+        deactivatedBy: req.user.id
+      });
+    }
+    
     res.json(result);
     
   } catch (error) {
@@ -301,7 +369,7 @@ router.patch('/:staffId/deactivate', authenticateWithCompany, enforceLicenseComp
 });
 
 // Reactivate staff member (admin only)
-router.patch('/:staffId/reactivate', authenticateWithCompany, enforceLicenseCompliance, enforceStaffLimits, async (req, res) => {
+router.patch('/:staffId/reactivate', authenticateWithCompany, requirePermission('staff.manage'), enforceLicenseCompliance, enforceStaffLimits, async (req, res) => {
   try {
     const { staffId } = req.params;
     const result = await staffVerificationService.reactivateStaff(staffId);
@@ -314,7 +382,7 @@ router.patch('/:staffId/reactivate', authenticateWithCompany, enforceLicenseComp
 });
 
 // Download staff template Excel
-router.get('/template', authenticateToken, enforceLicenseCompliance, (req, res) => {
+router.get('/template', authenticateToken, requirePermission('staff.manage'), enforceLicenseCompliance, (req, res) => {
   try {
     // Create a new workbook
     const wb = XLSX.utils.book_new();
@@ -364,7 +432,7 @@ router.get('/template', authenticateToken, enforceLicenseCompliance, (req, res)
 });
 
 // Permanently delete staff member
-router.delete('/:staffId/delete', authenticateToken, enforceLicenseCompliance, async (req, res) => {
+router.delete('/:staffId/delete', authenticateToken, requirePermission('staff.manage'), enforceLicenseCompliance, async (req, res) => {
   try {
     console.log(`Delete request for staff: ${req.params.staffId}`);
     const { staffId } = req.params;
@@ -2,6 +2,7 @@ const express = require('express');
 const { getDb } = require('../database/init');
 const { v4: uuidv4 } = require('uuid');
 const { checkFeatureAccess } = require('../middleware/featureFlag');
+const stockLedgerService = require('../services/stockLedgerService');
 
 const router = express.Router();
 
@@ -56,6 +57,7 @@ router.get('/:id', checkFeatureAccess('basic_ppe_management'), async (req, res)
       db.all(`
         SELECT 
           si.*,
+          si.current_stock - COALESCE(si.reserved_quantity, 0) as available_stock,
           pi.name as item_name,
           pi.type,
           pi.min_threshold
@@ -177,7 +179,7 @@ router.put('/:id', checkFeatureAccess('basic_ppe_management'), async (req, res)
     }
     
     // Core editable fields that should exist in any station table
-    const coreFields = ['name', 'location', 'description', 'active', 'qr_code'];
+    const coreFields = ['name', 'location', 'description', 'active', 'qr_code', 'qr_checkin_required'];
     const updateFields = [];
     const updateValues = [];
     
@@ -465,6 +467,22 @@ async function transferStationInventory(db, fromStationId, toStationId) {
         });
       });
     }
+    
+    const movement = { ppeItemId: item.ppe_item_id, referenceType: 'STATION', referenceId: fromStationId, notes: 'Station deleted' };
+    await stockLedgerService.recordMovement(db, {
+      ...movement,
+      stationId: fromStationId,
+      reason: 'TRANSFER_OUT',
+      quantityChange: -item.current_stock,
+      balanceAfter: 0
+    });
+    await stockLedgerService.recordMovement(db, {
+      ...movement,
+      stationId: toStationId,
+      reason: 'TRANSFER_IN',
+      quantityChange: item.current_stock,
+      balanceAfter: (existingInventory ? existingInventory.current_stock : 0) + item.current_stock
+    });
   }
   
   // Delete original inventory records
@@ -478,6 +496,27 @@ async function transferStationInventory(db, fromStationId, toStationId) {
 
 // Helper function to force delete station and clean up all related data
 async function forceDeleteStation(db, stationId) {
+  // Close the ledger of any stock that is discarded with the station
+  const inventory = await new Promise((resolve, reject) => {
+    db.all('SELECT ppe_item_id, current_stock FROM station_inventory WHERE station_id = ? AND current_stock <> 0', [stationId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows || []);
+    });
+  });
+  
+  for (const item of inventory) {
+    await stockLedgerService.recordMovement(db, {
+      stationId,
+      ppeItemId: item.ppe_item_id,
+      reason: 'ADJUSTMENT',
+      quantityChange: -item.current_stock,
+      balanceAfter: 0,
+      referenceType: 'STATION',
+      referenceId: stationId,
+      notes: 'Station force-deleted'
+    });
+  }
+  
   // Delete all related data in correct order (to avoid foreign key issues)
   const cleanup = [
     'DELETE FROM station_inventory WHERE station_id = ?',
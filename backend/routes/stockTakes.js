@@ -0,0 +1,133 @@
+const express = require('express');
+const stockTakeService = require('../services/stockTakeService');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Request metadata passed to the service for the audit trail
+function getAuditContext(req) {
+  return {
+    userId: req.user.id,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+// List stock takes (?status=, ?stationId=)
+router.get('/', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const { status, stationId } = req.query;
+    const stockTakes = await stockTakeService.getStockTakes({ status, stationId });
+    res.json({ success: true, stockTakes, count: stockTakes.length });
+  } catch (error) {
+    console.error('Get stock takes error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch stock takes' });
+  }
+});
+
+// Get a stock take with its lines and counts
+router.get('/:id', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const stockTake = await stockTakeService.getStockTakeById(req.params.id);
+
+    if (!stockTake) {
+      return res.status(404).json({ error: 'Stock take not found' });
+    }
+
+    res.json({ success: true, stockTake });
+  } catch (error) {
+    console.error('Get stock take error:', error);
+    res.status(500).json({ error: 'Failed to fetch stock take' });
+  }
+});
+
+// Variance report with cost impact
+router.get('/:id/variance', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const report = await stockTakeService.getVarianceReport(req.params.id);
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Get stock take variance error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to build variance report' });
+  }
+});
+
+// Start a stock take for a station (optionally only some items)
+router.post('/', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
+  try {
+    const { stationId, ppeItemIds, notes } = req.body;
+    const result = await stockTakeService.createStockTake({ stationId, ppeItemIds, notes }, getAuditContext(req));
+    res.status(201).json({ ...result, message: `Stock take ${result.reference} started` });
+  } catch (error) {
+    console.error('Create stock take error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to start stock take' });
+  }
+});
+
+// Record the signed-in counter's quantities
+router.post('/:id/counts', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
+  try {
+    const result = await stockTakeService.recordCounts(req.params.id, req.body.counts, getAuditContext(req));
+    res.json({ ...result, message: 'Counts recorded' });
+  } catch (error) {
+    console.error('Record stock take counts error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to record counts' });
+  }
+});
+
+// Close counting and send for review
+router.post('/:id/submit', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
+  try {
+    const result = await stockTakeService.submitStockTake(req.params.id, getAuditContext(req));
+    res.json({ ...result, message: 'Stock take submitted for review' });
+  } catch (error) {
+    console.error('Submit stock take error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to submit stock take' });
+  }
+});
+
+// Send a submitted stock take back for recounting
+router.post('/:id/reopen', authenticateToken, requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const result = await stockTakeService.reopenStockTake(req.params.id, getAuditContext(req));
+    res.json({ ...result, message: 'Stock take reopened for counting' });
+  } catch (error) {
+    console.error('Reopen stock take error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to reopen stock take' });
+  }
+});
+
+// Approve variances and post them as stock adjustments (body ppeItemIds limits which lines)
+router.post('/:id/post', authenticateToken, requirePermission('inventory.adjust'), async (req, res) => {
+  try {
+    const result = await stockTakeService.postStockTake(req.params.id, req.body.ppeItemIds, getAuditContext(req));
+
+    const io = req.app.get('io');
+    if (io && result.adjustments.length > 0) {
+      io.to('admin_room').emit('inventory_updated', {
+        stationId: result.stationId,
+        stockTakeId: result.id,
+        items: result.adjustments
+      });
+    }
+
+    res.json({ ...result, message: `${result.adjustments.length} adjustment(s) posted` });
+  } catch (error) {
+    console.error('Post stock take error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to post stock take' });
+  }
+});
+
+// Cancel an open stock take without posting anything
+router.post('/:id/cancel', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
+  try {
+    const result = await stockTakeService.cancelStockTake(req.params.id, getAuditContext(req));
+    res.json({ ...result, message: 'Stock take cancelled' });
+  } catch (error) {
+    console.error('Cancel stock take error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to cancel stock take' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const stockTransferService = require('../services/stockTransferService');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+// Request metadata passed to the service for the audit trail
+function getAuditContext(req) {
+  return {
+    userId: req.user.id,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+// Broadcast a stock movement at one station to the admin dashboard
+function emitInventoryUpdated(req, stationId, transferId, status, items) {
+  const io = req.app.get('io');
+  if (io) {
+    io.to('admin_room').emit('inventory_updated', {
+      stationId,
+      transferId,
+      transferStatus: status,
+      items
+    });
+  }
+}
+
+// List transfers (?status=, ?stationId=)
+router.get('/', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const { status, stationId } = req.query;
+    const transfers = await stockTransferService.getTransfers({ status, stationId });
+    res.json({ success: true, transfers, count: transfers.length });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch transfers' });
+  }
+});
+
+// Get a transfer with its items
+router.get('/:id', authenticateToken, requirePermission('inventory.view'), async (req, res) => {
+  try {
+    const transfer = await stockTransferService.getTransferById(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+
+    res.json({ success: true, transfer });
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({ error: 'Failed to fetch transfer' });
+  }
+});
+
+// Dispatch stock from one station to another
+router.post('/', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
+  try {
+    const { fromStationId, toStationId, items, notes } = req.body;
+    const result = await stockTransferService.createTransfer({ fromStationId, toStationId, items, notes }, getAuditContext(req));
+
+    emitInventoryUpdated(req, fromStationId, result.transferId, result.status,
+      result.items.map(item => ({ ppeItemId: item.ppeItemId, quantityChange: -item.quantity })));
+
+    res.status(201).json({ ...result, message: 'Transfer dispatched' });
+  } catch (error) {
+    console.error('Create transfer error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create transfer' });
+  }
+});
+
+// Destination station confirms receipt
+router.post('/:id/receive', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
+  try {
+    const result = await stockTransferService.receiveTransfer(req.params.id, getAuditContext(req));
+
+    emitInventoryUpdated(req, result.stationId, result.transferId, result.status,
+      result.items.map(item => ({ ppeItemId: item.ppeItemId, quantityChange: item.quantity })));
+
+    res.json({ ...result, message: 'Transfer received' });
+  } catch (error) {
+    console.error('Receive transfer error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to receive transfer' });
+  }
+});
+
+// Cancel an in-transit transfer and return the stock to the source
+router.post('/:id/cancel', authenticateToken, requirePermission('inventory.restock'), async (req, res) => {
+  try {
+    const result = await stockTransferService.cancelTransfer(req.params.id, { reason: req.body.reason }, getAuditContext(req));
+
+    emitInventoryUpdated(req, result.stationId, result.transferId, result.status,
+      result.items.map(item => ({ ppeItemId: item.ppeItemId, quantityChange: item.quantity })));
+
+    res.json({ ...result, message: 'Transfer cancelled - stock returned to source station' });
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to cancel transfer' });
+  }
+});
+
+module.exports = router;
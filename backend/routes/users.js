@@ -0,0 +1,237 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission, ROLE_DEFINITIONS } = require('../middleware/permissions');
+const auditService = require('../services/auditService');
+const emailTemplateService = require('../services/emailTemplateService');
+
+const router = express.Router();
+
+const ASSIGNABLE_ROLES = Object.keys(ROLE_DEFINITIONS);
+
+// All user management endpoints are admin-only
+router.use(authenticateToken, requirePermission('users.manage'));
+
+// Get available roles and their permissions
+router.get('/roles', (req, res) => {
+  res.json({
+    success: true,
+    roles: ASSIGNABLE_ROLES.map(role => ({
+      role,
+      ...ROLE_DEFINITIONS[role]
+    }))
+  });
+});
+
+// List all user accounts
+router.get('/', async (req, res) => {
+  try {
+    const db = getDb();
+    const { role, active } = req.query;
+
+    let query = `
+      SELECT id, name, email, role, department, preferred_language, active, created_at, updated_at
+      FROM users
+      WHERE role != 'SUPER_ADMIN'
+    `;
+    const params = [];
+
+    if (role && role !== 'all') {
+      query += ' AND role = ?';
+      params.push(role);
+    }
+
+    if (active !== undefined && active !== 'all') {
+      query += ' AND active = ?';
+      params.push(active === 'true' || active === '1' ? 1 : 0);
+    }
+
+    query += ' ORDER BY name ASC';
+
+    const users = await new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json({ success: true, users, count: users.length });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Create a user account with a role
+router.post('/', async (req, res) => {
+  const db = getDb();
+  const { name, email, password, role = 'STAFF', department } = req.body;
+
+  try {
+    if (!name || !email || !password) {
+      return res.status(400).json({ error: 'Name, email, and password are required' });
+    }
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    const existingUser = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM users WHERE email = ?', [email], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (existingUser) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = uuidv4();
+
+    await new Promise((resolve, reject) => {
+      db.run(`
+        INSERT INTO users (id, name, email, password, role, department, first_login_completed)
+        VALUES (?, ?, ?, ?, ?, ?, 1)
+      `, [userId, name, email, hashedPassword, role, department || null], function(err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    await auditService.logAction({
+      userId: req.user.id,
+      action: 'CREATE',
+      resourceType: 'USER',
+      resourceId: userId,
+      newValues: { name, email, role, department },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      user: { id: userId, name, email, role, department: department || null, active: 1 },
+      message: 'User created successfully'
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Update a user's role, name, department or email language
+router.put('/:userId', async (req, res) => {
+  const db = getDb();
+  const { userId } = req.params;
+  const { name, role, department, preferredLanguage } = req.body;
+
+  try {
+    if (role && !ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+    }
+
+    if (preferredLanguage && !emailTemplateService.isLocale(preferredLanguage)) {
+      return res.status(400).json({ error: `Invalid language. Must be one of: ${Object.keys(emailTemplateService.locales).join(', ')}` });
+    }
+
+    const existing = await new Promise((resolve, reject) => {
+      db.get('SELECT id, name, role, department, preferred_language FROM users WHERE id = ? AND role != \'SUPER_ADMIN\'', [userId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (userId === req.user.id && role && role !== existing.role) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const updated = {
+      name: name || existing.name,
+      role: role || existing.role,
+      department: department !== undefined ? department : existing.department,
+      preferred_language: preferredLanguage !== undefined ? (preferredLanguage || null) : existing.preferred_language
+    };
+
+    await new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE users SET name = ?, role = ?, department = ?, preferred_language = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [updated.name, updated.role, updated.department, updated.preferred_language, userId], function(err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    await auditService.logAction({
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'USER',
+      resourceId: userId,
+      oldValues: existing,
+      newValues: updated,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ success: true, user: { id: userId, ...updated }, message: 'User updated successfully' });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Deactivate / reactivate a user account
+router.patch('/:userId/:action(deactivate|reactivate)', async (req, res) => {
+  const db = getDb();
+  const { userId, action } = req.params;
+  const active = action === 'reactivate' ? 1 : 0;
+
+  try {
+    if (userId === req.user.id && !active) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE users SET active = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND role != 'SUPER_ADMIN'
+      `, [active, userId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await auditService.logAction({
+      userId: req.user.id,
+      action: active ? 'REACTIVATE' : 'DEACTIVATE',
+      resourceType: 'USER',
+      resourceId: userId,
+      newValues: { active },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ success: true, message: `User ${active ? 'reactivated' : 'deactivated'} successfully` });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({ error: 'Failed to update user status' });
+  }
+});
+
+module.exports = router;
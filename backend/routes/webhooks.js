@@ -0,0 +1,121 @@
+const express = require('express');
+const webhookService = require('../services/webhookService');
+const { authenticateToken } = require('../middleware/auth');
+const { checkFeatureAccess } = require('../middleware/featureFlag');
+const { requirePermission } = require('../middleware/permissions');
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission('settings.manage'), checkFeatureAccess('custom_integrations'));
+
+// Events a webhook can subscribe to
+router.get('/events', (req, res) => {
+  res.json({ success: true, events: webhookService.getEventTypes() });
+});
+
+// List webhooks (secrets are never returned here)
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await webhookService.getSubscriptions();
+    res.json({ success: true, webhooks, count: webhooks.length });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Add a webhook; the response holds its signing secret, which is not shown again
+router.post('/', async (req, res) => {
+  try {
+    const { name, url, events, enabled, description } = req.body;
+    const webhook = await webhookService.createSubscription({ name, url, events, enabled, description }, req.user.id);
+    res.status(201).json({ success: true, webhook, message: 'Webhook added' });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to add webhook' });
+  }
+});
+
+// Delivery log (?subscriptionId=, ?status=PENDING|SENDING|DELIVERED|DEAD, ?event=, page, limit)
+router.get('/deliveries', async (req, res) => {
+  try {
+    const result = await webhookService.getDeliveries(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Single delivery, including its payload and the endpoint's response
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    const delivery = await webhookService.getDeliveryById(req.params.id);
+    res.json({ success: true, delivery });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to fetch webhook delivery' });
+  }
+});
+
+// Send a delivery again now, with a fresh set of retries
+router.post('/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.id);
+    res.json({
+      success: true,
+      delivery,
+      message: delivery.status === 'DELIVERED' ? 'Delivered' : 'Delivery failed; it will be retried'
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to redeliver webhook' });
+  }
+});
+
+// Change a webhook's name, URL, events or enabled state
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, url, events, enabled, description } = req.body;
+    const webhook = await webhookService.updateSubscription(req.params.id, { name, url, events, enabled, description });
+    res.json({ success: true, webhook, message: 'Webhook updated' });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to update webhook' });
+  }
+});
+
+// Issue a new signing secret; the old one stops working immediately
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const webhook = await webhookService.rotateSecret(req.params.id);
+    res.json({ success: true, webhook, message: 'Signing secret replaced' });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to replace signing secret' });
+  }
+});
+
+// Send a signed ping to the endpoint and report what it answered
+router.post('/:id/test', async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTest(req.params.id);
+    res.json({ success: true, delivery });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to send test delivery' });
+  }
+});
+
+// Remove a webhook and its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    await webhookService.deleteSubscription(req.params.id);
+    res.json({ success: true, message: 'Webhook removed' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.statusCode ? error.message : 'Failed to remove webhook' });
+  }
+});
+
+module.exports = router;
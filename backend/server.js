@@ -76,7 +76,7 @@ app.use(helmet({
 app.use(cors({
   origin: '*', // Allow all origins for company network
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
   credentials: true
 }));
 
@@ -156,6 +156,7 @@ app.use((req, res, next) => {
 // Auto cache-bust HTML files (MUST be before static middleware)
 app.get('/worker.html', serveHTMLWithCacheBust(path.resolve(__dirname, '../pages/worker.html')));
 app.get('/worker-mobile.html', serveHTMLWithCacheBust(path.resolve(__dirname, '../pages/worker-mobile.html')));
+app.get('/station-kiosk.html', serveHTMLWithCacheBust(path.resolve(__dirname, '../pages/station-kiosk.html')));
 
 // Admin.html with setup check - redirect to setup if no admin users exist
 app.get('/admin.html', async (req, res) => {
@@ -376,7 +377,15 @@ app.use('/api/qr', qrRoutes);
 app.use('/api/audit', auditRoutes);
 app.use('/api/staff-ppe', staffPPERoutes);
 app.use('/api/staff', require('./routes/staff'));
+app.use('/api/users', require('./routes/users'));
 app.use('/api/ppe-types', require('./routes/ppeTypes'));
+app.use('/api/equipment', require('./routes/equipment'));
+app.use('/api/inspections', require('./routes/inspections'));
+app.use('/api/stock-transfers', require('./routes/stockTransfers'));
+app.use('/api/stock-takes', require('./routes/stockTakes'));
+app.use('/api/purchasing', require('./routes/purchasing'));
+app.use('/api/entitlements', require('./routes/entitlements'));
+app.use('/api/compliance', require('./routes/compliance'));
 app.use('/api/approval', approvalRoutes);
 app.use('/api/ppe-requests', require('./routes/ppe-requests'));
 app.use('/api/inventory-management', require('./routes/inventoryManagement'));
@@ -393,6 +402,7 @@ app.use('/api/config', require('./routes/config'));
 app.use('/api/departments', require('./routes/departments'));
 app.use('/api/tier-demo', require('./routes/tier-demo'));
 app.use('/api/updates', require('./routes/updates'));
+app.use('/api/webhooks', require('./routes/webhooks'));
 
 // Load scheduled reports routes (must be before catch-all)
 try {
@@ -418,7 +428,15 @@ app.get('/api', (req, res) => {
       alerts: '/api/alerts/*',
       audit: '/api/audit/*',
       staffPPE: '/api/staff-ppe/*',
+      equipment: '/api/equipment/*',
+      inspections: '/api/inspections/*',
+      stockTransfers: '/api/stock-transfers/*',
+      stockTakes: '/api/stock-takes/*',
+      purchasing: '/api/purchasing/*',
+      entitlements: '/api/entitlements/*',
+      compliance: '/api/compliance/*',
       approval: '/api/approval/*',
+      users: '/api/users/*',
       reports: '/api/reports/*',
       scheduledReports: '/api/scheduled-reports/*',
       superAdmin: '/api/super-admin/*'
@@ -568,7 +586,7 @@ async function generateUsageSummary(period) {
       db.get(`
         SELECT 
           COUNT(*) as totalRequests,
-          SUM(CASE WHEN status = 'APPROVED' THEN 1 ELSE 0 END) as approvedRequests,
+          SUM(CASE WHEN status IN ('APPROVED', 'ISSUED') THEN 1 ELSE 0 END) as approvedRequests,
           SUM(CASE WHEN status = 'REJECTED' THEN 1 ELSE 0 END) as rejectedRequests,
           SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) as pendingRequests
         FROM ppe_requests 
@@ -586,7 +604,7 @@ async function generateUsageSummary(period) {
           COALESCE(SUM(quantity), 0) as totalItems
         FROM ppe_request_items pri
         JOIN ppe_requests pr ON pri.request_id = pr.id
-        WHERE pr.created_at >= ? AND pr.status = 'APPROVED'
+        WHERE pr.created_at >= ? AND pr.status IN ('APPROVED', 'ISSUED')
       `, [startDate.toISOString()], (err, row) => {
         if (err) reject(err);
         else resolve(row || { totalItems: 0 });
@@ -656,6 +674,75 @@ async function generateUsageSummary(period) {
       checkLowStock(io);
     });
     
+    // Send queued emails and retry failed ones (every minute)
+    const emailOutboxService = require('./services/emailOutboxService');
+    emailOutboxService.recoverInterrupted().then(() => emailOutboxService.processQueue()).catch(error => {
+      console.error('❌ Email outbox startup error:', error);
+    });
+    cron.schedule('* * * * *', async () => {
+      try {
+        await emailOutboxService.processQueue();
+      } catch (error) {
+        console.error('❌ Email outbox error:', error);
+      }
+    });
+    
+    // Send queued webhook deliveries and retry failed ones (every minute)
+    const webhookService = require('./services/webhookService');
+    webhookService.recoverInterrupted().then(() => webhookService.processQueue()).catch(error => {
+      console.error('❌ Webhook startup error:', error);
+    });
+    cron.schedule('* * * * *', async () => {
+      try {
+        await webhookService.processQueue();
+      } catch (error) {
+        console.error('❌ Webhook delivery error:', error);
+      }
+    });
+    
+    // Expire approved PPE requests that were never collected (every 15 minutes)
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        const approvalWorkflowService = require('./services/approvalWorkflowService');
+        await approvalWorkflowService.expireUncollectedRequests();
+      } catch (error) {
+        console.error('❌ Expire uncollected requests error:', error);
+      }
+    });
+    
+    // Clear old admin inbox notifications (daily at 3 AM)
+    cron.schedule('0 3 * * *', async () => {
+      try {
+        const adminNotificationService = require('./services/adminNotificationService');
+        const removed = await adminNotificationService.purgeOld();
+        if (removed > 0) {
+          console.log(`🧹 Removed ${removed} old admin notifications`);
+        }
+      } catch (error) {
+        console.error('❌ Admin notification cleanup error:', error);
+      }
+    });
+    
+    // Batch expiry alerts (daily at 6 AM)
+    cron.schedule('0 6 * * *', async () => {
+      try {
+        const inventoryManagementService = require('./services/inventoryManagementService');
+        await inventoryManagementService.checkExpiringBatches();
+      } catch (error) {
+        console.error('❌ Batch expiry check error:', error);
+      }
+    });
+    
+    // Inspection due/overdue reminders (daily at 7 AM)
+    cron.schedule('0 7 * * *', async () => {
+      try {
+        const inspectionService = require('./services/inspectionService');
+        await inspectionService.sendDueReminders();
+      } catch (error) {
+        console.error('❌ Inspection reminder error:', error);
+      }
+    });
+    
     // License expiration check (daily at 8 AM)
     cron.schedule('0 8 * * *', async () => {
       console.log('🔒 Running daily license expiration check...');
@@ -722,16 +809,23 @@ async function generateUsageSummary(period) {
       }
     });
     
+    // Send hourly notification digests (on the hour)
+    cron.schedule('0 * * * *', async () => {
+      try {
+        const notificationHelper = require('./services/notificationHelper');
+        await notificationHelper.processScheduledNotifications('hourly');
+      } catch (error) {
+        console.error('❌ Process hourly scheduled notifications error:', error);
+      }
+    });
+    
     // Process scheduled notifications (daily at 6 PM)
     cron.schedule('0 18 * * *', async () => {
       console.log('📅 Processing scheduled notifications...');
       try {
         const notificationHelper = require('./services/notificationHelper');
         
-        // Initialize scheduled notifications table if needed
-        await notificationHelper.initializeScheduledNotificationsTable();
-        
-        // Process daily batched notifications
+        // Send daily digests
         await notificationHelper.processScheduledNotifications('daily');
       } catch (error) {
         console.error('❌ Process scheduled notifications error:', error);
@@ -0,0 +1,394 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const { hasPermission } = require('../middleware/permissions');
+const { createError } = require('../utils/httpError');
+
+// Inbox categories, and the permission a user needs to see each one
+const NOTIFICATION_TYPES = {
+  ppe_request: { name: 'PPE Requests', permission: 'requests.view' },
+  stock_alert: { name: 'Stock Alerts', permission: 'inventory.view' },
+  alert: { name: 'System Alerts', permission: 'inventory.view' },
+  condition_report: { name: 'Condition Reports', permission: 'equipment.view' },
+  equipment: { name: 'Equipment', permission: 'equipment.view' }
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const RETENTION_DAYS = 90;
+
+function alertSeverity(severity) {
+  const value = String(severity || '').toUpperCase();
+  if (value === 'CRITICAL') return 'critical';
+  if (value === 'HIGH' || value === 'MEDIUM') return 'warning';
+  return 'info';
+}
+
+// Socket events that also go into the inbox: each builds { type, title, message, severity, link }
+// from the event payload. Links open the admin dashboard on the tab for the item.
+const EVENT_BUILDERS = {
+  new_ppe_request: (payload) => {
+    const requestId = payload.requestId || payload.id;
+    const itemCount = Array.isArray(payload.items) ? payload.items.length : null;
+    return {
+      type: 'ppe_request',
+      title: payload.entitlementExceeded ? 'New PPE request over entitlement' : 'New PPE request',
+      message: `${payload.staffName || payload.worker || 'A worker'} (${payload.staffId || 'N/A'}) requested ` +
+        (itemCount !== null ? `${itemCount} item(s)` : payload.items || 'PPE'),
+      severity: payload.entitlementExceeded ? 'warning' : 'info',
+      link: `/admin.html?tab=pending-approvals&request=${encodeURIComponent(requestId)}`,
+      entityType: 'ppe_request',
+      entityId: requestId
+    };
+  },
+  low_stock_alert: (payload) => ({
+    type: 'stock_alert',
+    title: `${payload.severity === 'CRITICAL' ? 'Critical' : 'Low'} stock: ${payload.itemName}`,
+    message: `${payload.currentStock} left at ${payload.stationName}`,
+    severity: alertSeverity(payload.severity),
+    link: `/admin.html?tab=stock-alerts&alert=${encodeURIComponent(payload.alertId)}`,
+    entityType: 'alert',
+    entityId: payload.alertId
+  }),
+  new_alert: (payload) => ({
+    type: 'alert',
+    title: payload.title || 'New alert',
+    message: payload.message || '',
+    severity: alertSeverity(payload.severity),
+    link: `/admin.html?tab=stock-alerts&alert=${encodeURIComponent(payload.id)}`,
+    entityType: 'alert',
+    entityId: payload.id
+  }),
+  new_condition_report: (payload) => ({
+    type: 'condition_report',
+    title: `Condition report from ${payload.staffName}`,
+    message: `${payload.location ? `${payload.location}: ` : ''}${String(payload.description || '').substring(0, 140)}`,
+    severity: payload.severity === 'critical' ? 'critical' : payload.severity === 'high' ? 'warning' : 'info',
+    link: `/admin.html?tab=condition-reports&report=${encodeURIComponent(payload.reportId)}`,
+    entityType: 'condition_report',
+    entityId: payload.reportId
+  }),
+  equipment_out_of_service: (payload) => ({
+    type: 'equipment',
+    title: 'Equipment taken out of service',
+    message: `An item failed its inspection${payload.recalledFrom ? ` and was recalled from ${payload.recalledFrom}` : ''}`,
+    severity: 'warning',
+    link: `/admin.html?tab=equipment-register&equipment=${encodeURIComponent(payload.equipmentId)}`,
+    entityType: 'equipment',
+    entityId: payload.equipmentId
+  })
+};
+
+// Persistent inbox for the admin dashboard. Events broadcast to the admin room are
+// stored here too, so they survive a reload; read state is kept per user.
+class AdminNotificationService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * Types the user's role can see
+   */
+  getVisibleTypes(role) {
+    return Object.keys(NOTIFICATION_TYPES).filter(type => hasPermission(role, NOTIFICATION_TYPES[type].permission));
+  }
+
+  /**
+   * Broadcast an event to the admin dashboard and keep it in the inbox. Never throws,
+   * so a notification problem can't fail the request that raised it.
+   * @param {Object} io - socket.io server, may be missing
+   * @param {string} event - Socket event name, e.g. new_ppe_request
+   * @param {Object} payload - Event payload
+   */
+  async notifyAdmins(io, event, payload) {
+    if (io) {
+      io.to('admin_room').emit(event, payload);
+    }
+
+    try {
+      const notification = await this.record(event, payload);
+      if (io && notification) {
+        io.to('admin_room').emit('admin_notification', notification);
+      }
+      return notification;
+    } catch (error) {
+      console.error(`Store ${event} admin notification error:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store an event in the inbox
+   * @returns {Object|null} The notification, or null for events the inbox doesn't keep
+   */
+  async record(event, payload) {
+    const builder = EVENT_BUILDERS[event];
+    if (!builder) {
+      return null;
+    }
+
+    const notification = builder(payload);
+    const id = uuidv4();
+    const db = this.getDatabaseConnection();
+
+    await new Promise((resolve, reject) => {
+      db.run(`
+        INSERT INTO admin_notifications (id, type, event, title, message, severity, link, entity_type, entity_id, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        id, notification.type, event, notification.title, notification.message,
+        SEVERITIES.includes(notification.severity) ? notification.severity : 'info',
+        notification.link, notification.entityType || null,
+        notification.entityId ? String(notification.entityId) : null, JSON.stringify(payload)
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    return {
+      id,
+      type: notification.type,
+      event,
+      title: notification.title,
+      message: notification.message,
+      severity: notification.severity,
+      link: notification.link,
+      entityType: notification.entityType || null,
+      entityId: notification.entityId ? String(notification.entityId) : null,
+      read: false,
+      readAt: null,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * A user's inbox, newest first
+   * @param {Object} user - { id, role } from the auth token
+   * @param {Object} filters - { type, unreadOnly, page, limit }
+   * @returns {Object} { notifications, unreadCount, unreadByType, types, pagination }
+   */
+  async getNotifications(user, filters = {}) {
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(filters.limit) || 20));
+
+    try {
+      const db = this.getDatabaseConnection();
+      const visibleTypes = this.getVisibleTypes(user.role);
+
+      if (filters.type && !NOTIFICATION_TYPES[filters.type]) {
+        throw createError(`type must be one of: ${Object.keys(NOTIFICATION_TYPES).join(', ')}`, 400);
+      }
+
+      const types = filters.type ? visibleTypes.filter(type => type === filters.type) : visibleTypes;
+      const counts = await this.getUnreadCounts(user);
+      const typeList = visibleTypes.map(type => ({ type, name: NOTIFICATION_TYPES[type].name }));
+
+      if (types.length === 0) {
+        return { notifications: [], ...counts, types: typeList, pagination: { page, limit, total: 0, pages: 0 } };
+      }
+
+      let where = `WHERE n.type IN (${types.map(() => '?').join(', ')})`;
+      const params = [...types];
+      if (filters.unreadOnly === true || filters.unreadOnly === 'true') {
+        where += ' AND r.read_at IS NULL';
+      }
+
+      const [rows, total] = await Promise.all([
+        new Promise((resolve, reject) => {
+          db.all(`
+            SELECT n.*, r.read_at
+            FROM admin_notifications n
+            LEFT JOIN admin_notification_reads r ON r.notification_id = n.id AND r.user_id = ?
+            ${where}
+            ORDER BY n.created_at DESC, n.rowid DESC
+            LIMIT ? OFFSET ?
+          `, [user.id, ...params, limit, (page - 1) * limit], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        }),
+        new Promise((resolve, reject) => {
+          db.get(`
+            SELECT COUNT(*) as count
+            FROM admin_notifications n
+            LEFT JOIN admin_notification_reads r ON r.notification_id = n.id AND r.user_id = ?
+            ${where}
+          `, [user.id, ...params], (err, row) => {
+            if (err) reject(err);
+            else resolve(row.count);
+          });
+        })
+      ]);
+
+      return {
+        notifications: rows.map(row => this.formatNotification(row)),
+        ...counts,
+        types: typeList,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Get admin notifications error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Object} { unreadCount, unreadByType: { type: count } }
+   */
+  async getUnreadCounts(user) {
+    try {
+      const db = this.getDatabaseConnection();
+      const visibleTypes = this.getVisibleTypes(user.role);
+      const unreadByType = Object.fromEntries(visibleTypes.map(type => [type, 0]));
+
+      if (visibleTypes.length > 0) {
+        const rows = await new Promise((resolve, reject) => {
+          db.all(`
+            SELECT n.type, COUNT(*) as count
+            FROM admin_notifications n
+            LEFT JOIN admin_notification_reads r ON r.notification_id = n.id AND r.user_id = ?
+            WHERE r.read_at IS NULL AND n.type IN (${visibleTypes.map(() => '?').join(', ')})
+            GROUP BY n.type
+          `, [user.id, ...visibleTypes], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        });
+        rows.forEach(row => { unreadByType[row.type] = row.count; });
+      }
+
+      return {
+        unreadCount: Object.values(unreadByType).reduce((sum, count) => sum + count, 0),
+        unreadByType
+      };
+    } catch (error) {
+      console.error('Get admin notification counts error:', error);
+      throw error;
+    }
+  }
+
+  async markRead(notificationId, user) {
+    try {
+      const db = this.getDatabaseConnection();
+
+      const notification = await new Promise((resolve, reject) => {
+        db.get('SELECT id, type FROM admin_notifications WHERE id = ?', [notificationId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      if (!notification || !this.getVisibleTypes(user.role).includes(notification.type)) {
+        throw createError('Notification not found', 404);
+      }
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT OR IGNORE INTO admin_notification_reads (notification_id, user_id, read_at)
+          VALUES (?, ?, CURRENT_TIMESTAMP)
+        `, [notificationId, user.id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      return this.getUnreadCounts(user);
+    } catch (error) {
+      console.error('Mark admin notification read error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark everything the user can see as read, or just one type
+   */
+  async markAllRead(user, type = null) {
+    try {
+      if (type && !NOTIFICATION_TYPES[type]) {
+        throw createError(`type must be one of: ${Object.keys(NOTIFICATION_TYPES).join(', ')}`, 400);
+      }
+
+      const db = this.getDatabaseConnection();
+      const types = this.getVisibleTypes(user.role).filter(visible => !type || visible === type);
+
+      let marked = 0;
+      if (types.length > 0) {
+        marked = await new Promise((resolve, reject) => {
+          db.run(`
+            INSERT OR IGNORE INTO admin_notification_reads (notification_id, user_id, read_at)
+            SELECT id, ?, CURRENT_TIMESTAMP FROM admin_notifications
+            WHERE type IN (${types.map(() => '?').join(', ')})
+          `, [user.id, ...types], function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+          });
+        });
+      }
+
+      return { marked, ...(await this.getUnreadCounts(user)) };
+    } catch (error) {
+      console.error('Mark all admin notifications read error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop notifications older than the retention period, with their read state
+   */
+  async purgeOld() {
+    const db = this.getDatabaseConnection();
+    const cutoff = `-${RETENTION_DAYS} days`;
+
+    await new Promise((resolve, reject) => {
+      db.run(`
+        DELETE FROM admin_notification_reads WHERE notification_id IN (
+          SELECT id FROM admin_notifications WHERE created_at < datetime('now', ?)
+        )
+      `, [cutoff], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      db.run(`DELETE FROM admin_notifications WHERE created_at < datetime('now', ?)`, [cutoff], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  formatNotification(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      event: row.event,
+      title: row.title,
+      message: row.message,
+      severity: row.severity,
+      link: row.link,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      read: Boolean(row.read_at),
+      readAt: row.read_at || null,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new AdminNotificationService();
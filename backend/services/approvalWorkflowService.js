@@ -3,6 +3,16 @@ const { getDb } = require('../database/init');
 const auditService = require('./auditService');
 const emailService = require('./emailService');
 const inventoryManagementService = require('./inventoryManagementService');
+const staffPPEService = require('./staffPPEService');
+const entitlementService = require('./entitlementService');
+const webhookService = require('./webhookService');
+
+// Used when no approval chain rule matches a request
+const DEFAULT_APPROVAL_CHAIN = ['SAFETY_OFFICER'];
+const APPROVAL_STEP_ROLES = ['SUPERVISOR', 'SAFETY_OFFICER', 'STORE_PERSONNEL', 'ADMIN'];
+
+// Approved requests must be collected within this window or they expire
+const COLLECTION_WINDOW_HOURS = parseInt(process.env.PPE_COLLECTION_WINDOW_HOURS) || 48;
 
 class ApprovalWorkflowService {
   constructor() {
@@ -77,6 +87,12 @@ class ApprovalWorkflowService {
           console.error(`Error getting items for request ${request.id}:`, itemError);
           request.requested_items = 'Error loading items';
         }
+
+        try {
+          request.approval_chain = JSON.stringify(await this.getRequestApprovalChain(request));
+        } catch (chainError) {
+          console.error(`Error resolving approval chain for request ${request.id}:`, chainError);
+        }
       }
 
       return requests;
@@ -86,6 +102,32 @@ class ApprovalWorkflowService {
     }
   }
 
+  /**
+   * Tell webhook subscribers about a decision on a request. Never throws.
+   */
+  async emitRequestWebhook(event, requestId, decision) {
+    try {
+      const { request, items } = await this.getRequestDetails(requestId);
+      await webhookService.emit(event, {
+        requestId,
+        status: request.status,
+        stationId: request.station_id,
+        stationName: request.station_name,
+        staffId: request.staff_id,
+        staffName: request.staff_name,
+        department: request.department,
+        items: items.map(item => ({
+          ppeItemId: item.ppe_item_id,
+          name: item.item_name,
+          quantity: item.quantity
+        })),
+        ...decision
+      });
+    } catch (error) {
+      console.error(`Emit ${event} webhook error:`, error);
+    }
+  }
+
   /**
    * Get detailed PPE request for approval review
    */
@@ -141,11 +183,14 @@ class ApprovalWorkflowService {
   }
 
   /**
-   * Approve PPE request
+   * Approve PPE request.
+   * Requests covered by an approval chain stay PENDING until every step is
+   * approved; only the final step approves the request and opens its collection
+   * window. Stock is deducted later, by issueRequest, when the worker collects.
    */
   async approveRequest(requestId, approvalData) {
     try {
-      const { approvedBy, notes, approvalDate = new Date() } = approvalData;
+      const { approvedBy, approverRole, approverDepartment, notes, approvalDate = new Date() } = approvalData;
 
       // Get current request
       const currentRequest = await new Promise((resolve, reject) => {
@@ -163,57 +208,91 @@ class ApprovalWorkflowService {
         throw new Error(`Request is not pending approval. Current status: ${currentRequest.status}`);
       }
 
-      // Update request status
-      await new Promise((resolve, reject) => {
-        this.getDatabase().run(`
-          UPDATE ppe_requests 
-          SET 
-            status = 'APPROVED',
-            updated_at = CURRENT_TIMESTAMP
-          WHERE id = ?
-        `, [requestId], function(err) {
+      const chain = await this.getRequestApprovalChain(currentRequest);
+      const stepIndex = currentRequest.current_approval_step || 0;
+      const stepRole = chain[stepIndex];
+
+      await this.assertCanApproveStep(currentRequest, {
+        approvedBy,
+        approverRole,
+        approverDepartment,
+        stepIndex,
+        stepRole
+      });
+
+      const isFinalStep = stepIndex >= chain.length - 1;
+
+      // Move the request on first - only if nobody else decided this step in the
+      // meantime. The final step approves it; earlier steps advance the chain and
+      // leave it pending.
+      const { changes } = await new Promise((resolve, reject) => {
+        const query = isFinalStep
+          ? `
+            UPDATE ppe_requests 
+            SET 
+              status = 'APPROVED',
+              collection_expires_at = datetime('now', '+' || ? || ' hours'),
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'PENDING' AND COALESCE(current_approval_step, 0) = ?
+          `
+          : `
+            UPDATE ppe_requests 
+            SET 
+              current_approval_step = ?,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'PENDING' AND COALESCE(current_approval_step, 0) = ?
+          `;
+        const params = isFinalStep
+          ? [COLLECTION_WINDOW_HOURS, requestId, stepIndex]
+          : [stepIndex + 1, requestId, stepIndex];
+
+        this.getDatabase().run(query, params, function(err) {
           if (err) reject(err);
           else resolve({ changes: this.changes });
         });
       });
 
-      // Create approval record
+      if (changes === 0) {
+        const error = new Error('Request is no longer pending approval');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      // Create approval record for this step
       const approvalId = uuidv4();
       await new Promise((resolve, reject) => {
         this.getDatabase().run(`
           INSERT INTO approval_records (
-            id, request_id, approved_by, approval_date, notes, action
-          ) VALUES (?, ?, ?, ?, ?, ?)
-        `, [approvalId, requestId, approvedBy, approvalDate, notes, 'APPROVED'], function(err) {
+            id, request_id, approved_by, approval_date, notes, action, step_index, step_role
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [approvalId, requestId, approvedBy, approvalDate, notes, isFinalStep ? 'APPROVED' : 'STEP_APPROVED', stepIndex, stepRole], function(err) {
           if (err) reject(err);
           else resolve({ id: approvalId });
         });
       });
 
-      // Get request items for inventory update
-      const requestItems = await new Promise((resolve, reject) => {
-        this.getDatabase().all(`
-          SELECT * FROM ppe_request_items WHERE request_id = ?
-        `, [requestId], (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
+      if (!isFinalStep) {
+
+        await auditService.logAction({
+          userId: approvedBy,
+          action: 'APPROVE_PPE_REQUEST_STEP',
+          resourceType: 'PPE_REQUEST',
+          resourceId: requestId,
+          oldValues: currentRequest,
+          newValues: { stepIndex, stepRole, nextStepRole: chain[stepIndex + 1], approvedBy, notes },
+          ipAddress: approvalData.ipAddress,
+          userAgent: approvalData.userAgent
         });
-      });
 
-      // Update inventory (deduct stock) with threshold checking
-      for (const item of requestItems) {
-        try {
-          await inventoryManagementService.updateStock(
-            currentRequest.station_id,
-            item.ppe_item_id,
-            item.quantity,
-            'SUBTRACT',
-            approvedBy
-          );
-        } catch (stockError) {
-          console.error('Stock update failed:', stockError);
-          // Continue with approval even if stock update fails
-        }
+        return {
+          success: true,
+          approvalId,
+          requestId,
+          finalStep: false,
+          stepIndex,
+          totalSteps: chain.length,
+          nextStepRole: chain[stepIndex + 1]
+        };
       }
 
       // Log audit trail
@@ -228,6 +307,12 @@ class ApprovalWorkflowService {
         userAgent: approvalData.userAgent
       });
 
+      await this.emitRequestWebhook('ppe_request.approved', requestId, {
+        approvedBy: approvalData.approverName || approvedBy,
+        approvalNotes: notes || null,
+        collectionWindowHours: COLLECTION_WINDOW_HOURS
+      });
+
       // Send email notification to Store Personnel
       try {
         const requestDetails = await this.getRequestDetails(requestId);
@@ -237,6 +322,7 @@ class ApprovalWorkflowService {
           staffId: requestDetails.request.staff_id || 'N/A',
           department: requestDetails.request.department || 'N/A',
           items: requestDetails.items.map(item => `${item.item_name} (${item.quantity})`).join(', '),
+          requestItems: requestDetails.items.map(item => ({ name: item.item_name, quantity: item.quantity })),
           stationName: requestDetails.request.station_name,
           approvedBy: approvalData.approverName || approvedBy,
           approvalNotes: notes
@@ -247,7 +333,7 @@ class ApprovalWorkflowService {
         console.error('Failed to send approval notification email:', emailError);
       }
 
-      return { success: true, approvalId, requestId };
+      return { success: true, approvalId, requestId, finalStep: true, stepIndex, totalSteps: chain.length };
     } catch (error) {
       console.error('Approve request error:', error);
       throw error;
@@ -277,33 +363,59 @@ class ApprovalWorkflowService {
         throw new Error(`Request is not pending approval. Current status: ${currentRequest.status}`);
       }
 
-      // Update request status
-      await new Promise((resolve, reject) => {
+      // Any step in the chain may reject; check the rejector may act on this step first
+      const chain = await this.getRequestApprovalChain(currentRequest);
+      const stepIndex = currentRequest.current_approval_step || 0;
+      const stepRole = chain[stepIndex];
+
+      await this.assertCanApproveStep(currentRequest, {
+        approvedBy: rejectedBy,
+        approverRole: rejectionData.rejectorRole,
+        approverDepartment: rejectionData.rejectorDepartment,
+        stepIndex,
+        stepRole
+      });
+
+      // Update request status - only if nobody else decided it in the meantime
+      const { changes } = await new Promise((resolve, reject) => {
         this.getDatabase().run(`
           UPDATE ppe_requests 
           SET 
             status = 'REJECTED',
             updated_at = CURRENT_TIMESTAMP
-          WHERE id = ?
+          WHERE id = ? AND status = 'PENDING'
         `, [requestId], function(err) {
           if (err) reject(err);
           else resolve({ changes: this.changes });
         });
       });
 
+      if (changes === 0) {
+        const error = new Error('Request is no longer pending approval');
+        error.statusCode = 409;
+        throw error;
+      }
+
       // Create rejection record
       const rejectionId = uuidv4();
       await new Promise((resolve, reject) => {
         this.getDatabase().run(`
           INSERT INTO approval_records (
-            id, request_id, approved_by, approval_date, notes, action
-          ) VALUES (?, ?, ?, ?, ?, ?)
-        `, [rejectionId, requestId, rejectedBy, rejectionDate, reason, 'REJECTED'], function(err) {
+            id, request_id, approved_by, approval_date, notes, action, step_index, step_role
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [rejectionId, requestId, rejectedBy, rejectionDate, reason, 'REJECTED', stepIndex, stepRole], function(err) {
           if (err) reject(err);
           else resolve({ id: rejectionId });
         });
       });
 
+      // Give the reserved units back to the station
+      try {
+        await inventoryManagementService.releaseRequestReservations(requestId);
+      } catch (releaseError) {
+        console.error('Failed to release reserved stock:', releaseError);
+      }
+
       // Log audit trail
       await auditService.logAction({
         userId: rejectedBy,
@@ -316,6 +428,11 @@ class ApprovalWorkflowService {
         userAgent: rejectionData.userAgent
       });
 
+      await this.emitRequestWebhook('ppe_request.rejected', requestId, {
+        rejectedBy: rejectionData.rejectorName || rejectedBy,
+        rejectionReason: reason || null
+      });
+
       // Send email notification to Store Personnel about rejection
       try {
         const requestDetails = await this.getRequestDetails(requestId);
@@ -325,6 +442,7 @@ class ApprovalWorkflowService {
           staffId: requestDetails.request.staff_id || 'N/A',
           department: requestDetails.request.department || 'N/A',
           items: requestDetails.items.map(item => `${item.item_name} (${item.quantity})`).join(', '),
+          requestItems: requestDetails.items.map(item => ({ name: item.item_name, quantity: item.quantity })),
           rejectedBy: rejectionData.rejectorName || rejectedBy,
           rejectionReason: reason
         };
@@ -341,6 +459,633 @@ class ApprovalWorkflowService {
     }
   }
 
+  /**
+   * Get approved requests waiting to be collected
+   * @param {Object} filters - Optional stationId / staffId filters
+   */
+  async getAwaitingCollection({ stationId, staffId } = {}) {
+    try {
+      let query = `
+        SELECT 
+          pr.*,
+          s.name as station_name,
+          s.location as station_location,
+          sd.name as staff_name,
+          sd.department
+        FROM ppe_requests pr
+        LEFT JOIN stations s ON pr.station_id = s.id
+        LEFT JOIN staff_directory sd ON pr.staff_id = sd.staff_id
+        WHERE pr.status = 'APPROVED'
+          AND (pr.collection_expires_at IS NULL OR pr.collection_expires_at > datetime('now'))
+      `;
+      const params = [];
+
+      if (stationId) {
+        query += ' AND pr.station_id = ?';
+        params.push(stationId);
+      }
+
+      if (staffId) {
+        query += ' AND UPPER(pr.staff_id) = UPPER(?)';
+        params.push(staffId);
+      }
+
+      query += ' ORDER BY pr.collection_expires_at ASC';
+
+      const requests = await new Promise((resolve, reject) => {
+        this.getDatabase().all(query, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      for (const request of requests) {
+        request.items = await new Promise((resolve, reject) => {
+          this.getDatabase().all(`
+            SELECT pri.*, pi.name as item_name, pi.type as item_type
+            FROM ppe_request_items pri
+            JOIN ppe_items pi ON pri.ppe_item_id = pi.id
+            WHERE pri.request_id = ?
+          `, [request.id], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+          });
+        });
+      }
+
+      return requests;
+    } catch (error) {
+      console.error('Get awaiting collection error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm the worker has collected an approved request.
+   * The scanned staff ID must match the requester; stock is deducted here.
+   */
+  async issueRequest(requestId, issueData) {
+    try {
+      const { issuedBy, scannedStaffId } = issueData;
+
+      const currentRequest = await new Promise((resolve, reject) => {
+        this.getDatabase().get(`
+          SELECT *, (collection_expires_at IS NOT NULL AND collection_expires_at <= datetime('now')) as is_expired
+          FROM ppe_requests WHERE id = ?
+        `, [requestId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!currentRequest) {
+        throw new Error('Request not found');
+      }
+
+      if (currentRequest.status !== 'APPROVED') {
+        throw new Error(`Request is not awaiting collection. Current status: ${currentRequest.status}`);
+      }
+
+      // A partly issued request can't expire, so the rest of it can still be collected
+      if (currentRequest.is_expired && await this.expireRequest(currentRequest)) {
+        throw new Error('Collection window has expired for this request');
+      }
+
+      if (!scannedStaffId || (currentRequest.staff_id || '').toUpperCase() !== scannedStaffId.toUpperCase()) {
+        const error = new Error('Scanned staff ID does not match the requester');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const requestItems = await new Promise((resolve, reject) => {
+        this.getDatabase().all(`
+          SELECT * FROM ppe_request_items WHERE request_id = ? AND issued = 0
+        `, [requestId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      // Deduct stock with threshold checking; an item that can't be deducted
+      // stays un-issued so the request can be retried after restocking
+      const failedItems = [];
+      const issuedItems = [];
+      for (const item of requestItems) {
+        try {
+          await inventoryManagementService.updateStock(
+            currentRequest.station_id,
+            item.ppe_item_id,
+            item.quantity,
+            'SUBTRACT',
+            issuedBy,
+            { movement: { reason: 'ISSUE', referenceType: 'PPE_REQUEST', referenceId: requestId } }
+          );
+
+          // The reservation made at submission is consumed by the deduction
+          if (item.reserved_quantity > 0) {
+            await inventoryManagementService.releaseStock(currentRequest.station_id, item.ppe_item_id, item.reserved_quantity);
+          }
+
+          await new Promise((resolve, reject) => {
+            this.getDatabase().run(`UPDATE ppe_request_items SET issued = 1, reserved_quantity = 0 WHERE id = ?`, [item.id], function(err) {
+              if (err) reject(err);
+              else resolve();
+            });
+          });
+          issuedItems.push(item);
+        } catch (stockError) {
+          console.error('Stock update failed:', stockError);
+          failedItems.push({ ppeItemId: item.ppe_item_id, quantity: item.quantity, error: stockError.message });
+        }
+      }
+
+      // Track what the requester now holds so return/overdue reports pick it up
+      if (issuedItems.length > 0 && currentRequest.staff_id) {
+        try {
+          await staffPPEService.assignRequestItems(currentRequest, issuedItems, issueData);
+        } catch (assignError) {
+          console.error('Failed to create staff assignments:', assignError);
+        }
+      }
+
+      if (failedItems.length > 0) {
+        return { success: false, requestId, status: 'APPROVED', failedItems };
+      }
+
+      await new Promise((resolve, reject) => {
+        this.getDatabase().run(`
+          UPDATE ppe_requests 
+          SET 
+            status = 'ISSUED',
+            issued_at = CURRENT_TIMESTAMP,
+            issued_by = ?,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [issuedBy, requestId], function(err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes });
+        });
+      });
+
+      await auditService.logAction({
+        userId: issuedBy,
+        action: 'ISSUE_PPE_REQUEST',
+        resourceType: 'PPE_REQUEST',
+        resourceId: requestId,
+        oldValues: { status: currentRequest.status },
+        newValues: { status: 'ISSUED', issuedBy, scannedStaffId },
+        ipAddress: issueData.ipAddress,
+        userAgent: issueData.userAgent
+      });
+
+      return { success: true, requestId, status: 'ISSUED' };
+    } catch (error) {
+      console.error('Issue request error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a request (PENDING or APPROVED only) and release its reserved stock.
+   * A request with items already issued can't be cancelled.
+   * Either staffId is the requester, already identified from their badge, or
+   * cancelledBy is the approver cancelling it.
+   */
+  async cancelRequest(requestId, { staffId, cancelledBy = null, reason, ipAddress, userAgent }) {
+    try {
+      const currentRequest = await new Promise((resolve, reject) => {
+        this.getDatabase().get(`SELECT * FROM ppe_requests WHERE id = ?`, [requestId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!currentRequest) {
+        throw new Error('Request not found');
+      }
+
+      // Approvers (cancelledBy) may cancel any request; workers only their own
+      if (!cancelledBy && (!staffId || (currentRequest.staff_id || '').toUpperCase() !== staffId.toUpperCase())) {
+        const error = new Error('Only the requester can cancel this request');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      if (!['PENDING', 'APPROVED'].includes(currentRequest.status)) {
+        throw new Error(`Request cannot be cancelled. Current status: ${currentRequest.status}`);
+      }
+
+      // Only if it wasn't decided, issued or cancelled in the meantime
+      const { changes } = await new Promise((resolve, reject) => {
+        this.getDatabase().run(`
+          UPDATE ppe_requests 
+          SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status IN ('PENDING', 'APPROVED')
+            AND NOT EXISTS (SELECT 1 FROM ppe_request_items WHERE request_id = ppe_requests.id AND issued = 1)
+        `, [requestId], function(err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes });
+        });
+      });
+
+      if (changes === 0) {
+        const error = new Error('Request can no longer be cancelled: it has changed or some items were already issued');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      await inventoryManagementService.releaseRequestReservations(requestId);
+
+      await auditService.logAction({
+        userId: cancelledBy || staffId,
+        action: 'CANCEL_PPE_REQUEST',
+        resourceType: 'PPE_REQUEST',
+        resourceId: requestId,
+        oldValues: { status: currentRequest.status },
+        newValues: { status: 'CANCELLED', reason, cancelledBy: cancelledBy || staffId },
+        ipAddress,
+        userAgent
+      });
+
+      return { success: true, requestId, status: 'CANCELLED' };
+    } catch (error) {
+      console.error('Cancel request error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a single uncollected request as expired. A request with items already
+   * issued is left as it is.
+   * @returns {boolean} true if the request was expired
+   */
+  async expireRequest(request) {
+    const { changes } = await new Promise((resolve, reject) => {
+      this.getDatabase().run(`
+        UPDATE ppe_requests 
+        SET status = 'EXPIRED', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'APPROVED'
+          AND NOT EXISTS (SELECT 1 FROM ppe_request_items WHERE request_id = ppe_requests.id AND issued = 1)
+      `, [request.id], function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+    });
+
+    if (changes === 0) {
+      return false;
+    }
+
+    await inventoryManagementService.releaseRequestReservations(request.id);
+
+    await auditService.logAction({
+      userId: 'system',
+      action: 'EXPIRE_PPE_REQUEST',
+      resourceType: 'PPE_REQUEST',
+      resourceId: request.id,
+      oldValues: { status: 'APPROVED', collection_expires_at: request.collection_expires_at },
+      newValues: { status: 'EXPIRED' }
+    });
+
+    return true;
+  }
+
+  /**
+   * Expire approved requests that were not collected in time
+   */
+  async expireUncollectedRequests() {
+    try {
+      const expired = await new Promise((resolve, reject) => {
+        this.getDatabase().all(`
+          SELECT * FROM ppe_requests
+          WHERE status = 'APPROVED'
+            AND collection_expires_at IS NOT NULL
+            AND collection_expires_at <= datetime('now')
+            AND NOT EXISTS (SELECT 1 FROM ppe_request_items WHERE request_id = ppe_requests.id AND issued = 1)
+        `, [], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      for (const request of expired) {
+        await this.expireRequest(request);
+      }
+
+      if (expired.length > 0) {
+        console.log(`⏰ Expired ${expired.length} uncollected PPE request(s)`);
+      }
+
+      return { expired: expired.length };
+    } catch (error) {
+      console.error('Expire uncollected requests error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the approval chain (ordered list of roles) for a request.
+   * The chain is resolved from the active rules on first use and stored on
+   * the request so later rule changes don't affect in-flight approvals.
+   */
+  async getRequestApprovalChain(request) {
+    if (request.approval_chain) {
+      try {
+        const stored = JSON.parse(request.approval_chain);
+        if (Array.isArray(stored) && stored.length > 0) return stored;
+      } catch (parseError) {
+        console.warn(`⚠️ Invalid approval chain on request ${request.id}, re-resolving`);
+      }
+    }
+
+    const chain = await this.resolveApprovalChain(request.id);
+
+    await new Promise((resolve, reject) => {
+      this.getDatabase().run(`
+        UPDATE ppe_requests SET approval_chain = ? WHERE id = ?
+      `, [JSON.stringify(chain), request.id], function(err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    return chain;
+  }
+
+  /**
+   * Work out which approval steps a request needs from the active chain rules.
+   * Steps from all matching rules are merged in priority order without duplicates.
+   * Entitlements the request exceeded with REQUIRE_APPROVAL add their approver last.
+   */
+  async resolveApprovalChain(requestId) {
+    try {
+      const items = await new Promise((resolve, reject) => {
+        this.getDatabase().all(`
+          SELECT pri.quantity, pi.type, COALESCE(pi.unit_cost, 0) as unit_cost
+          FROM ppe_request_items pri
+          JOIN ppe_items pi ON pri.ppe_item_id = pi.id
+          WHERE pri.request_id = ?
+        `, [requestId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      const totalCost = items.reduce((sum, item) => sum + item.quantity * item.unit_cost, 0);
+      const itemTypes = items.map(item => (item.type || '').toLowerCase());
+
+      const rules = await this.getApprovalChainRules({ activeOnly: true });
+      const chain = [];
+
+      for (const rule of rules) {
+        const matches = rule.rule_type === 'COST_THRESHOLD'
+          ? totalCost > rule.cost_threshold
+          : itemTypes.includes((rule.ppe_type || '').toLowerCase());
+
+        if (matches) {
+          rule.steps.forEach(step => {
+            if (!chain.includes(step)) chain.push(step);
+          });
+        }
+      }
+
+      if (chain.length === 0) {
+        chain.push(...DEFAULT_APPROVAL_CHAIN);
+      }
+
+      const request = await new Promise((resolve, reject) => {
+        this.getDatabase().get(`SELECT entitlement_breaches FROM ppe_requests WHERE id = ?`, [requestId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      entitlementService.parseBreaches(request && request.entitlement_breaches)
+        .filter(breach => breach.action === 'REQUIRE_APPROVAL' && breach.approverRole)
+        .forEach(breach => {
+          if (!chain.includes(breach.approverRole)) chain.push(breach.approverRole);
+        });
+
+      return chain;
+    } catch (error) {
+      console.error('Resolve approval chain error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify the approver may act on the current step of a request
+   */
+  async assertCanApproveStep(request, { approvedBy, approverRole, approverDepartment, stepIndex, stepRole }) {
+    const isAdmin = approverRole === 'ADMIN' || approverRole === 'SUPER_ADMIN';
+
+    if (!isAdmin && approverRole !== stepRole) {
+      const error = new Error(`This approval step requires the ${stepRole} role`);
+      error.statusCode = 403;
+      throw error;
+    }
+
+    // Supervisors may only act on requests from their own department
+    if (!isAdmin && stepRole === 'SUPERVISOR') {
+      const staff = await new Promise((resolve, reject) => {
+        this.getDatabase().get(`SELECT department FROM staff_directory WHERE staff_id = ?`, [request.staff_id], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      const requestDepartment = staff?.department || request.staff_department;
+
+      if (requestDepartment && requestDepartment !== approverDepartment) {
+        const error = new Error('Supervisors can only approve requests from their own department');
+        error.statusCode = 403;
+        throw error;
+      }
+    }
+
+    // The same person cannot sign off more than one step
+    if (stepIndex > 0) {
+      const previous = await new Promise((resolve, reject) => {
+        this.getDatabase().get(`
+          SELECT id FROM approval_records
+          WHERE request_id = ? AND approved_by = ? AND action = 'STEP_APPROVED'
+        `, [request.id, approvedBy], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (previous) {
+        const error = new Error('You have already approved an earlier step of this request');
+        error.statusCode = 403;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get approval chain rules
+   */
+  async getApprovalChainRules({ activeOnly = false } = {}) {
+    try {
+      const rules = await new Promise((resolve, reject) => {
+        this.getDatabase().all(`
+          SELECT * FROM approval_chain_rules
+          ${activeOnly ? 'WHERE active = 1' : ''}
+          ORDER BY priority DESC, created_at ASC
+        `, [], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      return rules.map(rule => ({ ...rule, steps: JSON.parse(rule.steps || '[]') }));
+    } catch (error) {
+      console.error('Get approval chain rules error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate approval chain rule input
+   */
+  validateChainRule({ name, ruleType, costThreshold, ppeType, steps }) {
+    if (!name) {
+      throw new Error('Rule name is required');
+    }
+    if (!['COST_THRESHOLD', 'PPE_TYPE'].includes(ruleType)) {
+      throw new Error('ruleType must be COST_THRESHOLD or PPE_TYPE');
+    }
+    if (ruleType === 'COST_THRESHOLD' && !(parseFloat(costThreshold) >= 0)) {
+      throw new Error('costThreshold is required for COST_THRESHOLD rules');
+    }
+    if (ruleType === 'PPE_TYPE' && !ppeType) {
+      throw new Error('ppeType is required for PPE_TYPE rules');
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('At least one approval step is required');
+    }
+    const invalid = steps.filter(step => !APPROVAL_STEP_ROLES.includes(step));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid approval step role(s): ${invalid.join(', ')}`);
+    }
+  }
+
+  /**
+   * Create approval chain rule
+   */
+  async createApprovalChainRule(ruleData, createdBy) {
+    try {
+      this.validateChainRule(ruleData);
+
+      const ruleId = uuidv4();
+      const { name, ruleType, costThreshold, ppeType, steps, priority = 0 } = ruleData;
+
+      await new Promise((resolve, reject) => {
+        this.getDatabase().run(`
+          INSERT INTO approval_chain_rules (
+            id, name, rule_type, cost_threshold, ppe_type, steps, priority, created_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          ruleId, name, ruleType,
+          ruleType === 'COST_THRESHOLD' ? parseFloat(costThreshold) : null,
+          ruleType === 'PPE_TYPE' ? ppeType : null,
+          JSON.stringify(steps), parseInt(priority) || 0, createdBy
+        ], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId: createdBy,
+        action: 'CREATE',
+        resourceType: 'APPROVAL_CHAIN_RULE',
+        resourceId: ruleId,
+        newValues: ruleData
+      });
+
+      return { success: true, ruleId };
+    } catch (error) {
+      console.error('Create approval chain rule error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update approval chain rule
+   */
+  async updateApprovalChainRule(ruleId, ruleData, updatedBy) {
+    try {
+      this.validateChainRule(ruleData);
+
+      const { name, ruleType, costThreshold, ppeType, steps, priority = 0, active = true } = ruleData;
+
+      const changes = await new Promise((resolve, reject) => {
+        this.getDatabase().run(`
+          UPDATE approval_chain_rules
+          SET name = ?, rule_type = ?, cost_threshold = ?, ppe_type = ?, steps = ?,
+              priority = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [
+          name, ruleType,
+          ruleType === 'COST_THRESHOLD' ? parseFloat(costThreshold) : null,
+          ruleType === 'PPE_TYPE' ? ppeType : null,
+          JSON.stringify(steps), parseInt(priority) || 0, active ? 1 : 0, ruleId
+        ], function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        });
+      });
+
+      if (changes === 0) {
+        throw new Error('Approval chain rule not found');
+      }
+
+      await auditService.logAction({
+        userId: updatedBy,
+        action: 'UPDATE',
+        resourceType: 'APPROVAL_CHAIN_RULE',
+        resourceId: ruleId,
+        newValues: ruleData
+      });
+
+      return { success: true, ruleId };
+    } catch (error) {
+      console.error('Update approval chain rule error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete approval chain rule
+   */
+  async deleteApprovalChainRule(ruleId, deletedBy) {
+    try {
+      const changes = await new Promise((resolve, reject) => {
+        this.getDatabase().run(`DELETE FROM approval_chain_rules WHERE id = ?`, [ruleId], function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        });
+      });
+
+      if (changes === 0) {
+        throw new Error('Approval chain rule not found');
+      }
+
+      await auditService.logAction({
+        userId: deletedBy,
+        action: 'DELETE',
+        resourceType: 'APPROVAL_CHAIN_RULE',
+        resourceId: ruleId
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete approval chain rule error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get approval history for a request
    */
@@ -355,7 +1100,7 @@ class ApprovalWorkflowService {
           FROM approval_records ar
           LEFT JOIN users u ON ar.approved_by = u.id
           WHERE ar.request_id = ?
-          ORDER BY ar.approval_date DESC
+          ORDER BY ar.step_index DESC, ar.approval_date DESC
         `, [requestId], (err, rows) => {
           if (err) reject(err);
           else resolve(rows);
@@ -379,7 +1124,10 @@ class ApprovalWorkflowService {
           SELECT 
             COUNT(*) as total_requests,
             SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) as pending_requests,
-            SUM(CASE WHEN status = 'APPROVED' THEN 1 ELSE 0 END) as approved_requests,
+            SUM(CASE WHEN status IN ('APPROVED', 'ISSUED') THEN 1 ELSE 0 END) as approved_requests,
+            SUM(CASE WHEN status = 'APPROVED' THEN 1 ELSE 0 END) as awaiting_collection,
+            SUM(CASE WHEN status = 'ISSUED' THEN 1 ELSE 0 END) as issued_requests,
+            SUM(CASE WHEN status = 'EXPIRED' THEN 1 ELSE 0 END) as expired_requests,
             SUM(CASE WHEN status = 'REJECTED' THEN 1 ELSE 0 END) as rejected_requests,
             AVG(
               CASE 
@@ -0,0 +1,482 @@
+const { v4: uuidv4 } = require('uuid');
+const PDFDocument = require('pdfkit');
+const { getDb } = require('../database/init');
+const auditService = require('./auditService');
+const { createError } = require('../utils/httpError');
+
+const SCOPE_TYPES = ['DEPARTMENT', 'POSITION'];
+
+class ComplianceService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * List mandatory PPE definitions
+   * @param {Object} filters - { scopeType, scopeValue }
+   */
+  async getRequirements(filters = {}) {
+    const { scopeType, scopeValue } = filters;
+    const db = this.getDatabaseConnection();
+
+    let query = `
+      SELECT r.*, pi.name as item_name, pi.symbol, pi.type as item_type
+      FROM ppe_requirements r
+      JOIN ppe_items pi ON r.ppe_item_id = pi.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (scopeType) {
+      query += ' AND r.scope_type = ?';
+      params.push(scopeType);
+    }
+    if (scopeValue) {
+      query += ' AND UPPER(r.scope_value) = UPPER(?)';
+      params.push(scopeValue);
+    }
+
+    query += ' ORDER BY r.scope_type ASC, r.scope_value ASC, pi.name ASC';
+
+    return new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async getRequirementById(id) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM ppe_requirements WHERE id = ?', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  /**
+   * Make a PPE type mandatory for a department or position
+   */
+  async createRequirement({ scopeType, scopeValue, ppeItemId, quantity = 1, notes }, context = {}) {
+    const { userId = 'system', ipAddress, userAgent } = context;
+
+    try {
+      const scope = (scopeType || '').toUpperCase();
+      if (!SCOPE_TYPES.includes(scope)) {
+        throw createError(`scopeType must be one of: ${SCOPE_TYPES.join(', ')}`, 400);
+      }
+      if (!scopeValue || !String(scopeValue).trim()) {
+        throw createError(`A ${scope.toLowerCase()} is required`, 400);
+      }
+
+      const required = parseInt(quantity);
+      if (!(required > 0)) {
+        throw createError('Quantity must be at least 1', 400);
+      }
+
+      const db = this.getDatabaseConnection();
+      const ppeItem = await new Promise((resolve, reject) => {
+        db.get('SELECT id, parent_item_id FROM ppe_items WHERE id = ?', [ppeItemId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!ppeItem) {
+        throw createError('PPE item not found', 404);
+      }
+      // Any size of a type satisfies the requirement
+      if (ppeItem.parent_item_id) {
+        throw createError('Set requirements on the PPE type, not on a single size', 400);
+      }
+
+      const requirement = { scopeType: scope, scopeValue: String(scopeValue).trim(), ppeItemId, quantity: required, notes: notes || null };
+
+      const existing = await new Promise((resolve, reject) => {
+        db.get(`
+          SELECT id FROM ppe_requirements
+          WHERE scope_type = ? AND UPPER(scope_value) = UPPER(?) AND ppe_item_id = ?
+        `, [requirement.scopeType, requirement.scopeValue, ppeItemId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (existing) {
+        throw createError('This item is already required for that department/position', 409);
+      }
+
+      const id = uuidv4();
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO ppe_requirements (id, scope_type, scope_value, ppe_item_id, quantity, notes, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [id, requirement.scopeType, requirement.scopeValue, ppeItemId, required, requirement.notes, userId], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId,
+        action: 'CREATE',
+        resourceType: 'PPE_REQUIREMENT',
+        resourceId: id,
+        newValues: requirement,
+        ipAddress,
+        userAgent
+      });
+
+      return { success: true, id };
+    } catch (error) {
+      console.error('Create PPE requirement error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the required quantity or notes of a requirement
+   */
+  async updateRequirement(id, { quantity, notes }, context = {}) {
+    const { userId = 'system', ipAddress, userAgent } = context;
+
+    try {
+      const current = await this.getRequirementById(id);
+      if (!current) {
+        throw createError('Requirement not found', 404);
+      }
+
+      const required = quantity !== undefined ? parseInt(quantity) : current.quantity;
+      if (!(required > 0)) {
+        throw createError('Quantity must be at least 1', 400);
+      }
+      const newNotes = notes !== undefined ? notes : current.notes;
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE ppe_requirements SET quantity = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [required, newNotes, id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId,
+        action: 'UPDATE',
+        resourceType: 'PPE_REQUIREMENT',
+        resourceId: id,
+        oldValues: { quantity: current.quantity, notes: current.notes },
+        newValues: { quantity: required, notes: newNotes },
+        ipAddress,
+        userAgent
+      });
+
+      return { success: true, id };
+    } catch (error) {
+      console.error('Update PPE requirement error:', error);
+      throw error;
+    }
+  }
+
+  async deleteRequirement(id, context = {}) {
+    const { userId = 'system', ipAddress, userAgent } = context;
+
+    try {
+      const current = await this.getRequirementById(id);
+      if (!current) {
+        throw createError('Requirement not found', 404);
+      }
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run('DELETE FROM ppe_requirements WHERE id = ?', [id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId,
+        action: 'DELETE',
+        resourceType: 'PPE_REQUIREMENT',
+        resourceId: id,
+        oldValues: current,
+        ipAddress,
+        userAgent
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete PPE requirement error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compliance gap report: for each active staff member, the status of every
+   * PPE type their department or position requires. A position requirement
+   * overrides the department one for the same type.
+   * Item status: HELD - enough current issues; EXPIRED - what is held is past
+   * its replacement date; NOT_HELD - issued before but returned; NEVER_ISSUED.
+   * @param {Object} filters - { department, staffId, gapsOnly }
+   * @returns {Object} { summary, staff }
+   */
+  async getComplianceReport(filters = {}) {
+    const { department, staffId, gapsOnly = false } = filters;
+
+    try {
+      const db = this.getDatabaseConnection();
+
+      let staffQuery = 'SELECT staff_id, name, email, department, position FROM staff_directory WHERE active = 1';
+      const staffParams = [];
+      if (department) {
+        staffQuery += ' AND UPPER(department) = UPPER(?)';
+        staffParams.push(department);
+      }
+      if (staffId) {
+        staffQuery += ' AND UPPER(staff_id) = UPPER(?)';
+        staffParams.push(staffId);
+      }
+      staffQuery += ' ORDER BY department ASC, name ASC';
+
+      const [staffRows, requirements, holdings] = await Promise.all([
+        new Promise((resolve, reject) => {
+          db.all(staffQuery, staffParams, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        }),
+        this.getRequirements(),
+        // Assignments summed per staff member and PPE type (sizes count towards their type)
+        new Promise((resolve, reject) => {
+          db.all(`
+            SELECT
+              UPPER(spa.staff_id) as staff_key,
+              COALESCE(pi.parent_item_id, pi.id) as type_id,
+              SUM(CASE WHEN spa.status = 'ISSUED' AND (spa.expected_return_date IS NULL OR spa.expected_return_date > datetime('now'))
+                  THEN spa.quantity ELSE 0 END) as held,
+              SUM(CASE WHEN spa.status = 'ISSUED' AND spa.expected_return_date <= datetime('now')
+                  THEN spa.quantity ELSE 0 END) as expired,
+              MAX(CASE WHEN spa.status = 'ISSUED' AND spa.expected_return_date <= datetime('now')
+                  THEN spa.expected_return_date END) as expired_since,
+              MAX(spa.issued_date) as last_issued
+            FROM staff_ppe_assignments spa
+            JOIN ppe_items pi ON spa.ppe_item_id = pi.id
+            GROUP BY UPPER(spa.staff_id), COALESCE(pi.parent_item_id, pi.id)
+          `, [], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        })
+      ]);
+
+      const holdingsByKey = {};
+      holdings.forEach(row => {
+        holdingsByKey[`${row.staff_key}|${row.type_id}`] = row;
+      });
+
+      const staffReports = [];
+      const summary = {
+        activeStaff: staffRows.length,
+        staffWithRequirements: 0,
+        compliantStaff: 0,
+        requiredItems: 0,
+        heldItems: 0,
+        expiredItems: 0,
+        notHeldItems: 0,
+        neverIssuedItems: 0,
+        compliancePercentage: null
+      };
+
+      for (const staff of staffRows) {
+        const applicable = this.getApplicableRequirements(staff, requirements);
+        if (applicable.length === 0) continue;
+
+        const items = applicable.map(requirement => {
+          const holding = holdingsByKey[`${staff.staff_id.toUpperCase()}|${requirement.ppe_item_id}`];
+          const held = holding ? holding.held : 0;
+
+          let status;
+          if (held >= requirement.quantity) status = 'HELD';
+          else if (holding && holding.expired > 0) status = 'EXPIRED';
+          else if (holding) status = 'NOT_HELD';
+          else status = 'NEVER_ISSUED';
+
+          return {
+            ppeItemId: requirement.ppe_item_id,
+            itemName: requirement.item_name,
+            symbol: requirement.symbol,
+            scopeType: requirement.scope_type,
+            scopeValue: requirement.scope_value,
+            required: requirement.quantity,
+            held,
+            expired: holding ? holding.expired : 0,
+            expiredSince: holding ? holding.expired_since : null,
+            lastIssued: holding ? holding.last_issued : null,
+            status
+          };
+        });
+
+        const gaps = items.filter(item => item.status !== 'HELD');
+
+        summary.staffWithRequirements++;
+        summary.requiredItems += items.length;
+        summary.heldItems += items.length - gaps.length;
+        summary.expiredItems += gaps.filter(item => item.status === 'EXPIRED').length;
+        summary.notHeldItems += gaps.filter(item => item.status === 'NOT_HELD').length;
+        summary.neverIssuedItems += gaps.filter(item => item.status === 'NEVER_ISSUED').length;
+        if (gaps.length === 0) summary.compliantStaff++;
+
+        if (gapsOnly && gaps.length === 0) continue;
+
+        staffReports.push({
+          staffId: staff.staff_id,
+          name: staff.name,
+          email: staff.email,
+          department: staff.department,
+          position: staff.position,
+          compliant: gaps.length === 0,
+          compliancePercentage: Math.round(((items.length - gaps.length) / items.length) * 1000) / 10,
+          items,
+          gaps: gaps.length
+        });
+      }
+
+      if (summary.requiredItems > 0) {
+        summary.compliancePercentage = Math.round((summary.heldItems / summary.requiredItems) * 1000) / 10;
+      }
+
+      return { summary, staff: staffReports, generatedAt: new Date() };
+    } catch (error) {
+      console.error('Compliance report error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Requirements that apply to a staff member, one per PPE type
+   */
+  getApplicableRequirements(staff, requirements) {
+    const department = (staff.department || '').toUpperCase();
+    const position = (staff.position || '').toUpperCase();
+    const byItem = {};
+
+    requirements.forEach(requirement => {
+      const value = requirement.scope_value.toUpperCase();
+      const applies = (requirement.scope_type === 'DEPARTMENT' && value === department) ||
+        (requirement.scope_type === 'POSITION' && value === position);
+      if (!applies) return;
+
+      const current = byItem[requirement.ppe_item_id];
+      if (!current || (current.scope_type === 'DEPARTMENT' && requirement.scope_type === 'POSITION')) {
+        byItem[requirement.ppe_item_id] = requirement;
+      }
+    });
+
+    return Object.values(byItem);
+  }
+
+  /**
+   * One CSV row per staff member and required item
+   */
+  generateCSV(report) {
+    const escape = (value) => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+
+    const headers = [
+      'Staff ID', 'Staff Name', 'Department', 'Position', 'PPE Item',
+      'Required', 'Held', 'Status', 'Expired Since', 'Last Issued', 'Required By'
+    ].join(',');
+
+    const rows = [];
+    report.staff.forEach(staff => {
+      staff.items.forEach(item => {
+        rows.push([
+          escape(staff.staffId),
+          escape(staff.name),
+          escape(staff.department),
+          escape(staff.position),
+          escape(item.itemName),
+          item.required,
+          item.held,
+          escape(item.status),
+          escape(item.expiredSince),
+          escape(item.lastIssued),
+          escape(`${item.scopeType === 'POSITION' ? 'Position' : 'Department'}: ${item.scopeValue}`)
+        ].join(','));
+      });
+    });
+
+    return [headers, ...rows].join('\n');
+  }
+
+  /**
+   * Write the report as a PDF to a stream (e.g. the HTTP response)
+   */
+  writePDF(report, stream) {
+    // Standard fonts only cover plain ASCII
+    const clean = (value) => String(value || '').replace(/[^\x20-\x7E]/g, '');
+    const { summary } = report;
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    doc.pipe(stream);
+
+    doc.fontSize(20).text('PPE Compliance Gap Report');
+    doc.fontSize(10).fillColor('#6b7280').text(`Generated: ${report.generatedAt.toLocaleString()}`);
+    doc.moveDown();
+
+    doc.fillColor('#000000').fontSize(12)
+      .text(`Organisation compliance: ${summary.compliancePercentage === null ? 'n/a' : `${summary.compliancePercentage}%`}`)
+      .text(`Compliant staff: ${summary.compliantStaff} of ${summary.staffWithRequirements}`)
+      .text(`Required items held: ${summary.heldItems} of ${summary.requiredItems}`)
+      .text(`Expired: ${summary.expiredItems}   Returned, not reissued: ${summary.notHeldItems}   Never issued: ${summary.neverIssuedItems}`);
+    doc.moveDown();
+
+    const statusLabels = {
+      HELD: 'Held',
+      EXPIRED: 'Expired',
+      NOT_HELD: 'Not held',
+      NEVER_ISSUED: 'Never issued'
+    };
+
+    report.staff.forEach(staff => {
+      if (doc.y > doc.page.height - 120) {
+        doc.addPage();
+      }
+
+      doc.fontSize(12).fillColor('#000000')
+        .text(`${clean(staff.name)} (${clean(staff.staffId)})`, { continued: true })
+        .fillColor('#6b7280').text(`  ${clean(staff.department)}${staff.position ? ` / ${clean(staff.position)}` : ''} - ${staff.compliancePercentage}%`);
+
+      staff.items.forEach(item => {
+        doc.fontSize(10).fillColor(item.status === 'HELD' ? '#059669' : '#dc2626')
+          .text(`    ${clean(item.itemName)}: ${statusLabels[item.status]} (${item.held}/${item.required})${item.expiredSince ? `, expired ${String(item.expiredSince).split(' ')[0]}` : ''}`);
+      });
+
+      doc.moveDown(0.5);
+    });
+
+    if (report.staff.length === 0) {
+      doc.fontSize(12).fillColor('#6b7280').text('No staff members to report.');
+    }
+
+    doc.end();
+  }
+}
+
+module.exports = new ComplianceService();
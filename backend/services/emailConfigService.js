@@ -52,7 +52,8 @@ class EmailConfigService {
         let {
             smtp_host, smtp_port, smtp_secure, smtp_user, smtp_pass, 
             smtp_from, company_name, enabled, test_email,
-            safety_officer_email, store_personnel_email, admin_email
+            safety_officer_email, store_personnel_email, admin_email,
+            default_language
         } = config;
         
         // If password is the masked value, keep existing password
@@ -68,12 +69,13 @@ class EmailConfigService {
                     id, smtp_host, smtp_port, smtp_secure, smtp_user, smtp_pass, 
                     smtp_from, company_name, enabled, test_email, 
                     safety_officer_email, store_personnel_email, admin_email, 
-                    created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                    default_language, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
             `, [
                 '1', smtp_host, smtp_port, smtp_secure ? 1 : 0, smtp_user,
                 smtp_pass, smtp_from, company_name, enabled ? 1 : 0, test_email,
-                safety_officer_email, store_personnel_email, admin_email
+                safety_officer_email, store_personnel_email, admin_email,
+                default_language || 'en'
             ], (err) => {
                 if (err) reject(err);
                 else {
@@ -291,42 +293,6 @@ class EmailConfigService {
         }
     }
     
-    /**
-     * Get email template
-     */
-    async getEmailTemplate(templateType) {
-        const db = getDb();
-        
-        return new Promise((resolve, reject) => {
-            db.get(
-                'SELECT * FROM email_templates WHERE template_type = ? AND enabled = 1',
-                [templateType],
-                (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row);
-                }
-            );
-        });
-    }
-    
-    /**
-     * Replace template variables
-     */
-    replaceTemplateVariables(template, variables) {
-        let subject = template.subject;
-        let htmlContent = template.html_content;
-        
-        Object.keys(variables).forEach(key => {
-            const placeholder = `{{${key}}}`;
-            const value = variables[key] || '';
-            
-            subject = subject.replace(new RegExp(placeholder, 'g'), value);
-            htmlContent = htmlContent.replace(new RegExp(placeholder, 'g'), value);
-        });
-        
-        return { subject, htmlContent };
-    }
-    
     /**
      * Check if notifications are enabled for admin and type
      */
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const emailConfigService = require('./emailConfigService');
+const { OutboxQueue, MAX_ATTEMPTS } = require('../utils/outboxQueue');
+const { createError } = require('../utils/httpError');
+
+const SENT_RETENTION_DAYS = 90;
+
+// Database-backed queue for outgoing email. Callers enqueue and return immediately;
+// the queue is worked through right away and then every minute by the scheduler, so
+// an SMTP outage delays notifications instead of losing them.
+class EmailOutboxService {
+  constructor() {
+    this.queue = new OutboxQueue({
+      table: 'email_outbox',
+      doneStatus: 'SENT',
+      doneColumn: 'sent_at',
+      retentionDays: SENT_RETENTION_DAYS,
+      send: email => this.deliver(email)
+    });
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * Queue an email
+   * @param {Object} email - { template, from, to (address, comma list or array), subject, html, attachments }
+   *   Attachments given by path are read now, since temporary files may be gone before a retry.
+   * @returns {Object} { success, queued, outboxId }
+   */
+  async enqueue(email) {
+    try {
+      const db = this.getDatabaseConnection();
+      const recipients = (Array.isArray(email.to) ? email.to : String(email.to || '').split(','))
+        .map(address => String(address).trim())
+        .filter(Boolean);
+
+      if (recipients.length === 0) {
+        throw createError('Email has no recipients', 400);
+      }
+
+      const attachments = [];
+      for (const attachment of email.attachments || []) {
+        const content = attachment.path
+          ? await fs.promises.readFile(attachment.path)
+          : Buffer.from(attachment.content || '');
+        attachments.push({
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          content: content.toString('base64')
+        });
+      }
+
+      const id = uuidv4();
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO email_outbox (id, template, from_address, recipients, subject, html, attachments)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+          id,
+          email.template || 'general',
+          email.from || null,
+          JSON.stringify(recipients),
+          email.subject,
+          email.html,
+          attachments.length > 0 ? JSON.stringify(attachments) : null
+        ], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      console.log(`📧 Email queued (${email.template || 'general'}) for ${recipients.join(', ')}`);
+
+      // Try straight away without holding up the caller
+      this.processQueue().catch(error => console.error('Email outbox processing error:', error));
+
+      return { success: true, queued: true, outboxId: id };
+    } catch (error) {
+      console.error('Enqueue email error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send every email that is due
+   * @returns {Object} { sent, failed, dead }
+   */
+  processQueue() {
+    return this.queue.process();
+  }
+
+  /**
+   * One delivery attempt
+   * @returns {string|null} 'sent', 'failed' (will be retried), 'dead', or null if another run took it
+   */
+  async deliver(email) {
+    const db = this.getDatabaseConnection();
+
+    if (!await this.queue.claim(email.id)) {
+      return null;
+    }
+
+    const attempts = email.attempts + 1;
+
+    try {
+      const transporter = await emailConfigService.getTransporter();
+      const info = await transporter.sendMail({
+        from: email.from_address || 'PPE Management System <noreply@ppemanagement.com>',
+        to: JSON.parse(email.recipients),
+        subject: email.subject,
+        html: email.html,
+        attachments: email.attachments
+          ? JSON.parse(email.attachments).map(attachment => ({
+            filename: attachment.filename,
+            contentType: attachment.contentType,
+            content: Buffer.from(attachment.content, 'base64')
+          }))
+          : undefined
+      });
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE email_outbox
+          SET status = 'SENT', attempts = ?, message_id = ?, last_error = NULL,
+              sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [attempts, info.messageId || null, email.id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      console.log(`✅ Email sent (${email.template}): ${info.messageId}`);
+      return 'sent';
+    } catch (error) {
+      const { status, dead, retryInSeconds } = this.queue.failure(attempts);
+      console.error(`❌ Email ${email.id} (${email.template}) attempt ${attempts} failed${dead ? ' - giving up' : ''}:`, error.message);
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE email_outbox
+          SET status = ?, attempts = ?, last_error = ?,
+              next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [status, attempts, error.message, `+${retryInSeconds} seconds`, email.id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      return dead ? 'dead' : 'failed';
+    }
+  }
+
+  /**
+   * Return emails left mid-send by a restart to the queue
+   */
+  async recoverInterrupted() {
+    try {
+      await this.queue.recoverInterrupted();
+    } catch (error) {
+      console.error('Recover email outbox error:', error);
+    }
+  }
+
+  /**
+   * Delivery log, newest first. Bodies and attachment contents are left out.
+   * @param {Object} filters - { status, template, search (recipient or subject), page, limit }
+   * @returns {Object} { emails, counts (per status), templates, pagination }
+   */
+  async getEmails(filters = {}) {
+    const { status, template, search } = filters;
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(filters.limit) || 50));
+
+    try {
+      const db = this.getDatabaseConnection();
+
+      if (status && !this.queue.statuses.includes(status)) {
+        throw createError(`status must be one of: ${this.queue.statuses.join(', ')}`, 400);
+      }
+
+      let where = 'WHERE 1=1';
+      const params = [];
+
+      if (status) {
+        where += ' AND status = ?';
+        params.push(status);
+      }
+      if (template) {
+        where += ' AND template = ?';
+        params.push(template);
+      }
+      if (search) {
+        where += ' AND (recipients LIKE ? OR subject LIKE ?)';
+        params.push(`%${search}%`, `%${search}%`);
+      }
+
+      const [rows, total, counts, templates] = await Promise.all([
+        new Promise((resolve, reject) => {
+          db.all(`
+            SELECT id, template, recipients, subject, attachments, status, attempts, next_attempt_at,
+                   last_error, message_id, created_at, sent_at, updated_at
+            FROM email_outbox
+            ${where}
+            ORDER BY created_at DESC, rowid DESC
+            LIMIT ? OFFSET ?
+          `, [...params, limit, (page - 1) * limit], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        }),
+        new Promise((resolve, reject) => {
+          db.get(`SELECT COUNT(*) as count FROM email_outbox ${where}`, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row.count);
+          });
+        }),
+        new Promise((resolve, reject) => {
+          db.all('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status', (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        }),
+        new Promise((resolve, reject) => {
+          db.all('SELECT DISTINCT template FROM email_outbox ORDER BY template', (err, rows) => {
+            if (err) reject(err);
+            else resolve((rows || []).map(row => row.template));
+          });
+        })
+      ]);
+
+      return {
+        emails: rows.map(row => this.formatEmail(row)),
+        counts: Object.fromEntries(this.queue.statuses.map(value => [value, (counts.find(c => c.status === value) || {}).count || 0])),
+        templates,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Get email outbox error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * One email including its HTML body
+   */
+  async getEmailById(id) {
+    try {
+      const db = this.getDatabaseConnection();
+      const row = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM email_outbox WHERE id = ?', [id], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!row) {
+        throw createError('Email not found', 404);
+      }
+
+      return { ...this.formatEmail(row), from: row.from_address, html: row.html };
+    } catch (error) {
+      console.error('Get outbox email error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put an email back in the queue with a fresh set of retries, e.g. after fixing the
+   * SMTP settings or for a recipient who lost the original
+   */
+  async resend(id) {
+    try {
+      const email = await this.getEmailById(id);
+      if (email.status === 'SENDING') {
+        throw createError('Email is being sent right now', 409);
+      }
+
+      await this.queue.requeue(id);
+      await this.processQueue();
+      return this.getEmailById(id);
+    } catch (error) {
+      console.error('Resend email error:', error);
+      throw error;
+    }
+  }
+
+  formatEmail(row) {
+    let attachments = [];
+    try {
+      attachments = row.attachments ? JSON.parse(row.attachments).map(attachment => attachment.filename) : [];
+    } catch (error) {
+      attachments = [];
+    }
+
+    return {
+      id: row.id,
+      template: row.template,
+      recipients: JSON.parse(row.recipients),
+      subject: row.subject,
+      attachments,
+      status: row.status,
+      attempts: row.attempts,
+      maxAttempts: MAX_ATTEMPTS,
+      nextAttemptAt: row.status === 'PENDING' ? row.next_attempt_at : null,
+      lastError: row.last_error,
+      messageId: row.message_id,
+      createdAt: row.created_at,
+      sentAt: row.sent_at
+    };
+  }
+}
+
+module.exports = new EmailOutboxService();
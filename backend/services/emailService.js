@@ -1,6 +1,21 @@
 const nodemailer = require('nodemailer');
 const emailConfigService = require('./emailConfigService');
+const emailOutboxService = require('./emailOutboxService');
+const emailTemplateService = require('./emailTemplateService');
 const timezoneUtils = require('../utils/timezone-utils');
+const { NOTIFICATION_TYPE_NAMES } = require('./emailTemplateDefaults');
+
+// Who gets a notification type's individual email, and so also its digest
+const DIGEST_RECIPIENT_ROLES = {
+  ppe_request_new: 'safety_officer',
+  inspection_due: 'safety_officer',
+  stock_low: 'store_personnel',
+  stock_critical: 'store_personnel',
+  stock_expiring: 'store_personnel'
+};
+
+// Events listed in a digest email; the rest are only counted
+const DIGEST_MAX_EVENTS = 50;
 
 class EmailService {
   constructor() {
@@ -65,6 +80,81 @@ class EmailService {
     this.initializationPromise = null;
   }
 
+  /**
+   * Hand an email to the outbox, which sends it in the background and retries on failure
+   * @param {string} template - Kind of email, shown in the delivery log
+   * @param {Object} mailOptions - nodemailer options ({ from, to, subject, html, attachments })
+   */
+  async queueEmail(template, mailOptions) {
+    return emailOutboxService.enqueue({ template, ...mailOptions });
+  }
+
+  /**
+   * Queue a plain HTML email
+   */
+  async sendEmail(to, subject, html, template = 'general') {
+    const config = await emailConfigService.getEmailConfig();
+    if (!config || !config.enabled || !config.smtp_host) {
+      console.log('📧 Email notifications disabled or not configured - skipping email');
+      return { success: true, message: 'Email notifications are disabled' };
+    }
+
+    return this.queueEmail(template, {
+      from: config.smtp_from || 'PPE Management System <noreply@ppemanagement.com>',
+      to,
+      subject,
+      html
+    });
+  }
+
+  /**
+   * Render a templated email in each recipient's language and queue it
+   * @param {string} templateType - Email template (see emailTemplateDefaults)
+   * @param {string|Array} to - Recipient address(es)
+   * @param {Object|Function} data - Template variables, or locale => variables when
+   *   some of them depend on the language
+   * @param {Object} config - Email configuration, for the from address
+   */
+  async sendTemplatedEmail(templateType, to, data, config) {
+    const groups = await emailTemplateService.groupRecipientsByLocale(to);
+    if (groups.size === 0) {
+      console.log(`📧 No recipients for ${templateType} email - skipping`);
+      return { success: true, message: 'No recipients' };
+    }
+
+    const results = [];
+    for (const [locale, recipients] of groups) {
+      const variables = typeof data === 'function' ? data(locale) : data;
+      const { subject, html } = await emailTemplateService.render(templateType, locale, variables);
+      results.push(await this.queueEmail(templateType, {
+        from: config?.smtp_from || 'PPE Management System <noreply@ppemanagement.com>',
+        to: recipients,
+        subject,
+        html
+      }));
+    }
+
+    // One email per language; callers only care whether they all went into the outbox
+    return results.length === 1 ? results[0] : {
+      success: results.every(result => result.success),
+      queued: true,
+      outboxIds: results.map(result => result.outboxId)
+    };
+  }
+
+  /**
+   * Request items for the templates, from either a list or the older "Name (qty), ..." text
+   */
+  formatRequestItems(requestItems, items) {
+    if (Array.isArray(requestItems) && requestItems.length > 0) {
+      return requestItems.map(item => ({ name: item.name, quantity: item.quantity }));
+    }
+    return String(items || '').split(', ').filter(Boolean).map(item => {
+      const match = item.match(/^(.*) \((\d+)\)$/);
+      return match ? { name: match[1], quantity: parseInt(match[2]) } : { name: item, quantity: 1 };
+    });
+  }
+
   /**
    * Send email notification to Safety Officer about new PPE request
    */
@@ -77,83 +167,22 @@ class EmailService {
         return { success: true, message: 'Email notifications are disabled' };
       }
 
-      const transporter = await this.getTransporter();
-      if (!transporter) {
-        console.log('📧 No email transporter available - skipping PPE request notification');
-        return { success: true, message: 'Email transporter not available' };
-      }
-
       const recipients = await emailConfigService.getRecipientEmails();
-      const { requestId, staffName, staffId, department, items, stationName, createdAt } = requestData;
-      
-      const subject = `🚨 New PPE Request Pending Approval - ${staffName}`;
-      
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: #27AE60; color: white; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h2 style="margin: 0;">🛡️ New PPE Request</h2>
-            <p style="margin: 8px 0 0 0;">A new PPE request requires your approval</p>
-          </div>
-          
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h3 style="color: #333; margin-top: 0;">Request Details</h3>
-            <table style="width: 100%; border-collapse: collapse;">
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Request ID:</td>
-                <td style="padding: 8px 0;">${requestId.substring(0, 8)}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Staff Name:</td>
-                <td style="padding: 8px 0;">${staffName}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Staff ID:</td>
-                <td style="padding: 8px 0;">${staffId}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Department:</td>
-                <td style="padding: 8px 0;">${department}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Station:</td>
-                <td style="padding: 8px 0;">${stationName}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Requested Items:</td>
-                <td style="padding: 8px 0;">${items}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Request Time:</td>
-                <td style="padding: 8px 0;">${timezoneUtils.formatForEmail(createdAt)}</td>
-              </tr>
-            </table>
-          </div>
-          
-          <div style="text-align: center; margin: 20px 0;">
-            <a href="http://localhost:3000/admin.html" 
-               style="background: #27AE60; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">
-              🔍 Review Request
-            </a>
-          </div>
-          
-          <div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 6px; margin-top: 20px;">
-            <p style="margin: 0; color: #856404;">
-              ⚠️ <strong>Action Required:</strong> Please review and approve/reject this PPE request as soon as possible to ensure worker safety compliance.
-            </p>
-          </div>
-        </div>
-      `;
-
-      const mailOptions = {
-        from: config?.smtp_from || 'PPE Management System <noreply@ppemanagement.com>',
-        to: recipients.safety_officer,
-        subject,
-        html: htmlContent
-      };
-
-      const info = await transporter.sendMail(mailOptions);
-      console.log('✅ Safety Officer notification sent:', info.messageId);
-      return { success: true, messageId: info.messageId };
+      const { requestId, staffName, staffId, department, items, requestItems, stationName, createdAt, entitlementWarning } = requestData;
+
+      return this.sendTemplatedEmail('ppe_request_new', recipients.safety_officer, {
+        requestId,
+        requestReference: requestId.substring(0, 8),
+        staffName,
+        staffId,
+        department,
+        stationName,
+        items,
+        requestItems: this.formatRequestItems(requestItems, items),
+        entitlementWarning,
+        createdAt: timezoneUtils.formatForEmail(createdAt),
+        reviewUrl: `${emailTemplateService.appUrl}/admin.html`
+      }, config);
     } catch (error) {
       console.error('❌ Failed to send Safety Officer notification:', error);
       return { success: false, error: error.message };
@@ -172,81 +201,21 @@ class EmailService {
         return { success: true, message: 'Email notifications are disabled' };
       }
       
-      const transporter = await this.getTransporter();
-      if (!transporter) {
-        console.log('📧 No email transporter available - skipping approved PPE request notification');
-        return { success: true, message: 'Email transporter not available' };
-      }
       const recipients = await emailConfigService.getRecipientEmails();
-      const { requestId, staffName, staffId, department, items, stationName, approvedBy, approvalNotes } = requestData;
-      
-      const subject = `✅ PPE Request Approved - Prepare Items for ${staffName}`;
-      
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: #28a745; color: white; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h2 style="margin: 0;">✅ PPE Request Approved</h2>
-            <p style="margin: 8px 0 0 0;">Prepare PPE items for staff collection</p>
-          </div>
-          
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h3 style="color: #333; margin-top: 0;">Request Details</h3>
-            <table style="width: 100%; border-collapse: collapse;">
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Request ID:</td>
-                <td style="padding: 8px 0;">${requestId.substring(0, 8)}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Staff Name:</td>
-                <td style="padding: 8px 0;">${staffName}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Staff ID:</td>
-                <td style="padding: 8px 0;">${staffId}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Department:</td>
-                <td style="padding: 8px 0;">${department}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Station:</td>
-                <td style="padding: 8px 0;">${stationName}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Approved Items:</td>
-                <td style="padding: 8px 0;">${items}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Approved By:</td>
-                <td style="padding: 8px 0;">${approvedBy}</td>
-              </tr>
-              ${approvalNotes ? `
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Notes:</td>
-                <td style="padding: 8px 0;">${approvalNotes}</td>
-              </tr>
-              ` : ''}
-            </table>
-          </div>
-          
-          <div style="background: #d4edda; border: 1px solid #c3e6cb; padding: 15px; border-radius: 6px; margin-top: 20px;">
-            <p style="margin: 0; color: #155724;">
-              📦 <strong>Action Required:</strong> Please prepare the approved PPE items and notify the staff member for collection.
-            </p>
-          </div>
-        </div>
-      `;
-
-      const mailOptions = {
-        from: config?.smtp_from || 'PPE Management System <noreply@ppemanagement.com>',
-        to: recipients.store_personnel,
-        subject,
-        html: htmlContent
-      };
-
-      const info = await transporter.sendMail(mailOptions);
-      console.log('✅ Store Personnel notification sent:', info.messageId);
-      return { success: true, messageId: info.messageId };
+      const { requestId, staffName, staffId, department, items, requestItems, stationName, approvedBy, approvalNotes } = requestData;
+
+      return this.sendTemplatedEmail('ppe_request_approved', recipients.store_personnel, {
+        requestId,
+        requestReference: requestId.substring(0, 8),
+        staffName,
+        staffId,
+        department,
+        stationName,
+        items,
+        requestItems: this.formatRequestItems(requestItems, items),
+        approvedBy,
+        approvalNotes
+      }, config);
     } catch (error) {
       console.error('❌ Failed to send Store Personnel notification:', error);
       return { success: false, error: error.message };
@@ -265,62 +234,17 @@ class EmailService {
         return { success: true, message: 'Email notifications are disabled' };
       }
 
-      const transporter = await this.getTransporter();
-      if (!transporter) {
-        console.log('📧 No email transporter available - skipping rejected PPE request notification');
-        return { success: true, message: 'Email transporter not available' };
-      }
-      const { requestId, staffName, staffEmail, items, rejectedBy, rejectionReason } = requestData;
-      
-      const subject = `❌ PPE Request Rejected - ${staffName} (${requestId.substring(0, 8)})`;
-      
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: #dc3545; color: white; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h2 style="margin: 0;">❌ PPE Request Rejected</h2>
-            <p style="margin: 8px 0 0 0;">A PPE request has been rejected by Safety Officer</p>
-          </div>
-          
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h3 style="color: #333; margin-top: 0;">Request Details</h3>
-            <table style="width: 100%; border-collapse: collapse;">
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Request ID:</td>
-                <td style="padding: 8px 0;">${requestId.substring(0, 8)}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Requested Items:</td>
-                <td style="padding: 8px 0;">${items}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Rejected By:</td>
-                <td style="padding: 8px 0;">${rejectedBy}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Reason:</td>
-                <td style="padding: 8px 0;">${rejectionReason}</td>
-              </tr>
-            </table>
-          </div>
-          
-          <div style="background: #f8d7da; border: 1px solid #f5c6cb; padding: 15px; border-radius: 6px; margin-top: 20px;">
-            <p style="margin: 0; color: #721c24;">
-              📋 <strong>Action:</strong> No PPE items need to be prepared for this request. The staff member has been notified of the rejection.
-            </p>
-          </div>
-        </div>
-      `;
-
-      const mailOptions = {
-        from: config?.smtp_from || 'PPE Management System <noreply@ppemanagement.com>',
-        to: staffEmail,
-        subject,
-        html: htmlContent
-      };
-
-      const info = await transporter.sendMail(mailOptions);
-      console.log('✅ Staff rejection notification sent:', info.messageId);
-      return { success: true, messageId: info.messageId };
+      const { requestId, staffName, staffEmail, items, requestItems, rejectedBy, rejectionReason } = requestData;
+
+      return this.sendTemplatedEmail('ppe_request_rejected', staffEmail, {
+        requestId,
+        requestReference: requestId.substring(0, 8),
+        staffName,
+        items,
+        requestItems: this.formatRequestItems(requestItems, items),
+        rejectedBy,
+        rejectionReason
+      }, config);
     } catch (error) {
       console.error('❌ Failed to send staff rejection notification:', error);
       return { success: false, error: error.message };
@@ -339,76 +263,20 @@ class EmailService {
         return { success: true, message: 'Email notifications are disabled' };
       }
       
-      const transporter = await this.getTransporter();
-      if (!transporter) {
-        console.log('📧 No email transporter available - skipping store personnel rejection notification');
-        return { success: true, message: 'Email transporter not available' };
-      }
-      
       const recipients = await emailConfigService.getRecipientEmails();
-      const { requestId, staffName, staffId, department, items, rejectedBy, rejectionReason } = requestData;
-      
-      const subject = `❌ PPE Request Rejected - ${staffName} (${requestId.substring(0, 8)})`;
-      
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: #dc3545; color: white; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h2 style="margin: 0;">❌ PPE Request Rejected</h2>
-            <p style="margin: 8px 0 0 0;">A PPE request has been rejected by Safety Officer</p>
-          </div>
-          
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h3 style="color: #333; margin-top: 0;">Request Details</h3>
-            <table style="width: 100%; border-collapse: collapse;">
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Request ID:</td>
-                <td style="padding: 8px 0;">${requestId}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Staff Member:</td>
-                <td style="padding: 8px 0;">${staffName}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Staff ID:</td>
-                <td style="padding: 8px 0;">${staffId}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Department:</td>
-                <td style="padding: 8px 0;">${department}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Items Requested:</td>
-                <td style="padding: 8px 0;">${items}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Rejected By:</td>
-                <td style="padding: 8px 0;">${rejectedBy}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Reason:</td>
-                <td style="padding: 8px 0;">${rejectionReason}</td>
-              </tr>
-            </table>
-          </div>
-          
-          <div style="background: #f8d7da; border: 1px solid #f5c6cb; padding: 15px; border-radius: 6px; margin-top: 20px;">
-            <p style="margin: 0; color: #721c24;">
-              📋 <strong>Action:</strong> No PPE items need to be prepared for this request. The staff member has been notified of the rejection.
-            </p>
-          </div>
-        </div>
-      `;
-
-      const mailOptions = {
-        from: config?.smtp_from || 'PPE Management System <noreply@ppemanagement.com>',
-        to: recipients.store_personnel,
-        subject,
-        html: htmlContent
-      };
-
-      const info = await transporter.sendMail(mailOptions);
-      console.log('✅ Store Personnel rejection notification sent:', info.messageId);
-      return { success: true, messageId: info.messageId };
+      const { requestId, staffName, staffId, department, items, requestItems, rejectedBy, rejectionReason } = requestData;
+
+      return this.sendTemplatedEmail('ppe_request_rejected_store', recipients.store_personnel, {
+        requestId,
+        requestReference: requestId.substring(0, 8),
+        staffName,
+        staffId,
+        department,
+        items,
+        requestItems: this.formatRequestItems(requestItems, items),
+        rejectedBy,
+        rejectionReason
+      }, config);
     } catch (error) {
       console.error('❌ Failed to send Store Personnel rejection notification:', error);
       return { success: false, error: error.message };
@@ -426,83 +294,144 @@ class EmailService {
         console.log('📧 Email notifications disabled or not configured - skipping stock alert');
         return { success: true, message: 'Email notifications are disabled' };
       }
-      
-      const transporter = await this.getTransporter();
-      if (!transporter) {
-        console.log('📧 No email transporter available - skipping stock alert');
-        return { success: true, message: 'Email transporter not available' };
+
+      const recipients = await emailConfigService.getRecipientEmails();
+      const { stationName, stationLocation, itemName, itemCategory, currentStock, thresholdValue, severity } = alertData;
+
+      return this.sendTemplatedEmail('stock_low', recipients.store_personnel, {
+        itemName,
+        itemCategory,
+        stationName,
+        stationLocation,
+        currentStock,
+        thresholdValue,
+        severity,
+        isCritical: severity === 'CRITICAL',
+        alertTime: timezoneUtils.formatForEmail(new Date())
+      }, config);
+    } catch (error) {
+      console.error('❌ Failed to send stock alert email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send batch expiry alert to store personnel
+   */
+  async sendBatchExpiryAlert(alertData) {
+    try {
+      const config = await emailConfigService.getEmailConfig();
+      if (!config || !config.enabled || !config.smtp_host) {
+        console.log('📧 Email notifications disabled or not configured - skipping batch expiry alert');
+        return { success: true, message: 'Email notifications are disabled' };
       }
 
       const recipients = await emailConfigService.getRecipientEmails();
-      const { stationName, stationLocation, itemName, itemCategory, currentStock, thresholdValue, severity, alertType } = alertData;
-      
-      const subject = `🚨 ${severity === 'CRITICAL' ? 'CRITICAL' : 'LOW'} Stock Alert - ${itemName}`;
-      
-      const htmlContent = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <div style="background: ${severity === 'CRITICAL' ? '#dc3545' : '#f59e0b'}; color: white; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h2 style="margin: 0;">🚨 ${severity === 'CRITICAL' ? 'CRITICAL' : 'LOW'} Stock Alert</h2>
-            <p style="margin: 8px 0 0 0;">${itemName} requires immediate attention</p>
-          </div>
-          
-          <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-            <h3 style="color: #333; margin-top: 0;">Alert Details</h3>
-            <table style="width: 100%; border-collapse: collapse;">
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Item:</td>
-                <td style="padding: 8px 0;">${itemName} (${itemCategory})</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Station:</td>
-                <td style="padding: 8px 0;">${stationName}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Location:</td>
-                <td style="padding: 8px 0;">${stationLocation}</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Current Stock:</td>
-                <td style="padding: 8px 0; color: ${severity === 'CRITICAL' ? '#dc3545' : '#f59e0b'}; font-weight: bold;">${currentStock} units</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Threshold:</td>
-                <td style="padding: 8px 0;">${thresholdValue} units</td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Severity:</td>
-                <td style="padding: 8px 0;">
-                  <span style="background: ${severity === 'CRITICAL' ? '#dc3545' : '#f59e0b'}; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;">
-                    ${severity}
-                  </span>
-                </td>
-              </tr>
-              <tr>
-                <td style="padding: 8px 0; font-weight: bold; color: #555;">Alert Time:</td>
-                <td style="padding: 8px 0;">${timezoneUtils.formatForEmail(new Date())}</td>
-              </tr>
-            </table>
-          </div>
-          
-          <div style="background: ${severity === 'CRITICAL' ? '#f8d7da' : '#fff3cd'}; border: 1px solid ${severity === 'CRITICAL' ? '#f5c6cb' : '#ffeaa7'}; padding: 15px; border-radius: 6px; margin-top: 20px;">
-            <p style="margin: 0; color: ${severity === 'CRITICAL' ? '#721c24' : '#856404'};">
-              📦 <strong>Action Required:</strong> ${severity === 'CRITICAL' ? 'IMMEDIATELY restock this item to prevent worker safety issues!' : 'Please restock this item soon to maintain adequate safety inventory levels.'}
-            </p>
-          </div>
-        </div>
-      `;
+      const { withinDays, expiredCount, expiringCount, batches = [] } = alertData;
+
+      return this.sendTemplatedEmail('batch_expiring', recipients.store_personnel, {
+        withinDays,
+        expiredCount,
+        expiringCount,
+        batches: batches.map(batch => ({
+          itemName: batch.itemName,
+          stationName: batch.stationName,
+          lotNumber: batch.lotNumber,
+          quantity: batch.quantity,
+          expiryDate: new Date(batch.expiryDate).toLocaleDateString(),
+          daysToExpiry: batch.daysToExpiry,
+          isExpired: batch.daysToExpiry < 0
+        }))
+      }, config);
+    } catch (error) {
+      console.error('❌ Failed to send batch expiry alert email:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      const mailOptions = {
-        from: config?.smtp_from || 'PPE Management System <noreply@ppemanagement.com>',
-        to: recipients.store_personnel,
-        subject,
-        html: htmlContent
+  /**
+   * Send inspection due/overdue reminder to the safety officer
+   */
+  async sendInspectionDueReminder(reminderData) {
+    try {
+      const config = await emailConfigService.getEmailConfig();
+      if (!config || !config.enabled || !config.smtp_host) {
+        console.log('📧 Email notifications disabled or not configured - skipping inspection reminder');
+        return { success: true, message: 'Email notifications are disabled' };
+      }
+
+      const recipients = await emailConfigService.getRecipientEmails();
+      const { dueCount, overdueCount, withinDays, items = [] } = reminderData;
+
+      return this.sendTemplatedEmail('inspection_due', recipients.safety_officer, {
+        withinDays,
+        dueCount,
+        overdueCount,
+        items: items.map(item => ({
+          serial: item.serial,
+          itemName: item.itemName,
+          inspection: item.inspection,
+          dueDate: item.dueDate,
+          isOverdue: item.daysUntilDue < 0,
+          daysOverdue: Math.max(0, -item.daysUntilDue)
+        })),
+        moreCount: Math.max(0, dueCount - items.length)
+      }, config);
+    } catch (error) {
+      console.error('❌ Failed to send inspection reminder email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send one digest email for notifications held back by an admin's frequency preference.
+   * It goes to that admin and to whoever gets the individual email for the type.
+   * @param {Object} digest - { notificationType, frequency, recipient, events, breakdown }
+   *   where events are { createdAt, title, details, location }, oldest first
+   */
+  async sendNotificationDigest(digest) {
+    try {
+      const config = await emailConfigService.getEmailConfig();
+      if (!config || !config.enabled || !config.smtp_host) {
+        console.log('📧 Email notifications disabled or not configured - skipping notification digest');
+        return { success: true, message: 'Email notifications are disabled' };
+      }
+
+      const { notificationType, frequency, recipient, events = [], breakdown = [] } = digest;
+      const to = recipient ? [recipient] : [];
+      const role = DIGEST_RECIPIENT_ROLES[notificationType];
+      if (role) {
+        const recipients = await emailConfigService.getRecipientEmails();
+        if (recipients[role]) to.push(recipients[role]);
+      }
+      const addresses = [...new Map(to.map(address => [emailTemplateService.extractEmail(address), address])).values()];
+
+      const listed = events.slice(0, DIGEST_MAX_EVENTS);
+      const variables = {
+        notificationType,
+        isHourly: frequency === 'hourly',
+        isDaily: frequency === 'daily',
+        isWeekly: frequency === 'weekly',
+        count: events.length,
+        firstAt: events.length > 0 ? timezoneUtils.formatForEmail(events[0].createdAt) : '',
+        lastAt: events.length > 0 ? timezoneUtils.formatForEmail(events[events.length - 1].createdAt) : '',
+        breakdown,
+        events: listed.map(event => ({
+          time: timezoneUtils.formatForEmail(event.createdAt),
+          title: event.title,
+          details: event.details,
+          location: event.location
+        })),
+        moreCount: events.length - listed.length,
+        dashboardUrl: `${emailTemplateService.appUrl}/admin.html`
       };
 
-      const info = await transporter.sendMail(mailOptions);
-      console.log(`✅ Stock alert email sent: ${info.messageId}`);
-      return { success: true, messageId: info.messageId };
+      return this.sendTemplatedEmail('notification_digest', addresses, (locale) => ({
+        ...variables,
+        typeName: (NOTIFICATION_TYPE_NAMES[locale] || NOTIFICATION_TYPE_NAMES.en)[notificationType] || notificationType
+      }), config);
     } catch (error) {
-      console.error('❌ Failed to send stock alert email:', error);
+      console.error('❌ Failed to send notification digest email:', error);
       return { success: false, error: error.message };
     }
   }
@@ -527,54 +456,16 @@ class EmailService {
         return;
       }
 
-      const subject = `⚠️ PPE Management License Validation Warning`;
-      const html = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: #ff6b35; color: white; padding: 20px; text-align: center;">
-            <h1 style="margin: 0;">⚠️ License Validation Warning</h1>
-          </div>
-          
-          <div style="padding: 30px; background: #f9f9f9;">
-            <h2 style="color: #333;">Action Required: Internet Connection Needed</h2>
-            
-            <p style="font-size: 16px; line-height: 1.6;">
-              Your PPE Management system needs to validate its license online. 
-              The system is currently operating in grace period mode.
-            </p>
-            
-            <div style="background: white; padding: 20px; border-radius: 8px; border-left: 4px solid #ff6b35;">
-              <h3 style="margin-top: 0; color: #ff6b35;">Grace Period Status</h3>
-              <p><strong>Days Remaining:</strong> ${graceStatus.daysRemaining} days</p>
-              <p><strong>Total Grace Period:</strong> ${graceStatus.totalDays} days</p>
-            </div>
-            
-            <h3 style="color: #333;">What You Need to Do:</h3>
-            <ol style="font-size: 16px; line-height: 1.8;">
-              <li><strong>Check Internet Connection:</strong> Ensure your PPE Management system has internet access</li>
-              <li><strong>Restart the System:</strong> Restart the PPE Management application to attempt validation</li>
-              <li><strong>Contact Support:</strong> If issues persist, contact support with your license details</li>
-            </ol>
-            
-            <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <p style="margin: 0; color: #856404;">
-                <strong>Important:</strong> After ${graceStatus.daysRemaining} days, the system will require 
-                successful online validation to continue operating.
-              </p>
-            </div>
-            
-            <p style="font-size: 14px; color: #666; margin-top: 30px;">
-              This is an automated message from your PPE Management system. 
-              For support, please contact your system administrator.
-            </p>
-          </div>
-          
-          <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
-            PPE Management System - License Validation Service
-          </div>
-        </div>
-      `;
+      const config = await emailConfigService.getEmailConfig();
+      if (!config || !config.enabled || !config.smtp_host) {
+        console.log('📧 Email notifications disabled or not configured - skipping grace period warning');
+        return;
+      }
 
-      await this.sendEmail(adminEmail, subject, html);
+      await this.sendTemplatedEmail('license_grace_period', adminEmail, {
+        daysRemaining: graceStatus.daysRemaining,
+        totalDays: graceStatus.totalDays
+      }, config);
       console.log(`✅ Grace period warning email sent to ${adminEmail}`);
       
     } catch (error) {
@@ -631,11 +522,6 @@ class EmailService {
         return { success: true, message: 'Email notifications are disabled' };
       }
 
-      const transporter = await this.getTransporter();
-      if (!transporter) {
-        console.log('📧 No email transporter available - skipping email with attachment');
-        return { success: true, message: 'Email transporter not available' };
-      }
       const { to, subject, html, attachments } = emailData;
       
       const mailOptions = {
@@ -646,9 +532,7 @@ class EmailService {
         attachments
       };
 
-      const info = await transporter.sendMail(mailOptions);
-      console.log('✅ Email with attachment sent:', info.messageId);
-      return { success: true, messageId: info.messageId };
+      return this.queueEmail(emailData.template || 'email_with_attachment', mailOptions);
     } catch (error) {
       console.error('❌ Failed to send email with attachment:', error);
       return { success: false, error: error.message };
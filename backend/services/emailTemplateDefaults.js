@@ -0,0 +1,801 @@
+/**
+ * Built-in Email Templates
+ * The emails the system sends, with the variables each one can use. Admins can
+ * override any template per language in Email Settings; these are used otherwise.
+ */
+
+const LOCALES = {
+  en: 'English',
+  ms: 'Bahasa Melayu'
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Available in every template
+const COMMON_VARIABLES = {
+  companyName: 'Company name from Email Settings',
+  appUrl: 'Address of this PPE Management server',
+  locale: 'Language code of the email (en or ms)'
+};
+
+const REQUEST_ITEMS_VARIABLE = 'List of items; use {{#each requestItems}}{{name}} x {{quantity}}{{/each}}';
+
+const TEMPLATE_TYPES = {
+  ppe_request_new: {
+    name: 'New PPE Request',
+    description: 'Sent to the safety officer when a worker submits a PPE request',
+    variables: {
+      requestId: 'Full request ID',
+      requestReference: 'Short request reference (first 8 characters of the ID)',
+      staffName: 'Name of the worker',
+      staffId: 'Staff ID of the worker',
+      department: 'Department of the worker',
+      stationName: 'Station the request was made at',
+      items: 'Requested items as one line, e.g. "Safety Helmet (1), Gloves (2)"',
+      requestItems: REQUEST_ITEMS_VARIABLE,
+      entitlementWarning: 'Set when the request goes over the worker\'s entitlement',
+      createdAt: 'When the request was made',
+      reviewUrl: 'Link to the admin dashboard'
+    },
+    sample: {
+      requestId: '3f9a1c2b-7d41-4e0a-9b3c-5a6d7e8f9012',
+      requestReference: '3f9a1c2b',
+      staffName: 'Nur Aisyah',
+      staffId: 'EMP1042',
+      department: 'Production',
+      stationName: 'Main Gate Station',
+      items: 'Safety Helmet (1), Nitrile Gloves - L (2)',
+      requestItems: [{ name: 'Safety Helmet', quantity: 1 }, { name: 'Nitrile Gloves - L', quantity: 2 }],
+      entitlementWarning: 'Nitrile Gloves: 2 over the monthly allowance',
+      createdAt: '19/10/2026, 09:30:00',
+      reviewUrl: 'http://localhost:3000/admin.html'
+    }
+  },
+  ppe_request_approved: {
+    name: 'PPE Request Approved',
+    description: 'Sent to store personnel when a request is approved, so the items can be prepared',
+    variables: {
+      requestId: 'Full request ID',
+      requestReference: 'Short request reference (first 8 characters of the ID)',
+      staffName: 'Name of the worker',
+      staffId: 'Staff ID of the worker',
+      department: 'Department of the worker',
+      stationName: 'Station the items are collected from',
+      items: 'Approved items as one line',
+      requestItems: REQUEST_ITEMS_VARIABLE,
+      approvedBy: 'Name of the approver',
+      approvalNotes: 'Approver\'s notes, if any'
+    },
+    sample: {
+      requestId: '3f9a1c2b-7d41-4e0a-9b3c-5a6d7e8f9012',
+      requestReference: '3f9a1c2b',
+      staffName: 'Nur Aisyah',
+      staffId: 'EMP1042',
+      department: 'Production',
+      stationName: 'Main Gate Station',
+      items: 'Safety Helmet (1), Nitrile Gloves - L (2)',
+      requestItems: [{ name: 'Safety Helmet', quantity: 1 }, { name: 'Nitrile Gloves - L', quantity: 2 }],
+      approvedBy: 'Safety Officer',
+      approvalNotes: 'Replace the cracked helmet'
+    }
+  },
+  ppe_request_rejected: {
+    name: 'PPE Request Rejected (Worker)',
+    description: 'Sent to the worker when their request is rejected',
+    variables: {
+      requestId: 'Full request ID',
+      requestReference: 'Short request reference (first 8 characters of the ID)',
+      staffName: 'Name of the worker',
+      items: 'Requested items as one line',
+      requestItems: REQUEST_ITEMS_VARIABLE,
+      rejectedBy: 'Name of the person who rejected it',
+      rejectionReason: 'Reason given'
+    },
+    sample: {
+      requestId: '3f9a1c2b-7d41-4e0a-9b3c-5a6d7e8f9012',
+      requestReference: '3f9a1c2b',
+      staffName: 'Nur Aisyah',
+      items: 'Safety Helmet (1)',
+      requestItems: [{ name: 'Safety Helmet', quantity: 1 }],
+      rejectedBy: 'Safety Officer',
+      rejectionReason: 'A replacement helmet was issued last week'
+    }
+  },
+  ppe_request_rejected_store: {
+    name: 'PPE Request Rejected (Store)',
+    description: 'Sent to store personnel when a request is rejected',
+    variables: {
+      requestId: 'Full request ID',
+      requestReference: 'Short request reference (first 8 characters of the ID)',
+      staffName: 'Name of the worker',
+      staffId: 'Staff ID of the worker',
+      department: 'Department of the worker',
+      items: 'Requested items as one line',
+      requestItems: REQUEST_ITEMS_VARIABLE,
+      rejectedBy: 'Name of the person who rejected it',
+      rejectionReason: 'Reason given'
+    },
+    sample: {
+      requestId: '3f9a1c2b-7d41-4e0a-9b3c-5a6d7e8f9012',
+      requestReference: '3f9a1c2b',
+      staffName: 'Nur Aisyah',
+      staffId: 'EMP1042',
+      department: 'Production',
+      items: 'Safety Helmet (1)',
+      requestItems: [{ name: 'Safety Helmet', quantity: 1 }],
+      rejectedBy: 'Safety Officer',
+      rejectionReason: 'A replacement helmet was issued last week'
+    }
+  },
+  stock_low: {
+    name: 'Low Stock Alert',
+    description: 'Sent to store personnel when an item runs low at a station',
+    variables: {
+      itemName: 'PPE item',
+      itemCategory: 'Category of the item',
+      stationName: 'Station',
+      stationLocation: 'Location of the station',
+      currentStock: 'Units left',
+      thresholdValue: 'Alert threshold in units',
+      severity: 'LOW or CRITICAL',
+      isCritical: 'True when the severity is CRITICAL',
+      alertTime: 'When the alert was raised'
+    },
+    sample: {
+      itemName: 'Safety Goggles',
+      itemCategory: 'Eye Protection',
+      stationName: 'Warehouse Station',
+      stationLocation: 'Block B, Level 1',
+      currentStock: 2,
+      thresholdValue: 10,
+      severity: 'CRITICAL',
+      isCritical: true,
+      alertTime: '19/10/2026, 14:05:00'
+    }
+  },
+  batch_expiring: {
+    name: 'Batch Expiry Alert',
+    description: 'Sent to store personnel when stock batches are close to or past their expiry date',
+    variables: {
+      withinDays: 'How far ahead the check looks, in days',
+      expiringCount: 'Batches expiring within that time',
+      expiredCount: 'Batches already expired',
+      batches: 'List of batches; each has itemName, stationName, lotNumber, quantity, expiryDate, daysToExpiry and isExpired'
+    },
+    sample: {
+      withinDays: 30,
+      expiringCount: 2,
+      expiredCount: 1,
+      batches: [
+        { itemName: 'Dust Mask N95', stationName: 'Main Gate Station', lotNumber: 'LOT-2291', quantity: 40, expiryDate: '12/10/2026', daysToExpiry: -7, isExpired: true },
+        { itemName: 'Earplugs', stationName: 'Warehouse Station', lotNumber: null, quantity: 200, expiryDate: '05/11/2026', daysToExpiry: 17, isExpired: false }
+      ]
+    }
+  },
+  inspection_due: {
+    name: 'Inspection Reminder',
+    description: 'Sent to the safety officer when equipment inspections are due or overdue',
+    variables: {
+      withinDays: 'How far ahead the check looks, in days',
+      dueCount: 'Inspections due within that time',
+      overdueCount: 'Inspections already overdue',
+      items: 'List of inspections; each has serial, itemName, inspection, dueDate, isOverdue and daysOverdue',
+      moreCount: 'Inspections due but not listed'
+    },
+    sample: {
+      withinDays: 14,
+      dueCount: 3,
+      overdueCount: 1,
+      items: [
+        { serial: 'HARN-0007', itemName: 'Full Body Harness', inspection: 'Pre-use check', dueDate: '2026-10-15', isOverdue: true, daysOverdue: 4 },
+        { serial: 'SCBA-0002', itemName: 'Breathing Apparatus', inspection: 'Annual service', dueDate: '2026-10-28', isOverdue: false, daysOverdue: 0 }
+      ],
+      moreCount: 1
+    }
+  },
+  license_grace_period: {
+    name: 'License Validation Warning',
+    description: 'Sent to the administrator while the license can\'t be validated online',
+    variables: {
+      daysRemaining: 'Days left in the grace period',
+      totalDays: 'Length of the grace period in days'
+    },
+    sample: {
+      daysRemaining: 5,
+      totalDays: 7
+    }
+  },
+  notification_digest: {
+    name: 'Notification Digest',
+    description: 'One summary of the notifications held back for an hourly, daily or weekly digest',
+    variables: {
+      notificationType: 'Notification type the digest covers, e.g. ppe_request_new',
+      typeName: 'Name of that notification type, in the email\'s language',
+      isHourly: 'Set for an hourly digest',
+      isDaily: 'Set for a daily digest',
+      isWeekly: 'Set for a weekly digest',
+      count: 'Number of notifications in the digest',
+      firstAt: 'Time of the first notification',
+      lastAt: 'Time of the last notification',
+      breakdown: 'Counts per station or location; each has label and count',
+      events: 'List of notifications; each has time, title, details and location',
+      moreCount: 'Notifications counted but not listed',
+      dashboardUrl: 'Link to the admin dashboard'
+    },
+    sample: {
+      notificationType: 'ppe_request_new',
+      typeName: 'New PPE Requests',
+      isHourly: false,
+      isDaily: true,
+      isWeekly: false,
+      count: 3,
+      firstAt: '19/10/2026, 08:12:40',
+      lastAt: '19/10/2026, 16:47:05',
+      breakdown: [{ label: 'Main Gate Station', count: 2 }, { label: 'Warehouse Station', count: 1 }],
+      events: [
+        { time: '19/10/2026, 08:12:40', title: 'Nur Aisyah (EMP1042)', details: 'Safety Helmet (1), Nitrile Gloves - L (2)', location: 'Main Gate Station' },
+        { time: '19/10/2026, 11:03:18', title: 'Rajesh Kumar (EMP0877)', details: 'Earplugs (4)', location: 'Warehouse Station' },
+        { time: '19/10/2026, 16:47:05', title: 'Tan Wei Ming (EMP1120)', details: 'Safety Boots - 42 (1)', location: 'Main Gate Station' }
+      ],
+      moreCount: 0,
+      dashboardUrl: 'http://localhost:3000/admin.html'
+    }
+  }
+};
+
+// Names of the notification types a digest can cover, per language
+const NOTIFICATION_TYPE_NAMES = {
+  en: {
+    ppe_request_new: 'New PPE Requests',
+    ppe_request_approved: 'PPE Requests Approved',
+    ppe_request_rejected: 'PPE Requests Rejected',
+    stock_low: 'Low Stock Alerts',
+    stock_critical: 'Critical Stock Alerts',
+    stock_expiring: 'Batch Expiry Alerts',
+    license_expiring: 'License Expiration Warnings',
+    weekly_summary: 'Weekly Summary Reports',
+    monthly_summary: 'Monthly Summary Reports',
+    condition_report_new: 'New Condition Reports',
+    condition_report_update: 'Condition Report Updates',
+    inspection_due: 'Inspection Reminders'
+  },
+  ms: {
+    ppe_request_new: 'Permohonan PPE Baharu',
+    ppe_request_approved: 'Permohonan PPE Diluluskan',
+    ppe_request_rejected: 'Permohonan PPE Ditolak',
+    stock_low: 'Amaran Stok Rendah',
+    stock_critical: 'Amaran Stok Kritikal',
+    stock_expiring: 'Amaran Tamat Tempoh Kelompok',
+    license_expiring: 'Amaran Tamat Tempoh Lesen',
+    weekly_summary: 'Laporan Ringkasan Mingguan',
+    monthly_summary: 'Laporan Ringkasan Bulanan',
+    condition_report_new: 'Laporan Keadaan Baharu',
+    condition_report_update: 'Kemas Kini Laporan Keadaan',
+    inspection_due: 'Peringatan Pemeriksaan'
+  }
+};
+
+// Shared layout pieces, so every default email looks the same
+function layout(headerColor, title, subtitle, body) {
+  return `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: ${headerColor}; color: white; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+    <h2 style="margin: 0;">${title}</h2>
+    <p style="margin: 8px 0 0 0;">${subtitle}</p>
+  </div>
+${body}
+</div>`;
+}
+
+function detailsTable(heading, rows) {
+  return `  <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+    <h3 style="color: #333; margin-top: 0;">${heading}</h3>
+    <table style="width: 100%; border-collapse: collapse;">
+${rows.join('\n')}
+    </table>
+  </div>`;
+}
+
+function row(label, value) {
+  return `      <tr>
+        <td style="padding: 8px 0; font-weight: bold; color: #555;">${label}:</td>
+        <td style="padding: 8px 0;">${value}</td>
+      </tr>`;
+}
+
+function optionalRow(variable, label, value) {
+  return `      {{#if ${variable}}}
+${row(label, value)}
+      {{/if}}`;
+}
+
+function notice(background, border, color, text) {
+  return `  <div style="background: ${background}; border: 1px solid ${border}; padding: 15px; border-radius: 6px; margin-top: 20px;">
+    <p style="margin: 0; color: ${color};">${text}</p>
+  </div>`;
+}
+
+function itemList() {
+  return '{{#each requestItems}}{{name}} ({{quantity}}){{#unless @last}}<br>{{/unless}}{{else}}{{items}}{{/each}}';
+}
+
+const STOCK_COLOR = '{{#if isCritical}}#dc3545{{else}}#f59e0b{{/if}}';
+
+const DEFAULT_TEMPLATES = {
+  ppe_request_new: {
+    en: {
+      subject: '🚨 New PPE Request Pending Approval - {{staffName}}',
+      html: layout('#27AE60', '🛡️ New PPE Request', 'A new PPE request requires your approval', [
+        detailsTable('Request Details', [
+          row('Request ID', '{{requestReference}}'),
+          row('Staff Name', '{{staffName}}'),
+          row('Staff ID', '{{staffId}}'),
+          row('Department', '{{department}}'),
+          row('Station', '{{stationName}}'),
+          row('Requested Items', itemList()),
+          `      {{#if entitlementWarning}}
+      <tr>
+        <td style="padding: 8px 0; font-weight: bold; color: #b45309;">Over Entitlement:</td>
+        <td style="padding: 8px 0; color: #b45309;">{{entitlementWarning}}</td>
+      </tr>
+      {{/if}}`,
+          row('Request Time', '{{createdAt}}')
+        ]),
+        `  <div style="text-align: center; margin: 20px 0;">
+    <a href="{{reviewUrl}}" style="background: #27AE60; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">🔍 Review Request</a>
+  </div>`,
+        notice('#fff3cd', '#ffeaa7', '#856404', '⚠️ <strong>Action Required:</strong> Please review and approve/reject this PPE request as soon as possible to ensure worker safety compliance.')
+      ].join('\n'))
+    },
+    ms: {
+      subject: '🚨 Permohonan PPE Baharu Menunggu Kelulusan - {{staffName}}',
+      html: layout('#27AE60', '🛡️ Permohonan PPE Baharu', 'Permohonan PPE baharu memerlukan kelulusan anda', [
+        detailsTable('Butiran Permohonan', [
+          row('ID Permohonan', '{{requestReference}}'),
+          row('Nama Kakitangan', '{{staffName}}'),
+          row('ID Kakitangan', '{{staffId}}'),
+          row('Jabatan', '{{department}}'),
+          row('Stesen', '{{stationName}}'),
+          row('Item Dimohon', itemList()),
+          `      {{#if entitlementWarning}}
+      <tr>
+        <td style="padding: 8px 0; font-weight: bold; color: #b45309;">Melebihi Kelayakan:</td>
+        <td style="padding: 8px 0; color: #b45309;">{{entitlementWarning}}</td>
+      </tr>
+      {{/if}}`,
+          row('Masa Permohonan', '{{createdAt}}')
+        ]),
+        `  <div style="text-align: center; margin: 20px 0;">
+    <a href="{{reviewUrl}}" style="background: #27AE60; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold;">🔍 Semak Permohonan</a>
+  </div>`,
+        notice('#fff3cd', '#ffeaa7', '#856404', '⚠️ <strong>Tindakan Diperlukan:</strong> Sila semak dan luluskan atau tolak permohonan PPE ini secepat mungkin bagi memastikan pematuhan keselamatan pekerja.')
+      ].join('\n'))
+    }
+  },
+
+  ppe_request_approved: {
+    en: {
+      subject: '✅ PPE Request Approved - Prepare Items for {{staffName}}',
+      html: layout('#28a745', '✅ PPE Request Approved', 'Prepare PPE items for staff collection', [
+        detailsTable('Request Details', [
+          row('Request ID', '{{requestReference}}'),
+          row('Staff Name', '{{staffName}}'),
+          row('Staff ID', '{{staffId}}'),
+          row('Department', '{{department}}'),
+          row('Station', '{{stationName}}'),
+          row('Approved Items', itemList()),
+          row('Approved By', '{{approvedBy}}'),
+          optionalRow('approvalNotes', 'Notes', '{{approvalNotes}}')
+        ]),
+        notice('#d4edda', '#c3e6cb', '#155724', '📦 <strong>Action Required:</strong> Please prepare the approved PPE items and notify the staff member for collection.')
+      ].join('\n'))
+    },
+    ms: {
+      subject: '✅ Permohonan PPE Diluluskan - Sediakan Item untuk {{staffName}}',
+      html: layout('#28a745', '✅ Permohonan PPE Diluluskan', 'Sediakan item PPE untuk diambil oleh kakitangan', [
+        detailsTable('Butiran Permohonan', [
+          row('ID Permohonan', '{{requestReference}}'),
+          row('Nama Kakitangan', '{{staffName}}'),
+          row('ID Kakitangan', '{{staffId}}'),
+          row('Jabatan', '{{department}}'),
+          row('Stesen', '{{stationName}}'),
+          row('Item Diluluskan', itemList()),
+          row('Diluluskan Oleh', '{{approvedBy}}'),
+          optionalRow('approvalNotes', 'Catatan', '{{approvalNotes}}')
+        ]),
+        notice('#d4edda', '#c3e6cb', '#155724', '📦 <strong>Tindakan Diperlukan:</strong> Sila sediakan item PPE yang diluluskan dan maklumkan kakitangan untuk mengambilnya.')
+      ].join('\n'))
+    }
+  },
+
+  ppe_request_rejected: {
+    en: {
+      subject: '❌ PPE Request Rejected - {{staffName}} ({{requestReference}})',
+      html: layout('#dc3545', '❌ PPE Request Rejected', 'Your PPE request has been rejected by the Safety Officer', [
+        detailsTable('Request Details', [
+          row('Request ID', '{{requestReference}}'),
+          row('Requested Items', itemList()),
+          row('Rejected By', '{{rejectedBy}}'),
+          row('Reason', '{{rejectionReason}}')
+        ]),
+        notice('#f8d7da', '#f5c6cb', '#721c24', '📋 <strong>Next Step:</strong> Please speak to your Safety Officer if you have any questions, or submit a new request.')
+      ].join('\n'))
+    },
+    ms: {
+      subject: '❌ Permohonan PPE Ditolak - {{staffName}} ({{requestReference}})',
+      html: layout('#dc3545', '❌ Permohonan PPE Ditolak', 'Permohonan PPE anda telah ditolak oleh Pegawai Keselamatan', [
+        detailsTable('Butiran Permohonan', [
+          row('ID Permohonan', '{{requestReference}}'),
+          row('Item Dimohon', itemList()),
+          row('Ditolak Oleh', '{{rejectedBy}}'),
+          row('Sebab', '{{rejectionReason}}')
+        ]),
+        notice('#f8d7da', '#f5c6cb', '#721c24', '📋 <strong>Langkah Seterusnya:</strong> Sila hubungi Pegawai Keselamatan jika anda mempunyai sebarang pertanyaan, atau hantar permohonan baharu.')
+      ].join('\n'))
+    }
+  },
+
+  ppe_request_rejected_store: {
+    en: {
+      subject: '❌ PPE Request Rejected - {{staffName}} ({{requestReference}})',
+      html: layout('#dc3545', '❌ PPE Request Rejected', 'A PPE request has been rejected by Safety Officer', [
+        detailsTable('Request Details', [
+          row('Request ID', '{{requestReference}}'),
+          row('Staff Member', '{{staffName}}'),
+          row('Staff ID', '{{staffId}}'),
+          row('Department', '{{department}}'),
+          row('Items Requested', itemList()),
+          row('Rejected By', '{{rejectedBy}}'),
+          row('Reason', '{{rejectionReason}}')
+        ]),
+        notice('#f8d7da', '#f5c6cb', '#721c24', '📋 <strong>Action:</strong> No PPE items need to be prepared for this request. The staff member has been notified of the rejection.')
+      ].join('\n'))
+    },
+    ms: {
+      subject: '❌ Permohonan PPE Ditolak - {{staffName}} ({{requestReference}})',
+      html: layout('#dc3545', '❌ Permohonan PPE Ditolak', 'Permohonan PPE telah ditolak oleh Pegawai Keselamatan', [
+        detailsTable('Butiran Permohonan', [
+          row('ID Permohonan', '{{requestReference}}'),
+          row('Kakitangan', '{{staffName}}'),
+          row('ID Kakitangan', '{{staffId}}'),
+          row('Jabatan', '{{department}}'),
+          row('Item Dimohon', itemList()),
+          row('Ditolak Oleh', '{{rejectedBy}}'),
+          row('Sebab', '{{rejectionReason}}')
+        ]),
+        notice('#f8d7da', '#f5c6cb', '#721c24', '📋 <strong>Tindakan:</strong> Tiada item PPE perlu disediakan untuk permohonan ini. Kakitangan telah dimaklumkan tentang penolakan ini.')
+      ].join('\n'))
+    }
+  },
+
+  stock_low: {
+    en: {
+      subject: '🚨 {{#if isCritical}}CRITICAL{{else}}LOW{{/if}} Stock Alert - {{itemName}}',
+      html: layout(STOCK_COLOR, '🚨 {{#if isCritical}}CRITICAL{{else}}LOW{{/if}} Stock Alert', '{{itemName}} requires immediate attention', [
+        detailsTable('Alert Details', [
+          row('Item', '{{itemName}} ({{itemCategory}})'),
+          row('Station', '{{stationName}}'),
+          row('Location', '{{stationLocation}}'),
+          row('Current Stock', `<span style="color: ${STOCK_COLOR}; font-weight: bold;">{{currentStock}} units</span>`),
+          row('Threshold', '{{thresholdValue}} units'),
+          row('Severity', `<span style="background: ${STOCK_COLOR}; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;">{{severity}}</span>`),
+          row('Alert Time', '{{alertTime}}')
+        ]),
+        `  {{#if isCritical}}
+${notice('#f8d7da', '#f5c6cb', '#721c24', '📦 <strong>Action Required:</strong> IMMEDIATELY restock this item to prevent worker safety issues!')}
+  {{else}}
+${notice('#fff3cd', '#ffeaa7', '#856404', '📦 <strong>Action Required:</strong> Please restock this item soon to maintain adequate safety inventory levels.')}
+  {{/if}}`
+      ].join('\n'))
+    },
+    ms: {
+      subject: '🚨 Amaran Stok {{#if isCritical}}KRITIKAL{{else}}RENDAH{{/if}} - {{itemName}}',
+      html: layout(STOCK_COLOR, '🚨 Amaran Stok {{#if isCritical}}KRITIKAL{{else}}RENDAH{{/if}}', '{{itemName}} memerlukan perhatian segera', [
+        detailsTable('Butiran Amaran', [
+          row('Item', '{{itemName}} ({{itemCategory}})'),
+          row('Stesen', '{{stationName}}'),
+          row('Lokasi', '{{stationLocation}}'),
+          row('Stok Semasa', `<span style="color: ${STOCK_COLOR}; font-weight: bold;">{{currentStock}} unit</span>`),
+          row('Paras Minimum', '{{thresholdValue}} unit'),
+          row('Tahap', `<span style="background: ${STOCK_COLOR}; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px;">{{#if isCritical}}KRITIKAL{{else}}RENDAH{{/if}}</span>`),
+          row('Masa Amaran', '{{alertTime}}')
+        ]),
+        `  {{#if isCritical}}
+${notice('#f8d7da', '#f5c6cb', '#721c24', '📦 <strong>Tindakan Diperlukan:</strong> Tambah stok item ini SEGERA untuk mengelakkan risiko keselamatan pekerja!')}
+  {{else}}
+${notice('#fff3cd', '#ffeaa7', '#856404', '📦 <strong>Tindakan Diperlukan:</strong> Sila tambah stok item ini secepat mungkin untuk mengekalkan tahap inventori keselamatan yang mencukupi.')}
+  {{/if}}`
+      ].join('\n'))
+    }
+  },
+
+  batch_expiring: {
+    en: {
+      subject: '⏳ {{#if expiredCount}}{{expiredCount}} PPE Batch(es) Expired{{else}}{{expiringCount}} PPE Batch(es) Expiring Soon{{/if}}',
+      html: layout('{{#if expiredCount}}#dc3545{{else}}#f59e0b{{/if}}', '⏳ PPE Batch Expiry',
+        '{{expiringCount}} batch(es) expiring within {{withinDays}} days{{#if expiredCount}}, {{expiredCount}} already expired{{/if}}', `  <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <th style="padding: 8px; text-align: left; color: #555;">Item</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Station</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Lot</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Qty</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Expiry</th>
+      </tr>
+      {{#each batches}}
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{itemName}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{stationName}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{#if lotNumber}}{{lotNumber}}{{else}}-{{/if}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{quantity}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; color: {{#if isExpired}}#dc3545{{else}}#333{{/if}};">
+          {{expiryDate}} {{#if isExpired}}(expired){{else}}({{daysToExpiry}} days){{/if}}
+        </td>
+      </tr>
+      {{/each}}
+    </table>
+  </div>
+
+  <p style="color: #666; font-size: 14px;">Expired batches should be written off in the Stock Alerts tab and removed from the station.</p>`)
+    },
+    ms: {
+      subject: '⏳ {{#if expiredCount}}{{expiredCount}} Kelompok PPE Telah Tamat Tempoh{{else}}{{expiringCount}} Kelompok PPE Hampir Tamat Tempoh{{/if}}',
+      html: layout('{{#if expiredCount}}#dc3545{{else}}#f59e0b{{/if}}', '⏳ Tamat Tempoh Kelompok PPE',
+        '{{expiringCount}} kelompok akan tamat tempoh dalam {{withinDays}} hari{{#if expiredCount}}, {{expiredCount}} telah tamat tempoh{{/if}}', `  <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <th style="padding: 8px; text-align: left; color: #555;">Item</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Stesen</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Lot</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Kuantiti</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Tarikh Luput</th>
+      </tr>
+      {{#each batches}}
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{itemName}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{stationName}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{#if lotNumber}}{{lotNumber}}{{else}}-{{/if}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{quantity}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; color: {{#if isExpired}}#dc3545{{else}}#333{{/if}};">
+          {{expiryDate}} {{#if isExpired}}(tamat tempoh){{else}}({{daysToExpiry}} hari){{/if}}
+        </td>
+      </tr>
+      {{/each}}
+    </table>
+  </div>
+
+  <p style="color: #666; font-size: 14px;">Kelompok yang telah tamat tempoh perlu dihapus kira dalam tab Amaran Stok dan dikeluarkan dari stesen.</p>`)
+    }
+  },
+
+  inspection_due: {
+    en: {
+      subject: '🔍 {{#if overdueCount}}{{overdueCount}} Equipment Inspection(s) Overdue{{else}}{{dueCount}} Equipment Inspection(s) Due{{/if}}',
+      html: layout('{{#if overdueCount}}#dc3545{{else}}#f59e0b{{/if}}', '🔍 Equipment Inspections',
+        '{{dueCount}} inspection(s) due within {{withinDays}} days{{#if overdueCount}}, {{overdueCount}} overdue{{/if}}', `  <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <th style="padding: 8px; text-align: left; color: #555;">Serial</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Item</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Inspection</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Due</th>
+      </tr>
+      {{#each items}}
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{serial}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{itemName}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{inspection}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; color: {{#if isOverdue}}#dc3545{{else}}#333{{/if}};">
+          {{dueDate}}{{#if isOverdue}} ({{daysOverdue}} days overdue){{/if}}
+        </td>
+      </tr>
+      {{/each}}
+    </table>
+    {{#if moreCount}}<p style="color: #666; margin-bottom: 0;">...and {{moreCount}} more</p>{{/if}}
+  </div>
+
+  <p style="color: #666; font-size: 14px;">Items that fail an inspection are taken out of service automatically.</p>`)
+    },
+    ms: {
+      subject: '🔍 {{#if overdueCount}}{{overdueCount}} Pemeriksaan Peralatan Telah Lewat{{else}}{{dueCount}} Pemeriksaan Peralatan Perlu Dibuat{{/if}}',
+      html: layout('{{#if overdueCount}}#dc3545{{else}}#f59e0b{{/if}}', '🔍 Pemeriksaan Peralatan',
+        '{{dueCount}} pemeriksaan perlu dibuat dalam {{withinDays}} hari{{#if overdueCount}}, {{overdueCount}} telah lewat{{/if}}', `  <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <th style="padding: 8px; text-align: left; color: #555;">No. Siri</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Item</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Pemeriksaan</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Tarikh Akhir</th>
+      </tr>
+      {{#each items}}
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{serial}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{itemName}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{inspection}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; color: {{#if isOverdue}}#dc3545{{else}}#333{{/if}};">
+          {{dueDate}}{{#if isOverdue}} (lewat {{daysOverdue}} hari){{/if}}
+        </td>
+      </tr>
+      {{/each}}
+    </table>
+    {{#if moreCount}}<p style="color: #666; margin-bottom: 0;">...dan {{moreCount}} lagi</p>{{/if}}
+  </div>
+
+  <p style="color: #666; font-size: 14px;">Item yang gagal pemeriksaan akan dikeluarkan daripada perkhidmatan secara automatik.</p>`)
+    }
+  },
+
+  license_grace_period: {
+    en: {
+      subject: '⚠️ PPE Management License Validation Warning',
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: #ff6b35; color: white; padding: 20px; text-align: center;">
+    <h1 style="margin: 0;">⚠️ License Validation Warning</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f9f9f9;">
+    <h2 style="color: #333;">Action Required: Internet Connection Needed</h2>
+
+    <p style="font-size: 16px; line-height: 1.6;">
+      Your PPE Management system needs to validate its license online.
+      The system is currently operating in grace period mode.
+    </p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; border-left: 4px solid #ff6b35;">
+      <h3 style="margin-top: 0; color: #ff6b35;">Grace Period Status</h3>
+      <p><strong>Days Remaining:</strong> {{daysRemaining}} days</p>
+      <p><strong>Total Grace Period:</strong> {{totalDays}} days</p>
+    </div>
+
+    <h3 style="color: #333;">What You Need to Do:</h3>
+    <ol style="font-size: 16px; line-height: 1.8;">
+      <li><strong>Check Internet Connection:</strong> Ensure your PPE Management system has internet access</li>
+      <li><strong>Restart the System:</strong> Restart the PPE Management application to attempt validation</li>
+      <li><strong>Contact Support:</strong> If issues persist, contact support with your license details</li>
+    </ol>
+
+    <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0;">
+      <p style="margin: 0; color: #856404;">
+        <strong>Important:</strong> After {{daysRemaining}} days, the system will require
+        successful online validation to continue operating.
+      </p>
+    </div>
+
+    <p style="font-size: 14px; color: #666; margin-top: 30px;">
+      This is an automated message from your PPE Management system.
+      For support, please contact your system administrator.
+    </p>
+  </div>
+
+  <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+    PPE Management System - License Validation Service
+  </div>
+</div>`
+    },
+    ms: {
+      subject: '⚠️ Amaran Pengesahan Lesen PPE Management',
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <div style="background: #ff6b35; color: white; padding: 20px; text-align: center;">
+    <h1 style="margin: 0;">⚠️ Amaran Pengesahan Lesen</h1>
+  </div>
+
+  <div style="padding: 30px; background: #f9f9f9;">
+    <h2 style="color: #333;">Tindakan Diperlukan: Sambungan Internet Diperlukan</h2>
+
+    <p style="font-size: 16px; line-height: 1.6;">
+      Sistem PPE Management anda perlu mengesahkan lesennya secara dalam talian.
+      Sistem kini beroperasi dalam mod tempoh tangguh.
+    </p>
+
+    <div style="background: white; padding: 20px; border-radius: 8px; border-left: 4px solid #ff6b35;">
+      <h3 style="margin-top: 0; color: #ff6b35;">Status Tempoh Tangguh</h3>
+      <p><strong>Baki Hari:</strong> {{daysRemaining}} hari</p>
+      <p><strong>Jumlah Tempoh Tangguh:</strong> {{totalDays}} hari</p>
+    </div>
+
+    <h3 style="color: #333;">Apa Yang Perlu Dilakukan:</h3>
+    <ol style="font-size: 16px; line-height: 1.8;">
+      <li><strong>Semak Sambungan Internet:</strong> Pastikan sistem PPE Management anda mempunyai akses internet</li>
+      <li><strong>Mulakan Semula Sistem:</strong> Mulakan semula aplikasi PPE Management untuk mencuba pengesahan</li>
+      <li><strong>Hubungi Sokongan:</strong> Jika masalah berterusan, hubungi pasukan sokongan bersama butiran lesen anda</li>
+    </ol>
+
+    <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0;">
+      <p style="margin: 0; color: #856404;">
+        <strong>Penting:</strong> Selepas {{daysRemaining}} hari, sistem memerlukan
+        pengesahan dalam talian yang berjaya untuk terus beroperasi.
+      </p>
+    </div>
+
+    <p style="font-size: 14px; color: #666; margin-top: 30px;">
+      Ini ialah mesej automatik daripada sistem PPE Management anda.
+      Untuk bantuan, sila hubungi pentadbir sistem anda.
+    </p>
+  </div>
+
+  <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
+    PPE Management System - Perkhidmatan Pengesahan Lesen
+  </div>
+</div>`
+    }
+  },
+
+  notification_digest: {
+    en: {
+      subject: '📋 {{#if isHourly}}Hourly{{else}}{{#if isWeekly}}Weekly{{else}}Daily{{/if}}{{/if}} Digest: {{count}} {{typeName}}',
+      html: layout('#2563eb', '📋 {{#if isHourly}}Hourly{{else}}{{#if isWeekly}}Weekly{{else}}Daily{{/if}}{{/if}} Digest: {{typeName}}',
+        '{{count}} notification(s) between {{firstAt}} and {{lastAt}}', `  {{#if breakdown}}
+  <p style="margin: 0 0 20px 0;">
+    {{#each breakdown}}<span style="display: inline-block; background: #e0e7ff; color: #1e3a8a; padding: 4px 10px; border-radius: 12px; margin: 0 6px 6px 0; font-size: 13px;">{{label}}: <strong>{{count}}</strong></span>{{/each}}
+  </p>
+  {{/if}}
+  <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <th style="padding: 8px; text-align: left; color: #555;">Time</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Event</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Details</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Station</th>
+      </tr>
+      {{#each events}}
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; white-space: nowrap;">{{time}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{title}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{details}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{#if location}}{{location}}{{else}}-{{/if}}</td>
+      </tr>
+      {{/each}}
+    </table>
+    {{#if moreCount}}<p style="color: #666; margin-bottom: 0;">...and {{moreCount}} more</p>{{/if}}
+  </div>
+
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="{{dashboardUrl}}" style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">Open Dashboard</a>
+  </div>
+
+  <p style="color: #666; font-size: 14px;">You get these as a digest because of your notification preferences. Change them under Email Settings in the admin dashboard.</p>`)
+    },
+    ms: {
+      subject: '📋 Ringkasan {{#if isHourly}}Setiap Jam{{else}}{{#if isWeekly}}Mingguan{{else}}Harian{{/if}}{{/if}}: {{count}} {{typeName}}',
+      html: layout('#2563eb', '📋 Ringkasan {{#if isHourly}}Setiap Jam{{else}}{{#if isWeekly}}Mingguan{{else}}Harian{{/if}}{{/if}}: {{typeName}}',
+        '{{count}} pemberitahuan antara {{firstAt}} dan {{lastAt}}', `  {{#if breakdown}}
+  <p style="margin: 0 0 20px 0;">
+    {{#each breakdown}}<span style="display: inline-block; background: #e0e7ff; color: #1e3a8a; padding: 4px 10px; border-radius: 12px; margin: 0 6px 6px 0; font-size: 13px;">{{label}}: <strong>{{count}}</strong></span>{{/each}}
+  </p>
+  {{/if}}
+  <div style="background: #f9f9f9; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <th style="padding: 8px; text-align: left; color: #555;">Masa</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Perkara</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Butiran</th>
+        <th style="padding: 8px; text-align: left; color: #555;">Stesen</th>
+      </tr>
+      {{#each events}}
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; white-space: nowrap;">{{time}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{title}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{details}}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">{{#if location}}{{location}}{{else}}-{{/if}}</td>
+      </tr>
+      {{/each}}
+    </table>
+    {{#if moreCount}}<p style="color: #666; margin-bottom: 0;">...dan {{moreCount}} lagi</p>{{/if}}
+  </div>
+
+  <div style="text-align: center; margin: 30px 0;">
+    <a href="{{dashboardUrl}}" style="background: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">Buka Papan Pemuka</a>
+  </div>
+
+  <p style="color: #666; font-size: 14px;">Anda menerima ringkasan ini kerana tetapan pemberitahuan anda. Ubahnya di bawah Tetapan E-mel dalam papan pemuka pentadbir.</p>`)
+    }
+  }
+};
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  COMMON_VARIABLES,
+  TEMPLATE_TYPES,
+  DEFAULT_TEMPLATES,
+  NOTIFICATION_TYPE_NAMES
+};
@@ -0,0 +1,346 @@
+const { getDb } = require('../database/init');
+const templateEngine = require('../utils/templateEngine');
+const emailConfigService = require('./emailConfigService');
+const { createError } = require('../utils/httpError');
+const {
+  LOCALES,
+  DEFAULT_LOCALE,
+  COMMON_VARIABLES,
+  TEMPLATE_TYPES,
+  DEFAULT_TEMPLATES
+} = require('./emailTemplateDefaults');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Email templates: the built-in ones in emailTemplateDefaults, which admins can
+// override per email type and language. Emails are rendered in the language of
+// each recipient (users and staff have a preferred_language), falling back to
+// the default language in Email Settings and then to English.
+class EmailTemplateService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+    this.locales = LOCALES;
+    this.defaultLocale = DEFAULT_LOCALE;
+    this.appUrl = APP_URL;
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  isLocale(locale) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, locale);
+  }
+
+  checkTemplateType(templateType, locale) {
+    if (!TEMPLATE_TYPES[templateType]) {
+      throw createError(`Unknown email template: ${templateType}`, 404);
+    }
+    if (locale !== undefined && !this.isLocale(locale)) {
+      throw createError(`locale must be one of: ${Object.keys(LOCALES).join(', ')}`, 400);
+    }
+  }
+
+  /**
+   * Email types with their documented variables, for the template editor
+   */
+  getTemplateTypes() {
+    return Object.entries(TEMPLATE_TYPES).map(([type, definition]) => ({
+      type,
+      name: definition.name,
+      description: definition.description,
+      variables: { ...definition.variables, ...COMMON_VARIABLES }
+    }));
+  }
+
+  async getCustomTemplates(templateType = null) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.all(`
+        SELECT * FROM email_templates
+        ${templateType ? 'WHERE template_type = ?' : ''}
+      `, templateType ? [templateType] : [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Every email type in every language, showing the admin's version where there is one
+   * @returns {Array} { templateType, locale, subject, htmlContent, enabled, customized, updatedAt }
+   */
+  async getTemplates() {
+    try {
+      const custom = await this.getCustomTemplates();
+      const templates = [];
+
+      for (const templateType of Object.keys(TEMPLATE_TYPES)) {
+        for (const locale of Object.keys(LOCALES)) {
+          const row = custom.find(t => t.template_type === templateType && t.locale === locale);
+          templates.push(this.formatTemplate(templateType, locale, row));
+        }
+      }
+
+      return templates;
+    } catch (error) {
+      console.error('Get email templates error:', error);
+      throw error;
+    }
+  }
+
+  async getTemplate(templateType, locale) {
+    try {
+      this.checkTemplateType(templateType, locale);
+
+      const custom = await this.getCustomTemplates(templateType);
+      return this.formatTemplate(templateType, locale, custom.find(t => t.locale === locale));
+    } catch (error) {
+      console.error('Get email template error:', error);
+      throw error;
+    }
+  }
+
+  formatTemplate(templateType, locale, row) {
+    const builtIn = DEFAULT_TEMPLATES[templateType][locale] || DEFAULT_TEMPLATES[templateType][DEFAULT_LOCALE];
+
+    return {
+      templateType,
+      locale,
+      name: TEMPLATE_TYPES[templateType].name,
+      subject: row ? row.subject : builtIn.subject,
+      htmlContent: row ? row.html_content : builtIn.html,
+      enabled: row ? Boolean(row.enabled) : true,
+      customized: Boolean(row),
+      updatedAt: row ? row.updated_at : null
+    };
+  }
+
+  /**
+   * Save an admin's version of a template. A disabled template is kept but the
+   * built-in one is sent instead.
+   */
+  async saveTemplate(templateType, locale, template, updatedBy = null) {
+    try {
+      this.checkTemplateType(templateType, locale);
+
+      const { subject, htmlContent, enabled } = template;
+      if (!subject || !htmlContent) {
+        throw createError('Subject and HTML content are required', 400);
+      }
+
+      this.validateTemplate(subject, htmlContent);
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT OR REPLACE INTO email_templates
+          (template_type, locale, subject, html_content, variables, enabled, updated_by, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `, [
+          templateType, locale, subject, htmlContent,
+          JSON.stringify(Object.keys(TEMPLATE_TYPES[templateType].variables)),
+          enabled === false ? 0 : 1, updatedBy
+        ], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      return this.getTemplate(templateType, locale);
+    } catch (error) {
+      console.error('Save email template error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Go back to the built-in template
+   */
+  async resetTemplate(templateType, locale) {
+    try {
+      this.checkTemplateType(templateType, locale);
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run('DELETE FROM email_templates WHERE template_type = ? AND locale = ?', [templateType, locale], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      return this.getTemplate(templateType, locale);
+    } catch (error) {
+      console.error('Reset email template error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check both parts of a template
+   * @throws {Error} With statusCode 400 naming the part and the problem
+   */
+  validateTemplate(subject, htmlContent) {
+    try {
+      templateEngine.validate(subject);
+    } catch (error) {
+      throw createError(`Subject: ${error.message}`, 400);
+    }
+    try {
+      templateEngine.validate(htmlContent);
+    } catch (error) {
+      throw createError(`HTML content: ${error.message}`, 400);
+    }
+  }
+
+  async getCommonVariables(locale) {
+    const config = await emailConfigService.getEmailConfig();
+    return {
+      companyName: (config && config.company_name) || 'PPE Management System',
+      appUrl: APP_URL,
+      locale
+    };
+  }
+
+  /**
+   * Render an email in one language. An enabled admin version is used first, then
+   * the built-in template in that language, then the English one.
+   * @returns {Object} { subject, html, locale }
+   */
+  async render(templateType, locale, data = {}) {
+    try {
+      this.checkTemplateType(templateType);
+      const language = this.isLocale(locale) ? locale : DEFAULT_LOCALE;
+
+      let template = null;
+      const custom = (await this.getCustomTemplates(templateType)).find(t => t.locale === language && t.enabled);
+      if (custom) {
+        template = { subject: custom.subject, html: custom.html_content };
+      } else {
+        template = DEFAULT_TEMPLATES[templateType][language] || DEFAULT_TEMPLATES[templateType][DEFAULT_LOCALE];
+      }
+
+      const variables = { ...(await this.getCommonVariables(language)), ...data };
+
+      try {
+        return this.renderTemplate(template, variables, language);
+      } catch (error) {
+        // An admin template that no longer parses mustn't stop the email going out
+        if (!custom) throw error;
+        console.error(`Email template ${templateType}/${language} is invalid, using the built-in one:`, error.message);
+        return this.renderTemplate(DEFAULT_TEMPLATES[templateType][language] || DEFAULT_TEMPLATES[templateType][DEFAULT_LOCALE], variables, language);
+      }
+    } catch (error) {
+      console.error('Render email template error:', error);
+      throw error;
+    }
+  }
+
+  renderTemplate(template, variables, locale) {
+    return {
+      // Subjects are plain text, so nothing in them is HTML-escaped
+      subject: templateEngine.render(template.subject, variables, { escape: false }).replace(/\s+/g, ' ').trim(),
+      html: templateEngine.render(template.html, variables),
+      locale
+    };
+  }
+
+  /**
+   * Render a template against its sample data, without saving it
+   * @param {Object} options - { templateType, locale, subject, htmlContent, data }; subject and
+   *   htmlContent default to the current template, data is merged over the sample data
+   * @returns {Object} { subject, html, locale, variables }
+   */
+  async preview(options = {}) {
+    try {
+      const { templateType, locale = DEFAULT_LOCALE, data = {} } = options;
+      this.checkTemplateType(templateType, locale);
+
+      const current = await this.getTemplate(templateType, locale);
+      const subject = options.subject !== undefined ? options.subject : current.subject;
+      const htmlContent = options.htmlContent !== undefined ? options.htmlContent : current.htmlContent;
+      this.validateTemplate(subject, htmlContent);
+
+      const variables = {
+        ...(await this.getCommonVariables(locale)),
+        ...TEMPLATE_TYPES[templateType].sample,
+        ...data
+      };
+
+      return {
+        ...this.renderTemplate({ subject, html: htmlContent }, variables, locale),
+        variables
+      };
+    } catch (error) {
+      console.error('Preview email template error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split recipients by the language they read email in
+   * @param {string|Array} to - Address, comma-separated addresses or a list of them
+   * @returns {Map} locale => [addresses]
+   */
+  async groupRecipientsByLocale(to) {
+    const addresses = (Array.isArray(to) ? to : String(to || '').split(','))
+      .map(address => String(address).trim())
+      .filter(Boolean);
+    const groups = new Map();
+    if (addresses.length === 0) {
+      return groups;
+    }
+
+    const config = await emailConfigService.getEmailConfig();
+    const fallback = config && this.isLocale(config.default_language) ? config.default_language : DEFAULT_LOCALE;
+
+    let preferences = [];
+    try {
+      const db = this.getDatabaseConnection();
+      const emails = addresses.map(address => this.extractEmail(address));
+      const placeholders = emails.map(() => '?').join(', ');
+
+      // A login account's choice wins over a staff directory entry with the same address
+      preferences = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT LOWER(email) as email, preferred_language, 1 as priority FROM users
+          WHERE LOWER(email) IN (${placeholders}) AND preferred_language IS NOT NULL AND preferred_language != ''
+          UNION ALL
+          SELECT LOWER(email) as email, preferred_language, 2 as priority FROM staff_directory
+          WHERE LOWER(email) IN (${placeholders}) AND preferred_language IS NOT NULL AND preferred_language != ''
+          ORDER BY priority
+        `, [...emails, ...emails], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+    } catch (error) {
+      console.error('Get recipient languages error:', error);
+    }
+
+    for (const address of addresses) {
+      const preference = preferences.find(p => p.email === this.extractEmail(address) && this.isLocale(p.preferred_language));
+      const locale = preference ? preference.preferred_language : fallback;
+      if (!groups.has(locale)) groups.set(locale, []);
+      groups.get(locale).push(address);
+    }
+
+    return groups;
+  }
+
+  // "Name <name@example.com>" -> "name@example.com"
+  extractEmail(address) {
+    const match = address.match(/<([^>]+)>/);
+    return (match ? match[1] : address).trim().toLowerCase();
+  }
+}
+
+module.exports = new EmailTemplateService();
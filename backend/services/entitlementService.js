@@ -0,0 +1,474 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const auditService = require('./auditService');
+const { createError } = require('../utils/httpError');
+
+const SCOPE_TYPES = ['DEPARTMENT', 'POSITION'];
+
+// FLAG only marks the request for approvers; REQUIRE_APPROVAL also adds
+// approver_role as an extra step to the request's approval chain
+const OVER_LIMIT_ACTIONS = ['FLAG', 'REQUIRE_APPROVAL'];
+
+// Same roles the approval chain steps accept
+const APPROVER_ROLES = ['SUPERVISOR', 'SAFETY_OFFICER', 'STORE_PERSONNEL', 'ADMIN'];
+
+class EntitlementService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * List the entitlement matrix
+   * @param {Object} filters - { scopeType, scopeValue, activeOnly }
+   */
+  async getEntitlements(filters = {}) {
+    const { scopeType, scopeValue, activeOnly = false } = filters;
+    const db = this.getDatabaseConnection();
+
+    let query = `
+      SELECT e.*, pi.name as item_name, pi.symbol, pi.type as item_type
+      FROM ppe_entitlements e
+      JOIN ppe_items pi ON e.ppe_item_id = pi.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (scopeType) {
+      query += ' AND e.scope_type = ?';
+      params.push(scopeType);
+    }
+    if (scopeValue) {
+      query += ' AND UPPER(e.scope_value) = UPPER(?)';
+      params.push(scopeValue);
+    }
+    if (activeOnly) {
+      query += ' AND e.active = 1';
+    }
+
+    query += ' ORDER BY e.scope_type ASC, e.scope_value ASC, pi.name ASC';
+
+    return new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  async getEntitlementById(id) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM ppe_entitlements WHERE id = ?', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  /**
+   * Validate and normalise entitlement input
+   */
+  async validateEntitlement({ scopeType, scopeValue, ppeItemId, quantity, periodDays, overLimitAction = 'FLAG', approverRole }) {
+    const scope = (scopeType || '').toUpperCase();
+    if (!SCOPE_TYPES.includes(scope)) {
+      throw createError(`scopeType must be one of: ${SCOPE_TYPES.join(', ')}`, 400);
+    }
+    if (!scopeValue || !String(scopeValue).trim()) {
+      throw createError(`A ${scope.toLowerCase()} is required`, 400);
+    }
+
+    const allowed = parseInt(quantity);
+    if (!(allowed >= 0)) {
+      throw createError('Quantity must be zero or more', 400);
+    }
+    const days = parseInt(periodDays);
+    if (!(days > 0)) {
+      throw createError('Period must be at least one day', 400);
+    }
+
+    const action = (overLimitAction || 'FLAG').toUpperCase();
+    if (!OVER_LIMIT_ACTIONS.includes(action)) {
+      throw createError(`overLimitAction must be one of: ${OVER_LIMIT_ACTIONS.join(', ')}`, 400);
+    }
+    if (action === 'REQUIRE_APPROVAL' && !APPROVER_ROLES.includes(approverRole)) {
+      throw createError(`approverRole must be one of: ${APPROVER_ROLES.join(', ')}`, 400);
+    }
+
+    const db = this.getDatabaseConnection();
+    const ppeItem = await new Promise((resolve, reject) => {
+      db.get('SELECT id, parent_item_id FROM ppe_items WHERE id = ?', [ppeItemId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!ppeItem) {
+      throw createError('PPE item not found', 404);
+    }
+    // All sizes of a type count towards the type's entitlement
+    if (ppeItem.parent_item_id) {
+      throw createError('Set entitlements on the PPE type, not on a single size', 400);
+    }
+
+    return {
+      scopeType: scope,
+      scopeValue: String(scopeValue).trim(),
+      ppeItemId,
+      quantity: allowed,
+      periodDays: days,
+      overLimitAction: action,
+      approverRole: action === 'REQUIRE_APPROVAL' ? approverRole : null
+    };
+  }
+
+  /**
+   * Add a row to the entitlement matrix
+   */
+  async createEntitlement(data, context = {}) {
+    const { userId = 'system', ipAddress, userAgent } = context;
+
+    try {
+      const entitlement = await this.validateEntitlement(data);
+      const db = this.getDatabaseConnection();
+
+      const existing = await new Promise((resolve, reject) => {
+        db.get(`
+          SELECT id FROM ppe_entitlements
+          WHERE scope_type = ? AND UPPER(scope_value) = UPPER(?) AND ppe_item_id = ?
+        `, [entitlement.scopeType, entitlement.scopeValue, entitlement.ppeItemId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (existing) {
+        throw createError('An entitlement for this item already exists for that department/position', 409);
+      }
+
+      const id = uuidv4();
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO ppe_entitlements
+          (id, scope_type, scope_value, ppe_item_id, quantity, period_days, over_limit_action, approver_role, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          id, entitlement.scopeType, entitlement.scopeValue, entitlement.ppeItemId, entitlement.quantity,
+          entitlement.periodDays, entitlement.overLimitAction, entitlement.approverRole, userId
+        ], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId,
+        action: 'CREATE',
+        resourceType: 'PPE_ENTITLEMENT',
+        resourceId: id,
+        newValues: entitlement,
+        ipAddress,
+        userAgent
+      });
+
+      return { success: true, id };
+    } catch (error) {
+      console.error('Create entitlement error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change limits of an entitlement (set active: false to suspend it)
+   */
+  async updateEntitlement(id, data, context = {}) {
+    const { userId = 'system', ipAddress, userAgent } = context;
+
+    try {
+      const current = await this.getEntitlementById(id);
+      if (!current) {
+        throw createError('Entitlement not found', 404);
+      }
+
+      const entitlement = await this.validateEntitlement({
+        scopeType: current.scope_type,
+        scopeValue: current.scope_value,
+        ppeItemId: current.ppe_item_id,
+        quantity: data.quantity !== undefined ? data.quantity : current.quantity,
+        periodDays: data.periodDays !== undefined ? data.periodDays : current.period_days,
+        overLimitAction: data.overLimitAction || current.over_limit_action,
+        approverRole: data.approverRole !== undefined ? data.approverRole : current.approver_role
+      });
+      const active = data.active !== undefined ? !!data.active : !!current.active;
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE ppe_entitlements
+          SET quantity = ?, period_days = ?, over_limit_action = ?, approver_role = ?, active = ?,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [
+          entitlement.quantity, entitlement.periodDays, entitlement.overLimitAction,
+          entitlement.approverRole, active ? 1 : 0, id
+        ], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId,
+        action: 'UPDATE',
+        resourceType: 'PPE_ENTITLEMENT',
+        resourceId: id,
+        oldValues: {
+          quantity: current.quantity,
+          periodDays: current.period_days,
+          overLimitAction: current.over_limit_action,
+          approverRole: current.approver_role,
+          active: !!current.active
+        },
+        newValues: { ...entitlement, active },
+        ipAddress,
+        userAgent
+      });
+
+      return { success: true, id };
+    } catch (error) {
+      console.error('Update entitlement error:', error);
+      throw error;
+    }
+  }
+
+  async deleteEntitlement(id, context = {}) {
+    const { userId = 'system', ipAddress, userAgent } = context;
+
+    try {
+      const current = await this.getEntitlementById(id);
+      if (!current) {
+        throw createError('Entitlement not found', 404);
+      }
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run('DELETE FROM ppe_entitlements WHERE id = ?', [id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId,
+        action: 'DELETE',
+        resourceType: 'PPE_ENTITLEMENT',
+        resourceId: id,
+        oldValues: current,
+        ipAddress,
+        userAgent
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete entitlement error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Active entitlements that apply to a staff member, one per PPE type.
+   * A position entitlement overrides a department one for the same type.
+   * @returns {Object} { staff, entitlements }
+   */
+  async getApplicableEntitlements(staffId) {
+    const db = this.getDatabaseConnection();
+
+    const staff = await new Promise((resolve, reject) => {
+      db.get('SELECT staff_id, name, department, position FROM staff_directory WHERE UPPER(staff_id) = UPPER(?)', [staffId || ''], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!staff) {
+      return { staff: null, entitlements: [] };
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT e.*, pi.name as item_name
+        FROM ppe_entitlements e
+        JOIN ppe_items pi ON e.ppe_item_id = pi.id
+        WHERE e.active = 1 AND (
+          (e.scope_type = 'DEPARTMENT' AND UPPER(e.scope_value) = UPPER(?)) OR
+          (e.scope_type = 'POSITION' AND UPPER(e.scope_value) = UPPER(?))
+        )
+      `, [staff.department || '', staff.position || ''], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+
+    const byItem = {};
+    rows.forEach(row => {
+      const current = byItem[row.ppe_item_id];
+      if (!current || (current.scope_type === 'DEPARTMENT' && row.scope_type === 'POSITION')) {
+        byItem[row.ppe_item_id] = row;
+      }
+    });
+
+    return { staff, entitlements: Object.values(byItem) };
+  }
+
+  /**
+   * Units of a PPE type (any size) a staff member has drawn within the period:
+   * issued assignments in the window plus items of pending or approved requests not issued yet
+   */
+  async getUsage(staffId, ppeItemId, periodDays) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.get(`
+        SELECT
+          (SELECT COALESCE(SUM(spa.quantity), 0)
+           FROM staff_ppe_assignments spa
+           JOIN ppe_items pi ON spa.ppe_item_id = pi.id
+           WHERE UPPER(spa.staff_id) = UPPER(?) AND COALESCE(pi.parent_item_id, pi.id) = ?
+           AND spa.issued_date >= datetime('now', ?)) +
+          (SELECT COALESCE(SUM(pri.quantity), 0)
+           FROM ppe_request_items pri
+           JOIN ppe_requests pr ON pri.request_id = pr.id
+           JOIN ppe_items pi ON pri.ppe_item_id = pi.id
+           WHERE UPPER(pr.staff_id) = UPPER(?) AND COALESCE(pi.parent_item_id, pi.id) = ?
+           AND pr.status IN ('PENDING', 'APPROVED') AND COALESCE(pri.issued, 0) = 0) as used
+      `, [staffId, ppeItemId, `-${periodDays} days`, staffId, ppeItemId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.used : 0);
+      });
+    });
+  }
+
+  /**
+   * Entitlement status of a staff member: allowance, usage and remaining per PPE type
+   */
+  async getStaffEntitlementStatus(staffId) {
+    const { staff, entitlements } = await this.getApplicableEntitlements(staffId);
+
+    const status = [];
+    for (const entitlement of entitlements) {
+      const used = await this.getUsage(staff.staff_id, entitlement.ppe_item_id, entitlement.period_days);
+      status.push({
+        entitlementId: entitlement.id,
+        ppeItemId: entitlement.ppe_item_id,
+        itemName: entitlement.item_name,
+        scopeType: entitlement.scope_type,
+        scopeValue: entitlement.scope_value,
+        allowed: entitlement.quantity,
+        periodDays: entitlement.period_days,
+        used,
+        remaining: Math.max(0, entitlement.quantity - used)
+      });
+    }
+
+    return { staff, entitlements: status };
+  }
+
+  /**
+   * Compare the items of a new request with the staff member's entitlements
+   * @param {string} staffId - Staff directory staff_id
+   * @param {Array} items - [{ ppeItemId, quantity }] (sizes count towards their type)
+   * @returns {Array} breaches - one per exceeded entitlement
+   */
+  async checkRequest(staffId, items) {
+    try {
+      const { staff, entitlements } = await this.getApplicableEntitlements(staffId);
+
+      if (!staff || entitlements.length === 0 || !Array.isArray(items)) {
+        return [];
+      }
+
+      const db = this.getDatabaseConnection();
+      const requestedByType = {};
+
+      for (const item of items) {
+        const ppeItem = await new Promise((resolve, reject) => {
+          db.get('SELECT COALESCE(parent_item_id, id) as type_id FROM ppe_items WHERE id = ?', [item.ppeItemId], (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+          });
+        });
+
+        if (ppeItem) {
+          requestedByType[ppeItem.type_id] = (requestedByType[ppeItem.type_id] || 0) + (parseInt(item.quantity) || 0);
+        }
+      }
+
+      const breaches = [];
+      for (const entitlement of entitlements) {
+        const requested = requestedByType[entitlement.ppe_item_id];
+        if (!requested) continue;
+
+        const used = await this.getUsage(staff.staff_id, entitlement.ppe_item_id, entitlement.period_days);
+
+        if (used + requested > entitlement.quantity) {
+          breaches.push({
+            entitlementId: entitlement.id,
+            ppeItemId: entitlement.ppe_item_id,
+            itemName: entitlement.item_name,
+            scopeType: entitlement.scope_type,
+            scopeValue: entitlement.scope_value,
+            allowed: entitlement.quantity,
+            periodDays: entitlement.period_days,
+            used,
+            requested,
+            action: entitlement.over_limit_action,
+            approverRole: entitlement.approver_role
+          });
+        }
+      }
+
+      return breaches;
+    } catch (error) {
+      console.error('Check entitlements error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the breaches stored on a request
+   */
+  parseBreaches(value) {
+    if (!value) {
+      return [];
+    }
+
+    try {
+      const breaches = JSON.parse(value);
+      return Array.isArray(breaches) ? breaches : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * One-line summary of breaches for notifications and logs
+   */
+  describeBreaches(breaches) {
+    return breaches
+      .map(breach => `${breach.itemName}: ${breach.used + breach.requested} of ${breach.allowed} per ${breach.periodDays} days`)
+      .join('; ');
+  }
+}
+
+module.exports = new EntitlementService();
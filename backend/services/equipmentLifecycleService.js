@@ -0,0 +1,817 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const auditService = require('./auditService');
+const { createError } = require('../utils/httpError');
+
+// Lifecycle states of a serialized item: IN_STOCK -> ASSIGNED -> IN_STOCK ... -> DISPOSED
+// OUT_OF_SERVICE items are kept on the register but cannot be assigned
+const CONDITION_STATUSES = ['GOOD', 'FAIR', 'POOR', 'DAMAGED'];
+
+class EquipmentLifecycleService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * List serialized equipment
+   * @param {Object} filters - { ppeItemId, status, assignedTo, search }
+   */
+  async getEquipment(filters = {}) {
+    try {
+      let query = `
+        SELECT
+          el.*,
+          pi.name as ppe_item_name,
+          pi.type as ppe_item_type,
+          sd.name as assigned_to_name,
+          sd.department as assigned_to_department
+        FROM equipment_lifecycle el
+        JOIN ppe_items pi ON el.ppe_item_id = pi.id
+        LEFT JOIN staff_directory sd ON el.assigned_to = sd.staff_id
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (filters.ppeItemId) {
+        query += ' AND el.ppe_item_id = ?';
+        params.push(filters.ppeItemId);
+      }
+
+      if (filters.status && filters.status !== 'all') {
+        query += ' AND el.status = ?';
+        params.push(filters.status);
+      } else if (!filters.includeDisposed) {
+        query += ` AND el.status != 'DISPOSED'`;
+      }
+
+      if (filters.assignedTo) {
+        query += ' AND UPPER(el.assigned_to) = UPPER(?)';
+        params.push(filters.assignedTo);
+      }
+
+      if (filters.search) {
+        query += ' AND (el.equipment_serial LIKE ? OR pi.name LIKE ? OR el.location LIKE ?)';
+        const term = `%${filters.search}%`;
+        params.push(term, term, term);
+      }
+
+      query += ' ORDER BY pi.name, el.equipment_serial';
+
+      return await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().all(query, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+    } catch (error) {
+      console.error('Get equipment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single serialized item
+   * @param {string} equipmentId - Equipment ID
+   */
+  async getEquipmentById(equipmentId) {
+    try {
+      return await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get(`
+          SELECT
+            el.*,
+            pi.name as ppe_item_name,
+            pi.type as ppe_item_type,
+            sd.name as assigned_to_name,
+            sd.department as assigned_to_department
+          FROM equipment_lifecycle el
+          JOIN ppe_items pi ON el.ppe_item_id = pi.id
+          LEFT JOIN staff_directory sd ON el.assigned_to = sd.staff_id
+          WHERE el.id = ?
+        `, [equipmentId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+    } catch (error) {
+      console.error('Get equipment by ID error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate register fields shared by create and update
+   */
+  validateEquipmentData(data) {
+    if (data.conditionStatus && !CONDITION_STATUSES.includes(data.conditionStatus)) {
+      throw createError(`Invalid condition. Must be one of: ${CONDITION_STATUSES.join(', ')}`, 400);
+    }
+
+    if (data.totalCost !== undefined && data.totalCost !== null && data.totalCost !== '' &&
+        (isNaN(parseFloat(data.totalCost)) || parseFloat(data.totalCost) < 0)) {
+      throw createError('Total cost must be a positive number', 400);
+    }
+  }
+
+  /**
+   * Register a serialized item
+   * @param {Object} data - { serial, ppeItemId, purchaseDate, warrantyExpiry, nextInspection, conditionStatus, location, totalCost, notes }
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async createEquipment(data, context = {}) {
+    try {
+      const serial = (data.serial || '').trim();
+      if (!serial || !data.ppeItemId) {
+        throw createError('Serial number and PPE type are required', 400);
+      }
+
+      this.validateEquipmentData(data);
+
+      const ppeItem = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get('SELECT id, unit_cost FROM ppe_items WHERE id = ?', [data.ppeItemId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!ppeItem) {
+        throw createError('PPE type not found', 404);
+      }
+
+      const duplicate = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get(`
+          SELECT id FROM equipment_lifecycle WHERE UPPER(equipment_serial) = UPPER(?)
+        `, [serial], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (duplicate) {
+        throw createError(`Serial number ${serial} is already registered`, 409);
+      }
+
+      const equipment = {
+        id: uuidv4(),
+        equipment_serial: serial,
+        ppe_item_id: data.ppeItemId,
+        purchase_date: data.purchaseDate || null,
+        warranty_expiry: data.warrantyExpiry || null,
+        next_inspection: data.nextInspection || null,
+        condition_status: data.conditionStatus || 'GOOD',
+        location: data.location || null,
+        total_cost: data.totalCost !== undefined && data.totalCost !== '' ? parseFloat(data.totalCost) : ppeItem.unit_cost,
+        notes: data.notes || null,
+        status: 'IN_STOCK'
+      };
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          INSERT INTO equipment_lifecycle (
+            id, equipment_serial, ppe_item_id, purchase_date, warranty_expiry,
+            next_inspection, condition_status, location, total_cost, notes, status
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          equipment.id,
+          equipment.equipment_serial,
+          equipment.ppe_item_id,
+          equipment.purchase_date,
+          equipment.warranty_expiry,
+          equipment.next_inspection,
+          equipment.condition_status,
+          equipment.location,
+          equipment.total_cost,
+          equipment.notes,
+          equipment.status
+        ], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await this.recordEvent(equipment.id, 'REGISTERED', {
+        details: { serial, purchaseDate: equipment.purchase_date, warrantyExpiry: equipment.warranty_expiry },
+        performedBy: context.userId
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'CREATE',
+        resourceType: 'EQUIPMENT',
+        resourceId: equipment.id,
+        newValues: equipment,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, equipment };
+    } catch (error) {
+      console.error('Create equipment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update register details of a serialized item
+   * @param {string} equipmentId - Equipment ID
+   * @param {Object} data - Fields to update
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async updateEquipment(equipmentId, data, context = {}) {
+    try {
+      const existing = await this.getEquipmentById(equipmentId);
+      if (!existing) {
+        throw createError('Equipment not found', 404);
+      }
+
+      if (existing.status === 'DISPOSED') {
+        throw createError('Disposed equipment cannot be edited', 400);
+      }
+
+      this.validateEquipmentData(data);
+
+      if (data.serial && data.serial.trim().toUpperCase() !== (existing.equipment_serial || '').toUpperCase()) {
+        const duplicate = await new Promise((resolve, reject) => {
+          this.getDatabaseConnection().get(`
+            SELECT id FROM equipment_lifecycle WHERE UPPER(equipment_serial) = UPPER(?) AND id != ?
+          `, [data.serial.trim(), equipmentId], (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+          });
+        });
+
+        if (duplicate) {
+          throw createError(`Serial number ${data.serial.trim()} is already registered`, 409);
+        }
+      }
+
+      const updated = {
+        equipment_serial: data.serial ? data.serial.trim() : existing.equipment_serial,
+        purchase_date: data.purchaseDate !== undefined ? data.purchaseDate || null : existing.purchase_date,
+        warranty_expiry: data.warrantyExpiry !== undefined ? data.warrantyExpiry || null : existing.warranty_expiry,
+        next_inspection: data.nextInspection !== undefined ? data.nextInspection || null : existing.next_inspection,
+        condition_status: data.conditionStatus || existing.condition_status,
+        location: data.location !== undefined ? data.location || null : existing.location,
+        total_cost: data.totalCost !== undefined && data.totalCost !== '' ? parseFloat(data.totalCost) : existing.total_cost,
+        notes: data.notes !== undefined ? data.notes || null : existing.notes
+      };
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          UPDATE equipment_lifecycle
+          SET
+            equipment_serial = ?, purchase_date = ?, warranty_expiry = ?, next_inspection = ?,
+            condition_status = ?, location = ?, total_cost = ?, notes = ?,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [
+          updated.equipment_serial,
+          updated.purchase_date,
+          updated.warranty_expiry,
+          updated.next_inspection,
+          updated.condition_status,
+          updated.location,
+          updated.total_cost,
+          updated.notes,
+          equipmentId
+        ], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      if (updated.condition_status !== existing.condition_status) {
+        await this.recordEvent(equipmentId, 'CONDITION_CHANGED', {
+          details: { from: existing.condition_status, to: updated.condition_status },
+          performedBy: context.userId
+        });
+      }
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'UPDATE',
+        resourceType: 'EQUIPMENT',
+        resourceId: equipmentId,
+        oldValues: existing,
+        newValues: updated,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, equipment: { ...existing, ...updated } };
+    } catch (error) {
+      console.error('Update equipment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a register entry created by mistake. Items that have ever been
+   * assigned keep their history and must be disposed instead.
+   * @param {string} equipmentId - Equipment ID
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async deleteEquipment(equipmentId, context = {}) {
+    try {
+      const existing = await this.getEquipmentById(equipmentId);
+      if (!existing) {
+        throw createError('Equipment not found', 404);
+      }
+
+      const assignmentCount = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get(`
+          SELECT COUNT(*) as count FROM equipment_lifecycle_events
+          WHERE equipment_id = ? AND event_type = 'ASSIGNED'
+        `, [equipmentId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row.count);
+        });
+      });
+
+      if (existing.status !== 'IN_STOCK' || assignmentCount > 0) {
+        throw createError('Equipment with assignment history cannot be deleted. Dispose of it instead.', 400);
+      }
+
+      await new Promise((resolve, reject) => {
+        const db = this.getDatabaseConnection();
+        db.serialize(() => {
+          db.run('DELETE FROM equipment_lifecycle_events WHERE equipment_id = ?', [equipmentId]);
+          db.run('DELETE FROM equipment_lifecycle WHERE id = ?', [equipmentId], function(err) {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'DELETE',
+        resourceType: 'EQUIPMENT',
+        resourceId: equipmentId,
+        oldValues: existing,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete equipment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a specific serial to a staff member
+   * @param {string} equipmentId - Equipment ID
+   * @param {Object} data - { staffId, notes }
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async assignEquipment(equipmentId, data, context = {}) {
+    try {
+      const existing = await this.getEquipmentById(equipmentId);
+      if (!existing) {
+        throw createError('Equipment not found', 404);
+      }
+
+      if (existing.status !== 'IN_STOCK') {
+        throw createError(`Equipment is not available for assignment. Current status: ${existing.status}`, 400);
+      }
+
+      const staff = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get(`
+          SELECT staff_id, name, department, active FROM staff_directory WHERE UPPER(staff_id) = UPPER(?)
+        `, [data.staffId || ''], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!staff) {
+        throw createError('Staff member not found in directory', 404);
+      }
+
+      if (!staff.active) {
+        throw createError('Cannot assign equipment to an inactive staff member', 400);
+      }
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          UPDATE equipment_lifecycle
+          SET assigned_to = ?, assigned_at = CURRENT_TIMESTAMP, status = 'ASSIGNED', updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = 'IN_STOCK'
+        `, [staff.staff_id, equipmentId], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await this.recordEvent(equipmentId, 'ASSIGNED', {
+        staffId: staff.staff_id,
+        details: { staffName: staff.name, department: staff.department, notes: data.notes || null },
+        performedBy: context.userId
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'ASSIGN_EQUIPMENT',
+        resourceType: 'EQUIPMENT',
+        resourceId: equipmentId,
+        oldValues: { status: existing.status, assigned_to: existing.assigned_to },
+        newValues: { status: 'ASSIGNED', assigned_to: staff.staff_id },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, equipmentId, assignedTo: staff };
+    } catch (error) {
+      console.error('Assign equipment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return an assigned serial to stock
+   * @param {string} equipmentId - Equipment ID
+   * @param {Object} data - { conditionStatus, notes }
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async returnEquipment(equipmentId, data = {}, context = {}) {
+    try {
+      const existing = await this.getEquipmentById(equipmentId);
+      if (!existing) {
+        throw createError('Equipment not found', 404);
+      }
+
+      if (existing.status !== 'ASSIGNED') {
+        throw createError('Equipment is not currently assigned', 400);
+      }
+
+      this.validateEquipmentData(data);
+      const conditionStatus = data.conditionStatus || existing.condition_status;
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          UPDATE equipment_lifecycle
+          SET assigned_to = NULL, assigned_at = NULL, status = 'IN_STOCK', condition_status = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [conditionStatus, equipmentId], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await this.recordEvent(equipmentId, 'RETURNED', {
+        staffId: existing.assigned_to,
+        details: { conditionStatus, notes: data.notes || null },
+        performedBy: context.userId
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'RETURN_EQUIPMENT',
+        resourceType: 'EQUIPMENT',
+        resourceId: equipmentId,
+        oldValues: { status: existing.status, assigned_to: existing.assigned_to },
+        newValues: { status: 'IN_STOCK', assigned_to: null, condition_status: conditionStatus },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, equipmentId };
+    } catch (error) {
+      console.error('Return equipment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dispose of a serialized item. Disposal is final.
+   * @param {string} equipmentId - Equipment ID
+   * @param {Object} data - { reason }
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async disposeEquipment(equipmentId, data = {}, context = {}) {
+    try {
+      const reason = (data.reason || '').trim();
+      if (!reason) {
+        throw createError('A disposal reason is required', 400);
+      }
+
+      const existing = await this.getEquipmentById(equipmentId);
+      if (!existing) {
+        throw createError('Equipment not found', 404);
+      }
+
+      if (existing.status === 'DISPOSED') {
+        throw createError('Equipment has already been disposed', 400);
+      }
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          UPDATE equipment_lifecycle
+          SET
+            status = 'DISPOSED',
+            disposal_date = CURRENT_TIMESTAMP,
+            disposal_reason = ?,
+            assigned_to = NULL,
+            assigned_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [reason, equipmentId], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await this.recordEvent(equipmentId, 'DISPOSED', {
+        staffId: existing.assigned_to,
+        details: { reason, previousStatus: existing.status },
+        performedBy: context.userId
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'DISPOSE_EQUIPMENT',
+        resourceType: 'EQUIPMENT',
+        resourceId: equipmentId,
+        oldValues: { status: existing.status, assigned_to: existing.assigned_to },
+        newValues: { status: 'DISPOSED', disposal_reason: reason },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, equipmentId };
+    } catch (error) {
+      console.error('Dispose equipment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take an item out of service, e.g. after a failed inspection.
+   * An assigned item is recalled from its holder.
+   * @param {string} equipmentId - Equipment ID
+   * @param {Object} data - { reason, details }
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async markOutOfService(equipmentId, data = {}, context = {}) {
+    try {
+      const existing = await this.getEquipmentById(equipmentId);
+      if (!existing) {
+        throw createError('Equipment not found', 404);
+      }
+
+      if (existing.status === 'DISPOSED' || existing.status === 'OUT_OF_SERVICE') {
+        return { success: true, equipmentId, changed: false };
+      }
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          UPDATE equipment_lifecycle
+          SET status = 'OUT_OF_SERVICE', assigned_to = NULL, assigned_at = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [equipmentId], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await this.recordEvent(equipmentId, 'OUT_OF_SERVICE', {
+        staffId: existing.assigned_to,
+        details: { reason: data.reason || null, previousStatus: existing.status, ...(data.details || {}) },
+        performedBy: context.userId
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'EQUIPMENT_OUT_OF_SERVICE',
+        resourceType: 'EQUIPMENT',
+        resourceId: equipmentId,
+        oldValues: { status: existing.status, assigned_to: existing.assigned_to },
+        newValues: { status: 'OUT_OF_SERVICE', reason: data.reason || null },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, equipmentId, changed: true, recalledFrom: existing.assigned_to || null };
+    } catch (error) {
+      console.error('Mark equipment out of service error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Return an out-of-service item to stock
+   * @param {string} equipmentId - Equipment ID
+   * @param {Object} data - { reason }
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async returnToService(equipmentId, data = {}, context = {}) {
+    try {
+      const existing = await this.getEquipmentById(equipmentId);
+      if (!existing) {
+        throw createError('Equipment not found', 404);
+      }
+
+      if (existing.status !== 'OUT_OF_SERVICE') {
+        throw createError('Equipment is not out of service', 400);
+      }
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          UPDATE equipment_lifecycle
+          SET status = 'IN_STOCK', updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [equipmentId], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await this.recordEvent(equipmentId, 'RETURNED_TO_SERVICE', {
+        details: { reason: data.reason || null },
+        performedBy: context.userId
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'EQUIPMENT_RETURNED_TO_SERVICE',
+        resourceType: 'EQUIPMENT',
+        resourceId: equipmentId,
+        oldValues: { status: existing.status },
+        newValues: { status: 'IN_STOCK', reason: data.reason || null },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, equipmentId };
+    } catch (error) {
+      console.error('Return equipment to service error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry to a serial's lifecycle history
+   * @param {string} equipmentId - Equipment ID
+   * @param {string} eventType - e.g. REGISTERED, ASSIGNED, RETURNED, DISPOSED
+   * @param {Object} data - { staffId, details, performedBy }
+   */
+  async recordEvent(equipmentId, eventType, data = {}) {
+    const eventId = uuidv4();
+
+    await new Promise((resolve, reject) => {
+      this.getDatabaseConnection().run(`
+        INSERT INTO equipment_lifecycle_events (id, equipment_id, event_type, staff_id, details, performed_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        eventId,
+        equipmentId,
+        eventType,
+        data.staffId || null,
+        data.details ? JSON.stringify(data.details) : null,
+        data.performedBy || null
+      ], function(err) {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    return eventId;
+  }
+
+  /**
+   * Lifecycle history of a single serial, oldest first
+   * @param {string} equipmentId - Equipment ID
+   */
+  async getEquipmentHistory(equipmentId) {
+    try {
+      const events = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().all(`
+          SELECT
+            ele.*,
+            u.name as performed_by_name,
+            sd.name as staff_name
+          FROM equipment_lifecycle_events ele
+          LEFT JOIN users u ON ele.performed_by = u.id
+          LEFT JOIN staff_directory sd ON ele.staff_id = sd.staff_id
+          WHERE ele.equipment_id = ?
+          ORDER BY ele.created_at ASC
+        `, [equipmentId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+
+      return events.map(event => ({
+        ...event,
+        details: event.details ? JSON.parse(event.details) : null
+      }));
+    } catch (error) {
+      console.error('Get equipment history error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Serials a staff member holds now and has held in the past
+   * @param {string} staffId - Staff ID
+   */
+  async getStaffEquipmentHistory(staffId) {
+    try {
+      const current = await this.getEquipment({ assignedTo: staffId, status: 'ASSIGNED' });
+
+      const history = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().all(`
+          SELECT
+            ele.equipment_id,
+            ele.event_type,
+            ele.created_at,
+            el.equipment_serial,
+            pi.name as ppe_item_name
+          FROM equipment_lifecycle_events ele
+          JOIN equipment_lifecycle el ON ele.equipment_id = el.id
+          JOIN ppe_items pi ON el.ppe_item_id = pi.id
+          WHERE UPPER(ele.staff_id) = UPPER(?) AND ele.event_type IN ('ASSIGNED', 'RETURNED')
+          ORDER BY ele.created_at DESC
+        `, [staffId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+
+      return { current, history };
+    } catch (error) {
+      console.error('Get staff equipment history error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Equipment whose warranty has expired or expires within the given window
+   * @param {number} days - Look-ahead window in days
+   */
+  async getWarrantyExpiring(days = 30) {
+    try {
+      return await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().all(`
+          SELECT
+            el.*,
+            pi.name as ppe_item_name,
+            pi.type as ppe_item_type,
+            CAST(julianday(el.warranty_expiry) - julianday('now') AS INTEGER) as days_to_expiry
+          FROM equipment_lifecycle el
+          JOIN ppe_items pi ON el.ppe_item_id = pi.id
+          WHERE el.status != 'DISPOSED'
+            AND el.warranty_expiry IS NOT NULL
+            AND date(el.warranty_expiry) <= date('now', '+' || ? || ' days')
+          ORDER BY el.warranty_expiry ASC
+        `, [days], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+    } catch (error) {
+      console.error('Get warranty expiring error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register counts by status
+   */
+  async getEquipmentStats() {
+    try {
+      return await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get(`
+          SELECT
+            COUNT(*) as total,
+            SUM(CASE WHEN status = 'IN_STOCK' THEN 1 ELSE 0 END) as in_stock,
+            SUM(CASE WHEN status = 'ASSIGNED' THEN 1 ELSE 0 END) as assigned,
+            SUM(CASE WHEN status = 'OUT_OF_SERVICE' THEN 1 ELSE 0 END) as out_of_service,
+            SUM(CASE WHEN status = 'DISPOSED' THEN 1 ELSE 0 END) as disposed,
+            SUM(CASE WHEN status != 'DISPOSED' AND warranty_expiry IS NOT NULL AND date(warranty_expiry) < date('now') THEN 1 ELSE 0 END) as warranty_expired
+          FROM equipment_lifecycle
+        `, [], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+    } catch (error) {
+      console.error('Get equipment stats error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EquipmentLifecycleService();
@@ -0,0 +1,239 @@
+const { getDb } = require('../database/init');
+
+const FORECAST_HORIZONS = [30, 60, 90];
+const DEFAULT_HISTORY_DAYS = 182;
+
+// Days between placing an order and the stock arriving at the station
+const DEFAULT_LEAD_TIME_DAYS = parseInt(process.env.PPE_REORDER_LEAD_TIME_DAYS) || 14;
+
+// Stock is topped up to cover this many days of forecast demand above the reorder point
+const REVIEW_PERIOD_DAYS = 30;
+
+// z-score for a 95% chance of not running out during the lead time
+const SERVICE_LEVEL_Z = 1.65;
+
+// Requests that never turned into consumption
+const EXCLUDED_REQUEST_STATUSES = ['REJECTED', 'CANCELLED'];
+
+/**
+ * Least-squares line through evenly spaced values (x = 0, 1, 2, ...)
+ * @returns {Object} { slope, intercept }
+ */
+function linearRegression(values) {
+  const n = values.length;
+  if (n < 2) {
+    return { slope: 0, intercept: n === 1 ? values[0] : 0 };
+  }
+
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - meanX) * (value - meanY);
+    denominator += (x - meanX) * (x - meanX);
+  });
+
+  const slope = numerator / denominator;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+/**
+ * Spread of the values around a fitted line, i.e. demand noise once the trend is removed
+ */
+function residualStandardDeviation(values, { slope, intercept }) {
+  if (values.length < 3) return 0;
+
+  const squaredResiduals = values.reduce((sum, value, x) => {
+    const residual = value - (intercept + slope * x);
+    return sum + residual * residual;
+  }, 0);
+  return Math.sqrt(squaredResiduals / (values.length - 2));
+}
+
+function round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Consumption forecasting from request history. Demand is bucketed per week,
+// a linear trend is fitted and projected forward; its spread sizes the safety stock.
+class ForecastingService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * Forecast demand and suggest thresholds for every stocked item
+   * @param {Object} options - { stationId, ppeItemId, historyDays, leadTimeDays }
+   * @returns {Array} one entry per station_inventory row
+   */
+  async getForecasts(options = {}) {
+    const {
+      stationId,
+      ppeItemId,
+      historyDays = DEFAULT_HISTORY_DAYS,
+      leadTimeDays = DEFAULT_LEAD_TIME_DAYS
+    } = options;
+
+    try {
+      const db = this.getDatabaseConnection();
+      const weeks = Math.max(1, Math.ceil(historyDays / 7));
+
+      let inventoryQuery = `
+        SELECT si.station_id, si.ppe_item_id, si.current_stock, COALESCE(si.reserved_quantity, 0) as reserved_quantity,
+               si.min_threshold, si.critical_threshold, si.max_capacity,
+               s.name as station_name, pi.name as item_name, pi.symbol
+        FROM station_inventory si
+        JOIN stations s ON si.station_id = s.id
+        JOIN ppe_items pi ON si.ppe_item_id = pi.id
+        WHERE 1=1
+      `;
+      let demandQuery = `
+        SELECT pr.station_id, pri.ppe_item_id,
+               CAST((julianday('now') - julianday(pr.created_at)) / 7 AS INTEGER) as weeks_ago,
+               SUM(pri.quantity) as quantity
+        FROM ppe_request_items pri
+        JOIN ppe_requests pr ON pri.request_id = pr.id
+        WHERE pr.created_at >= datetime('now', ?)
+        AND pr.status NOT IN (${EXCLUDED_REQUEST_STATUSES.map(() => '?').join(', ')})
+      `;
+      const inventoryParams = [];
+      const demandParams = [`-${weeks * 7} days`, ...EXCLUDED_REQUEST_STATUSES];
+
+      if (stationId) {
+        inventoryQuery += ' AND si.station_id = ?';
+        demandQuery += ' AND pr.station_id = ?';
+        inventoryParams.push(stationId);
+        demandParams.push(stationId);
+      }
+      if (ppeItemId) {
+        inventoryQuery += ' AND si.ppe_item_id = ?';
+        demandQuery += ' AND pri.ppe_item_id = ?';
+        inventoryParams.push(ppeItemId);
+        demandParams.push(ppeItemId);
+      }
+
+      inventoryQuery += ' ORDER BY s.name ASC, pi.name ASC';
+      demandQuery += ' GROUP BY pr.station_id, pri.ppe_item_id, weeks_ago';
+
+      const [inventory, demand] = await Promise.all([
+        new Promise((resolve, reject) => {
+          db.all(inventoryQuery, inventoryParams, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        }),
+        new Promise((resolve, reject) => {
+          db.all(demandQuery, demandParams, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        })
+      ]);
+
+      // Weekly demand series per station and item, oldest week first
+      const series = {};
+      demand.forEach(row => {
+        const key = `${row.station_id}|${row.ppe_item_id}`;
+        if (!series[key]) series[key] = new Array(weeks).fill(0);
+        const index = weeks - 1 - Math.min(Math.max(row.weeks_ago, 0), weeks - 1);
+        series[key][index] += row.quantity;
+      });
+
+      return inventory.map(item => ({
+        stationId: item.station_id,
+        stationName: item.station_name,
+        ppeItemId: item.ppe_item_id,
+        itemName: item.item_name,
+        symbol: item.symbol,
+        currentStock: item.current_stock,
+        availableStock: item.current_stock - item.reserved_quantity,
+        minThreshold: item.min_threshold,
+        criticalThreshold: item.critical_threshold,
+        maxCapacity: item.max_capacity,
+        ...this.forecastItem(series[`${item.station_id}|${item.ppe_item_id}`] || new Array(weeks).fill(0), item, leadTimeDays)
+      }));
+    } catch (error) {
+      console.error('Demand forecast error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Project a weekly demand series and derive thresholds and a reorder quantity
+   * @param {Array<number>} weekly - Demand per week, oldest first
+   * @param {Object} item - station_inventory row
+   * @param {number} leadTimeDays - Replenishment lead time
+   */
+  forecastItem(weekly, item, leadTimeDays) {
+    const totalDemand = weekly.reduce((sum, value) => sum + value, 0);
+    const history = {
+      weeks: weekly.length,
+      totalDemand,
+      averagePerWeek: round(totalDemand / weekly.length),
+      trendPerWeek: 0,
+      weekly
+    };
+
+    if (totalDemand === 0) {
+      return {
+        history,
+        forecast: FORECAST_HORIZONS.reduce((result, days) => ({ ...result, [days]: 0 }), {}),
+        daysOfCover: null,
+        suggestion: null
+      };
+    }
+
+    const trend = linearRegression(weekly);
+    const { slope, intercept } = trend;
+    const currentLevel = intercept + slope * (weekly.length - 1);
+    history.trendPerWeek = round(slope, 2);
+
+    // Sum of the trend line over the next days/7 weeks: m * (level + slope * (m + 1) / 2)
+    const project = (days) => {
+      const horizonWeeks = days / 7;
+      return Math.max(0, horizonWeeks * (currentLevel + slope * (horizonWeeks + 1) / 2));
+    };
+
+    const forecast = FORECAST_HORIZONS.reduce((result, days) => ({ ...result, [days]: Math.ceil(project(days)) }), {});
+
+    const dailyRate = project(REVIEW_PERIOD_DAYS) / REVIEW_PERIOD_DAYS;
+    const safetyStock = SERVICE_LEVEL_Z * residualStandardDeviation(weekly, trend) * Math.sqrt(leadTimeDays / 7);
+    const leadTimeDemand = dailyRate * leadTimeDays;
+
+    const minThreshold = Math.max(1, Math.ceil(leadTimeDemand + safetyStock));
+    const criticalThreshold = Math.min(minThreshold - 1, Math.max(Math.ceil(safetyStock), Math.ceil(leadTimeDemand / 2)));
+
+    const availableStock = item.current_stock - item.reserved_quantity;
+    const orderUpTo = minThreshold + Math.ceil(dailyRate * REVIEW_PERIOD_DAYS);
+    const target = item.max_capacity ? Math.min(item.max_capacity, orderUpTo) : orderUpTo;
+
+    return {
+      history,
+      forecast,
+      daysOfCover: dailyRate > 0 ? Math.floor(Math.max(0, availableStock) / dailyRate) : null,
+      suggestion: {
+        minThreshold,
+        criticalThreshold: Math.max(0, criticalThreshold),
+        reorderQuantity: Math.max(0, target - availableStock),
+        leadTimeDays,
+        changed: minThreshold !== item.min_threshold || Math.max(0, criticalThreshold) !== item.critical_threshold
+      }
+    };
+  }
+}
+
+module.exports = new ForecastingService();
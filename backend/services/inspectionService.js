@@ -0,0 +1,487 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const auditService = require('./auditService');
+const equipmentLifecycleService = require('./equipmentLifecycleService');
+const notificationHelper = require('./notificationHelper');
+const { createError } = require('../utils/httpError');
+
+// Send inspection_due reminders for items due within this many days
+const INSPECTION_REMINDER_DAYS = parseInt(process.env.INSPECTION_REMINDER_DAYS) || 7;
+
+class InspectionService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * Get inspection definitions
+   * @param {Object} filters - { ppeItemId, activeOnly }
+   */
+  async getDefinitions(filters = {}) {
+    try {
+      let query = `
+        SELECT d.*, pi.name as ppe_item_name
+        FROM inspection_definitions d
+        JOIN ppe_items pi ON d.ppe_item_id = pi.id
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (filters.ppeItemId) {
+        query += ' AND d.ppe_item_id = ?';
+        params.push(filters.ppeItemId);
+      }
+
+      if (filters.activeOnly) {
+        query += ' AND d.active = 1';
+      }
+
+      query += ' ORDER BY pi.name, d.interval_days';
+
+      const rows = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().all(query, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+
+      return rows.map(row => ({ ...row, checklist: JSON.parse(row.checklist || '[]') }));
+    } catch (error) {
+      console.error('Get inspection definitions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single inspection definition
+   * @param {string} definitionId - Definition ID
+   */
+  async getDefinitionById(definitionId) {
+    const row = await new Promise((resolve, reject) => {
+      this.getDatabaseConnection().get('SELECT * FROM inspection_definitions WHERE id = ?', [definitionId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    return row ? { ...row, checklist: JSON.parse(row.checklist || '[]') } : null;
+  }
+
+  /**
+   * Validate and normalise definition input
+   * @param {Object} data - { name, intervalDays, checklist }
+   */
+  validateDefinition(data) {
+    const name = (data.name || '').trim();
+    if (!name) {
+      throw createError('Inspection name is required', 400);
+    }
+
+    const intervalDays = parseInt(data.intervalDays);
+    if (!intervalDays || intervalDays < 1) {
+      throw createError('Interval must be at least 1 day', 400);
+    }
+
+    const checklist = (Array.isArray(data.checklist) ? data.checklist : [])
+      .map(item => String(item).trim())
+      .filter(Boolean);
+
+    if (checklist.length === 0) {
+      throw createError('Checklist must contain at least one item', 400);
+    }
+
+    return { name, intervalDays, checklist };
+  }
+
+  /**
+   * Create an inspection definition for a PPE type,
+   * e.g. "Visual check" every 30 days
+   * @param {Object} data - { ppeItemId, name, intervalDays, checklist }
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async createDefinition(data, context = {}) {
+    try {
+      if (!data.ppeItemId) {
+        throw createError('PPE type is required', 400);
+      }
+
+      const { name, intervalDays, checklist } = this.validateDefinition(data);
+
+      const ppeItem = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get('SELECT id FROM ppe_items WHERE id = ?', [data.ppeItemId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!ppeItem) {
+        throw createError('PPE type not found', 404);
+      }
+
+      const definitionId = uuidv4();
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          INSERT INTO inspection_definitions (id, ppe_item_id, name, interval_days, checklist, created_by)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [definitionId, data.ppeItemId, name, intervalDays, JSON.stringify(checklist), context.userId], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'CREATE',
+        resourceType: 'INSPECTION_DEFINITION',
+        resourceId: definitionId,
+        newValues: { ppeItemId: data.ppeItemId, name, intervalDays, checklist },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, definitionId };
+    } catch (error) {
+      console.error('Create inspection definition error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an inspection definition
+   * @param {string} definitionId - Definition ID
+   * @param {Object} data - { name, intervalDays, checklist, active }
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async updateDefinition(definitionId, data, context = {}) {
+    try {
+      const existing = await this.getDefinitionById(definitionId);
+      if (!existing) {
+        throw createError('Inspection definition not found', 404);
+      }
+
+      const { name, intervalDays, checklist } = this.validateDefinition({
+        name: data.name !== undefined ? data.name : existing.name,
+        intervalDays: data.intervalDays !== undefined ? data.intervalDays : existing.interval_days,
+        checklist: data.checklist !== undefined ? data.checklist : existing.checklist
+      });
+      const active = data.active !== undefined ? (data.active ? 1 : 0) : existing.active;
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          UPDATE inspection_definitions
+          SET name = ?, interval_days = ?, checklist = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [name, intervalDays, JSON.stringify(checklist), active, definitionId], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'UPDATE',
+        resourceType: 'INSPECTION_DEFINITION',
+        resourceId: definitionId,
+        oldValues: existing,
+        newValues: { name, intervalDays, checklist, active },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, definitionId };
+    } catch (error) {
+      console.error('Update inspection definition error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate an inspection definition. Past records keep referencing it.
+   * @param {string} definitionId - Definition ID
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async deleteDefinition(definitionId, context = {}) {
+    return this.updateDefinition(definitionId, { active: false }, context);
+  }
+
+  /**
+   * Due dates for every active definition applying to every non-disposed item.
+   * Due one interval after the last passed inspection, or after purchase
+   * (or registration) if it has never passed one.
+   * @param {Object} filters - { equipmentId, dueWithinDays }
+   */
+  async getInspectionSchedule(filters = {}) {
+    try {
+      let query = `
+        SELECT schedule.*,
+          CAST(julianday(schedule.due_date) - julianday(date('now')) AS INTEGER) as days_until_due
+        FROM (
+          SELECT
+            el.id as equipment_id,
+            el.equipment_serial,
+            el.status as equipment_status,
+            el.assigned_to,
+            el.location,
+            pi.name as ppe_item_name,
+            d.id as definition_id,
+            d.name as definition_name,
+            d.interval_days,
+            (SELECT MAX(ir.inspection_date) FROM inspection_records ir
+              WHERE ir.equipment_id = el.id AND ir.definition_id = d.id AND ir.result = 'PASS') as last_passed,
+            date(COALESCE(
+              (SELECT MAX(ir.inspection_date) FROM inspection_records ir
+                WHERE ir.equipment_id = el.id AND ir.definition_id = d.id AND ir.result = 'PASS'),
+              el.purchase_date,
+              el.created_at
+            ), '+' || d.interval_days || ' days') as due_date
+          FROM equipment_lifecycle el
+          JOIN inspection_definitions d ON d.ppe_item_id = el.ppe_item_id AND d.active = 1
+          JOIN ppe_items pi ON el.ppe_item_id = pi.id
+          WHERE el.status != 'DISPOSED'
+        ) schedule
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (filters.equipmentId) {
+        query += ' AND schedule.equipment_id = ?';
+        params.push(filters.equipmentId);
+      }
+
+      if (filters.dueWithinDays !== undefined && filters.dueWithinDays !== null) {
+        query += ` AND schedule.due_date <= date('now', '+' || ? || ' days')`;
+        params.push(filters.dueWithinDays);
+      }
+
+      query += ' ORDER BY schedule.due_date ASC, schedule.equipment_serial';
+
+      return await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().all(query, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+    } catch (error) {
+      console.error('Get inspection schedule error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Overdue and upcoming inspection counts for the dashboard widget
+   * @param {number} upcomingDays - Window counted as "due soon"
+   */
+  async getOverdueSummary(upcomingDays = INSPECTION_REMINDER_DAYS) {
+    try {
+      const schedule = await this.getInspectionSchedule({ dueWithinDays: upcomingDays });
+      const overdue = schedule.filter(entry => entry.days_until_due < 0);
+
+      return {
+        overdueCount: overdue.length,
+        dueSoonCount: schedule.length - overdue.length,
+        upcomingDays,
+        overdue: overdue.slice(0, 10)
+      };
+    } catch (error) {
+      console.error('Get overdue inspection summary error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an inspection with a pass/fail checklist. Any failed checklist
+   * item fails the inspection, and a failed inspection takes the item out of service.
+   * @param {string} equipmentId - Equipment ID
+   * @param {Object} data - { definitionId, checklistResults: [{ item, passed, notes }], result, notes, inspectionDate }
+   * @param {Object} context - { userId, ipAddress, userAgent }
+   */
+  async recordInspection(equipmentId, data, context = {}) {
+    try {
+      const equipment = await equipmentLifecycleService.getEquipmentById(equipmentId);
+      if (!equipment) {
+        throw createError('Equipment not found', 404);
+      }
+
+      if (equipment.status === 'DISPOSED') {
+        throw createError('Disposed equipment cannot be inspected', 400);
+      }
+
+      const definition = await this.getDefinitionById(data.definitionId);
+      if (!definition || !definition.active) {
+        throw createError('Inspection definition not found', 404);
+      }
+
+      if (definition.ppe_item_id !== equipment.ppe_item_id) {
+        throw createError('Inspection definition does not apply to this PPE type', 400);
+      }
+
+      const checklistResults = Array.isArray(data.checklistResults) ? data.checklistResults : [];
+      const missingItems = definition.checklist.filter(item =>
+        !checklistResults.some(entry => entry.item === item && typeof entry.passed === 'boolean')
+      );
+
+      if (missingItems.length > 0) {
+        throw createError(`Checklist incomplete. Missing: ${missingItems.join(', ')}`, 400);
+      }
+
+      const failedItems = checklistResults.filter(entry => entry.passed === false);
+      const result = failedItems.length > 0 || data.result === 'FAIL' ? 'FAIL' : 'PASS';
+      const inspectionDate = data.inspectionDate || null;
+      const recordId = uuidv4();
+
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          INSERT INTO inspection_records (
+            id, equipment_id, definition_id, inspection_date, result,
+            checklist_results, notes, next_due_date, inspected_by
+          ) VALUES (
+            ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?,
+            CASE WHEN ? = 'PASS' THEN date(COALESCE(?, 'now'), '+' || ? || ' days') ELSE NULL END,
+            ?
+          )
+        `, [
+          recordId,
+          equipmentId,
+          definition.id,
+          inspectionDate,
+          result,
+          JSON.stringify(checklistResults),
+          data.notes || null,
+          result,
+          inspectionDate,
+          definition.interval_days,
+          context.userId
+        ], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      // Keep the register's last/next inspection columns in step with the schedule
+      const schedule = await this.getInspectionSchedule({ equipmentId });
+      await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().run(`
+          UPDATE equipment_lifecycle
+          SET
+            last_inspection = (SELECT MAX(inspection_date) FROM inspection_records WHERE equipment_id = ?),
+            next_inspection = ?,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [equipmentId, schedule.length > 0 ? schedule[0].due_date : null, equipmentId], function(err) {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await equipmentLifecycleService.recordEvent(equipmentId, 'INSPECTED', {
+        details: { recordId, definition: definition.name, result, failedItems: failedItems.map(entry => entry.item) },
+        performedBy: context.userId
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'RECORD_INSPECTION',
+        resourceType: 'EQUIPMENT',
+        resourceId: equipmentId,
+        newValues: { recordId, definitionId: definition.id, result, failedItems },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      let outOfService = null;
+      if (result === 'FAIL') {
+        outOfService = await equipmentLifecycleService.markOutOfService(equipmentId, {
+          reason: `Failed inspection: ${definition.name}`,
+          details: { inspectionRecordId: recordId }
+        }, context);
+      }
+
+      return {
+        success: true,
+        recordId,
+        result,
+        failedItems,
+        outOfService: outOfService ? outOfService.changed : false,
+        recalledFrom: outOfService ? outOfService.recalledFrom : null
+      };
+    } catch (error) {
+      console.error('Record inspection error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Inspection records of a serialized item, newest first
+   * @param {string} equipmentId - Equipment ID
+   */
+  async getInspectionHistory(equipmentId) {
+    try {
+      const rows = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().all(`
+          SELECT ir.*, d.name as definition_name, u.name as inspected_by_name
+          FROM inspection_records ir
+          JOIN inspection_definitions d ON ir.definition_id = d.id
+          LEFT JOIN users u ON ir.inspected_by = u.id
+          WHERE ir.equipment_id = ?
+          ORDER BY ir.inspection_date DESC
+        `, [equipmentId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+
+      return rows.map(row => ({ ...row, checklist_results: JSON.parse(row.checklist_results || '[]') }));
+    } catch (error) {
+      console.error('Get inspection history error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send an inspection_due reminder covering everything overdue or due soon
+   * (called by the daily cron job)
+   */
+  async sendDueReminders() {
+    try {
+      const schedule = await this.getInspectionSchedule({ dueWithinDays: INSPECTION_REMINDER_DAYS });
+
+      if (schedule.length === 0) {
+        return { success: true, sent: false, dueCount: 0 };
+      }
+
+      const overdueCount = schedule.filter(entry => entry.days_until_due < 0).length;
+
+      const sent = await notificationHelper.sendNotificationIfEnabled('inspection_due', {
+        dueCount: schedule.length,
+        overdueCount,
+        withinDays: INSPECTION_REMINDER_DAYS,
+        items: schedule.slice(0, 20).map(entry => ({
+          serial: entry.equipment_serial,
+          itemName: entry.ppe_item_name,
+          inspection: entry.definition_name,
+          dueDate: entry.due_date,
+          daysUntilDue: entry.days_until_due
+        }))
+      });
+
+      return { success: true, sent, dueCount: schedule.length, overdueCount };
+    } catch (error) {
+      console.error('Send inspection reminders error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new InspectionService();
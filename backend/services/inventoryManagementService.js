@@ -2,6 +2,8 @@ const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database/init');
 const auditService = require('./auditService');
 const emailService = require('./emailService');
+const stockLedgerService = require('./stockLedgerService');
+const webhookService = require('./webhookService');
 
 class InventoryManagementService {
   constructor() {
@@ -39,9 +41,13 @@ class InventoryManagementService {
   }
 
   /**
-   * Update stock levels and check thresholds
+   * Update stock levels and check thresholds.
+   * ADD with options.batch ({ lotNumber, expiryDate, receivedDate }) records a batch;
+   * SUBTRACT consumes batches first-expiry-first-out.
+   * options.movement ({ reason, referenceType, referenceId, notes }) describes the change
+   * in the stock ledger; reason defaults to RESTOCK for ADD and ADJUSTMENT for SUBTRACT.
    */
-  async updateStock(stationId, ppeItemId, quantityChange, operation, userId = 'system') {
+  async updateStock(stationId, ppeItemId, quantityChange, operation, userId = 'system', options = {}) {
     try {
       const db = this.getDatabaseConnection();
       
@@ -83,8 +89,27 @@ class InventoryManagementService {
                     return reject(err);
                   }
                   
-                  // Check thresholds and create alerts
-                  this.checkStockThresholds(stationId, ppeItemId, newStock, inventory, userId)
+                  let batchResult = {};
+
+                  // Record the received batch or consume batches FEFO, then check thresholds
+                  this.applyBatchMovement(db, inventory, operation, quantityChange, options.batch, userId)
+                    .then((result) => {
+                      batchResult = result;
+                      const movement = options.movement || {};
+                      return stockLedgerService.recordMovement(db, {
+                        stationId,
+                        ppeItemId,
+                        reason: movement.reason || (operation === 'ADD' ? 'RESTOCK' : 'ADJUSTMENT'),
+                        quantityChange: newStock - inventory.current_stock,
+                        balanceAfter: newStock,
+                        referenceType: movement.referenceType,
+                        referenceId: movement.referenceId,
+                        batchId: result.batchId,
+                        notes: movement.notes,
+                        userId
+                      });
+                    })
+                    .then(() => this.checkStockThresholds(stationId, ppeItemId, newStock, inventory, userId))
                     .then(() => {
                       db.run('COMMIT', (err) => {
                         if (err) {
@@ -98,7 +123,7 @@ class InventoryManagementService {
                           resourceType: 'INVENTORY',
                           resourceId: `${stationId}:${ppeItemId}`,
                           oldValues: { stock: inventory.current_stock },
-                          newValues: { stock: newStock, operation, quantityChange }
+                          newValues: { stock: newStock, operation, quantityChange, ...batchResult }
                         });
                         
                         resolve({
@@ -106,11 +131,15 @@ class InventoryManagementService {
                           previousStock: inventory.current_stock,
                           newStock,
                           operation,
-                          quantityChange
+                          quantityChange,
+                          ...batchResult
                         });
                       });
                     })
-                    .catch(reject);
+                    .catch((error) => {
+                      db.run('ROLLBACK');
+                      reject(error);
+                    });
                 }
               );
             }
@@ -123,6 +152,526 @@ class InventoryManagementService {
     }
   }
 
+  /**
+   * Apply a stock movement to the batches of a station_inventory row.
+   * Runs inside the caller's transaction.
+   * @returns {Object} { batchId } for ADD, { batchesConsumed } for SUBTRACT
+   */
+  async applyBatchMovement(db, inventory, operation, quantity, batch, userId = 'system') {
+    if (operation === 'ADD') {
+      if (!batch || (!batch.lotNumber && !batch.expiryDate)) {
+        return {};
+      }
+
+      const batchId = uuidv4();
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO inventory_batches
+          (id, station_inventory_id, station_id, ppe_item_id, lot_number, quantity, initial_quantity, received_date, expiry_date, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?)
+        `, [
+          batchId,
+          inventory.id,
+          inventory.station_id,
+          inventory.ppe_item_id,
+          batch.lotNumber || null,
+          quantity,
+          quantity,
+          batch.receivedDate || null,
+          batch.expiryDate || null,
+          userId
+        ], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      return { batchId };
+    }
+
+    // Earliest expiry first; batches without an expiry date go last. Expired batches are
+    // never handed out - the daily expiry check writes them off.
+    const batches = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT * FROM inventory_batches
+        WHERE station_inventory_id = ? AND status = 'ACTIVE' AND quantity > 0
+          AND (expiry_date IS NULL OR date(expiry_date) >= date('now'))
+        ORDER BY expiry_date IS NULL, expiry_date ASC, received_date ASC
+      `, [inventory.id], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    let remaining = quantity;
+    const batchesConsumed = [];
+
+    for (const row of batches) {
+      if (remaining <= 0) break;
+
+      const taken = Math.min(row.quantity, remaining);
+      const left = row.quantity - taken;
+      remaining -= taken;
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE inventory_batches
+          SET quantity = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [left, left === 0 ? 'DEPLETED' : 'ACTIVE', row.id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      if (left === 0) {
+        await this.resolveBatchAlerts(row.id, userId);
+      }
+
+      batchesConsumed.push({
+        batchId: row.id,
+        lotNumber: row.lot_number,
+        expiryDate: row.expiry_date,
+        receivedDate: row.received_date,
+        quantity: taken
+      });
+    }
+
+    // Anything left over came out of stock that was never batch-tracked
+    return { batchesConsumed };
+  }
+
+  /**
+   * Get active batches, earliest expiry first
+   * @param {Object} filters - { stationId, ppeItemId }
+   */
+  async getBatches(filters = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const conditions = [`ib.status = 'ACTIVE'`, 'ib.quantity > 0'];
+      const params = [];
+
+      if (filters.stationId) {
+        conditions.push('ib.station_id = ?');
+        params.push(filters.stationId);
+      }
+      if (filters.ppeItemId) {
+        conditions.push('ib.ppe_item_id = ?');
+        params.push(filters.ppeItemId);
+      }
+
+      return new Promise((resolve, reject) => {
+        db.all(`
+          SELECT ib.*, s.name as station_name, pi.name as item_name,
+                 CAST(julianday(date(ib.expiry_date)) - julianday(date('now')) AS INTEGER) as days_to_expiry
+          FROM inventory_batches ib
+          JOIN stations s ON ib.station_id = s.id
+          JOIN ppe_items pi ON ib.ppe_item_id = pi.id
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY ib.expiry_date IS NULL, ib.expiry_date ASC, ib.received_date ASC
+        `, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    } catch (error) {
+      console.error('Get batches error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active batches that have expired or expire within the given days
+   */
+  async getExpiringBatches(days = 30) {
+    try {
+      const db = this.getDatabaseConnection();
+
+      return new Promise((resolve, reject) => {
+        db.all(`
+          SELECT ib.*, s.name as station_name, s.location, pi.name as item_name, pi.type as category,
+                 CAST(julianday(date(ib.expiry_date)) - julianday(date('now')) AS INTEGER) as days_to_expiry
+          FROM inventory_batches ib
+          JOIN stations s ON ib.station_id = s.id
+          JOIN ppe_items pi ON ib.ppe_item_id = pi.id
+          WHERE ib.status = 'ACTIVE' AND ib.quantity > 0
+            AND ib.expiry_date IS NOT NULL
+            AND date(ib.expiry_date) <= date('now', '+' || ? || ' days')
+          ORDER BY ib.expiry_date ASC
+        `, [days], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    } catch (error) {
+      console.error('Get expiring batches error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write off the remaining quantity of a batch (expired, damaged, recalled)
+   */
+  async writeOffBatch(batchId, { reason }, userId = 'system') {
+    try {
+      const db = this.getDatabaseConnection();
+
+      if (!reason || !reason.trim()) {
+        const error = new Error('A write-off reason is required');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const batch = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM inventory_batches WHERE id = ?', [batchId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!batch) {
+        const error = new Error('Batch not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      if (batch.status !== 'ACTIVE' || batch.quantity <= 0) {
+        const error = new Error('Batch has no remaining stock to write off');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const inventory = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM station_inventory WHERE id = ?', [batch.station_inventory_id], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      const newStock = Math.max(0, inventory.current_stock - batch.quantity);
+
+      await new Promise((resolve, reject) => {
+        db.run(
+          'UPDATE station_inventory SET current_stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [newStock, inventory.id],
+          (err) => {
+            if (err) reject(err);
+            else resolve();
+          }
+        );
+      });
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE inventory_batches
+          SET quantity = 0, status = 'WRITTEN_OFF', updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [batchId], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await stockLedgerService.recordMovement(db, {
+        stationId: inventory.station_id,
+        ppeItemId: inventory.ppe_item_id,
+        reason: 'WRITE_OFF',
+        quantityChange: newStock - inventory.current_stock,
+        balanceAfter: newStock,
+        referenceType: 'INVENTORY_BATCH',
+        referenceId: batchId,
+        batchId,
+        notes: reason.trim(),
+        userId
+      });
+
+      await this.resolveBatchAlerts(batchId, userId);
+      await this.checkStockThresholds(inventory.station_id, inventory.ppe_item_id, newStock, inventory, userId);
+
+      auditService.logAction({
+        userId,
+        action: 'WRITE_OFF_BATCH',
+        resourceType: 'INVENTORY',
+        resourceId: `${inventory.station_id}:${inventory.ppe_item_id}`,
+        oldValues: { stock: inventory.current_stock, batchQuantity: batch.quantity },
+        newValues: { stock: newStock, batchId, lotNumber: batch.lot_number, reason: reason.trim() }
+      });
+
+      return {
+        success: true,
+        batchId,
+        writtenOff: batch.quantity,
+        previousStock: inventory.current_stock,
+        newStock
+      };
+    } catch (error) {
+      console.error('Write off batch error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Raise EXPIRING_SOON / EXPIRED alerts for batches expiring within the given days.
+   * Expired batches are written off first, so they no longer count as available stock.
+   */
+  async checkExpiringBatches(days = parseInt(process.env.PPE_EXPIRY_ALERT_DAYS) || 30) {
+    try {
+      const db = this.getDatabaseConnection();
+      const batches = await this.getExpiringBatches(days);
+      const created = [];
+
+      for (const batch of batches) {
+        const alertType = batch.days_to_expiry < 0 ? 'EXPIRED' : 'EXPIRING_SOON';
+        const severity = alertType === 'EXPIRED' ? 'CRITICAL' : 'WARNING';
+
+        if (alertType === 'EXPIRED') {
+          // Also resolves the batch's earlier alerts; the EXPIRED alert below asks for disposal
+          await this.writeOffBatch(batch.id, { reason: `Expired on ${batch.expiry_date}` });
+        }
+
+        const existing = await new Promise((resolve, reject) => {
+          db.get(
+            `SELECT id, alert_type FROM inventory_alerts WHERE batch_id = ? AND status = 'ACTIVE'`,
+            [batch.id],
+            (err, row) => {
+              if (err) reject(err);
+              else resolve(row);
+            }
+          );
+        });
+
+        if (existing && existing.alert_type === alertType) continue;
+
+        // An EXPIRING_SOON alert is superseded once the batch actually expires
+        if (existing) {
+          await this.resolveBatchAlerts(batch.id);
+        }
+
+        const alertId = uuidv4();
+        await new Promise((resolve, reject) => {
+          db.run(
+            `INSERT INTO inventory_alerts (id, station_id, ppe_item_id, batch_id, alert_type, threshold_value, current_stock, severity, status, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'ACTIVE', CURRENT_TIMESTAMP)`,
+            [alertId, batch.station_id, batch.ppe_item_id, batch.id, alertType, days, batch.quantity, severity],
+            (err) => {
+              if (err) reject(err);
+              else resolve();
+            }
+          );
+        });
+
+        created.push({ alertId, alertType, batch });
+      }
+
+      if (created.length > 0) {
+        const notificationHelper = require('./notificationHelper');
+        await notificationHelper.sendNotificationIfEnabled('stock_expiring', {
+          withinDays: days,
+          expiredCount: created.filter(alert => alert.alertType === 'EXPIRED').length,
+          expiringCount: created.filter(alert => alert.alertType === 'EXPIRING_SOON').length,
+          batches: created.map(({ batch }) => ({
+            stationName: batch.station_name,
+            itemName: batch.item_name,
+            lotNumber: batch.lot_number,
+            quantity: batch.quantity,
+            expiryDate: batch.expiry_date,
+            daysToExpiry: batch.days_to_expiry
+          }))
+        });
+
+        await new Promise((resolve) => {
+          db.run(
+            `UPDATE inventory_alerts SET alert_sent = TRUE WHERE id IN (${created.map(() => '?').join(',')})`,
+            created.map(alert => alert.alertId),
+            (err) => {
+              if (err) console.error('Failed to mark expiry alerts as sent:', err);
+              resolve();
+            }
+          );
+        });
+      }
+
+      console.log(`Batch expiry check completed. ${batches.length} batches within ${days} days, ${created.length} new alerts.`);
+      return { checked: batches.length, alertsCreated: created.length };
+    } catch (error) {
+      console.error('Check expiring batches error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve expiry alerts raised for a batch
+   */
+  async resolveBatchAlerts(batchId, userId = 'system') {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE inventory_alerts SET status = 'RESOLVED', acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP
+         WHERE batch_id = ? AND status = 'ACTIVE'`,
+        [userId, batchId],
+        (err) => {
+          if (err) reject(err);
+          else resolve({ success: true });
+        }
+      );
+    });
+  }
+
+  /**
+   * Create the station_inventory row for an item a station has never stocked.
+   * Thresholds are copied from templateStationId's row when it has one.
+   */
+  async ensureStationInventory(stationId, ppeItemId, templateStationId = null) {
+    const db = this.getDatabaseConnection();
+
+    const template = await new Promise((resolve, reject) => {
+      db.get(`
+        SELECT max_capacity, min_threshold, critical_threshold FROM station_inventory
+        WHERE station_id = ? AND ppe_item_id = ?
+      `, [templateStationId, ppeItemId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      db.run(`
+        INSERT OR IGNORE INTO station_inventory
+        (id, station_id, ppe_item_id, current_stock, max_capacity, min_threshold, critical_threshold, created_at, updated_at)
+        VALUES (?, ?, ?, 0, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      `, [
+        uuidv4(),
+        stationId,
+        ppeItemId,
+        template ? template.max_capacity : 100,
+        template ? template.min_threshold : 10,
+        template ? template.critical_threshold : 5
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+  /**
+   * Reserve stock for a pending request.
+   * Only succeeds if unreserved stock (current_stock - reserved_quantity) covers the quantity.
+   * @returns {boolean} true if reserved
+   */
+  async reserveStock(stationId, ppeItemId, quantity) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE station_inventory
+        SET reserved_quantity = COALESCE(reserved_quantity, 0) + ?, updated_at = CURRENT_TIMESTAMP
+        WHERE station_id = ? AND ppe_item_id = ?
+          AND current_stock - COALESCE(reserved_quantity, 0) >= ?
+      `, [quantity, stationId, ppeItemId, quantity], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  /**
+   * Release previously reserved stock
+   */
+  async releaseStock(stationId, ppeItemId, quantity) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE station_inventory
+        SET reserved_quantity = MAX(0, COALESCE(reserved_quantity, 0) - ?), updated_at = CURRENT_TIMESTAMP
+        WHERE station_id = ? AND ppe_item_id = ?
+      `, [quantity, stationId, ppeItemId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  /**
+   * Reserve all items of a request, or none of them
+   * @param {string} stationId - Station ID
+   * @param {Array} items - [{ ppeItemId, quantity }]
+   * @returns {Object} { success, unavailableItems }
+   */
+  async reserveItems(stationId, items) {
+    const db = this.getDatabaseConnection();
+    const reserved = [];
+    const unavailableItems = [];
+
+    for (const item of items) {
+      const ok = await this.reserveStock(stationId, item.ppeItemId, item.quantity);
+      if (ok) {
+        reserved.push(item);
+        continue;
+      }
+
+      const stock = await new Promise((resolve, reject) => {
+        db.get(`
+          SELECT current_stock - COALESCE(reserved_quantity, 0) as available
+          FROM station_inventory WHERE station_id = ? AND ppe_item_id = ?
+        `, [stationId, item.ppeItemId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      unavailableItems.push({
+        ppeItemId: item.ppeItemId,
+        requested: item.quantity,
+        available: stock ? Math.max(0, stock.available) : 0
+      });
+    }
+
+    if (unavailableItems.length > 0) {
+      for (const item of reserved) {
+        await this.releaseStock(stationId, item.ppeItemId, item.quantity);
+      }
+      return { success: false, unavailableItems };
+    }
+
+    return { success: true, unavailableItems: [] };
+  }
+
+  /**
+   * Release whatever a request still holds in reservation (reject / cancel / expire)
+   */
+  async releaseRequestReservations(requestId) {
+    try {
+      const db = this.getDatabaseConnection();
+
+      const items = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT pri.id, pri.ppe_item_id, pri.reserved_quantity, pr.station_id
+          FROM ppe_request_items pri
+          JOIN ppe_requests pr ON pri.request_id = pr.id
+          WHERE pri.request_id = ? AND pri.reserved_quantity > 0
+        `, [requestId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      for (const item of items) {
+        await this.releaseStock(item.station_id, item.ppe_item_id, item.reserved_quantity);
+        await new Promise((resolve, reject) => {
+          db.run(`UPDATE ppe_request_items SET reserved_quantity = 0 WHERE id = ?`, [item.id], (err) => {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+      }
+
+      return { released: items.length };
+    } catch (error) {
+      console.error('Release request reservations error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check stock thresholds and create alerts
    */
@@ -130,6 +679,23 @@ class InventoryManagementService {
     try {
       const { min_threshold, critical_threshold } = inventory;
       
+      // Sized types alert per size; stock left on the type itself is not reordered
+      const isSizedType = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get(
+          'SELECT 1 FROM ppe_items WHERE parent_item_id = ? LIMIT 1',
+          [ppeItemId],
+          (err, row) => {
+            if (err) return reject(err);
+            resolve(!!row);
+          }
+        );
+      });
+      
+      if (isSizedType) {
+        await this.resolveStockAlerts(stationId, ppeItemId, userId);
+        return true;
+      }
+      
       // Determine alert type and severity
       let alertType = null;
       let severity = 'LOW';
@@ -204,6 +770,8 @@ class InventoryManagementService {
                     console.error('Failed to send stock alert email:', error);
                   });
                 
+                this.emitStockWebhook(alertId, stationId, ppeItemId, alertType, currentStock, inventory.min_threshold);
+                
                 resolve({ success: true, alertId });
               }
             );
@@ -216,6 +784,39 @@ class InventoryManagementService {
     }
   }
 
+  /**
+   * Tell webhook subscribers about a new stock alert, in the same shape as the
+   * periodic low stock check. Never throws.
+   */
+  async emitStockWebhook(alertId, stationId, ppeItemId, alertType, currentStock, minThreshold) {
+    try {
+      const names = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get(`
+          SELECT s.name as station_name, pi.name as item_name
+          FROM stations s, ppe_items pi
+          WHERE s.id = ? AND pi.id = ?
+        `, [stationId, ppeItemId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row || {});
+        });
+      });
+      const severity = alertType === 'CRITICAL_LOW' ? 'CRITICAL' : 'HIGH';
+
+      await webhookService.emit(severity === 'CRITICAL' ? 'stock.critical' : 'stock.low', {
+        alertId,
+        stationId,
+        stationName: names.station_name || null,
+        ppeItemId,
+        itemName: names.item_name || null,
+        currentStock,
+        minThreshold,
+        severity
+      });
+    } catch (error) {
+      console.error('Emit stock webhook error:', error);
+    }
+  }
+
   /**
    * Get active alert for station and item
    */
@@ -248,7 +849,8 @@ class InventoryManagementService {
       
       return new Promise((resolve, reject) => {
         db.run(
-          'UPDATE inventory_alerts SET status = "RESOLVED", acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP WHERE station_id = ? AND ppe_item_id = ? AND status = "ACTIVE"',
+          `UPDATE inventory_alerts SET status = "RESOLVED", acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP
+           WHERE station_id = ? AND ppe_item_id = ? AND status = "ACTIVE" AND alert_type IN ('LOW_STOCK', 'CRITICAL_LOW')`,
           [userId, stationId, ppeItemId],
           (err) => {
             if (err) return reject(err);
@@ -352,7 +954,9 @@ class InventoryManagementService {
         const query = stationId 
           ? `SELECT si.*, s.name as station_name, s.location, pi.name as item_name, pi.type as category,
                     COUNT(ia.id) as active_alerts,
-                    MAX(ia.severity) as highest_severity
+                    MAX(ia.severity) as highest_severity,
+                    (SELECT MIN(ib.expiry_date) FROM inventory_batches ib
+                     WHERE ib.station_inventory_id = si.id AND ib.status = 'ACTIVE' AND ib.quantity > 0) as next_expiry
              FROM station_inventory si
              JOIN stations s ON si.station_id = s.id
              JOIN ppe_items pi ON si.ppe_item_id = pi.id
@@ -362,7 +966,9 @@ class InventoryManagementService {
              ORDER BY si.current_stock ASC`
           : `SELECT si.*, s.name as station_name, s.location, pi.name as item_name, pi.type as category,
                     COUNT(ia.id) as active_alerts,
-                    MAX(ia.severity) as highest_severity
+                    MAX(ia.severity) as highest_severity,
+                    (SELECT MIN(ib.expiry_date) FROM inventory_batches ib
+                     WHERE ib.station_inventory_id = si.id AND ib.status = 'ACTIVE' AND ib.quantity > 0) as next_expiry
              FROM station_inventory si
              JOIN stations s ON si.station_id = s.id
              JOIN ppe_items pi ON si.ppe_item_id = pi.id
@@ -378,6 +984,7 @@ class InventoryManagementService {
           // Add stock status
           const inventory = rows.map(item => ({
             ...item,
+            available_stock: item.current_stock - (item.reserved_quantity || 0),
             stock_status: this.getStockStatus(item.current_stock, item.min_threshold, item.critical_threshold),
             alert_level: item.active_alerts > 0 ? item.highest_severity : 'NONE'
           }));
@@ -597,50 +1204,63 @@ class InventoryManagementService {
       db.run(
         'UPDATE station_inventory SET current_stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
         [quantity, item.id],
-        function(updateErr) {
+        (updateErr) => {
           if (updateErr) {
             db.run('ROLLBACK');
             return reject(updateErr);
           }
           
-          updatedItems.push({
-            ppe_item_id: item.ppe_item_id,
-            old_stock: oldStock,
-            new_stock: quantity,
-            difference: quantity - oldStock
-          });
-          
-          // Log audit trail for each item
-          auditService.logAction({
-            userId,
-            action: 'BULK_RESTOCK',
-            resourceType: 'STATION_INVENTORY',
-            resourceId: item.id,
-            oldValues: { current_stock: oldStock },
-            newValues: { current_stock: quantity },
-            metadata: {
-              station_id: item.station_id,
+          stockLedgerService.recordMovement(db, {
+            stationId: item.station_id,
+            ppeItemId: item.ppe_item_id,
+            reason: quantity >= oldStock ? 'RESTOCK' : 'ADJUSTMENT',
+            quantityChange: quantity - oldStock,
+            balanceAfter: quantity,
+            notes: `Bulk restock to ${quantity} units`,
+            userId
+          }).then(() => {
+            updatedItems.push({
               ppe_item_id: item.ppe_item_id,
+              old_stock: oldStock,
+              new_stock: quantity,
               difference: quantity - oldStock
-            }
-          });
-          
-          itemsProcessed++;
-          
-          if (itemsProcessed === inventoryItems.length) {
-            db.run('COMMIT', (commitErr) => {
-              if (commitErr) {
-                return reject(commitErr);
+            });
+            
+            // Log audit trail for each item
+            auditService.logAction({
+              userId,
+              action: 'BULK_RESTOCK',
+              resourceType: 'STATION_INVENTORY',
+              resourceId: item.id,
+              oldValues: { current_stock: oldStock },
+              newValues: { current_stock: quantity },
+              metadata: {
+                station_id: item.station_id,
+                ppe_item_id: item.ppe_item_id,
+                difference: quantity - oldStock
               }
-              
-              resolve({
-                success: true,
-                updated_items: updatedItems.length,
-                items: updatedItems,
-                message: `Successfully restocked ${updatedItems.length} items to ${quantity} units each`
-              });
             });
-          }
+            
+            itemsProcessed++;
+            
+            if (itemsProcessed === inventoryItems.length) {
+              db.run('COMMIT', (commitErr) => {
+                if (commitErr) {
+                  return reject(commitErr);
+                }
+                
+                resolve({
+                  success: true,
+                  updated_items: updatedItems.length,
+                  items: updatedItems,
+                  message: `Successfully restocked ${updatedItems.length} items to ${quantity} units each`
+                });
+              });
+            }
+          }).catch((ledgerErr) => {
+            db.run('ROLLBACK');
+            reject(ledgerErr);
+          });
         }
       );
     });
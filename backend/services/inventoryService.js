@@ -1,6 +1,9 @@
 const { getDb } = require('../database/init');
 const { v4: uuidv4 } = require('uuid');
 const notificationHelper = require('./notificationHelper');
+const adminNotificationService = require('./adminNotificationService');
+const webhookService = require('./webhookService');
+const stockLedgerService = require('./stockLedgerService');
 
 // Check for low stock items and generate alerts
 async function checkLowStock(io) {
@@ -26,6 +29,7 @@ async function checkLowStock(io) {
         JOIN stations s ON si.station_id = s.id
         WHERE si.current_stock <= pi.min_threshold
         AND s.active = 1
+        AND NOT EXISTS (SELECT 1 FROM ppe_items v WHERE v.parent_item_id = pi.id)
       `, (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
@@ -66,17 +70,26 @@ async function checkLowStock(io) {
         
         console.log(`Created ${severity} alert for ${item.item_name} at ${item.station_name}`);
         
-        // Broadcast alert to admin dashboard
-        if (io) {
-          io.to('admin_room').emit('low_stock_alert', {
-            alertId,
-            stationId: item.station_id,
-            stationName: item.station_name,
-            itemName: item.item_name,
-            currentStock: item.current_stock,
-            severity
-          });
-        }
+        // Broadcast alert to admin dashboard and its inbox
+        await adminNotificationService.notifyAdmins(io, 'low_stock_alert', {
+          alertId,
+          stationId: item.station_id,
+          stationName: item.station_name,
+          itemName: item.item_name,
+          currentStock: item.current_stock,
+          severity
+        });
+        
+        await webhookService.emit(severity === 'CRITICAL' ? 'stock.critical' : 'stock.low', {
+          alertId,
+          stationId: item.station_id,
+          stationName: item.station_name,
+          ppeItemId: item.ppe_item_id,
+          itemName: item.item_name,
+          currentStock: item.current_stock,
+          minThreshold: item.min_threshold,
+          severity
+        });
         
         // Send push notification based on preferences
         try {
@@ -136,6 +149,16 @@ async function updateInventoryAfterRequest(stationId, items, io) {
         });
       });
       
+      if (stockInfo) {
+        await stockLedgerService.recordMovement(db, {
+          stationId,
+          ppeItemId: item.ppeItemId,
+          reason: 'ISSUE',
+          quantityChange: -item.quantity,
+          balanceAfter: stockInfo.current_stock
+        });
+      }
+      
       if (stockInfo && stockInfo.current_stock <= stockInfo.min_threshold) {
         // Trigger immediate low stock check for this item
         await checkLowStock(io);
@@ -223,6 +246,23 @@ async function restockItem(stationId, ppeItemId, quantity, io) {
       });
     });
     
+    const inventory = await new Promise((resolve, reject) => {
+      db.get('SELECT current_stock FROM station_inventory WHERE station_id = ? AND ppe_item_id = ?', [stationId, ppeItemId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    
+    if (inventory) {
+      await stockLedgerService.recordMovement(db, {
+        stationId,
+        ppeItemId,
+        reason: 'RESTOCK',
+        quantityChange: quantity,
+        balanceAfter: inventory.current_stock
+      });
+    }
+    
     // Broadcast restock update
     if (io) {
       io.to('admin_room').emit('inventory_restocked', {
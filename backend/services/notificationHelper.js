@@ -7,6 +7,30 @@
 const emailConfigService = require('./emailConfigService');
 const notificationService = require('./notificationService');
 const emailService = require('./emailService');
+const timezoneUtils = require('../utils/timezone-utils');
+const { NOTIFICATION_TYPE_NAMES } = require('./emailTemplateDefaults');
+
+// Notifications for the worker involved rather than the admin; these never wait for a digest
+const WORKER_NOTIFICATION_TYPES = ['ppe_request_approved', 'ppe_request_rejected', 'condition_report_update'];
+
+// Where a digest push notification opens
+const DIGEST_URLS = {
+  ppe_request_new: '/admin.html?tab=pending-approvals',
+  stock_low: '/admin.html?tab=inventory',
+  stock_critical: '/admin.html?tab=inventory',
+  stock_expiring: '/admin.html?tab=stock-alerts',
+  license_expiring: '/admin.html?tab=features',
+  weekly_summary: '/admin.html?tab=reports',
+  monthly_summary: '/admin.html?tab=reports',
+  condition_report_new: '/admin.html?tab=condition-reports',
+  inspection_due: '/admin.html?tab=equipment-register'
+};
+
+const DIGEST_PERIODS = {
+  hourly: 'Hourly',
+  daily: 'Daily',
+  weekly: 'Weekly'
+};
 
 class NotificationHelper {
   constructor() {
@@ -43,13 +67,16 @@ class NotificationHelper {
       console.log(`📱 Sending ${notificationType} push notification (frequency: ${frequency})`);
       
       // For immediate notifications, send right away
-      if (frequency === 'immediate') {
+      if (frequency === 'immediate' || WORKER_NOTIFICATION_TYPES.includes(notificationType)) {
         await this.sendAllNotifications(notificationType, notificationData);
         return true;
       }
       
-      // For scheduled notifications (daily, weekly), queue them
-      await this.queueScheduledNotification(notificationType, notificationData, frequency);
+      // For scheduled notifications (hourly, daily, weekly), queue them for this admin's digest
+      const queued = await this.queueScheduledNotification(notificationType, notificationData, frequency, adminEmail);
+      if (!queued) {
+        await this.sendAllNotifications(notificationType, notificationData);
+      }
       return true;
       
     } catch (error) {
@@ -158,6 +185,34 @@ class NotificationHelper {
         });
         break;
         
+      case 'stock_expiring':
+        await notificationService.sendPushNotification(staffId, {
+          title: data.expiredCount > 0 ? '⏳ PPE Batches Expired' : '⏳ PPE Batches Expiring',
+          body: `${data.expiringCount} batch(es) expiring within ${data.withinDays} days` +
+            (data.expiredCount > 0 ? `, ${data.expiredCount} expired` : ''),
+          type: 'stock_expiring',
+          data: {
+            expiringCount: data.expiringCount,
+            expiredCount: data.expiredCount
+          },
+          url: '/admin.html?tab=stock-alerts'
+        });
+        break;
+        
+      case 'inspection_due':
+        await notificationService.sendPushNotification(staffId, {
+          title: data.overdueCount > 0 ? '🔍 Inspections Overdue' : '🔍 Inspections Due',
+          body: `${data.dueCount} equipment inspection(s) due within ${data.withinDays} days` +
+            (data.overdueCount > 0 ? `, ${data.overdueCount} overdue` : ''),
+          type: 'inspection_due',
+          data: {
+            dueCount: data.dueCount,
+            overdueCount: data.overdueCount
+          },
+          url: '/admin.html?tab=equipment-register'
+        });
+        break;
+        
       default:
         console.warn(`Unknown notification type: ${notificationType}`);
     }
@@ -181,7 +236,9 @@ class NotificationHelper {
             staffId: data.staffId || 'N/A', 
             department: data.department || 'N/A',
             items: data.items || 'Items not specified',
+            requestItems: data.requestItems || [],
             stationName: data.stationName || 'Unknown Station',
+            entitlementWarning: data.entitlementWarning || null,
             createdAt: new Date().toISOString()
           };
           
@@ -235,6 +292,14 @@ class NotificationHelper {
           console.log('📧 Condition report update email notification (notifications are primarily push-based)');
           break;
           
+        case 'stock_expiring':
+          await emailService.sendBatchExpiryAlert(data);
+          break;
+          
+        case 'inspection_due':
+          await emailService.sendInspectionDueReminder(data);
+          break;
+          
         default:
           console.warn(`📧 No email notification handler for: ${notificationType}`);
       }
@@ -250,23 +315,24 @@ class NotificationHelper {
    * Queue notification for scheduled delivery
    * @param {string} notificationType - Type of notification
    * @param {object} data - Notification data
-   * @param {string} frequency - daily, weekly, monthly
+   * @param {string} frequency - hourly, daily, weekly
+   * @param {string} recipient - Email of the admin whose preference queued it
+   * @returns {Promise<boolean>} - False if it couldn't be queued
    */
-  async queueScheduledNotification(notificationType, data, frequency) {
-    // For now, store in database for scheduled processing
-    // This will be processed by the cron jobs
+  async queueScheduledNotification(notificationType, data, frequency, recipient = null) {
+    // Stored for the digest cron jobs
     const { getDb } = require('../database/init');
     const db = getDb();
     
-    return new Promise((resolve, reject) => {
+    return new Promise((resolve) => {
       db.run(`
-        INSERT OR REPLACE INTO scheduled_notifications 
-        (notification_type, frequency, data, created_at) 
-        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-      `, [notificationType, frequency, JSON.stringify(data)], function(err) {
+        INSERT INTO scheduled_notifications 
+        (notification_type, frequency, recipient, data, created_at) 
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `, [notificationType, frequency, recipient, JSON.stringify(data)], function(err) {
         if (err) {
           console.error('Queue scheduled notification error:', err);
-          // Don't fail - send immediately as fallback
+          // Don't fail - caller sends immediately as fallback
           resolve(false);
         } else {
           console.log(`📅 ${notificationType} queued for ${frequency} delivery`);
@@ -277,8 +343,9 @@ class NotificationHelper {
   }
 
   /**
-   * Process scheduled notifications (called by cron jobs)
-   * @param {string} frequency - daily, weekly, monthly
+   * Process scheduled notifications (called by cron jobs). Everything queued for the
+   * frequency is sent as one digest per recipient and notification type.
+   * @param {string} frequency - hourly, daily, weekly
    */
   async processScheduledNotifications(frequency) {
     try {
@@ -289,8 +356,8 @@ class NotificationHelper {
       const notifications = await new Promise((resolve, reject) => {
         db.all(`
           SELECT * FROM scheduled_notifications 
-          WHERE frequency = ? 
-          ORDER BY created_at ASC
+          WHERE frequency = ? AND processed_at IS NULL
+          ORDER BY created_at ASC, id ASC
         `, [frequency], (err, rows) => {
           if (err) reject(err);
           else resolve(rows || []);
@@ -298,19 +365,37 @@ class NotificationHelper {
       });
       
       console.log(`📅 Processing ${notifications.length} ${frequency} scheduled notifications`);
-      
+      if (notifications.length === 0) {
+        return;
+      }
+
+      // Queued before recipients were recorded: they belong to the current admin
+      const config = await emailConfigService.getEmailConfig();
+      const adminEmail = (config && config.admin_email) || 'admin@company.com';
+
+      const groups = new Map();
       for (const notification of notifications) {
+        const recipient = notification.recipient || adminEmail;
+        const key = `${recipient}|${notification.notification_type}`;
+        if (!groups.has(key)) {
+          groups.set(key, { recipient, notificationType: notification.notification_type, notifications: [] });
+        }
+        groups.get(key).notifications.push(notification);
+      }
+      
+      for (const group of groups.values()) {
         try {
-          const data = JSON.parse(notification.data);
-          await this.sendPushNotification(notification.notification_type, data);
+          await this.sendDigest(frequency, group.recipient, group.notificationType, group.notifications);
           
-          // Remove processed notification
+          // Remove processed notifications
+          const ids = group.notifications.map(notification => notification.id);
           await new Promise((resolve) => {
-            db.run(`DELETE FROM scheduled_notifications WHERE id = ?`, [notification.id], resolve);
+            db.run(`DELETE FROM scheduled_notifications WHERE id IN (${ids.map(() => '?').join(', ')})`, ids, resolve);
           });
           
-        } catch (notificationError) {
-          console.error(`Failed to process scheduled notification ${notification.id}:`, notificationError);
+        } catch (digestError) {
+          // Left queued, so they go out with the next digest
+          console.error(`Failed to send ${frequency} ${group.notificationType} digest to ${group.recipient}:`, digestError);
         }
       }
       
@@ -320,32 +405,131 @@ class NotificationHelper {
   }
 
   /**
-   * Initialize scheduled notifications table
+   * Send one summary push and email for a group of queued notifications
+   * @param {string} frequency - hourly, daily, weekly
+   * @param {string} recipient - Admin email the notifications were queued for
+   * @param {string} notificationType - Type of notification
+   * @param {Array} notifications - scheduled_notifications rows, oldest first
    */
-  async initializeScheduledNotificationsTable() {
-    const { getDb } = require('../database/init');
-    const db = getDb();
-    
-    return new Promise((resolve, reject) => {
-      db.run(`
-        CREATE TABLE IF NOT EXISTS scheduled_notifications (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          notification_type TEXT NOT NULL,
-          frequency TEXT NOT NULL,
-          data TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          processed_at DATETIME NULL
-        )
-      `, (err) => {
-        if (err) {
-          console.error('Create scheduled_notifications table error:', err);
-          reject(err);
-        } else {
-          console.log('✅ Scheduled notifications table ready');
-          resolve();
-        }
-      });
+  async sendDigest(frequency, recipient, notificationType, notifications) {
+    const events = notifications.map(notification => {
+      let data = {};
+      try {
+        data = JSON.parse(notification.data);
+      } catch (parseError) {
+        console.error(`Scheduled notification ${notification.id} has invalid data:`, parseError.message);
+      }
+      return {
+        // SQLite CURRENT_TIMESTAMP is UTC without a zone
+        createdAt: new Date(`${String(notification.created_at).replace(' ', 'T')}Z`),
+        ...this.describeDigestEvent(notificationType, data)
+      };
+    });
+
+    const counts = new Map();
+    for (const event of events.filter(e => e.location)) {
+      counts.set(event.location, (counts.get(event.location) || 0) + 1);
+    }
+    const breakdown = [...counts.entries()]
+      .map(([label, count]) => ({ label, count }))
+      .sort((a, b) => b.count - a.count);
+
+    const typeName = NOTIFICATION_TYPE_NAMES.en[notificationType] || notificationType;
+    const period = DIGEST_PERIODS[frequency] || frequency;
+
+    const result = await emailService.sendNotificationDigest({
+      notificationType,
+      frequency,
+      recipient,
+      events,
+      breakdown
     });
+    if (result && result.success === false) {
+      throw new Error(result.error || 'Digest email could not be queued');
+    }
+
+    // Only after the email is queued: a failed digest stays queued and is retried,
+    // and the push must not go out again with it
+    await notificationService.sendPushNotification(this.defaultAdminStaffId, {
+      title: `📋 ${period} digest: ${typeName}`,
+      body: `${events.length} notification(s) since ${timezoneUtils.formatForEmail(events[0].createdAt)}` +
+        (breakdown.length > 0 ? ` - ${breakdown.slice(0, 3).map(b => `${b.label} (${b.count})`).join(', ')}` : ''),
+      type: 'notification_digest',
+      data: {
+        notificationType,
+        frequency,
+        count: events.length
+      },
+      url: DIGEST_URLS[notificationType] || '/admin.html'
+    });
+
+    console.log(`✅ ${frequency} ${notificationType} digest (${events.length}) sent to ${recipient}`);
+  }
+
+  /**
+   * One row of a digest: what happened, the details and where
+   * @returns {object} - { title, details, location }
+   */
+  describeDigestEvent(notificationType, data) {
+    switch (notificationType) {
+      case 'ppe_request_new':
+        return {
+          title: `${data.staffName || 'Unknown'} (${data.staffId || 'N/A'})`,
+          details: data.items || (data.itemCount ? `${data.itemCount} item(s)` : ''),
+          location: data.stationName
+        };
+        
+      case 'stock_low':
+      case 'stock_critical':
+        return {
+          title: data.itemName,
+          details: `${data.currentStock} left (threshold ${data.threshold})`,
+          location: data.stationName
+        };
+        
+      case 'stock_expiring':
+        return {
+          title: `${data.expiringCount} batch(es) expiring within ${data.withinDays} days`,
+          details: data.expiredCount > 0 ? `${data.expiredCount} expired` : '',
+          location: null
+        };
+        
+      case 'inspection_due':
+        return {
+          title: `${data.dueCount} inspection(s) due within ${data.withinDays} days`,
+          details: data.overdueCount > 0 ? `${data.overdueCount} overdue` : '',
+          location: null
+        };
+        
+      case 'license_expiring':
+        return {
+          title: `License expires in ${data.daysRemaining} days`,
+          details: data.expirationDate,
+          location: null
+        };
+        
+      case 'weekly_summary':
+      case 'monthly_summary':
+        return {
+          title: `${data.period || notificationType} summary`,
+          details: '',
+          location: null
+        };
+        
+      case 'condition_report_new':
+        return {
+          title: data.staffName,
+          details: `${data.severity ? `[${data.severity}] ` : ''}${data.description?.substring(0, 100) || ''}`,
+          location: data.location
+        };
+        
+      default:
+        return {
+          title: notificationType,
+          details: '',
+          location: null
+        };
+    }
   }
 }
 
@@ -0,0 +1,273 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const auditService = require('./auditService');
+const staffVerificationService = require('./staffVerificationService');
+const { createError } = require('../utils/httpError');
+
+// Sized PPE: a parent ppe_items row names the size dimension and each size is a
+// child row (parent_item_id + variant_label). Every size has its own
+// station_inventory rows, so reservations, batches and alerts work per size.
+class PPEVariantService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * Sizes of a PPE type, in the order they were added
+   */
+  async getVariants(parentId) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.all(`
+        SELECT * FROM ppe_items WHERE parent_item_id = ?
+        ORDER BY created_at ASC, variant_label ASC
+      `, [parentId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Top-level PPE types with their sizes nested under `variants`
+   */
+  async getTypesWithVariants() {
+    const db = this.getDatabaseConnection();
+
+    const items = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM ppe_items ORDER BY name ASC', [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+
+    return items
+      .filter(item => !item.parent_item_id)
+      .map(item => ({
+        ...item,
+        variants: items.filter(variant => variant.parent_item_id === item.id)
+      }));
+  }
+
+  /**
+   * Add sizes to a PPE type. Each new size gets a stock row at every station
+   * that stocks the type, with the type's thresholds; empty stock rows of the
+   * type itself are removed so stock is only held per size.
+   * @param {string} parentId - PPE type id
+   * @param {Object} data - { sizeDimension, labels: ['40', '41', ...] }
+   */
+  async createVariants(parentId, { sizeDimension, labels }, context = {}) {
+    const { userId = 'system', ipAddress, userAgent } = context;
+
+    try {
+      const db = this.getDatabaseConnection();
+
+      const parent = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM ppe_items WHERE id = ?', [parentId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!parent) {
+        throw createError('PPE type not found', 404);
+      }
+      if (parent.parent_item_id) {
+        throw createError('Sizes cannot be added to a size variant', 400);
+      }
+
+      const dimension = (sizeDimension || parent.size_dimension || '').trim().toUpperCase();
+      if (!dimension) {
+        throw createError('Size dimension is required (e.g. SHOE, CLOTHING, GLOVE)', 400);
+      }
+
+      const requested = [...new Set((Array.isArray(labels) ? labels : [])
+        .map(label => String(label).trim())
+        .filter(label => label.length > 0))];
+
+      if (requested.length === 0) {
+        throw createError('At least one size is required', 400);
+      }
+
+      const existing = await this.getVariants(parentId);
+      const existingLabels = existing.map(variant => variant.variant_label.toLowerCase());
+      const newLabels = requested.filter(label => !existingLabels.includes(label.toLowerCase()));
+
+      const parentStock = await new Promise((resolve, reject) => {
+        db.all('SELECT station_id, max_capacity, min_threshold, critical_threshold FROM station_inventory WHERE ppe_item_id = ?', [parentId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+
+      await new Promise((resolve, reject) => {
+        db.run(
+          'UPDATE ppe_items SET size_dimension = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [dimension, parentId],
+          (err) => {
+            if (err) reject(err);
+            else resolve();
+          }
+        );
+      });
+
+      const created = [];
+      for (const label of newLabels) {
+        const variantId = uuidv4();
+
+        await new Promise((resolve, reject) => {
+          db.run(`
+            INSERT INTO ppe_items
+            (id, name, type, description, symbol, unit_cost, min_threshold, replacement_period_days,
+             size_dimension, parent_item_id, variant_label)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            variantId,
+            `${parent.name} (${label})`,
+            parent.type,
+            parent.description,
+            parent.symbol,
+            parent.unit_cost || 0,
+            parent.min_threshold,
+            parent.replacement_period_days,
+            dimension,
+            parentId,
+            label
+          ], (err) => {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+
+        // Copy the type's station thresholds onto each size
+        for (const template of parentStock) {
+          await this.copyStationInventory(db, template, variantId);
+        }
+
+        created.push({ id: variantId, label });
+      }
+
+      // Stock received before sizes existed stays on the type until issued or moved
+      await new Promise((resolve, reject) => {
+        db.run(`
+          DELETE FROM station_inventory
+          WHERE ppe_item_id = ? AND current_stock = 0 AND COALESCE(reserved_quantity, 0) = 0
+          AND NOT EXISTS (SELECT 1 FROM inventory_batches ib WHERE ib.station_inventory_id = station_inventory.id)
+        `, [parentId], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId,
+        action: 'CREATE_PPE_VARIANTS',
+        resourceType: 'PPE_ITEM',
+        resourceId: parentId,
+        oldValues: { sizeDimension: parent.size_dimension, sizes: existing.map(variant => variant.variant_label) },
+        newValues: { sizeDimension: dimension, added: newLabels },
+        ipAddress,
+        userAgent
+      });
+
+      return {
+        success: true,
+        parentId,
+        sizeDimension: dimension,
+        variants: created,
+        skipped: requested.filter(label => !newLabels.includes(label))
+      };
+    } catch (error) {
+      console.error('Create PPE variants error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the stock row of a size at a station, copying the type's row there
+   */
+  async copyStationInventory(db, template, variantId) {
+    return new Promise((resolve, reject) => {
+      db.run(`
+        INSERT OR IGNORE INTO station_inventory
+        (id, station_id, ppe_item_id, current_stock, max_capacity, min_threshold, critical_threshold, created_at, updated_at)
+        VALUES (?, ?, ?, 0, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      `, [uuidv4(), template.station_id, variantId, template.max_capacity, template.min_threshold, template.critical_threshold], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Size profile of a staff member as { DIMENSION: size }
+   */
+  async getStaffSizeProfile(staffId) {
+    const staff = await staffVerificationService.getStaffById(staffId);
+    return staff ? staffVerificationService.parseSizeProfile(staff.size_profile) : {};
+  }
+
+  /**
+   * Map request items to stockable items. A sized type is replaced by the
+   * size from the staff member's profile; sizes and unsized types pass through.
+   * @param {Array} items - [{ ppeItemId, quantity }]
+   * @param {string} staffId - Staff directory staff_id
+   * @returns {Array} items with ppeItemId pointing at a size where needed
+   */
+  async resolveRequestItems(items, staffId) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return items;
+    }
+
+    const db = this.getDatabaseConnection();
+    let profile = null;
+    const resolved = [];
+
+    for (const item of items) {
+      const ppeItem = await new Promise((resolve, reject) => {
+        db.get('SELECT id, name, size_dimension, parent_item_id FROM ppe_items WHERE id = ?', [item.ppeItemId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      const variants = ppeItem && !ppeItem.parent_item_id ? await this.getVariants(ppeItem.id) : [];
+
+      if (variants.length === 0) {
+        resolved.push(item);
+        continue;
+      }
+
+      if (profile === null) {
+        profile = staffId ? await this.getStaffSizeProfile(staffId) : {};
+      }
+
+      const size = profile[ppeItem.size_dimension];
+      const variant = size
+        ? variants.find(candidate => candidate.variant_label.toLowerCase() === String(size).toLowerCase())
+        : null;
+
+      if (!variant) {
+        throw createError(`Please select a size for ${ppeItem.name}`, 400);
+      }
+
+      resolved.push({ ...item, ppeItemId: variant.id });
+    }
+
+    return resolved;
+  }
+}
+
+module.exports = new PPEVariantService();
@@ -0,0 +1,868 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const auditService = require('./auditService');
+const inventoryManagementService = require('./inventoryManagementService');
+const { createError } = require('../utils/httpError');
+
+// Purchase order states: DRAFT -> ORDERED -> PARTIALLY_RECEIVED -> RECEIVED
+// DRAFT / ORDERED orders with nothing received can be CANCELLED
+const PO_STATUSES = ['DRAFT', 'ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED'];
+
+class PurchasingService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * Next sequential document number for the year, e.g. PO-2026-0007
+   */
+  async generateNumber(prefix, table, column) {
+    const db = this.getDatabaseConnection();
+    const base = `${prefix}-${new Date().getFullYear()}-`;
+
+    const row = await new Promise((resolve, reject) => {
+      db.get(`SELECT COUNT(*) as count FROM ${table} WHERE ${column} LIKE ?`, [`${base}%`], (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+
+    return `${base}${String(row.count + 1).padStart(4, '0')}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Suppliers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * List suppliers
+   */
+  async getSuppliers({ activeOnly = false } = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+
+      return new Promise((resolve, reject) => {
+        db.all(`
+          SELECT s.*,
+                 (SELECT COUNT(*) FROM purchase_orders po
+                  WHERE po.supplier_id = s.id AND po.status IN ('ORDERED', 'PARTIALLY_RECEIVED')) as open_orders
+          FROM suppliers s
+          ${activeOnly ? 'WHERE s.active = 1' : ''}
+          ORDER BY s.name
+        `, [], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    } catch (error) {
+      console.error('Get suppliers error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a supplier by ID
+   */
+  async getSupplierById(supplierId) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM suppliers WHERE id = ?', [supplierId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  /**
+   * Create a supplier
+   * @param {Object} data - { name, contactName, email, phone, address, notes }
+   */
+  async createSupplier(data, context = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const name = (data.name || '').trim();
+
+      if (!name) {
+        throw createError('Supplier name is required', 400);
+      }
+
+      const supplierId = uuidv4();
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO suppliers (id, name, contact_name, email, phone, address, notes)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [supplierId, name, data.contactName || null, data.email || null, data.phone || null, data.address || null, data.notes || null], (err) => {
+          if (err) {
+            if (err.message.includes('UNIQUE')) {
+              return reject(createError(`Supplier "${name}" already exists`, 409));
+            }
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'CREATE_SUPPLIER',
+        resourceType: 'SUPPLIER',
+        resourceId: supplierId,
+        newValues: { name, contactName: data.contactName, email: data.email, phone: data.phone },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, supplierId };
+    } catch (error) {
+      console.error('Create supplier error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update supplier details; fields left undefined are unchanged
+   */
+  async updateSupplier(supplierId, data, context = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const supplier = await this.getSupplierById(supplierId);
+
+      if (!supplier) {
+        throw createError('Supplier not found', 404);
+      }
+
+      const name = data.name !== undefined ? String(data.name).trim() : supplier.name;
+      if (!name) {
+        throw createError('Supplier name is required', 400);
+      }
+
+      const updated = {
+        name,
+        contact_name: data.contactName !== undefined ? data.contactName : supplier.contact_name,
+        email: data.email !== undefined ? data.email : supplier.email,
+        phone: data.phone !== undefined ? data.phone : supplier.phone,
+        address: data.address !== undefined ? data.address : supplier.address,
+        notes: data.notes !== undefined ? data.notes : supplier.notes,
+        active: data.active !== undefined ? (data.active ? 1 : 0) : supplier.active
+      };
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE suppliers
+          SET name = ?, contact_name = ?, email = ?, phone = ?, address = ?, notes = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [updated.name, updated.contact_name, updated.email, updated.phone, updated.address, updated.notes, updated.active, supplierId], (err) => {
+          if (err) {
+            if (err.message.includes('UNIQUE')) {
+              return reject(createError(`Supplier "${name}" already exists`, 409));
+            }
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'UPDATE_SUPPLIER',
+        resourceType: 'SUPPLIER',
+        resourceId: supplierId,
+        oldValues: supplier,
+        newValues: updated,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, supplierId };
+    } catch (error) {
+      console.error('Update supplier error:', error);
+      throw error;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Purchase orders
+  // ---------------------------------------------------------------------------
+
+  /**
+   * List purchase orders with ordered / received totals
+   * @param {Object} filters - { status, supplierId }
+   */
+  async getPurchaseOrders(filters = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        if (!PO_STATUSES.includes(filters.status)) {
+          throw createError(`Invalid status. Must be one of: ${PO_STATUSES.join(', ')}`, 400);
+        }
+        conditions.push('po.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.supplierId) {
+        conditions.push('po.supplier_id = ?');
+        params.push(filters.supplierId);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      return new Promise((resolve, reject) => {
+        db.all(`
+          SELECT po.*, s.name as supplier_name, st.name as station_name,
+                 COUNT(pol.id) as line_count,
+                 COALESCE(SUM(pol.quantity_ordered), 0) as quantity_ordered,
+                 COALESCE(SUM(pol.quantity_received), 0) as quantity_received,
+                 ROUND(COALESCE(SUM(pol.quantity_ordered * pol.unit_price), 0), 2) as total_value
+          FROM purchase_orders po
+          JOIN suppliers s ON po.supplier_id = s.id
+          LEFT JOIN stations st ON po.station_id = st.id
+          LEFT JOIN purchase_order_lines pol ON pol.purchase_order_id = po.id
+          ${where}
+          GROUP BY po.id
+          ORDER BY po.created_at DESC
+        `, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    } catch (error) {
+      console.error('Get purchase orders error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a purchase order with its lines and goods received notes
+   */
+  async getPurchaseOrderById(purchaseOrderId) {
+    try {
+      const db = this.getDatabaseConnection();
+
+      const order = await new Promise((resolve, reject) => {
+        db.get(`
+          SELECT po.*, s.name as supplier_name, st.name as station_name
+          FROM purchase_orders po
+          JOIN suppliers s ON po.supplier_id = s.id
+          LEFT JOIN stations st ON po.station_id = st.id
+          WHERE po.id = ?
+        `, [purchaseOrderId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!order) return null;
+
+      const lines = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT pol.*, pi.name as item_name, pi.symbol,
+                 pol.quantity_ordered - pol.quantity_received as quantity_outstanding
+          FROM purchase_order_lines pol
+          JOIN ppe_items pi ON pol.ppe_item_id = pi.id
+          WHERE pol.purchase_order_id = ?
+          ORDER BY pi.name
+        `, [purchaseOrderId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      const receipts = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT grn.*, st.name as station_name, u.name as received_by_name,
+                 COALESCE(SUM(grl.quantity), 0) as total_quantity
+          FROM goods_received_notes grn
+          JOIN stations st ON grn.station_id = st.id
+          LEFT JOIN users u ON grn.received_by = u.id
+          LEFT JOIN goods_received_lines grl ON grl.grn_id = grn.id
+          WHERE grn.purchase_order_id = ?
+          GROUP BY grn.id
+          ORDER BY grn.received_at DESC
+        `, [purchaseOrderId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      return { ...order, lines, receipts };
+    } catch (error) {
+      console.error('Get purchase order by ID error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and normalise order lines
+   * @param {Array} lines - [{ ppeItemId, quantity, unitPrice, expectedDate }]
+   */
+  validateLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw createError('At least one order line is required', 400);
+    }
+
+    const normalised = lines.map(line => ({
+      ppeItemId: line.ppeItemId,
+      quantity: parseInt(line.quantity),
+      unitPrice: parseFloat(line.unitPrice),
+      expectedDate: line.expectedDate || null
+    }));
+
+    for (const line of normalised) {
+      if (!line.ppeItemId) {
+        throw createError('Each line needs a PPE item', 400);
+      }
+      if (!(line.quantity > 0)) {
+        throw createError('Each line needs a positive quantity', 400);
+      }
+      if (isNaN(line.unitPrice) || line.unitPrice < 0) {
+        throw createError('Each line needs a unit price of 0 or more', 400);
+      }
+      if (line.expectedDate && isNaN(new Date(line.expectedDate).getTime())) {
+        throw createError('Invalid expected delivery date', 400);
+      }
+    }
+
+    if (new Set(normalised.map(line => line.ppeItemId)).size !== normalised.length) {
+      throw createError('Each PPE item can only appear once per order', 400);
+    }
+
+    return normalised;
+  }
+
+  /**
+   * Replace the lines of an order
+   */
+  async saveLines(purchaseOrderId, lines) {
+    const db = this.getDatabaseConnection();
+
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM purchase_order_lines WHERE purchase_order_id = ?', [purchaseOrderId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    for (const line of lines) {
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO purchase_order_lines (id, purchase_order_id, ppe_item_id, quantity_ordered, unit_price, expected_date)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [uuidv4(), purchaseOrderId, line.ppeItemId, line.quantity, line.unitPrice, line.expectedDate], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    }
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {Object} data - { supplierId, stationId, expectedDate, notes, lines }
+   */
+  async createPurchaseOrder(data, context = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+
+      if (!data.supplierId) {
+        throw createError('Supplier is required', 400);
+      }
+
+      const supplier = await this.getSupplierById(data.supplierId);
+      if (!supplier || !supplier.active) {
+        throw createError('Supplier not found or inactive', 400);
+      }
+      if (data.expectedDate && isNaN(new Date(data.expectedDate).getTime())) {
+        throw createError('Invalid expected delivery date', 400);
+      }
+
+      const lines = this.validateLines(data.lines);
+      const purchaseOrderId = uuidv4();
+      const poNumber = await this.generateNumber('PO', 'purchase_orders', 'po_number');
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO purchase_orders (id, po_number, supplier_id, station_id, status, expected_date, notes, created_by)
+          VALUES (?, ?, ?, ?, 'DRAFT', ?, ?, ?)
+        `, [purchaseOrderId, poNumber, data.supplierId, data.stationId || null, data.expectedDate || null, data.notes || null, context.userId], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await this.saveLines(purchaseOrderId, lines);
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'CREATE_PURCHASE_ORDER',
+        resourceType: 'PURCHASE_ORDER',
+        resourceId: purchaseOrderId,
+        newValues: { poNumber, supplierId: data.supplierId, lines },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, purchaseOrderId, poNumber, status: 'DRAFT' };
+    } catch (error) {
+      console.error('Create purchase order error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a draft purchase order; lines, when given, replace the existing ones
+   */
+  async updatePurchaseOrder(purchaseOrderId, data, context = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const order = await this.getPurchaseOrderById(purchaseOrderId);
+
+      if (!order) {
+        throw createError('Purchase order not found', 404);
+      }
+      if (order.status !== 'DRAFT') {
+        throw createError('Only draft purchase orders can be edited', 400);
+      }
+      if (data.expectedDate && isNaN(new Date(data.expectedDate).getTime())) {
+        throw createError('Invalid expected delivery date', 400);
+      }
+
+      const lines = data.lines !== undefined ? this.validateLines(data.lines) : null;
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE purchase_orders
+          SET station_id = ?, expected_date = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [
+          data.stationId !== undefined ? data.stationId || null : order.station_id,
+          data.expectedDate !== undefined ? data.expectedDate || null : order.expected_date,
+          data.notes !== undefined ? data.notes || null : order.notes,
+          purchaseOrderId
+        ], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      if (lines) {
+        await this.saveLines(purchaseOrderId, lines);
+      }
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'UPDATE_PURCHASE_ORDER',
+        resourceType: 'PURCHASE_ORDER',
+        resourceId: purchaseOrderId,
+        newValues: { stationId: data.stationId, expectedDate: data.expectedDate, notes: data.notes, lines },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, purchaseOrderId };
+    } catch (error) {
+      console.error('Update purchase order error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Place a draft order with the supplier
+   */
+  async submitPurchaseOrder(purchaseOrderId, context = {}) {
+    try {
+      const order = await this.getPurchaseOrderById(purchaseOrderId);
+
+      if (!order) {
+        throw createError('Purchase order not found', 404);
+      }
+      if (order.status !== 'DRAFT') {
+        throw createError('Only draft purchase orders can be submitted', 400);
+      }
+      if (order.lines.length === 0) {
+        throw createError('Purchase order has no lines', 400);
+      }
+
+      await this.setStatus(purchaseOrderId, 'ORDERED', true);
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'SUBMIT_PURCHASE_ORDER',
+        resourceType: 'PURCHASE_ORDER',
+        resourceId: purchaseOrderId,
+        oldValues: { status: 'DRAFT' },
+        newValues: { status: 'ORDERED' },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, purchaseOrderId, status: 'ORDERED' };
+    } catch (error) {
+      console.error('Submit purchase order error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an order that has not received anything
+   */
+  async cancelPurchaseOrder(purchaseOrderId, { reason }, context = {}) {
+    try {
+      const order = await this.getPurchaseOrderById(purchaseOrderId);
+
+      if (!order) {
+        throw createError('Purchase order not found', 404);
+      }
+      if (!['DRAFT', 'ORDERED'].includes(order.status) || order.receipts.length > 0) {
+        throw createError('Only orders with nothing received can be cancelled', 400);
+      }
+
+      await this.setStatus(purchaseOrderId, 'CANCELLED');
+
+      await auditService.logAction({
+        userId: context.userId,
+        action: 'CANCEL_PURCHASE_ORDER',
+        resourceType: 'PURCHASE_ORDER',
+        resourceId: purchaseOrderId,
+        oldValues: { status: order.status },
+        newValues: { status: 'CANCELLED', reason: reason || null },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, purchaseOrderId, status: 'CANCELLED' };
+    } catch (error) {
+      console.error('Cancel purchase order error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update order status, stamping order_date when it is placed
+   */
+  async setStatus(purchaseOrderId, status, stampOrderDate = false) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE purchase_orders
+        SET status = ?, ${stampOrderDate ? 'order_date = CURRENT_TIMESTAMP,' : ''} updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [status, purchaseOrderId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Goods received
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Receive a (possibly partial) delivery into a station.
+   * Stock is added through updateStock so batches, thresholds and the audit trail apply.
+   * Every line is checked and claimed before any stock is posted. If posting still fails
+   * part-way, the lines not posted are released and the order status matches what arrived.
+   * @param {Object} data - { stationId, deliveryReference, notes,
+   *                          lines: [{ lineId, quantity, unitPrice, lotNumber, expiryDate }] }
+   */
+  async receiveGoods(purchaseOrderId, data, context = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const userId = context.userId || 'system';
+      const order = await this.getPurchaseOrderById(purchaseOrderId);
+
+      if (!order) {
+        throw createError('Purchase order not found', 404);
+      }
+      if (!['ORDERED', 'PARTIALLY_RECEIVED'].includes(order.status)) {
+        throw createError(`Cannot receive goods against a ${order.status.toLowerCase().replace(/_/g, ' ')} order`, 400);
+      }
+
+      const stationId = data.stationId || order.station_id;
+      if (!stationId) {
+        throw createError('A receiving station is required', 400);
+      }
+
+      const station = await new Promise((resolve, reject) => {
+        db.get('SELECT id, name, active FROM stations WHERE id = ?', [stationId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      if (!station || !station.active) {
+        throw createError('Receiving station not found or inactive', 400);
+      }
+
+      if (!Array.isArray(data.lines) || data.lines.length === 0) {
+        throw createError('At least one received line is required', 400);
+      }
+
+      const received = [];
+      for (const entry of data.lines) {
+        const line = order.lines.find(orderLine => orderLine.id === entry.lineId);
+        const quantity = parseInt(entry.quantity);
+
+        if (!line) {
+          throw createError('Received line does not belong to this order', 400);
+        }
+        if (received.some(item => item.line.id === line.id)) {
+          throw createError(`${line.item_name} appears more than once`, 400);
+        }
+        if (!quantity) continue;
+        if (quantity < 0 || quantity > line.quantity_outstanding) {
+          throw createError(`Quantity for ${line.item_name} must be between 1 and ${line.quantity_outstanding}`, 400);
+        }
+
+        const unitPrice = entry.unitPrice !== undefined && entry.unitPrice !== '' ? parseFloat(entry.unitPrice) : line.unit_price;
+        if (isNaN(unitPrice) || unitPrice < 0) {
+          throw createError(`Invalid unit price for ${line.item_name}`, 400);
+        }
+        if (entry.expiryDate && isNaN(new Date(entry.expiryDate).getTime())) {
+          throw createError(`Invalid expiry date for ${line.item_name}`, 400);
+        }
+
+        received.push({ line, quantity, unitPrice, lotNumber: entry.lotNumber, expiryDate: entry.expiryDate });
+      }
+
+      if (received.length === 0) {
+        throw createError('Nothing to receive - all quantities are zero', 400);
+      }
+
+      // Claim the quantities first so a concurrent receipt can't over-receive; a line
+      // received in the meantime fails the whole delivery before any stock moves
+      const claimed = [];
+      for (const item of received) {
+        if (!await this.claimReceivedQuantity(item.line.id, item.quantity)) {
+          for (const earlier of claimed) {
+            await this.claimReceivedQuantity(earlier.line.id, -earlier.quantity);
+          }
+          throw createError(`${item.line.item_name} has already been received`, 409);
+        }
+        claimed.push(item);
+      }
+
+      const grnId = uuidv4();
+      const grnNumber = await this.generateNumber('GRN', 'goods_received_notes', 'grn_number');
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO goods_received_notes (id, grn_number, purchase_order_id, station_id, delivery_reference, notes, received_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [grnId, grnNumber, purchaseOrderId, stationId, data.deliveryReference || null, data.notes || null, userId], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      const priceChanges = [];
+      const posted = [];
+      let postingError = null;
+
+      for (const item of received) {
+        try {
+          await inventoryManagementService.ensureStationInventory(stationId, item.line.ppe_item_id);
+
+          const stockResult = await inventoryManagementService.updateStock(
+            stationId,
+            item.line.ppe_item_id,
+            item.quantity,
+            'ADD',
+            userId,
+            {
+              batch: { lotNumber: item.lotNumber, expiryDate: item.expiryDate },
+              movement: { reason: 'RESTOCK', referenceType: 'GOODS_RECEIVED', referenceId: grnId, notes: grnNumber }
+            }
+          );
+
+          await new Promise((resolve, reject) => {
+            db.run(`
+              INSERT INTO goods_received_lines (id, grn_id, po_line_id, ppe_item_id, quantity, unit_price, batch_id)
+              VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [uuidv4(), grnId, item.line.id, item.line.ppe_item_id, item.quantity, item.unitPrice, stockResult.batchId || null], (err) => {
+              if (err) reject(err);
+              else resolve();
+            });
+          });
+          posted.push(item);
+
+          const priceChange = await this.recordPurchasePrice(item.line.ppe_item_id, item.unitPrice, {
+            referenceId: grnId,
+            supplierId: order.supplier_id,
+            userId
+          });
+          if (priceChange) priceChanges.push(priceChange);
+        } catch (error) {
+          postingError = error;
+          break;
+        }
+      }
+
+      // Give back the lines that didn't post; what did post stays on the GRN and counts
+      // towards the order status below before the error is passed on
+      if (postingError) {
+        for (const item of received.filter(item => !posted.includes(item))) {
+          await this.claimReceivedQuantity(item.line.id, -item.quantity);
+        }
+        if (posted.length === 0) {
+          await new Promise((resolve, reject) => {
+            db.run('DELETE FROM goods_received_notes WHERE id = ?', [grnId], (err) => {
+              if (err) reject(err);
+              else resolve();
+            });
+          });
+          throw postingError;
+        }
+      }
+
+      const remaining = await new Promise((resolve, reject) => {
+        db.get(`
+          SELECT COALESCE(SUM(quantity_ordered - quantity_received), 0) as outstanding
+          FROM purchase_order_lines WHERE purchase_order_id = ?
+        `, [purchaseOrderId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row.outstanding);
+        });
+      });
+
+      const status = remaining > 0 ? 'PARTIALLY_RECEIVED' : 'RECEIVED';
+      await this.setStatus(purchaseOrderId, status);
+
+      await auditService.logAction({
+        userId,
+        action: 'RECEIVE_GOODS',
+        resourceType: 'PURCHASE_ORDER',
+        resourceId: purchaseOrderId,
+        oldValues: { status: order.status },
+        newValues: {
+          status,
+          grnNumber,
+          stationId,
+          lines: posted.map(item => ({ ppeItemId: item.line.ppe_item_id, quantity: item.quantity, unitPrice: item.unitPrice })),
+          priceChanges
+        },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      if (postingError) {
+        throw postingError;
+      }
+
+      return {
+        success: true,
+        grnId,
+        grnNumber,
+        purchaseOrderId,
+        status,
+        stationId,
+        items: received.map(item => ({ ppeItemId: item.line.ppe_item_id, quantity: item.quantity })),
+        priceChanges
+      };
+    } catch (error) {
+      console.error('Receive goods error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add to (or, with a negative quantity, give back) the quantity received on an order line
+   * @returns {boolean} false if that would take it above the quantity ordered
+   */
+  claimReceivedQuantity(lineId, quantity) {
+    const db = this.getDatabaseConnection();
+
+    return new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE purchase_order_lines
+        SET quantity_received = quantity_received + ?
+        WHERE id = ? AND quantity_received + ? BETWEEN 0 AND quantity_ordered
+      `, [quantity, lineId, quantity], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  /**
+   * Make the latest purchase price the item's unit cost and keep the old one in the history
+   * @returns {Object|null} the change, or null if the price is unchanged
+   */
+  async recordPurchasePrice(ppeItemId, unitPrice, { referenceId, supplierId, userId }) {
+    const db = this.getDatabaseConnection();
+
+    const item = await new Promise((resolve, reject) => {
+      db.get('SELECT name, unit_cost FROM ppe_items WHERE id = ?', [ppeItemId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    const previousCost = item && item.unit_cost !== null ? parseFloat(item.unit_cost) : null;
+    if (previousCost !== null && Math.abs(previousCost - unitPrice) < 0.005) {
+      return null;
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE ppe_items SET unit_cost = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [unitPrice, ppeItemId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      db.run(`
+        INSERT INTO ppe_item_price_history (id, ppe_item_id, unit_cost, previous_cost, source, reference_id, supplier_id, recorded_by)
+        VALUES (?, ?, ?, ?, 'PURCHASE', ?, ?, ?)
+      `, [uuidv4(), ppeItemId, unitPrice, previousCost, referenceId, supplierId, userId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    return { ppeItemId, itemName: item ? item.name : null, previousCost, unitCost: unitPrice };
+  }
+
+  /**
+   * Unit cost changes for an item, newest first
+   */
+  async getPriceHistory(ppeItemId) {
+    try {
+      const db = this.getDatabaseConnection();
+
+      return new Promise((resolve, reject) => {
+        db.all(`
+          SELECT h.*, s.name as supplier_name, grn.grn_number
+          FROM ppe_item_price_history h
+          LEFT JOIN suppliers s ON h.supplier_id = s.id
+          LEFT JOIN goods_received_notes grn ON h.reference_id = grn.id
+          WHERE h.ppe_item_id = ?
+          ORDER BY h.created_at DESC
+        `, [ppeItemId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    } catch (error) {
+      console.error('Get price history error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PurchasingService();
@@ -0,0 +1,210 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { getDb } = require('../database/init');
+const { createError } = require('../utils/httpError');
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// A4 label sheets, in millimetres from the top-left corner of the page
+const LABEL_SHEETS = {
+  // 8 labels of 99.1 x 67.7 mm (L7165 layout), one per station
+  L7165: { columns: 2, rows: 4, width: 99.1, height: 67.7, top: 13.1, left: 4.65, columnGap: 2.5, rowGap: 0, fontSize: 12 },
+  // 24 labels of 70 x 37 mm (3474 layout), small enough for a shelf bin
+  '3474': { columns: 3, rows: 8, width: 70, height: 37, top: 0.5, left: 0, columnGap: 0, rowGap: 0, fontSize: 8 }
+};
+
+const DEFAULT_SHEETS = {
+  stations: 'L7165',
+  bins: '3474'
+};
+
+// Standard fonts only cover plain ASCII
+function clean(value) {
+  return String(value || '').replace(/[^\x20-\x7E]/g, '').trim();
+}
+
+// Printed QR labels for stations and for the PPE bins at each station. Unlike the
+// rotating kiosk codes these never expire: scanning one simply opens the request
+// form with the station (and item) filled in.
+class QrLabelService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+    this.sheets = Object.keys(LABEL_SHEETS);
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * Short code printed under the QR, so a label can be matched up without scanning it
+   */
+  getStationCode(station) {
+    return station.qr_code || `STATION_${station.id.slice(0, 8).toUpperCase()}`;
+  }
+
+  getBinCode(station, itemId) {
+    const stationCode = this.getStationCode(station).replace(/^STATION_/, '');
+    return `${stationCode}-${itemId.replace(/[^a-zA-Z0-9]/g, '').slice(0, 6).toUpperCase()}`;
+  }
+
+  /**
+   * Labels to print
+   * @param {string} type - 'stations' (one per station) or 'bins' (one per station/PPE item)
+   * @param {Object} options - { stationId } to limit the labels to one station
+   * @returns {Array} Labels with { stationId, stationName, location, itemId, itemName, symbol, code, path }
+   */
+  async getLabels(type, options = {}) {
+    try {
+      if (!DEFAULT_SHEETS[type]) {
+        throw createError('type must be stations or bins', 400);
+      }
+
+      const db = this.getDatabaseConnection();
+      const params = [];
+      let stationFilter = '';
+      if (options.stationId) {
+        stationFilter = 'AND s.id = ?';
+        params.push(options.stationId);
+      }
+
+      if (type === 'stations') {
+        const stations = await new Promise((resolve, reject) => {
+          db.all(`
+            SELECT s.id, s.name, s.location, s.qr_code
+            FROM stations s
+            WHERE s.active = 1 ${stationFilter}
+            ORDER BY s.name
+          `, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        });
+
+        return stations.map(station => ({
+          stationId: station.id,
+          stationName: station.name,
+          location: station.location,
+          code: this.getStationCode(station),
+          path: `/worker.html?station=${encodeURIComponent(station.id)}`
+        }));
+      }
+
+      // Sized PPE types are stocked per size, so the parent type has no bin of its own
+      const bins = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT s.id, s.name, s.location, s.qr_code,
+                 pi.id as item_id, pi.name as item_name, pi.symbol, pi.type
+          FROM station_inventory si
+          JOIN stations s ON si.station_id = s.id
+          JOIN ppe_items pi ON si.ppe_item_id = pi.id
+          WHERE s.active = 1 ${stationFilter}
+            AND NOT EXISTS (SELECT 1 FROM ppe_items v WHERE v.parent_item_id = pi.id)
+          ORDER BY s.name, pi.name
+        `, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+
+      return bins.map(bin => ({
+        stationId: bin.id,
+        stationName: bin.name,
+        location: bin.location,
+        itemId: bin.item_id,
+        itemName: bin.item_name,
+        // Emoji symbols can't be printed with the standard fonts, so fall back to the type
+        symbol: clean(bin.symbol) || String(bin.type || '').replace(/_/g, ' '),
+        code: this.getBinCode(bin, bin.item_id),
+        path: `/worker.html?station=${encodeURIComponent(bin.id)}&item=${encodeURIComponent(bin.item_id)}`
+      }));
+    } catch (error) {
+      console.error('Get QR labels error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write the labels as an A4 label sheet PDF to a stream (e.g. the HTTP response)
+   * @param {Array} labels - From getLabels
+   * @param {Object} options - { type, sheet, baseUrl } where baseUrl is prefixed to each label's path
+   */
+  async writePDF(labels, stream, options = {}) {
+    const sheetName = options.sheet || DEFAULT_SHEETS[options.type] || DEFAULT_SHEETS.bins;
+    const sheet = LABEL_SHEETS[sheetName];
+    if (!sheet) {
+      throw createError(`sheet must be one of: ${this.sheets.join(', ')}`, 400);
+    }
+
+    // Render every QR code before the response starts, so a failure can still be reported
+    const qrImages = await Promise.all(labels.map(label => QRCode.toBuffer(`${options.baseUrl || ''}${label.path}`, {
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      width: 300
+    })));
+
+    const width = sheet.width * POINTS_PER_MM;
+    const height = sheet.height * POINTS_PER_MM;
+    const padding = 3 * POINTS_PER_MM;
+    const qrSize = Math.min(height - 2 * padding, width / 2);
+    const textWidth = width - qrSize - 3 * padding;
+    const fontSize = sheet.fontSize;
+    const perPage = sheet.columns * sheet.rows;
+
+    const doc = new PDFDocument({ size: 'A4', margin: 0, info: { Title: 'PPE QR Labels' } });
+    doc.pipe(stream);
+
+    labels.forEach((label, index) => {
+      if (index > 0 && index % perPage === 0) {
+        doc.addPage();
+      }
+
+      const position = index % perPage;
+      const left = (sheet.left + (position % sheet.columns) * (sheet.width + sheet.columnGap)) * POINTS_PER_MM;
+      const top = (sheet.top + Math.floor(position / sheet.columns) * (sheet.height + sheet.rowGap)) * POINTS_PER_MM;
+      const textLeft = left + padding + qrSize + padding;
+      let y = top + padding;
+
+      // One line per field, cut short with an ellipsis if it doesn't fit
+      const line = (text, font, size, color) => {
+        doc.font(font).fontSize(size).fillColor(color)
+          .text(clean(text), textLeft, y, { width: textWidth, height: size * 1.2, ellipsis: true });
+        y += size * 1.35;
+      };
+
+      doc.image(qrImages[index], left + padding, top + (height - qrSize) / 2, { width: qrSize, height: qrSize });
+
+      if (label.itemId) {
+        line(label.itemName, 'Helvetica-Bold', fontSize + 1, '#000000');
+        line(label.symbol, 'Helvetica', fontSize - 1, '#4b5563');
+        line(label.stationName, 'Helvetica', fontSize, '#000000');
+        line(label.location, 'Helvetica', fontSize - 1, '#4b5563');
+      } else {
+        line(label.stationName, 'Helvetica-Bold', fontSize + 4, '#000000');
+        line(label.location, 'Helvetica', fontSize, '#4b5563');
+        y += fontSize * 0.5;
+        line('Scan to request PPE', 'Helvetica', fontSize - 1, '#4b5563');
+      }
+
+      // Courier characters are 0.6em wide; shrink the code rather than cut it short
+      const codeSize = Math.min(fontSize, textWidth / (label.code.length * 0.6));
+      doc.font('Courier-Bold').fontSize(codeSize).fillColor('#000000')
+        .text(label.code, textLeft, top + height - padding - codeSize * 1.2, { width: textWidth, lineBreak: false });
+    });
+
+    if (labels.length === 0) {
+      doc.font('Helvetica').fontSize(12).fillColor('#6b7280').text('No labels to print.', 50, 50);
+    }
+
+    doc.end();
+  }
+}
+
+module.exports = new QrLabelService();
@@ -178,9 +178,9 @@ class ReportSchedulerService {
       this.getDatabase().get(`
         SELECT 
           COUNT(DISTINCT pr.id) as total_requests,
-          COUNT(DISTINCT CASE WHEN pr.status = 'APPROVED' THEN pr.id END) as approved_requests,
+          COUNT(DISTINCT CASE WHEN pr.status IN ('APPROVED', 'ISSUED') THEN pr.id END) as approved_requests,
           COUNT(DISTINCT CASE WHEN pr.status = 'PENDING' THEN pr.id END) as pending_requests,
-          SUM(CASE WHEN pr.status = 'APPROVED' THEN pri.quantity ELSE 0 END) as total_items_issued,
+          SUM(CASE WHEN pr.status IN ('APPROVED', 'ISSUED') THEN pri.quantity ELSE 0 END) as total_items_issued,
           COUNT(DISTINCT pr.station_id) as active_stations
         FROM ppe_requests pr
         LEFT JOIN ppe_request_items pri ON pr.id = pri.request_id
@@ -198,7 +198,7 @@ class ReportSchedulerService {
             FROM ppe_request_items pri
             JOIN ppe_items pi ON pri.ppe_item_id = pi.id
             JOIN ppe_requests pr ON pri.request_id = pr.id
-            WHERE DATE(pr.created_at) = ? AND pr.status = 'APPROVED'
+            WHERE DATE(pr.created_at) = ? AND pr.status IN ('APPROVED', 'ISSUED')
             GROUP BY pi.id, pi.name, pi.symbol
             ORDER BY total_quantity DESC
             LIMIT 5
@@ -237,7 +237,7 @@ class ReportSchedulerService {
         FROM ppe_requests pr
         JOIN ppe_request_items pri ON pr.id = pri.request_id
         WHERE pr.created_at >= ? AND pr.created_at <= ? 
-          AND pr.status = 'APPROVED'
+          AND pr.status IN ('APPROVED', 'ISSUED')
         GROUP BY DATE(pr.created_at)
         ORDER BY date ASC
       `, [startDate.toISOString(), endDate.toISOString()], (err, dailyStats) => {
@@ -403,6 +403,7 @@ class ReportSchedulerService {
       // Send email using emailService with PDF attachment
       try {
         await emailService.sendEmailWithAttachment({
+          template: 'scheduled_report',
           to: recipientList,
           subject: subject,
           html: htmlContent,
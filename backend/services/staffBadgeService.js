@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { getDb } = require('../database/init');
+const staffVerificationService = require('./staffVerificationService');
+const { createError } = require('../utils/httpError');
+
+const TOKEN_VERSION = 'SB1';
+
+// Separate from the login secret so badges can be re-keyed without logging everyone out
+const SECRET = process.env.STAFF_BADGE_SECRET ||
+  crypto.createHmac('sha256', process.env.JWT_SECRET || 'your-secret-key-here').update('staff-badge').digest('hex');
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// ID-1 (credit card) sized stickers, 2 x 5 to an A4 page, in millimetres
+const CARD_SHEET = { columns: 2, rows: 5, width: 85.6, height: 54, top: 7.5, left: 16.9, columnGap: 5, rowGap: 3 };
+
+function sign(message) {
+  return crypto.createHmac('sha256', SECRET).update(message).digest('base64url').slice(0, 22);
+}
+
+function signaturesMatch(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Standard fonts only cover plain ASCII
+function clean(value) {
+  return String(value || '').replace(/[^\x20-\x7E]/g, '').trim();
+}
+
+// Personal staff badges. A badge token is "SB1.<staff directory id>.<nonce>.<signature>";
+// it is valid while the staff member is active and the nonce matches the one stored
+// for them, so clearing or replacing the nonce revokes every printed copy.
+class StaffBadgeService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  buildToken(staffDirectoryId, nonce) {
+    return `${TOKEN_VERSION}.${staffDirectoryId}.${nonce}.${sign(`${TOKEN_VERSION}|${staffDirectoryId}|${nonce}`)}`;
+  }
+
+  /**
+   * Give a staff member a new badge nonce, revoking any badge printed before
+   * @returns {string} The new nonce
+   */
+  async issueNonce(staffDirectoryId) {
+    const db = this.getDatabaseConnection();
+    const nonce = crypto.randomBytes(12).toString('base64url');
+
+    await new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE staff_directory SET badge_nonce = ?, badge_issued_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [nonce, staffDirectoryId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    return nonce;
+  }
+
+  /**
+   * Badges for printing. Active staff without a badge are issued one; existing badges are unchanged.
+   * @param {Object} filters - { staffIds: [staff IDs], department }
+   * @returns {Array} { staffId, name, department, position, issuedAt, token }
+   */
+  async getBadges(filters = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const conditions = ['active = 1'];
+      const params = [];
+
+      if (filters.staffIds && filters.staffIds.length > 0) {
+        conditions.push(`staff_id IN (${filters.staffIds.map(() => '?').join(', ')})`);
+        params.push(...filters.staffIds);
+      }
+      if (filters.department) {
+        conditions.push('department = ?');
+        params.push(filters.department);
+      }
+
+      const staff = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT id, staff_id, name, department, position, badge_nonce, badge_issued_at
+          FROM staff_directory
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY department, name
+        `, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+
+      const badges = [];
+      for (const member of staff) {
+        let nonce = member.badge_nonce;
+        let issuedAt = member.badge_issued_at;
+        if (!nonce) {
+          nonce = await this.issueNonce(member.id);
+          issuedAt = new Date().toISOString();
+        }
+
+        badges.push({
+          staffId: member.staff_id,
+          name: member.name,
+          department: member.department,
+          position: member.position,
+          issuedAt,
+          token: this.buildToken(member.id, nonce)
+        });
+      }
+
+      return badges;
+    } catch (error) {
+      console.error('Get staff badges error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a lost or compromised badge: the old one stops working immediately
+   * @returns {Object} The new badge
+   */
+  async reissueBadge(staffId) {
+    try {
+      const staff = await staffVerificationService.getStaffById(staffId);
+      if (!staff) {
+        throw createError('Staff not found', 404);
+      }
+      if (!staff.active) {
+        throw createError('Reactivate the staff member before issuing a badge', 400);
+      }
+
+      await this.issueNonce(staff.id);
+      const [badge] = await this.getBadges({ staffIds: [staffId] });
+      return badge;
+    } catch (error) {
+      console.error('Reissue staff badge error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Identify a staff member from a scanned badge
+   * @param {string} token - Badge token
+   * @returns {Object} Same shape as staffVerificationService.verifyStaffId
+   */
+  async verifyBadgeToken(token) {
+    try {
+      const invalid = (message) => ({ valid: false, message, staff: null });
+
+      const parts = typeof token === 'string' ? token.trim().split('.') : [];
+      if (parts.length !== 4 || parts[0] !== TOKEN_VERSION) {
+        return invalid('This is not a staff badge. Scan the QR code on your staff ID card.');
+      }
+
+      const [, staffDirectoryId, nonce, signature] = parts;
+      if (!signaturesMatch(signature, sign(`${TOKEN_VERSION}|${staffDirectoryId}|${nonce}`))) {
+        return invalid('This staff badge is not valid.');
+      }
+
+      const db = this.getDatabaseConnection();
+      const staff = await new Promise((resolve, reject) => {
+        db.get('SELECT staff_id, active, badge_nonce FROM staff_directory WHERE id = ?', [staffDirectoryId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!staff || !staff.active || !staff.badge_nonce || !signaturesMatch(nonce, staff.badge_nonce)) {
+        return invalid('This staff badge has been revoked. Please ask for a new badge or enter your staff ID.');
+      }
+
+      return staffVerificationService.verifyStaffId(staff.staff_id);
+    } catch (error) {
+      console.error('Verify staff badge error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write the badges as a sheet of ID-card stickers to a stream (e.g. the HTTP response)
+   * @param {Array} badges - From getBadges
+   * @param {Object} options - { title } printed at the top of each card
+   */
+  async writeCardsPDF(badges, stream, options = {}) {
+    // Render every QR code before the response starts, so a failure can still be reported
+    const qrImages = await Promise.all(badges.map(badge => QRCode.toBuffer(badge.token, {
+      errorCorrectionLevel: 'M',
+      margin: 1,
+      width: 300
+    })));
+
+    const width = CARD_SHEET.width * POINTS_PER_MM;
+    const height = CARD_SHEET.height * POINTS_PER_MM;
+    const padding = 4 * POINTS_PER_MM;
+    const headerHeight = 9 * POINTS_PER_MM;
+    const qrSize = height - headerHeight - 2 * padding;
+    const textWidth = width - qrSize - 3 * padding;
+    const perPage = CARD_SHEET.columns * CARD_SHEET.rows;
+    const title = clean(options.title) || 'PPE STAFF BADGE';
+
+    const doc = new PDFDocument({ size: 'A4', margin: 0, info: { Title: 'Staff ID Cards' } });
+    doc.pipe(stream);
+
+    badges.forEach((badge, index) => {
+      if (index > 0 && index % perPage === 0) {
+        doc.addPage();
+      }
+
+      const position = index % perPage;
+      const left = (CARD_SHEET.left + (position % CARD_SHEET.columns) * (CARD_SHEET.width + CARD_SHEET.columnGap)) * POINTS_PER_MM;
+      const top = (CARD_SHEET.top + Math.floor(position / CARD_SHEET.columns) * (CARD_SHEET.height + CARD_SHEET.rowGap)) * POINTS_PER_MM;
+
+      // Cut line and header band
+      doc.save();
+      doc.roundedRect(left, top, width, height, 3 * POINTS_PER_MM).clip();
+      doc.rect(left, top, width, headerHeight).fill('#000000');
+      doc.restore();
+      doc.roundedRect(left, top, width, height, 3 * POINTS_PER_MM).lineWidth(0.5).stroke('#9ca3af');
+
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#ffffff')
+        .text(title, left + padding, top + (headerHeight - 10) / 2 + 1, { width: width - 2 * padding, height: 12, ellipsis: true });
+
+      const contentTop = top + headerHeight + padding;
+      doc.image(qrImages[index], left + width - padding - qrSize, contentTop, { width: qrSize, height: qrSize });
+
+      const textLeft = left + padding;
+      let y = contentTop;
+      const line = (text, font, size, color, maxLines = 1) => {
+        doc.font(font).fontSize(size).fillColor(color);
+        const lines = Math.min(maxLines, Math.ceil(doc.heightOfString(clean(text), { width: textWidth }) / doc.currentLineHeight(true)));
+        doc.text(clean(text), textLeft, y, { width: textWidth, height: size * 1.2 * lines, ellipsis: true });
+        y += size * 1.2 * lines + size * 0.2;
+      };
+
+      // Long names may take two lines
+      line(badge.name, 'Helvetica-Bold', 12, '#000000', 2);
+      line(badge.staffId, 'Courier-Bold', 11, '#000000');
+      y += 4;
+      if (badge.department) line(badge.department, 'Helvetica', 9, '#374151');
+      if (badge.position) line(badge.position, 'Helvetica', 9, '#6b7280');
+
+      doc.font('Helvetica').fontSize(7).fillColor('#6b7280')
+        .text('Scan at a PPE station', textLeft, top + height - padding - 8, { width: textWidth, height: 9, ellipsis: true });
+    });
+
+    if (badges.length === 0) {
+      doc.font('Helvetica').fontSize(12).fillColor('#6b7280').text('No active staff to print badges for.', 50, 50);
+    }
+
+    doc.end();
+  }
+}
+
+module.exports = new StaffBadgeService();
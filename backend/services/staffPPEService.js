@@ -26,6 +26,9 @@ class StaffPPEService {
     const assignmentId = uuidv4();
     
     try {
+      const expectedReturnDate = assignmentData.expectedReturnDate ||
+        await this.getDefaultReturnDate(assignmentData.ppeItemId);
+
       const assignment = {
         id: assignmentId,
         staff_id: assignmentData.staffId,
@@ -33,9 +36,10 @@ class StaffPPEService {
         department: assignmentData.department,
         ppe_item_id: assignmentData.ppeItemId,
         quantity: assignmentData.quantity || 1,
-        expected_return_date: assignmentData.expectedReturnDate,
+        expected_return_date: expectedReturnDate,
         notes: assignmentData.notes,
         issued_by: assignmentData.issuedBy || 'system',
+        request_id: assignmentData.requestId || null,
         status: 'ISSUED'
       };
 
@@ -43,8 +47,8 @@ class StaffPPEService {
         this.getDatabaseConnection().run(`
           INSERT INTO staff_ppe_assignments (
             id, staff_id, staff_name, department, ppe_item_id, 
-            quantity, expected_return_date, notes, issued_by, status
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            quantity, expected_return_date, notes, issued_by, request_id, status
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
           assignment.id,
           assignment.staff_id,
@@ -55,6 +59,7 @@ class StaffPPEService {
           assignment.expected_return_date,
           assignment.notes,
           assignment.issued_by,
+          assignment.request_id,
           assignment.status
         ], function(err) {
           if (err) reject(err);
@@ -80,6 +85,80 @@ class StaffPPEService {
     }
   }
 
+  /**
+   * Expected return date for a PPE type based on its replacement period
+   * @param {string} ppeItemId - PPE item ID
+   * @returns {Promise<string|null>} SQLite datetime string, or null if the type has no period
+   */
+  async getDefaultReturnDate(ppeItemId) {
+    return new Promise((resolve, reject) => {
+      this.getDatabaseConnection().get(`
+        SELECT datetime('now', '+' || replacement_period_days || ' days') as expected_return_date
+        FROM ppe_items
+        WHERE id = ? AND replacement_period_days > 0
+      `, [ppeItemId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.expected_return_date : null);
+      });
+    });
+  }
+
+  /**
+   * Create one assignment per issued item of a PPE request.
+   * Items that already have an assignment for the request are skipped.
+   * @param {Object} request - PPE request row
+   * @param {Array} items - Issued ppe_request_items rows
+   * @param {Object} issueData - { issuedBy, ipAddress, userAgent }
+   */
+  async assignRequestItems(request, items, issueData = {}) {
+    try {
+      const staff = await new Promise((resolve, reject) => {
+        this.getDatabaseConnection().get(`
+          SELECT name, department FROM staff_directory WHERE UPPER(staff_id) = UPPER(?)
+        `, [request.staff_id || ''], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      const staffName = (staff && staff.name) || request.staff_name || request.staff_id;
+      const department = (staff && staff.department) || request.staff_department || null;
+
+      const assignmentIds = [];
+      for (const item of items) {
+        const existing = await new Promise((resolve, reject) => {
+          this.getDatabaseConnection().get(`
+            SELECT id FROM staff_ppe_assignments WHERE request_id = ? AND ppe_item_id = ?
+          `, [request.id, item.ppe_item_id], (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+          });
+        });
+
+        if (existing) continue;
+
+        const result = await this.assignPPE({
+          staffId: request.staff_id,
+          staffName,
+          department,
+          ppeItemId: item.ppe_item_id,
+          quantity: item.quantity,
+          requestId: request.id,
+          notes: `Issued from request ${request.id}`,
+          issuedBy: issueData.issuedBy,
+          ipAddress: issueData.ipAddress,
+          userAgent: issueData.userAgent
+        });
+        assignmentIds.push(result.assignmentId);
+      }
+
+      return { success: true, assignmentIds };
+    } catch (error) {
+      console.error('Assign request items error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Return PPE from staff member
    * @param {string} assignmentId - Assignment ID
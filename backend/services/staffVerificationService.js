@@ -33,7 +33,8 @@ class StaffVerificationService {
                 name: row.name,
                 email: row.email,
                 department: row.department,
-                position: row.position
+                position: row.position,
+                sizeProfile: this.parseSizeProfile(row.size_profile)
               }
             });
           } else {
@@ -372,7 +373,7 @@ class StaffVerificationService {
   }
 
   /**
-   * Deactivate staff member
+   * Deactivate staff member and revoke their badge
    * @param {string} staffId - Staff ID to deactivate
    * @returns {Object} Operation result
    */
@@ -380,8 +381,9 @@ class StaffVerificationService {
     const db = getDb();
     
     return new Promise((resolve, reject) => {
+      // Clearing the badge nonce revokes the staff member's badge; reactivating needs a new one
       db.run(
-        'UPDATE staff_directory SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE staff_id = ?',
+        'UPDATE staff_directory SET active = 0, badge_nonce = NULL, updated_at = CURRENT_TIMESTAMP WHERE staff_id = ?',
         [staffId],
         function(err) {
           if (err) {
@@ -405,23 +407,62 @@ class StaffVerificationService {
     });
   }
 
+  /**
+   * Parse a stored size profile into { DIMENSION: size }
+   * @param {string} value - JSON from staff_directory.size_profile
+   * @returns {Object} Size profile (empty when unset or malformed)
+   */
+  parseSizeProfile(value) {
+    if (!value) {
+      return {};
+    }
+    
+    try {
+      const profile = JSON.parse(value);
+      return profile && typeof profile === 'object' && !Array.isArray(profile) ? profile : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Normalise a size profile for storage: upper-case dimensions, blank sizes dropped
+   * @param {Object} profile - { dimension: size }
+   * @returns {string|null} JSON string, or null when no sizes are set
+   */
+  serializeSizeProfile(profile) {
+    const entries = Object.entries(profile || {})
+      .map(([dimension, size]) => [String(dimension).trim().toUpperCase(), size === null || size === undefined ? '' : String(size).trim()])
+      .filter(([dimension, size]) => dimension && size);
+    
+    return entries.length > 0 ? JSON.stringify(Object.fromEntries(entries)) : null;
+  }
+
   /**
    * Update staff member
    * @param {string} staffId - Staff ID
-   * @param {Object} updates - Updated information
+   * @param {Object} updates - Updated information (sizeProfile and preferredLanguage are left unchanged when omitted)
    * @returns {Object} Update result
    */
   async updateStaff(staffId, updates) {
     const db = getDb();
     
     return new Promise((resolve, reject) => {
-      const { name, email, department, position } = updates;
+      const { name, email, department, position, sizeProfile, preferredLanguage } = updates;
       
       db.run(
         `UPDATE staff_directory 
-         SET name = ?, email = ?, department = ?, position = ?, updated_at = CURRENT_TIMESTAMP 
+         SET name = ?, email = ?, department = ?, position = ?,
+             size_profile = CASE WHEN ? THEN ? ELSE size_profile END,
+             preferred_language = CASE WHEN ? THEN ? ELSE preferred_language END,
+             updated_at = CURRENT_TIMESTAMP 
          WHERE staff_id = ?`,
-        [name, email, department, position, staffId],
+        [
+          name, email, department, position,
+          sizeProfile !== undefined ? 1 : 0, this.serializeSizeProfile(sizeProfile),
+          preferredLanguage !== undefined ? 1 : 0, preferredLanguage || null,
+          staffId
+        ],
         function(err) {
           if (err) {
             reject(err);
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+
+// A station kiosk shows a new code every minute
+const ROTATION_SECONDS = 60;
+
+// A scanned code is accepted for the window it was shown in and the one after it
+const SCAN_GRACE_WINDOWS = 1;
+
+// Time a worker has between scanning the kiosk and submitting the request form
+const SUBMISSION_MAX_AGE_SECONDS = 15 * 60;
+
+// How long a request queued offline (with its scanned code) may take to reach the server
+const OFFLINE_REPLAY_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+const CODE_VERSION = 'v1';
+
+// Separate from the login secret so QR codes can be re-keyed without logging everyone out
+const SECRET = process.env.STATION_QR_SECRET ||
+  crypto.createHmac('sha256', process.env.JWT_SECRET || 'your-secret-key-here').update('station-qr').digest('hex');
+
+function sign(message) {
+  return crypto.createHmac('sha256', SECRET).update(message).digest('base64url').slice(0, 22);
+}
+
+function signaturesMatch(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function currentWindow(now = Date.now()) {
+  return Math.floor(now / (ROTATION_SECONDS * 1000));
+}
+
+// Time-rotating, HMAC-signed station codes. A code is "v1.<stationId>.<window>.<signature>",
+// where window counts ROTATION_SECONDS periods since the epoch. Verifying a code needs
+// only the secret, so a scan can be checked without touching the database.
+class StationQrService {
+  constructor() {
+    this.rotationSeconds = ROTATION_SECONDS;
+  }
+
+  /**
+   * Code the kiosk of a station should show right now
+   * @returns {Object} { code, stationId, issuedAt, expiresAt }
+   */
+  generateCode(stationId, now = Date.now()) {
+    const window = currentWindow(now);
+    const code = `${CODE_VERSION}.${stationId}.${window.toString(36)}.${sign(`${CODE_VERSION}|${stationId}|${window}`)}`;
+
+    return {
+      code,
+      stationId,
+      issuedAt: new Date(window * ROTATION_SECONDS * 1000),
+      expiresAt: new Date((window + 1) * ROTATION_SECONDS * 1000)
+    };
+  }
+
+  /**
+   * Check a code's signature and age
+   * @param {string} code - Scanned code
+   * @param {Object} options - { maxAgeSeconds } (defaults to the scan grace period)
+   * @returns {Object} { valid, stationId, issuedAt, error }
+   */
+  verifyCode(code, options = {}) {
+    const maxAgeSeconds = options.maxAgeSeconds || (SCAN_GRACE_WINDOWS + 1) * ROTATION_SECONDS;
+
+    if (typeof code !== 'string') {
+      return { valid: false, error: 'Missing station code' };
+    }
+
+    // Station IDs may contain dots, so split the fixed parts off both ends
+    const parts = code.split('.');
+    if (parts.length < 4 || parts[0] !== CODE_VERSION) {
+      return { valid: false, error: 'Not a station code' };
+    }
+
+    const signature = parts.pop();
+    const window = parseInt(parts.pop(), 36);
+    const stationId = parts.slice(1).join('.');
+
+    if (!stationId || isNaN(window) || !signaturesMatch(signature, sign(`${CODE_VERSION}|${stationId}|${window}`))) {
+      return { valid: false, error: 'Invalid station code' };
+    }
+
+    const now = currentWindow();
+    const maxAgeWindows = Math.ceil(maxAgeSeconds / ROTATION_SECONDS) - 1;
+    if (window > now) {
+      return { valid: false, error: 'Invalid station code' };
+    }
+    if (window < now - maxAgeWindows) {
+      return { valid: false, stationId, error: 'Station code has expired. Scan the code at the station again.' };
+    }
+
+    return { valid: true, stationId, issuedAt: new Date(window * ROTATION_SECONDS * 1000) };
+  }
+
+  /**
+   * Check the code sent with a request: it must be for the request's station and
+   * scanned recently enough to show the worker was there
+   * @param {string} code - Scanned code
+   * @param {string} stationId - Station the request is for
+   * @param {Object} options - { queuedAt } for a request the worker's device queued
+   *   offline: the code must have been fresh when it was queued, and the request must
+   *   arrive within OFFLINE_REPLAY_MAX_AGE_SECONDS
+   */
+  verifySubmission(code, stationId, options = {}) {
+    const queuedAt = options.queuedAt ? new Date(options.queuedAt) : null;
+    if (queuedAt && (isNaN(queuedAt) || queuedAt > Date.now() ||
+        Date.now() - queuedAt > OFFLINE_REPLAY_MAX_AGE_SECONDS * 1000)) {
+      return { valid: false, error: 'This request was saved offline too long ago. Scan the code at the station again.' };
+    }
+
+    const result = this.verifyCode(code, {
+      maxAgeSeconds: queuedAt ? OFFLINE_REPLAY_MAX_AGE_SECONDS + SUBMISSION_MAX_AGE_SECONDS : SUBMISSION_MAX_AGE_SECONDS
+    });
+
+    if (result.valid && queuedAt && queuedAt - result.issuedAt > SUBMISSION_MAX_AGE_SECONDS * 1000 + ROTATION_SECONDS * 1000) {
+      return { valid: false, stationId: result.stationId, error: 'Station code has expired. Scan the code at the station again.' };
+    }
+    if (result.valid && result.stationId !== stationId) {
+      return { valid: false, error: 'The scanned station code is for a different station' };
+    }
+    return result;
+  }
+
+  /**
+   * Station check-in for a new request. A code, when sent, must be valid for the
+   * station; stations that require a scan reject requests without one.
+   * @param {string} code - Station code sent with the request, if any
+   * @param {Object} station - { id, qr_checkin_required }
+   * @param {Object} options - { queuedAt }, see verifySubmission
+   * @returns {Object} { valid, checkinAt } where checkinAt is the ISO time the code was
+   *   shown (null when no code was sent), or { valid: false, error, code }
+   */
+  verifyCheckin(code, station, options = {}) {
+    if (code) {
+      const result = this.verifySubmission(code, station.id, options);
+      if (!result.valid) {
+        return { valid: false, error: result.error, code: 'STATION_CHECKIN_INVALID' };
+      }
+      return { valid: true, checkinAt: result.issuedAt.toISOString() };
+    }
+
+    if (station.qr_checkin_required) {
+      return {
+        valid: false,
+        error: 'Scan the QR code shown at the station to request PPE from it',
+        code: 'STATION_CHECKIN_REQUIRED'
+      };
+    }
+    return { valid: true, checkinAt: null };
+  }
+
+  /**
+   * Long-lived key that lets a kiosk screen fetch its station's codes. It is
+   * derived from the secret, so changing STATION_QR_SECRET revokes every kiosk link.
+   */
+  getKioskKey(stationId) {
+    return sign(`kiosk|${stationId}`);
+  }
+
+  verifyKioskKey(stationId, key) {
+    return typeof key === 'string' && signaturesMatch(key, this.getKioskKey(stationId));
+  }
+}
+
+module.exports = new StationQrService();
@@ -0,0 +1,204 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const { createError } = require('../utils/httpError');
+
+const MOVEMENT_REASONS = ['OPENING_BALANCE', 'ISSUE', 'RESTOCK', 'TRANSFER_OUT', 'TRANSFER_IN', 'ADJUSTMENT', 'WRITE_OFF'];
+
+// Append-only stock movement ledger. Every change to station_inventory.current_stock
+// writes one row with the signed change and the balance it left behind.
+class StockLedgerService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * Append a movement. Runs inside the caller's transaction.
+   * @param {Object} db - Database connection
+   * @param {Object} movement - { stationId, ppeItemId, reason, quantityChange, balanceAfter,
+   *   referenceType, referenceId, batchId, notes, userId }
+   */
+  async recordMovement(db, movement) {
+    const {
+      stationId, ppeItemId, reason, quantityChange, balanceAfter,
+      referenceType = null, referenceId = null, batchId = null, notes = null, userId = 'system'
+    } = movement;
+
+    if (!MOVEMENT_REASONS.includes(reason)) {
+      throw new Error(`Unknown stock movement reason: ${reason}`);
+    }
+    if (!quantityChange) {
+      return null;
+    }
+
+    const id = uuidv4();
+    await new Promise((resolve, reject) => {
+      db.run(`
+        INSERT INTO stock_movements
+        (id, station_id, ppe_item_id, reason, quantity_change, balance_after, reference_type, reference_id, batch_id, notes, user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        id, stationId, ppeItemId, reason, quantityChange, balanceAfter,
+        referenceType, referenceId, batchId, notes, userId
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    return id;
+  }
+
+  /**
+   * Movements of a station and/or item, newest first
+   * @param {Object} filters - { stationId, ppeItemId, reason, from, to, page, limit }
+   */
+  async getMovements(filters = {}) {
+    const { stationId, ppeItemId, reason, from, to } = filters;
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(500, Math.max(1, parseInt(filters.limit) || 50));
+
+    try {
+      const db = this.getDatabaseConnection();
+
+      if (reason && !MOVEMENT_REASONS.includes(reason)) {
+        throw createError(`reason must be one of: ${MOVEMENT_REASONS.join(', ')}`, 400);
+      }
+
+      let where = 'WHERE 1=1';
+      const params = [];
+
+      if (stationId) {
+        where += ' AND sm.station_id = ?';
+        params.push(stationId);
+      }
+      if (ppeItemId) {
+        where += ' AND sm.ppe_item_id = ?';
+        params.push(ppeItemId);
+      }
+      if (reason) {
+        where += ' AND sm.reason = ?';
+        params.push(reason);
+      }
+      if (from) {
+        where += ' AND sm.created_at >= ?';
+        params.push(from);
+      }
+      if (to) {
+        where += ' AND sm.created_at < date(?, \'+1 day\')';
+        params.push(to);
+      }
+
+      const [movements, total] = await Promise.all([
+        new Promise((resolve, reject) => {
+          db.all(`
+            SELECT sm.*, s.name as station_name, pi.name as item_name, pi.symbol, u.name as user_name,
+                   ib.lot_number
+            FROM stock_movements sm
+            LEFT JOIN stations s ON sm.station_id = s.id
+            LEFT JOIN ppe_items pi ON sm.ppe_item_id = pi.id
+            LEFT JOIN users u ON sm.user_id = u.id
+            LEFT JOIN inventory_batches ib ON sm.batch_id = ib.id
+            ${where}
+            ORDER BY sm.created_at DESC, sm.rowid DESC
+            LIMIT ? OFFSET ?
+          `, [...params, limit, (page - 1) * limit], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        }),
+        new Promise((resolve, reject) => {
+          db.get(`SELECT COUNT(*) as count FROM stock_movements sm ${where}`, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row.count);
+          });
+        })
+      ]);
+
+      return {
+        movements,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Get stock movements error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the ledger explains current stock: for every station item the sum of
+   * movements and the last recorded balance must both equal current_stock
+   * @param {Object} filters - { stationId }
+   * @returns {Object} { checked, balanced, discrepancies }
+   */
+  async reconcile(filters = {}) {
+    const { stationId } = filters;
+
+    try {
+      const db = this.getDatabaseConnection();
+
+      const rows = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT si.station_id, si.ppe_item_id, si.current_stock, s.name as station_name, pi.name as item_name,
+                 COALESCE(SUM(sm.quantity_change), 0) as ledger_balance,
+                 COUNT(sm.id) as movement_count,
+                 (SELECT sm2.balance_after FROM stock_movements sm2
+                  WHERE sm2.station_id = si.station_id AND sm2.ppe_item_id = si.ppe_item_id
+                  ORDER BY sm2.created_at DESC, sm2.rowid DESC LIMIT 1) as last_balance
+          FROM station_inventory si
+          JOIN stations s ON si.station_id = s.id
+          JOIN ppe_items pi ON si.ppe_item_id = pi.id
+          LEFT JOIN stock_movements sm ON sm.station_id = si.station_id AND sm.ppe_item_id = si.ppe_item_id
+          ${stationId ? 'WHERE si.station_id = ?' : ''}
+          GROUP BY si.id
+          ORDER BY s.name ASC, pi.name ASC
+        `, stationId ? [stationId] : [], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+
+      const discrepancies = rows
+        .filter(row => row.ledger_balance !== row.current_stock ||
+          (row.last_balance !== null && row.last_balance !== row.current_stock))
+        .map(row => ({
+          stationId: row.station_id,
+          stationName: row.station_name,
+          ppeItemId: row.ppe_item_id,
+          itemName: row.item_name,
+          currentStock: row.current_stock,
+          ledgerBalance: row.ledger_balance,
+          lastRecordedBalance: row.last_balance,
+          difference: row.current_stock - row.ledger_balance,
+          movementCount: row.movement_count
+        }));
+
+      return {
+        checked: rows.length,
+        balanced: discrepancies.length === 0,
+        discrepancies,
+        checkedAt: new Date()
+      };
+    } catch (error) {
+      console.error('Stock reconciliation error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StockLedgerService();
@@ -0,0 +1,650 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const auditService = require('./auditService');
+const inventoryManagementService = require('./inventoryManagementService');
+const { createError } = require('../utils/httpError');
+
+// Stock take states: COUNTING -> SUBMITTED -> POSTED, or cancelled before posting
+const STOCK_TAKE_STATUSES = ['COUNTING', 'SUBMITTED', 'POSTED', 'CANCELLED'];
+const OPEN_STATUSES = ['COUNTING', 'SUBMITTED'];
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Physical stock counts. Expected quantities are snapshotted when the count starts,
+// counters record what they find, and approved variances are posted to the stock
+// ledger as ADJUSTMENT movements.
+class StockTakeService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * Next sequential reference for the year, e.g. ST-2026-0003
+   */
+  async generateReference() {
+    const db = this.getDatabaseConnection();
+    const base = `ST-${new Date().getFullYear()}-`;
+
+    const row = await new Promise((resolve, reject) => {
+      db.get('SELECT COUNT(*) as count FROM stock_takes WHERE reference LIKE ?', [`${base}%`], (err, result) => {
+        if (err) reject(err);
+        else resolve(result);
+      });
+    });
+
+    return `${base}${String(row.count + 1).padStart(4, '0')}`;
+  }
+
+  /**
+   * List stock takes
+   * @param {Object} filters - { status, stationId }
+   */
+  async getStockTakes(filters = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        if (!STOCK_TAKE_STATUSES.includes(filters.status)) {
+          throw createError(`Invalid status. Must be one of: ${STOCK_TAKE_STATUSES.join(', ')}`, 400);
+        }
+        conditions.push('st.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.stationId) {
+        conditions.push('st.station_id = ?');
+        params.push(filters.stationId);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      return new Promise((resolve, reject) => {
+        db.all(`
+          SELECT st.*, s.name as station_name, u.name as started_by_name,
+                 COUNT(stl.id) as line_count,
+                 SUM(CASE WHEN EXISTS (SELECT 1 FROM stock_take_counts c WHERE c.line_id = stl.id) THEN 1 ELSE 0 END) as counted_lines
+          FROM stock_takes st
+          JOIN stations s ON st.station_id = s.id
+          LEFT JOIN users u ON st.started_by = u.id
+          LEFT JOIN stock_take_lines stl ON stl.stock_take_id = st.id
+          ${where}
+          GROUP BY st.id
+          ORDER BY st.started_at DESC
+        `, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    } catch (error) {
+      console.error('Get stock takes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a stock take with its lines and every counter's entries
+   */
+  async getStockTakeById(stockTakeId) {
+    try {
+      const db = this.getDatabaseConnection();
+
+      const stockTake = await new Promise((resolve, reject) => {
+        db.get(`
+          SELECT st.*, s.name as station_name
+          FROM stock_takes st
+          JOIN stations s ON st.station_id = s.id
+          WHERE st.id = ?
+        `, [stockTakeId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!stockTake) return null;
+
+      const [lines, counts] = await Promise.all([
+        new Promise((resolve, reject) => {
+          db.all(`
+            SELECT stl.*, pi.name as item_name, pi.symbol
+            FROM stock_take_lines stl
+            JOIN ppe_items pi ON stl.ppe_item_id = pi.id
+            WHERE stl.stock_take_id = ?
+            ORDER BY pi.name ASC
+          `, [stockTakeId], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+          });
+        }),
+        new Promise((resolve, reject) => {
+          db.all(`
+            SELECT c.*, u.name as counted_by_name
+            FROM stock_take_counts c
+            JOIN stock_take_lines stl ON c.line_id = stl.id
+            LEFT JOIN users u ON c.counted_by = u.id
+            WHERE stl.stock_take_id = ?
+            ORDER BY c.counted_at ASC
+          `, [stockTakeId], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+          });
+        })
+      ]);
+
+      return {
+        ...stockTake,
+        lines: lines.map(line => {
+          const lineCounts = counts.filter(count => count.line_id === line.id);
+          return {
+            ...line,
+            counts: lineCounts,
+            counted_quantity: lineCounts.length > 0 ? lineCounts.reduce((sum, count) => sum + count.quantity, 0) : null
+          };
+        })
+      };
+    } catch (error) {
+      console.error('Get stock take by ID error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a stock take: snapshot the expected quantity and unit cost of each item
+   * @param {Object} data - { stationId, ppeItemIds (optional, for a cycle count of some items), notes }
+   */
+  async createStockTake(data, context = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const { stationId, notes } = data;
+      const userId = context.userId || 'system';
+
+      if (!stationId) {
+        throw createError('Station is required', 400);
+      }
+      if (data.ppeItemIds !== undefined && (!Array.isArray(data.ppeItemIds) || data.ppeItemIds.length === 0)) {
+        throw createError('ppeItemIds must be a non-empty array', 400);
+      }
+
+      const station = await new Promise((resolve, reject) => {
+        db.get('SELECT id, name FROM stations WHERE id = ?', [stationId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!station) {
+        throw createError('Station not found', 404);
+      }
+
+      const open = await new Promise((resolve, reject) => {
+        db.get(`
+          SELECT reference FROM stock_takes
+          WHERE station_id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+        `, [stationId, ...OPEN_STATUSES], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (open) {
+        throw createError(`Stock take ${open.reference} is still open for this station`, 409);
+      }
+
+      const params = [stationId];
+      let itemFilter = '';
+      if (data.ppeItemIds) {
+        itemFilter = `AND si.ppe_item_id IN (${data.ppeItemIds.map(() => '?').join(', ')})`;
+        params.push(...data.ppeItemIds);
+      }
+
+      const inventory = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT si.ppe_item_id, si.current_stock, COALESCE(pi.unit_cost, 0) as unit_cost
+          FROM station_inventory si
+          JOIN ppe_items pi ON si.ppe_item_id = pi.id
+          WHERE si.station_id = ? ${itemFilter}
+        `, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      if (inventory.length === 0) {
+        throw createError('The station does not stock any of the selected items', 400);
+      }
+      if (data.ppeItemIds && inventory.length !== new Set(data.ppeItemIds).size) {
+        throw createError('The station does not stock one of the selected items', 400);
+      }
+
+      const id = uuidv4();
+      const reference = await this.generateReference();
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO stock_takes (id, reference, station_id, status, notes, started_by)
+          VALUES (?, ?, ?, 'COUNTING', ?, ?)
+        `, [id, reference, stationId, notes || null, userId], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      for (const row of inventory) {
+        await new Promise((resolve, reject) => {
+          db.run(`
+            INSERT INTO stock_take_lines (id, stock_take_id, ppe_item_id, expected_quantity, unit_cost)
+            VALUES (?, ?, ?, ?, ?)
+          `, [uuidv4(), id, row.ppe_item_id, row.current_stock, row.unit_cost], (err) => {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+      }
+
+      await auditService.logAction({
+        userId,
+        action: 'STOCK_TAKE_START',
+        resourceType: 'STOCK_TAKE',
+        resourceId: id,
+        newValues: { reference, stationId, items: inventory.length },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, id, reference, status: 'COUNTING', lineCount: inventory.length };
+    } catch (error) {
+      console.error('Create stock take error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record what a counter found. A counter re-counting the same item and area
+   * replaces their earlier entry; entries from different counters or areas add up.
+   * @param {Array} counts - [{ ppeItemId, quantity, location }]
+   */
+  async recordCounts(stockTakeId, counts, context = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const userId = context.userId || 'system';
+      const stockTake = await this.getStockTakeWithStatus(stockTakeId, 'COUNTING');
+
+      if (!Array.isArray(counts) || counts.length === 0) {
+        throw createError('At least one count is required', 400);
+      }
+
+      const entries = counts.map(count => {
+        const line = stockTake.lines.find(l => l.ppe_item_id === count.ppeItemId);
+        const quantity = parseInt(count.quantity);
+
+        if (!line) {
+          throw createError('One of the items is not part of this stock take', 400);
+        }
+        if (isNaN(quantity) || quantity < 0) {
+          throw createError('Counted quantities must be zero or more', 400);
+        }
+
+        return { lineId: line.id, quantity, location: (count.location || '').trim() };
+      });
+
+      for (const entry of entries) {
+        await new Promise((resolve, reject) => {
+          db.run(`
+            INSERT OR REPLACE INTO stock_take_counts (id, line_id, counted_by, location, quantity, counted_at)
+            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+          `, [uuidv4(), entry.lineId, userId, entry.location, entry.quantity], (err) => {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+      }
+
+      return { success: true, id: stockTakeId, recorded: entries.length };
+    } catch (error) {
+      console.error('Record stock take counts error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close counting so the variances can be reviewed
+   */
+  async submitStockTake(stockTakeId, context = {}) {
+    try {
+      const userId = context.userId || 'system';
+      const stockTake = await this.getStockTakeWithStatus(stockTakeId, 'COUNTING');
+      const counted = stockTake.lines.filter(line => line.counted_quantity !== null).length;
+
+      if (counted === 0) {
+        throw createError('Nothing has been counted yet', 400);
+      }
+
+      await this.changeStatus(stockTakeId, 'COUNTING', 'SUBMITTED',
+        'submitted_by = ?, submitted_at = CURRENT_TIMESTAMP', [userId]);
+
+      await auditService.logAction({
+        userId,
+        action: 'STOCK_TAKE_SUBMIT',
+        resourceType: 'STOCK_TAKE',
+        resourceId: stockTakeId,
+        oldValues: { status: 'COUNTING' },
+        newValues: { status: 'SUBMITTED', countedLines: counted, uncountedLines: stockTake.lines.length - counted },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, id: stockTakeId, status: 'SUBMITTED' };
+    } catch (error) {
+      console.error('Submit stock take error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a submitted stock take back for recounting
+   */
+  async reopenStockTake(stockTakeId, context = {}) {
+    try {
+      await this.getStockTakeWithStatus(stockTakeId, 'SUBMITTED');
+      await this.changeStatus(stockTakeId, 'SUBMITTED', 'COUNTING',
+        'submitted_by = NULL, submitted_at = NULL', []);
+
+      await auditService.logAction({
+        userId: context.userId || 'system',
+        action: 'STOCK_TAKE_REOPEN',
+        resourceType: 'STOCK_TAKE',
+        resourceId: stockTakeId,
+        oldValues: { status: 'SUBMITTED' },
+        newValues: { status: 'COUNTING' },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, id: stockTakeId, status: 'COUNTING' };
+    } catch (error) {
+      console.error('Reopen stock take error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an open stock take. Nothing is posted.
+   */
+  async cancelStockTake(stockTakeId, context = {}) {
+    try {
+      const userId = context.userId || 'system';
+      const stockTake = await this.getStockTakeById(stockTakeId);
+
+      if (!stockTake) {
+        throw createError('Stock take not found', 404);
+      }
+      if (!OPEN_STATUSES.includes(stockTake.status)) {
+        throw createError(`Stock take is already ${stockTake.status.toLowerCase()}`, 400);
+      }
+
+      await this.changeStatus(stockTakeId, stockTake.status, 'CANCELLED',
+        'cancelled_by = ?, cancelled_at = CURRENT_TIMESTAMP', [userId]);
+
+      await auditService.logAction({
+        userId,
+        action: 'STOCK_TAKE_CANCEL',
+        resourceType: 'STOCK_TAKE',
+        resourceId: stockTakeId,
+        oldValues: { status: stockTake.status },
+        newValues: { status: 'CANCELLED' },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, id: stockTakeId, status: 'CANCELLED' };
+    } catch (error) {
+      console.error('Cancel stock take error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare counted against expected quantities and price the difference at the
+   * unit cost snapshotted when the count started
+   */
+  async getVarianceReport(stockTakeId) {
+    try {
+      const db = this.getDatabaseConnection();
+      const stockTake = await this.getStockTakeById(stockTakeId);
+
+      if (!stockTake) {
+        throw createError('Stock take not found', 404);
+      }
+
+      // Stock that moved after the snapshot makes a variance less trustworthy
+      const activity = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT ppe_item_id, SUM(quantity_change) as net_change, COUNT(*) as movement_count
+          FROM stock_movements
+          WHERE station_id = ? AND created_at >= ?
+          AND NOT (reference_type = 'STOCK_TAKE' AND reference_id = ?)
+          GROUP BY ppe_item_id
+        `, [stockTake.station_id, stockTake.started_at, stockTakeId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      const lines = stockTake.lines.map(line => {
+        const counted = line.counted_quantity;
+        const variance = counted === null ? null : counted - line.expected_quantity;
+        const unitCost = parseFloat(line.unit_cost) || 0;
+        const moved = activity.find(row => row.ppe_item_id === line.ppe_item_id);
+
+        return {
+          lineId: line.id,
+          ppeItemId: line.ppe_item_id,
+          itemName: line.item_name,
+          symbol: line.symbol,
+          expectedQuantity: line.expected_quantity,
+          countedQuantity: counted,
+          counters: new Set(line.counts.map(count => count.counted_by)).size,
+          variance,
+          variancePercentage: variance === null || line.expected_quantity === 0
+            ? null
+            : round((variance / line.expected_quantity) * 100, 1),
+          unitCost,
+          varianceValue: variance === null ? null : round(variance * unitCost),
+          movementsSinceSnapshot: moved ? moved.movement_count : 0,
+          netChangeSinceSnapshot: moved ? moved.net_change : 0,
+          approved: !!line.approved,
+          postedAdjustment: line.posted_adjustment
+        };
+      });
+
+      const counted = lines.filter(line => line.countedQuantity !== null);
+      const withVariance = counted.filter(line => line.variance !== 0);
+
+      return {
+        stockTake: {
+          id: stockTake.id,
+          reference: stockTake.reference,
+          stationId: stockTake.station_id,
+          stationName: stockTake.station_name,
+          status: stockTake.status,
+          startedAt: stockTake.started_at,
+          submittedAt: stockTake.submitted_at,
+          postedAt: stockTake.posted_at
+        },
+        summary: {
+          lines: lines.length,
+          countedLines: counted.length,
+          uncountedLines: lines.length - counted.length,
+          linesWithVariance: withVariance.length,
+          accuracyPercentage: counted.length > 0
+            ? round(((counted.length - withVariance.length) / counted.length) * 100, 1)
+            : null,
+          expectedUnits: counted.reduce((sum, line) => sum + line.expectedQuantity, 0),
+          countedUnits: counted.reduce((sum, line) => sum + line.countedQuantity, 0),
+          netVarianceUnits: counted.reduce((sum, line) => sum + line.variance, 0),
+          shortageValue: round(withVariance.filter(line => line.variance < 0).reduce((sum, line) => sum + line.varianceValue, 0)),
+          surplusValue: round(withVariance.filter(line => line.variance > 0).reduce((sum, line) => sum + line.varianceValue, 0)),
+          netVarianceValue: round(counted.reduce((sum, line) => sum + line.varianceValue, 0))
+        },
+        lines
+      };
+    } catch (error) {
+      console.error('Stock take variance report error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post approved variances as ADJUSTMENT movements. The variance is applied as a
+   * change to current stock, so issues made during the count are kept.
+   * @param {Array} ppeItemIds - lines to approve; defaults to every counted line with a variance
+   */
+  async postStockTake(stockTakeId, ppeItemIds, context = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const userId = context.userId || 'system';
+      await this.getStockTakeWithStatus(stockTakeId, 'SUBMITTED');
+      const report = await this.getVarianceReport(stockTakeId);
+
+      if (ppeItemIds !== undefined && !Array.isArray(ppeItemIds)) {
+        throw createError('ppeItemIds must be an array', 400);
+      }
+
+      const varianceLines = report.lines.filter(line => line.variance !== null && line.variance !== 0);
+      const approved = ppeItemIds === undefined
+        ? varianceLines
+        : varianceLines.filter(line => ppeItemIds.includes(line.ppeItemId));
+
+      if (ppeItemIds && ppeItemIds.some(id => !varianceLines.find(line => line.ppeItemId === id))) {
+        throw createError('Only counted items with a variance can be approved', 400);
+      }
+
+      // Check every shortage can still be taken off before changing anything
+      for (const line of approved.filter(l => l.variance < 0)) {
+        const inventory = await new Promise((resolve, reject) => {
+          db.get('SELECT current_stock FROM station_inventory WHERE station_id = ? AND ppe_item_id = ?',
+            [report.stockTake.stationId, line.ppeItemId], (err, row) => {
+              if (err) reject(err);
+              else resolve(row);
+            });
+        });
+
+        if (!inventory || inventory.current_stock < -line.variance) {
+          throw createError(`Current stock of ${line.itemName} is lower than its shortage; recount before posting`, 409);
+        }
+      }
+
+      await this.changeStatus(stockTakeId, 'SUBMITTED', 'POSTED',
+        'posted_by = ?, posted_at = CURRENT_TIMESTAMP', [userId]);
+
+      for (const line of approved) {
+        await inventoryManagementService.updateStock(
+          report.stockTake.stationId,
+          line.ppeItemId,
+          Math.abs(line.variance),
+          line.variance > 0 ? 'ADD' : 'SUBTRACT',
+          userId,
+          {
+            movement: {
+              reason: 'ADJUSTMENT',
+              referenceType: 'STOCK_TAKE',
+              referenceId: stockTakeId,
+              notes: `Stock take ${report.stockTake.reference}`
+            }
+          }
+        );
+
+        await new Promise((resolve, reject) => {
+          db.run('UPDATE stock_take_lines SET approved = 1, posted_adjustment = ? WHERE id = ?',
+            [line.variance, line.lineId], (err) => {
+              if (err) reject(err);
+              else resolve();
+            });
+        });
+      }
+
+      const postedValue = round(approved.reduce((sum, line) => sum + line.varianceValue, 0));
+
+      await auditService.logAction({
+        userId,
+        action: 'STOCK_TAKE_POST',
+        resourceType: 'STOCK_TAKE',
+        resourceId: stockTakeId,
+        oldValues: { status: 'SUBMITTED' },
+        newValues: {
+          status: 'POSTED',
+          reference: report.stockTake.reference,
+          adjustments: approved.map(line => ({ ppeItemId: line.ppeItemId, quantity: line.variance, value: line.varianceValue })),
+          skipped: varianceLines.length - approved.length,
+          postedValue
+        },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return {
+        success: true,
+        id: stockTakeId,
+        status: 'POSTED',
+        stationId: report.stockTake.stationId,
+        adjustments: approved.map(line => ({ ppeItemId: line.ppeItemId, quantityChange: line.variance })),
+        postedValue
+      };
+    } catch (error) {
+      console.error('Post stock take error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a stock take in the given status, or throw
+   */
+  async getStockTakeWithStatus(stockTakeId, status) {
+    const stockTake = await this.getStockTakeById(stockTakeId);
+
+    if (!stockTake) {
+      throw createError('Stock take not found', 404);
+    }
+    if (stockTake.status !== status) {
+      throw createError(`Stock take is ${stockTake.status.toLowerCase()}, expected ${status.toLowerCase()}`, 400);
+    }
+
+    return stockTake;
+  }
+
+  /**
+   * Move a stock take between statuses. The status guard stops two reviewers
+   * posting the same stock take twice.
+   */
+  async changeStatus(stockTakeId, from, to, setClause, params) {
+    const db = this.getDatabaseConnection();
+
+    const changed = await new Promise((resolve, reject) => {
+      db.run(`UPDATE stock_takes SET status = ?, ${setClause} WHERE id = ? AND status = ?`,
+        [to, ...params, stockTakeId, from], function(err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        });
+    });
+
+    if (!changed) {
+      throw createError('Stock take was changed by someone else', 409);
+    }
+  }
+}
+
+module.exports = new StockTakeService();
@@ -0,0 +1,416 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const auditService = require('./auditService');
+const inventoryManagementService = require('./inventoryManagementService');
+const { createError } = require('../utils/httpError');
+
+// Transfer states: IN_TRANSIT -> RECEIVED, or IN_TRANSIT -> CANCELLED (stock returned to source)
+const TRANSFER_STATUSES = ['IN_TRANSIT', 'RECEIVED', 'CANCELLED'];
+
+class StockTransferService {
+  constructor() {
+    // Don't store db connection in constructor - get it dynamically
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  /**
+   * List transfers
+   * @param {Object} filters - { status, stationId } (stationId matches either end)
+   */
+  async getTransfers(filters = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const conditions = [];
+      const params = [];
+
+      if (filters.status) {
+        if (!TRANSFER_STATUSES.includes(filters.status)) {
+          throw createError(`Invalid status. Must be one of: ${TRANSFER_STATUSES.join(', ')}`, 400);
+        }
+        conditions.push('st.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.stationId) {
+        conditions.push('(st.from_station_id = ? OR st.to_station_id = ?)');
+        params.push(filters.stationId, filters.stationId);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      return new Promise((resolve, reject) => {
+        db.all(`
+          SELECT st.*, fs.name as from_station_name, ts.name as to_station_name,
+                 u.name as dispatched_by_name,
+                 COUNT(sti.id) as item_count,
+                 COALESCE(SUM(sti.quantity), 0) as total_quantity
+          FROM stock_transfers st
+          JOIN stations fs ON st.from_station_id = fs.id
+          JOIN stations ts ON st.to_station_id = ts.id
+          LEFT JOIN users u ON st.dispatched_by = u.id
+          LEFT JOIN stock_transfer_items sti ON sti.transfer_id = st.id
+          ${where}
+          GROUP BY st.id
+          ORDER BY st.dispatched_at DESC
+        `, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    } catch (error) {
+      console.error('Get transfers error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a transfer with its items
+   */
+  async getTransferById(transferId) {
+    try {
+      const db = this.getDatabaseConnection();
+
+      const transfer = await new Promise((resolve, reject) => {
+        db.get(`
+          SELECT st.*, fs.name as from_station_name, ts.name as to_station_name
+          FROM stock_transfers st
+          JOIN stations fs ON st.from_station_id = fs.id
+          JOIN stations ts ON st.to_station_id = ts.id
+          WHERE st.id = ?
+        `, [transferId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (!transfer) return null;
+
+      const items = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT sti.*, pi.name as item_name
+          FROM stock_transfer_items sti
+          JOIN ppe_items pi ON sti.ppe_item_id = pi.id
+          WHERE sti.transfer_id = ?
+        `, [transferId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({ ...row, batches: row.batches ? JSON.parse(row.batches) : [] })));
+        });
+      });
+
+      return { ...transfer, items };
+    } catch (error) {
+      console.error('Get transfer by ID error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dispatch stock from one station to another. Stock leaves the source
+   * immediately and is held in transit until the destination confirms receipt.
+   * @param {Object} data - { fromStationId, toStationId, items: [{ ppeItemId, quantity }], notes }
+   */
+  async createTransfer(data, context = {}) {
+    try {
+      const db = this.getDatabaseConnection();
+      const { fromStationId, toStationId, notes } = data;
+      const userId = context.userId || 'system';
+
+      if (!fromStationId || !toStationId) {
+        throw createError('Source and destination stations are required', 400);
+      }
+      if (fromStationId === toStationId) {
+        throw createError('Source and destination stations must be different', 400);
+      }
+      if (!Array.isArray(data.items) || data.items.length === 0) {
+        throw createError('At least one item is required', 400);
+      }
+
+      const items = data.items.map(item => ({
+        ppeItemId: item.ppeItemId,
+        quantity: parseInt(item.quantity)
+      }));
+
+      if (items.some(item => !item.ppeItemId || !(item.quantity > 0))) {
+        throw createError('Each item needs a PPE item and a positive quantity', 400);
+      }
+      if (new Set(items.map(item => item.ppeItemId)).size !== items.length) {
+        throw createError('Each PPE item can only appear once per transfer', 400);
+      }
+
+      const stations = await new Promise((resolve, reject) => {
+        db.all('SELECT id, name, active FROM stations WHERE id IN (?, ?)', [fromStationId, toStationId], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      const toStation = stations.find(station => station.id === toStationId);
+      if (!stations.find(station => station.id === fromStationId) || !toStation) {
+        throw createError('Station not found', 404);
+      }
+      if (!toStation.active) {
+        throw createError('Cannot transfer stock to an inactive station', 400);
+      }
+
+      // Stock held for pending requests stays at the source
+      for (const item of items) {
+        const inventory = await new Promise((resolve, reject) => {
+          db.get(`
+            SELECT si.current_stock - COALESCE(si.reserved_quantity, 0) as available, pi.name as item_name
+            FROM station_inventory si
+            JOIN ppe_items pi ON si.ppe_item_id = pi.id
+            WHERE si.station_id = ? AND si.ppe_item_id = ?
+          `, [fromStationId, item.ppeItemId], (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+          });
+        });
+
+        if (!inventory) {
+          throw createError('Source station does not stock one of the items', 400);
+        }
+        if (inventory.available < item.quantity) {
+          throw createError(`Only ${Math.max(0, inventory.available)} ${inventory.item_name} available to transfer`, 400);
+        }
+      }
+
+      const transferId = uuidv4();
+
+      // Deduct from the source; undo earlier legs if a later one fails
+      const dispatched = [];
+      try {
+        for (const item of items) {
+          const result = await inventoryManagementService.updateStock(fromStationId, item.ppeItemId, item.quantity, 'SUBTRACT', userId, {
+            movement: { reason: 'TRANSFER_OUT', referenceType: 'STOCK_TRANSFER', referenceId: transferId }
+          });
+          dispatched.push({ ...item, batches: result.batchesConsumed || [] });
+        }
+      } catch (stockError) {
+        for (const item of dispatched) {
+          await this.addTransferredStock(fromStationId, item, userId, null, {
+            reason: 'ADJUSTMENT',
+            notes: 'Transfer dispatch failed, stock put back'
+          });
+        }
+        throw stockError;
+      }
+
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO stock_transfers (id, from_station_id, to_station_id, status, notes, dispatched_by)
+          VALUES (?, ?, ?, 'IN_TRANSIT', ?, ?)
+        `, [transferId, fromStationId, toStationId, notes || null, userId], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      for (const item of dispatched) {
+        await new Promise((resolve, reject) => {
+          db.run(`
+            INSERT INTO stock_transfer_items (id, transfer_id, ppe_item_id, quantity, batches)
+            VALUES (?, ?, ?, ?, ?)
+          `, [uuidv4(), transferId, item.ppeItemId, item.quantity, JSON.stringify(item.batches)], (err) => {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+      }
+
+      await auditService.logAction({
+        userId,
+        action: 'TRANSFER_DISPATCH',
+        resourceType: 'STOCK_TRANSFER',
+        resourceId: transferId,
+        newValues: {
+          fromStationId,
+          toStationId,
+          items: items.map(item => ({ ppeItemId: item.ppeItemId, quantity: item.quantity }))
+        },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return { success: true, transferId, status: 'IN_TRANSIT', fromStationId, toStationId, items };
+    } catch (error) {
+      console.error('Create transfer error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Destination confirms receipt: stock is added to the destination station
+   */
+  async receiveTransfer(transferId, context = {}) {
+    try {
+      const transfer = await this.getInTransitTransfer(transferId);
+      const userId = context.userId || 'system';
+
+      await this.closeTransfer(transferId, 'RECEIVED', { userId });
+
+      for (const item of transfer.items) {
+        await this.addTransferredStock(transfer.to_station_id, item, userId, transfer.from_station_id, {
+          reason: 'TRANSFER_IN',
+          referenceType: 'STOCK_TRANSFER',
+          referenceId: transferId
+        });
+      }
+
+      await auditService.logAction({
+        userId,
+        action: 'TRANSFER_RECEIVE',
+        resourceType: 'STOCK_TRANSFER',
+        resourceId: transferId,
+        oldValues: { status: 'IN_TRANSIT' },
+        newValues: {
+          status: 'RECEIVED',
+          toStationId: transfer.to_station_id,
+          items: transfer.items.map(item => ({ ppeItemId: item.ppe_item_id, quantity: item.quantity }))
+        },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return {
+        success: true,
+        transferId,
+        status: 'RECEIVED',
+        stationId: transfer.to_station_id,
+        items: transfer.items.map(item => ({ ppeItemId: item.ppe_item_id, quantity: item.quantity }))
+      };
+    } catch (error) {
+      console.error('Receive transfer error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an in-transit transfer: stock goes back to the source station
+   */
+  async cancelTransfer(transferId, { reason }, context = {}) {
+    try {
+      const transfer = await this.getInTransitTransfer(transferId);
+      const userId = context.userId || 'system';
+
+      if (!reason || !reason.trim()) {
+        throw createError('A cancellation reason is required', 400);
+      }
+
+      await this.closeTransfer(transferId, 'CANCELLED', { userId, reason: reason.trim() });
+
+      for (const item of transfer.items) {
+        await this.addTransferredStock(transfer.from_station_id, item, userId, null, {
+          reason: 'TRANSFER_IN',
+          referenceType: 'STOCK_TRANSFER',
+          referenceId: transferId,
+          notes: 'Transfer cancelled, returned to source'
+        });
+      }
+
+      await auditService.logAction({
+        userId,
+        action: 'TRANSFER_CANCEL',
+        resourceType: 'STOCK_TRANSFER',
+        resourceId: transferId,
+        oldValues: { status: 'IN_TRANSIT' },
+        newValues: { status: 'CANCELLED', reason: reason.trim(), returnedTo: transfer.from_station_id },
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent
+      });
+
+      return {
+        success: true,
+        transferId,
+        status: 'CANCELLED',
+        stationId: transfer.from_station_id,
+        items: transfer.items.map(item => ({ ppeItemId: item.ppe_item_id, quantity: item.quantity }))
+      };
+    } catch (error) {
+      console.error('Cancel transfer error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a transfer that is still in transit, or throw
+   */
+  async getInTransitTransfer(transferId) {
+    const transfer = await this.getTransferById(transferId);
+
+    if (!transfer) {
+      throw createError('Transfer not found', 404);
+    }
+    if (transfer.status !== 'IN_TRANSIT') {
+      throw createError(`Transfer is already ${transfer.status.toLowerCase()}`, 400);
+    }
+
+    return transfer;
+  }
+
+  /**
+   * Move a transfer out of IN_TRANSIT. The status guard makes a concurrent
+   * receive/cancel of the same transfer fail instead of adding stock twice.
+   */
+  async closeTransfer(transferId, status, { userId, reason }) {
+    const db = this.getDatabaseConnection();
+
+    const query = status === 'RECEIVED'
+      ? `UPDATE stock_transfers SET status = 'RECEIVED', received_by = ?, received_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'IN_TRANSIT'`
+      : `UPDATE stock_transfers SET status = 'CANCELLED', cancelled_by = ?, cancelled_at = CURRENT_TIMESTAMP, cancel_reason = ?
+         WHERE id = ? AND status = 'IN_TRANSIT'`;
+    const params = status === 'RECEIVED' ? [userId, transferId] : [userId, reason, transferId];
+
+    const changed = await new Promise((resolve, reject) => {
+      db.run(query, params, function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+
+    if (!changed) {
+      throw createError('Transfer is no longer in transit', 409);
+    }
+  }
+
+  /**
+   * Add a transferred item to a station, recreating the lots it left the source with
+   * @param {Object} item - { ppeItemId | ppe_item_id, quantity, batches }
+   * @param {string} templateStationId - station whose thresholds seed a new inventory row
+   * @param {Object} movement - stock ledger reason and reference
+   */
+  async addTransferredStock(stationId, item, userId, templateStationId = null, movement = {}) {
+    const ppeItemId = item.ppeItemId || item.ppe_item_id;
+    const batches = item.batches || [];
+
+    await inventoryManagementService.ensureStationInventory(stationId, ppeItemId, templateStationId);
+
+    let untracked = item.quantity;
+    for (const batch of batches) {
+      await inventoryManagementService.updateStock(stationId, ppeItemId, batch.quantity, 'ADD', userId, {
+        batch: {
+          lotNumber: batch.lotNumber,
+          expiryDate: batch.expiryDate,
+          receivedDate: batch.receivedDate
+        },
+        movement
+      });
+      untracked -= batch.quantity;
+    }
+
+    if (untracked > 0) {
+      await inventoryManagementService.updateStock(stationId, ppeItemId, untracked, 'ADD', userId, { movement });
+    }
+  }
+}
+
+module.exports = new StockTransferService();
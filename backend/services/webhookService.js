@@ -0,0 +1,662 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const { OutboxQueue } = require('../utils/outboxQueue');
+const { createError } = require('../utils/httpError');
+
+// Events a subscription can choose from
+const WEBHOOK_EVENTS = {
+  'ppe_request.created': 'A worker submitted a PPE request',
+  'ppe_request.approved': 'A PPE request was approved (final approval step)',
+  'ppe_request.rejected': 'A PPE request was rejected',
+  'stock.low': 'An item fell below its stock threshold at a station',
+  'stock.critical': 'An item is critically low or out of stock at a station',
+  'condition_report.created': 'A worker reported damaged or faulty PPE',
+  'staff.deactivated': 'A staff member was deactivated'
+};
+
+// Sent only by "Send test", to check an endpoint and its signature check
+const PING_EVENT = 'ping';
+
+const REQUEST_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 2000;
+const DELIVERED_RETENTION_DAYS = 30;
+
+/**
+ * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret.
+ * Receivers recompute it and should reject timestamps more than a few minutes old.
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Outbound webhooks for domain events. Each event is queued as one delivery per
+// subscribed endpoint and POSTed as signed JSON; failed deliveries are retried with
+// backoff and every attempt's outcome is kept in the delivery log.
+class WebhookService {
+  constructor() {
+    this.queue = new OutboxQueue({
+      table: 'webhook_deliveries',
+      doneStatus: 'DELIVERED',
+      doneColumn: 'delivered_at',
+      retentionDays: DELIVERED_RETENTION_DAYS,
+      send: delivery => this.deliver(delivery)
+    });
+  }
+
+  /**
+   * Get database connection dynamically to handle initialization timing
+   */
+  getDatabaseConnection() {
+    const db = getDb();
+    if (!db) {
+      throw new Error('Database not initialized. Please wait for system startup to complete.');
+    }
+    return db;
+  }
+
+  getEventTypes() {
+    return Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description }));
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  }
+
+  /**
+   * Check and normalise a subscription from the admin form
+   * @returns {Object} { name, url, events, enabled, description }
+   */
+  validateSubscription(subscription, existing = null) {
+    const name = subscription.name !== undefined ? String(subscription.name).trim() : existing?.name;
+    const url = subscription.url !== undefined ? String(subscription.url).trim() : existing?.url;
+    const events = subscription.events !== undefined ? subscription.events : existing?.events;
+
+    if (!name) {
+      throw createError('Name is required', 400);
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw createError('URL must be a valid http:// or https:// address', 400);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw createError('URL must be a valid http:// or https:// address', 400);
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+      throw createError('Choose at least one event', 400);
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS[event]);
+    if (unknown.length > 0) {
+      throw createError(`Unknown event(s): ${unknown.join(', ')}`, 400);
+    }
+
+    return {
+      name,
+      url,
+      events: events.includes('*') ? ['*'] : [...new Set(events)],
+      enabled: subscription.enabled !== undefined ? Boolean(subscription.enabled) : (existing ? existing.enabled : true),
+      description: subscription.description !== undefined ? (String(subscription.description).trim() || null) : (existing?.description || null)
+    };
+  }
+
+  async getSubscriptions() {
+    try {
+      const db = this.getDatabaseConnection();
+      const rows = await new Promise((resolve, reject) => {
+        db.all(`
+          SELECT s.*,
+                 (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'PENDING') as pending_count,
+                 (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'DEAD') as dead_count
+          FROM webhook_subscriptions s
+          ORDER BY s.created_at ASC
+        `, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+
+      return rows.map(row => this.formatSubscription(row));
+    } catch (error) {
+      console.error('Get webhook subscriptions error:', error);
+      throw error;
+    }
+  }
+
+  async getSubscription(id) {
+    const db = this.getDatabaseConnection();
+    const row = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhook_subscriptions WHERE id = ?', [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!row) {
+      throw createError('Webhook not found', 404);
+    }
+    return row;
+  }
+
+  /**
+   * @returns {Object} The subscription, including its secret; this is the only time it's shown
+   */
+  async createSubscription(subscription, createdBy = null) {
+    try {
+      const values = this.validateSubscription(subscription);
+      const id = uuidv4();
+      const secret = this.generateSecret();
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run(`
+          INSERT INTO webhook_subscriptions (id, name, url, secret, events, enabled, description, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [id, values.name, values.url, secret, JSON.stringify(values.events), values.enabled ? 1 : 0, values.description, createdBy], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      return { ...this.formatSubscription(await this.getSubscription(id)), secret };
+    } catch (error) {
+      console.error('Create webhook subscription error:', error);
+      throw error;
+    }
+  }
+
+  async updateSubscription(id, changes) {
+    try {
+      const existing = this.formatSubscription(await this.getSubscription(id));
+      const values = this.validateSubscription(changes, existing);
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run(`
+          UPDATE webhook_subscriptions
+          SET name = ?, url = ?, events = ?, enabled = ?, description = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [values.name, values.url, JSON.stringify(values.events), values.enabled ? 1 : 0, values.description, id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      return this.formatSubscription(await this.getSubscription(id));
+    } catch (error) {
+      console.error('Update webhook subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the signing secret; the receiver must be given the new one
+   * @returns {Object} The subscription with its new secret
+   */
+  async rotateSecret(id) {
+    try {
+      await this.getSubscription(id);
+      const secret = this.generateSecret();
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run('UPDATE webhook_subscriptions SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [secret, id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      return { ...this.formatSubscription(await this.getSubscription(id)), secret };
+    } catch (error) {
+      console.error('Rotate webhook secret error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a subscription and its delivery log
+   */
+  async deleteSubscription(id) {
+    try {
+      await this.getSubscription(id);
+
+      const db = this.getDatabaseConnection();
+      await new Promise((resolve, reject) => {
+        db.run('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+      await new Promise((resolve, reject) => {
+        db.run('DELETE FROM webhook_subscriptions WHERE id = ?', [id], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    } catch (error) {
+      console.error('Delete webhook subscription error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an event for every enabled subscription that wants it. Never throws, so a
+   * webhook problem can't fail the action that raised the event.
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event details, sent as the payload's "data"
+   * @returns {number} Deliveries queued
+   */
+  async emit(event, data) {
+    try {
+      if (!WEBHOOK_EVENTS[event]) {
+        throw new Error(`Unknown webhook event: ${event}`);
+      }
+
+      const db = getDb();
+      if (!db) {
+        return 0;
+      }
+
+      const subscriptions = await new Promise((resolve, reject) => {
+        db.all('SELECT id, events FROM webhook_subscriptions WHERE enabled = 1', (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        });
+      });
+      const targets = subscriptions.filter(subscription => {
+        const events = JSON.parse(subscription.events || '[]');
+        return events.includes('*') || events.includes(event);
+      });
+      if (targets.length === 0) {
+        return 0;
+      }
+
+      // One envelope (and event id) shared by every subscriber, so receivers can de-duplicate
+      const envelope = this.buildEnvelope(event, data);
+      const payload = JSON.stringify(envelope);
+
+      for (const subscription of targets) {
+        await this.queueDelivery(subscription.id, event, envelope.id, payload);
+      }
+
+      // Try straight away without holding up the caller
+      this.processQueue().catch(error => console.error('Webhook processing error:', error));
+
+      return targets.length;
+    } catch (error) {
+      console.error(`Emit ${event} webhook error:`, error);
+      return 0;
+    }
+  }
+
+  buildEnvelope(event, data) {
+    return {
+      id: uuidv4(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+  }
+
+  async queueDelivery(subscriptionId, event, eventId, payload) {
+    const db = this.getDatabaseConnection();
+    const id = uuidv4();
+
+    await new Promise((resolve, reject) => {
+      db.run(`
+        INSERT INTO webhook_deliveries (id, subscription_id, event, event_id, payload)
+        VALUES (?, ?, ?, ?, ?)
+      `, [id, subscriptionId, event, eventId, payload], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    return id;
+  }
+
+  /**
+   * Send a ping to one subscription now, whatever events it listens to
+   * @returns {Object} The delivery, with the endpoint's response
+   */
+  async sendTest(subscriptionId) {
+    try {
+      const subscription = await this.getSubscription(subscriptionId);
+      const envelope = this.buildEnvelope(PING_EVENT, { message: 'Test delivery from PPE Management', webhook: subscription.name });
+
+      const deliveryId = await this.queueDelivery(subscription.id, PING_EVENT, envelope.id, JSON.stringify(envelope));
+      const delivery = await this.getDeliveryRow(deliveryId);
+      await this.deliver(delivery, { force: true });
+
+      return this.getDeliveryById(deliveryId);
+    } catch (error) {
+      console.error('Send test webhook error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send every delivery that is due
+   * @returns {Object} { delivered, failed, dead }
+   */
+  processQueue() {
+    return this.queue.process();
+  }
+
+  /**
+   * One delivery attempt. Any 2xx response counts as delivered.
+   * @param {Object} options - { force } to send even if the subscription is disabled (tests)
+   * @returns {string|null} 'delivered', 'failed' (will be retried), 'dead', or null if another run took it
+   */
+  async deliver(delivery, options = {}) {
+    const db = this.getDatabaseConnection();
+
+    if (!await this.queue.claim(delivery.id)) {
+      return null;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const started = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+
+    try {
+      const subscription = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM webhook_subscriptions WHERE id = ?', [delivery.subscription_id], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      if (!subscription || (!subscription.enabled && !options.force)) {
+        await this.finishDelivery(delivery.id, {
+          status: 'DEAD',
+          attempts: delivery.attempts,
+          error: subscription ? 'Webhook is disabled' : 'Webhook was deleted'
+        });
+        return 'dead';
+      }
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+      let response;
+      try {
+        response = await fetch(subscription.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'PPE-Management-Webhooks/1.0',
+            'X-PPE-Event': delivery.event,
+            'X-PPE-Delivery': delivery.id,
+            'X-PPE-Timestamp': String(timestamp),
+            'X-PPE-Signature': `sha256=${sign(subscription.secret, timestamp, delivery.payload)}`
+          },
+          body: delivery.payload,
+          signal: controller.signal,
+          redirect: 'manual'
+        });
+        responseStatus = response.status;
+        responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+      } catch (requestError) {
+        throw new Error(requestError.name === 'AbortError'
+          ? `No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`
+          : requestError.cause ? `${requestError.message}: ${requestError.cause.code || requestError.cause.message}` : requestError.message);
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      if (!response.ok) {
+        throw new Error(`Endpoint responded with HTTP ${response.status}`);
+      }
+
+      await this.finishDelivery(delivery.id, {
+        status: 'DELIVERED',
+        attempts,
+        responseStatus,
+        responseBody,
+        durationMs: Date.now() - started
+      });
+
+      console.log(`✅ Webhook ${delivery.event} delivered to ${subscription.url} (HTTP ${response.status})`);
+      return 'delivered';
+    } catch (error) {
+      // A test ping is a one-off; it isn't retried
+      const { status, dead, retryInSeconds } = this.queue.failure(attempts, delivery.event === PING_EVENT);
+      console.error(`❌ Webhook delivery ${delivery.id} (${delivery.event}) attempt ${attempts} failed${dead ? ' - giving up' : ''}:`, error.message);
+
+      await this.finishDelivery(delivery.id, {
+        status,
+        attempts,
+        responseStatus,
+        responseBody,
+        durationMs: Date.now() - started,
+        error: error.message,
+        retryInSeconds
+      });
+
+      return dead ? 'dead' : 'failed';
+    }
+  }
+
+  async finishDelivery(id, outcome) {
+    const db = this.getDatabaseConnection();
+
+    await new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, response_status = ?, response_body = ?, duration_ms = ?, last_error = ?,
+            next_attempt_at = datetime('now', ?),
+            delivered_at = CASE WHEN ? = 'DELIVERED' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        outcome.status, outcome.attempts, outcome.responseStatus ?? null, outcome.responseBody ?? null,
+        outcome.durationMs ?? null, outcome.error || null, `+${outcome.retryInSeconds || 0} seconds`,
+        outcome.status, id
+      ], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    db.run(`
+      UPDATE webhook_subscriptions SET last_delivery_at = CURRENT_TIMESTAMP, last_delivery_status = ?
+      WHERE id = (SELECT subscription_id FROM webhook_deliveries WHERE id = ?)
+    `, [outcome.status, id]);
+  }
+
+  /**
+   * Return deliveries left mid-send by a restart to the queue
+   */
+  async recoverInterrupted() {
+    try {
+      await this.queue.recoverInterrupted();
+    } catch (error) {
+      console.error('Recover webhook deliveries error:', error);
+    }
+  }
+
+  /**
+   * Delivery log, newest first. Payloads and response bodies are left out.
+   * @param {Object} filters - { subscriptionId, status, event, page, limit }
+   * @returns {Object} { deliveries, counts (per status), pagination }
+   */
+  async getDeliveries(filters = {}) {
+    const { subscriptionId, status, event } = filters;
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(filters.limit) || 50));
+
+    try {
+      const db = this.getDatabaseConnection();
+
+      if (status && !this.queue.statuses.includes(status)) {
+        throw createError(`status must be one of: ${this.queue.statuses.join(', ')}`, 400);
+      }
+
+      let where = 'WHERE 1=1';
+      const params = [];
+
+      if (subscriptionId) {
+        where += ' AND d.subscription_id = ?';
+        params.push(subscriptionId);
+      }
+      if (status) {
+        where += ' AND d.status = ?';
+        params.push(status);
+      }
+      if (event) {
+        where += ' AND d.event = ?';
+        params.push(event);
+      }
+
+      const [rows, total, counts] = await Promise.all([
+        new Promise((resolve, reject) => {
+          db.all(`
+            SELECT d.id, d.subscription_id, s.name as subscription_name, s.url, d.event, d.event_id, d.status,
+                   d.attempts, d.next_attempt_at, d.response_status, d.duration_ms, d.last_error,
+                   d.created_at, d.delivered_at, d.updated_at
+            FROM webhook_deliveries d
+            LEFT JOIN webhook_subscriptions s ON s.id = d.subscription_id
+            ${where}
+            ORDER BY d.created_at DESC, d.rowid DESC
+            LIMIT ? OFFSET ?
+          `, [...params, limit, (page - 1) * limit], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        }),
+        new Promise((resolve, reject) => {
+          db.get(`SELECT COUNT(*) as count FROM webhook_deliveries d ${where}`, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row.count);
+          });
+        }),
+        new Promise((resolve, reject) => {
+          db.all(`
+            SELECT status, COUNT(*) as count FROM webhook_deliveries
+            ${subscriptionId ? 'WHERE subscription_id = ?' : ''}
+            GROUP BY status
+          `, subscriptionId ? [subscriptionId] : [], (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows || []);
+          });
+        })
+      ]);
+
+      return {
+        deliveries: rows.map(row => this.formatDelivery(row)),
+        counts: Object.fromEntries(this.queue.statuses.map(value => [value, (counts.find(c => c.status === value) || {}).count || 0])),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Get webhook deliveries error:', error);
+      throw error;
+    }
+  }
+
+  async getDeliveryRow(id) {
+    const db = this.getDatabaseConnection();
+    const row = await new Promise((resolve, reject) => {
+      db.get(`
+        SELECT d.*, s.name as subscription_name, s.url
+        FROM webhook_deliveries d
+        LEFT JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        WHERE d.id = ?
+      `, [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!row) {
+      throw createError('Delivery not found', 404);
+    }
+    return row;
+  }
+
+  /**
+   * One delivery, with its payload and the endpoint's last response
+   */
+  async getDeliveryById(id) {
+    try {
+      const row = await this.getDeliveryRow(id);
+      return {
+        ...this.formatDelivery(row),
+        payload: JSON.parse(row.payload),
+        responseBody: row.response_body
+      };
+    } catch (error) {
+      console.error('Get webhook delivery error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a delivery again, e.g. a dead one once the receiver is fixed
+   */
+  async redeliver(id) {
+    try {
+      const delivery = await this.getDeliveryRow(id);
+      if (delivery.status === 'SENDING') {
+        throw createError('Delivery is being sent right now', 409);
+      }
+
+      await this.queue.requeue(id);
+      await this.deliver(await this.getDeliveryRow(id), { force: delivery.event === PING_EVENT });
+      return this.getDeliveryById(id);
+    } catch (error) {
+      console.error('Redeliver webhook error:', error);
+      throw error;
+    }
+  }
+
+  formatSubscription(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      url: row.url,
+      events: JSON.parse(row.events || '[]'),
+      enabled: Boolean(row.enabled),
+      description: row.description,
+      secretHint: row.secret ? `…${row.secret.slice(-4)}` : null,
+      lastDeliveryAt: row.last_delivery_at,
+      lastDeliveryStatus: row.last_delivery_status,
+      pendingCount: row.pending_count || 0,
+      deadCount: row.dead_count || 0,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatDelivery(row) {
+    return {
+      id: row.id,
+      subscriptionId: row.subscription_id,
+      subscriptionName: row.subscription_name,
+      url: row.url,
+      event: row.event,
+      eventId: row.event_id,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.status === 'PENDING' ? row.next_attempt_at : null,
+      responseStatus: row.response_status,
+      durationMs: row.duration_ms,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new WebhookService();
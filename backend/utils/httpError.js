@@ -0,0 +1,17 @@
+/**
+ * Errors that carry an HTTP status
+ * Services throw these; routes answer with res.status(error.statusCode || 500).
+ */
+
+/**
+ * @param {string} message - Message for the client
+ * @param {number} statusCode - HTTP status, 400 by default
+ * @returns {Error}
+ */
+function createError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = { createError };
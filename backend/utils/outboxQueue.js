@@ -0,0 +1,155 @@
+/**
+ * Database-backed outbox queue
+ * Rows move PENDING -> SENDING -> <done status>, or back to PENDING to retry with
+ * backoff, and end up DEAD once retries run out. The owning service sends a row;
+ * the queue decides what is due, makes sure only one run sends it, and cleans up.
+ * The table needs id, status, attempts, next_attempt_at, created_at and updated_at
+ * columns, plus the done timestamp column.
+ */
+
+const { getDb } = require('../database/init');
+
+// Retry after 1, 2, 4, 8... minutes, never waiting more than 6 hours between attempts
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// About two hours of retries before a row is dead-lettered
+const MAX_ATTEMPTS = 8;
+
+const BATCH_SIZE = 20;
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * Math.pow(2, attempts - 1));
+}
+
+class OutboxQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.table - Queue table
+   * @param {string} options.doneStatus - Status of a row that went out, e.g. SENT
+   * @param {string} options.doneColumn - When it went out, e.g. sent_at
+   * @param {number} options.retentionDays - How long rows that went out are kept
+   * @param {Function} options.send - async (row) => 'done' key, 'failed', 'dead', or null if not claimed
+   */
+  constructor({ table, doneStatus, doneColumn, retentionDays, send }) {
+    this.table = table;
+    this.doneStatus = doneStatus;
+    this.doneColumn = doneColumn;
+    this.retentionDays = retentionDays;
+    this.send = send;
+    this.statuses = ['PENDING', 'SENDING', doneStatus, 'DEAD'];
+    this.processing = null;
+  }
+
+  /**
+   * Send every row that is due. Only one run happens at a time; a call made during
+   * a run waits for that run instead of starting another.
+   * @returns {Object} Counts per outcome, e.g. { sent, failed, dead }
+   */
+  process() {
+    if (!this.processing) {
+      this.processing = this.processDue().finally(() => {
+        this.processing = null;
+      });
+    }
+    return this.processing;
+  }
+
+  async processDue() {
+    const db = getDb();
+    const result = { [this.doneStatus.toLowerCase()]: 0, failed: 0, dead: 0 };
+    if (!db) {
+      return result;
+    }
+
+    const due = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT * FROM ${this.table}
+        WHERE status = 'PENDING' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at ASC, created_at ASC
+        LIMIT ?
+      `, [BATCH_SIZE], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+
+    for (const row of due) {
+      const outcome = await this.send(row);
+      if (outcome) {
+        result[outcome]++;
+      }
+    }
+
+    db.run(
+      `DELETE FROM ${this.table} WHERE status = ? AND ${this.doneColumn} < datetime('now', ?)`,
+      [this.doneStatus, `-${this.retentionDays} days`]
+    );
+
+    return result;
+  }
+
+  /**
+   * Claim a row for sending so a concurrent run can't send it too
+   * @returns {boolean} false if another run took it first
+   */
+  claim(id) {
+    const db = getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE ${this.table} SET status = 'SENDING', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'PENDING'
+      `, [id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  /**
+   * Status after a failed attempt: retried later, or DEAD once attempts run out
+   * @param {number} attempts - Attempts made, including the one that failed
+   * @param {boolean} giveUp - Don't retry whatever the count
+   * @returns {Object} { status, dead, retryInSeconds }
+   */
+  failure(attempts, giveUp = false) {
+    const dead = giveUp || attempts >= MAX_ATTEMPTS;
+    return { status: dead ? 'DEAD' : 'PENDING', dead, retryInSeconds: retryDelaySeconds(attempts) };
+  }
+
+  /**
+   * Put a row back in the queue with a fresh set of retries
+   */
+  requeue(id) {
+    const db = getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE ${this.table}
+        SET status = 'PENDING', attempts = 0, last_error = NULL, next_attempt_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [id], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  /**
+   * Return rows left mid-send by a restart to the queue
+   */
+  recoverInterrupted() {
+    const db = getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run(`UPDATE ${this.table} SET status = 'PENDING', updated_at = CURRENT_TIMESTAMP WHERE status = 'SENDING'`, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+}
+
+module.exports = { OutboxQueue, MAX_ATTEMPTS };
@@ -0,0 +1,225 @@
+/**
+ * Template Engine for Email Templates
+ * A small Handlebars-style syntax that admins can edit safely:
+ *   {{name}}                 value, HTML-escaped (dotted paths such as {{station.name}} work)
+ *   {{{html}}}               value, not escaped
+ *   {{#if x}}..{{else}}..{{/if}}, {{#unless x}}..{{/unless}}
+ *   {{#each list}}..{{else}}..{{/each}}  with {{this}}, {{@index}}, {{@number}}, {{@first}}, {{@last}};
+ *                            inside a loop, names are looked up on the item first, then outside it
+ *   {{! comment }}
+ * There are no helpers or expressions, so a template can't run code.
+ */
+
+const { createError } = require('./httpError');
+
+const TAG_PATTERN = /\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g;
+const PATH_PATTERN = /^(this|@?[A-Za-z_]\w*)(\.[A-Za-z_]\w*)*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+const CACHE_LIMIT = 200;
+
+function escapeHtml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+class TemplateEngine {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    /**
+     * Parse a template into a tree of text, variable and block nodes
+     * @throws {Error} With statusCode 400 and the line number when the syntax is wrong
+     */
+    compile(source) {
+        const text = String(source || '');
+        if (this.cache.has(text)) {
+            return this.cache.get(text);
+        }
+
+        const root = { children: [] };
+        const stack = [];
+        let current = root.children;
+        let lastIndex = 0;
+        const lineAt = (index) => text.slice(0, index).split('\n').length;
+
+        let match;
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(text)) !== null) {
+            if (match.index > lastIndex) {
+                current.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+            }
+            lastIndex = TAG_PATTERN.lastIndex;
+
+            const raw = match[1] !== undefined;
+            const tag = (raw ? match[1] : match[2]).trim();
+            const line = lineAt(match.index);
+
+            if (!raw && tag.startsWith('!')) {
+                continue;
+            }
+
+            if (raw) {
+                if (!PATH_PATTERN.test(tag)) {
+                    throw createError(`Invalid variable {{{${tag}}}} on line ${line}`);
+                }
+                current.push({ type: 'var', path: tag, raw: true });
+                continue;
+            }
+
+            const opening = tag.match(/^#(\w+)\s+(.+)$/);
+            if (opening) {
+                const [, block, path] = opening;
+                if (!BLOCKS.includes(block)) {
+                    throw createError(`Unknown block {{#${block}}} on line ${line}`);
+                }
+                if (!PATH_PATTERN.test(path.trim())) {
+                    throw createError(`Invalid variable in {{#${block} ${path}}} on line ${line}`);
+                }
+                const node = { type: block, path: path.trim(), children: [], inverse: [], line };
+                current.push(node);
+                stack.push(node);
+                current = node.children;
+                continue;
+            }
+
+            const closing = tag.match(/^\/(\w+)$/);
+            if (closing) {
+                const node = stack.pop();
+                if (!node) {
+                    throw createError(`{{/${closing[1]}}} on line ${line} has no matching {{#${closing[1]}}}`);
+                }
+                if (node.type !== closing[1]) {
+                    throw createError(`{{/${closing[1]}}} on line ${line} closes {{#${node.type} ${node.path}}} from line ${node.line}`);
+                }
+                current = stack.length > 0 ? this.activeBranch(stack[stack.length - 1]) : root.children;
+                continue;
+            }
+
+            if (tag === 'else') {
+                const node = stack[stack.length - 1];
+                if (!node || node.elseLine) {
+                    throw createError(`Unexpected {{else}} on line ${line}`);
+                }
+                node.elseLine = line;
+                current = node.inverse;
+                continue;
+            }
+
+            if (!PATH_PATTERN.test(tag)) {
+                throw createError(`Invalid tag {{${tag}}} on line ${line}`);
+            }
+            current.push({ type: 'var', path: tag, raw: false });
+        }
+
+        if (stack.length > 0) {
+            const node = stack[stack.length - 1];
+            throw createError(`{{#${node.type} ${node.path}}} on line ${node.line} is never closed with {{/${node.type}}}`);
+        }
+        if (lastIndex < text.length) {
+            root.children.push({ type: 'text', value: text.slice(lastIndex) });
+        }
+
+        if (this.cache.size >= CACHE_LIMIT) {
+            this.cache.clear();
+        }
+        this.cache.set(text, root.children);
+        return root.children;
+    }
+
+    activeBranch(node) {
+        return node.elseLine ? node.inverse : node.children;
+    }
+
+    /**
+     * Render a template
+     * @param {string} source - Template text
+     * @param {Object} data - Variables
+     * @param {Object} options - { escape: false } for plain text such as an email subject
+     */
+    render(source, data = {}, options = {}) {
+        const escape = options.escape !== false;
+        return this.renderNodes(this.compile(source), [data], {}, escape);
+    }
+
+    /**
+     * Check a template's syntax without rendering it
+     * @throws {Error} With statusCode 400 describing the first problem
+     */
+    validate(source) {
+        this.compile(source);
+        return true;
+    }
+
+    renderNodes(nodes, scopes, loop, escape) {
+        let output = '';
+
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                output += node.value;
+            } else if (node.type === 'var') {
+                const value = this.lookup(node.path, scopes, loop);
+                const text = value === null || value === undefined ? ''
+                    : Array.isArray(value) ? value.join(', ')
+                    : String(value);
+                output += node.raw || !escape ? text : escapeHtml(text);
+            } else if (node.type === 'if' || node.type === 'unless') {
+                const truthy = isTruthy(this.lookup(node.path, scopes, loop));
+                const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+                output += this.renderNodes(branch, scopes, loop, escape);
+            } else if (node.type === 'each') {
+                const list = this.lookup(node.path, scopes, loop);
+                if (!Array.isArray(list) || list.length === 0) {
+                    output += this.renderNodes(node.inverse, scopes, loop, escape);
+                    continue;
+                }
+                list.forEach((item, index) => {
+                    output += this.renderNodes(node.children, [...scopes, item], {
+                        index,
+                        number: index + 1,
+                        first: index === 0,
+                        last: index === list.length - 1
+                    }, escape);
+                });
+            }
+        }
+
+        return output;
+    }
+
+    lookup(path, scopes, loop) {
+        const [head, ...rest] = path.split('.');
+
+        let value;
+        if (head.startsWith('@')) {
+            value = loop[head.slice(1)];
+        } else if (head === 'this') {
+            value = scopes[scopes.length - 1];
+        } else {
+            const scope = [...scopes].reverse().find(candidate =>
+                candidate !== null && typeof candidate === 'object' && Object.prototype.hasOwnProperty.call(candidate, head));
+            value = scope ? scope[head] : undefined;
+        }
+
+        for (const key of rest) {
+            if (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)) {
+                return undefined;
+            }
+            value = value[key];
+        }
+        return value;
+    }
+}
+
+// Create singleton instance
+const templateEngine = new TemplateEngine();
+
+module.exports = templateEngine;
@@ -0,0 +1,190 @@
+// Offline outbox for worker submissions
+// Shared by the worker pages and worker-sw.js. Submissions made without a connection
+// are kept in IndexedDB and replayed later, each with an Idempotency-Key so the
+// server stores them only once however many times they are sent.
+
+(function (scope) {
+  const DB_NAME = 'ppe-offline';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'outbox';
+  const SYNC_TAG = 'ppe-outbox-sync';
+
+  // Responses that mean "try again later" rather than "this submission is wrong"
+  const RETRYABLE_STATUSES = [408, 409, 425, 429];
+
+  // Random key that also works on plain-HTTP company networks, where crypto.randomUUID is unavailable
+  function createKey() {
+    if (scope.crypto && typeof scope.crypto.randomUUID === 'function') {
+      return scope.crypto.randomUUID();
+    }
+    const bytes = scope.crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async function withStore(mode, action) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const result = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(result && 'result' in result ? result.result : undefined);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Queue a submission
+   * @param {Object} entry - { id (Idempotency-Key, optional), url, label, json } for JSON bodies
+   *   or { id, url, label, fields, file: { name, blob } } for multipart forms
+   */
+  async function enqueue(entry) {
+    const item = {
+      id: entry.id || createKey(),
+      url: entry.url,
+      label: entry.label || entry.url,
+      json: entry.json || null,
+      fields: entry.fields || null,
+      file: entry.file || null,
+      status: 'PENDING',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+    await withStore('readwrite', store => store.put(item));
+    return item;
+  }
+
+  function list() {
+    return withStore('readonly', store => store.getAll());
+  }
+
+  function remove(id) {
+    return withStore('readwrite', store => store.delete(id));
+  }
+
+  function save(item) {
+    return withStore('readwrite', store => store.put(item));
+  }
+
+  /**
+   * Send an entry. The same key must be reused on every attempt.
+   */
+  function send(entry) {
+    const headers = { 'Idempotency-Key': entry.id };
+    let body;
+
+    if (entry.json) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(entry.json);
+    } else {
+      body = new FormData();
+      Object.entries(entry.fields || {}).forEach(([name, value]) => body.append(name, value));
+      if (entry.file) {
+        body.append(entry.file.field || 'file', entry.file.blob, entry.file.name);
+      }
+    }
+
+    return fetch(entry.url, { method: 'POST', headers, body });
+  }
+
+  let replaying = null;
+
+  /**
+   * Send every pending entry in the order it was queued. Stops at the first network
+   * failure so the rest wait for the next sync. An entry the server asks to retry later
+   * stays pending without holding up the ones behind it. An entry the server rejects is
+   * kept as FAILED so the worker can see it, instead of being retried forever.
+   * @returns {Object} { sent, failed, pending }
+   */
+  function replay() {
+    if (!replaying) {
+      replaying = replayPending().finally(() => { replaying = null; });
+    }
+    return replaying;
+  }
+
+  async function replayPending() {
+    const entries = (await list())
+      .filter(entry => entry.status === 'PENDING')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const result = { sent: 0, failed: 0, pending: 0 };
+
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+      entry.attempts++;
+
+      let response;
+      try {
+        response = await send(entry);
+      } catch (error) {
+        entry.lastError = 'No connection';
+        await save(entry);
+        result.pending += entries.length - index;
+        break;
+      }
+
+      if (response.ok) {
+        await remove(entry.id);
+        result.sent++;
+        continue;
+      }
+
+      if (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status)) {
+        entry.lastError = `Server responded ${response.status}`;
+        await save(entry);
+        result.pending++;
+        continue;
+      }
+
+      const data = await response.json().catch(() => ({}));
+      entry.status = 'FAILED';
+      entry.lastError = data.message || data.error || `Rejected (${response.status})`;
+      await save(entry);
+      result.failed++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Ask the service worker to replay when the connection returns. Without Background
+   * Sync (or without a service worker, e.g. on plain HTTP) the page replays on 'online'.
+   */
+  async function requestSync() {
+    if (scope.navigator && 'serviceWorker' in scope.navigator) {
+      const registration = await scope.navigator.serviceWorker.getRegistration('/frontend/');
+      if (registration && 'sync' in registration) {
+        await registration.sync.register(SYNC_TAG);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  scope.PPEOutbox = {
+    SYNC_TAG,
+    createKey,
+    enqueue,
+    list,
+    remove,
+    replay,
+    requestSync,
+    send
+  };
+})(self);
@@ -143,33 +143,30 @@ self.addEventListener('notificationclick', event => {
   );
 });
 
-// Background sync - handle offline form submissions (future feature)
+// Background sync - replay submissions queued while offline
+importScripts('/frontend/offline-outbox.js');
+
 self.addEventListener('sync', event => {
   console.log('Service Worker: Background sync event');
   
-  if (event.tag === 'ppe-request-sync') {
-    event.waitUntil(
-      // Handle offline PPE request submissions
-      syncPPERequests()
-    );
+  if (event.tag === PPEOutbox.SYNC_TAG) {
+    event.waitUntil(syncOutbox());
   }
 });
 
-// Function to sync offline PPE requests (placeholder)
-async function syncPPERequests() {
-  console.log('Service Worker: Syncing offline PPE requests');
+// Send queued PPE requests and condition reports, then tell open pages what happened
+async function syncOutbox() {
+  console.log('Service Worker: Syncing offline submissions');
+  
+  const result = await PPEOutbox.replay();
+  console.log('Service Worker: Outbox sync result:', result);
   
-  // This would retrieve offline-stored requests and submit them
-  // when connectivity is restored
+  const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clientList.forEach(client => client.postMessage({ type: 'outbox_synced', result }));
   
-  try {
-    // Get stored requests from IndexedDB or similar
-    // Submit them to the server
-    // Clear stored requests on success
-    
-    console.log('Service Worker: PPE requests synced successfully');
-  } catch (error) {
-    console.error('Service Worker: Failed to sync PPE requests:', error);
+  // Rejecting makes the browser retry the sync later
+  if (result.pending > 0) {
+    throw new Error(`${result.pending} submission(s) still waiting to be sent`);
   }
 }
 